@@ -1,12 +1,14 @@
 /**
  * Service Worker para CV Web
- * Proporciona funcionalidades PWA básicas
+ * Proporciona funcionalidades PWA básicas y el reenvío en segundo plano
+ * (Background Sync) de los mensajes de contacto enviados sin conexión
  */
 
 const CACHE_NAME = 'cv-web-v1.0.0';
+// Relativas a sw.js: el sitio puede publicarse en un subdirectorio (PUBLIC_URL)
 const urlsToCache = [
-  '/',
-  '/manifest.json'
+  './',
+  './manifest.json'
 ];
 
 // Instalación del Service Worker
@@ -41,6 +43,11 @@ self.addEventListener('activate', (event) => {
 
 // Interceptar solicitudes de red
 self.addEventListener('fetch', (event) => {
+  // Los envíos (ej: formulario de contacto) van directo a la red
+  if (event.request.method !== 'GET') {
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -64,3 +71,124 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
+
+// Cola de mensajes de contacto sin conexión
+// La base, el almacén, la etiqueta y los avisos deben coincidir con
+// CONTACT_QUEUE y CONTACT_QUEUE_EVENTS de src/services/ContactQueueService.js
+// (también los tiempos de espera y de reserva)
+const CONTACT_DB_NAME = 'cv-web-contact';
+const CONTACT_STORE = 'outbox';
+const CONTACT_SYNC_TAG = 'contact-outbox';
+const CONTACT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const CONTACT_TIMEOUT_MS = 10000;
+const CONTACT_CLAIM_TTL_MS = 60 * 1000;
+const CONTACT_EVENTS = { sent: 'CONTACT_QUEUE_SENT', dropped: 'CONTACT_QUEUE_DROPPED' };
+// Respuestas que se pueden reintentar además de los 5xx
+const CONTACT_RETRYABLE_STATUSES = [408, 425, 429];
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openContactDatabase = () => {
+  const request = indexedDB.open(CONTACT_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(CONTACT_STORE, { keyPath: 'id' });
+  };
+  return idbRequest(request);
+};
+
+const withContactStore = (database, mode, operation) => (
+  idbRequest(operation(database.transaction(CONTACT_STORE, mode).objectStore(CONTACT_STORE)))
+);
+
+// Reserva un mensaje (inFlight) en una transacción readwrite para que la página
+// no lo reenvíe a la vez; una reserva vencida se puede volver a tomar
+const claimContactRecord = (database, id) => new Promise((resolve, reject) => {
+  const transaction = database.transaction(CONTACT_STORE, 'readwrite');
+  const store = transaction.objectStore(CONTACT_STORE);
+  const now = Date.now();
+  let claimed = null;
+
+  const request = store.get(id);
+  request.onsuccess = () => {
+    const record = request.result;
+    if (record && !(record.inFlight && now - record.inFlight < CONTACT_CLAIM_TTL_MS)) {
+      claimed = { ...record, inFlight: now };
+      store.put(claimed);
+    }
+  };
+  transaction.oncomplete = () => resolve(claimed);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Avisa a las páginas abiertas para que el formulario actualice su estado
+const notifyClients = async (type, id) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage({ type, id }));
+};
+
+// Reenvía cada mensaje pendiente; si alguno falla se rechaza para que el
+// navegador vuelva a intentar la sincronización más tarde
+const replayContactQueue = async () => {
+  const database = await openContactDatabase();
+  const records = await withContactStore(database, 'readonly', (store) => store.getAll());
+  let pending = 0;
+
+  for (const { id } of records) {
+    // Lo está enviando la página (u otra sincronización) o ya se envió
+    const record = await claimContactRecord(database, id);
+    if (!record) {
+      continue;
+    }
+
+    let outcome = null;
+    if (Date.now() - new Date(record.createdAt).getTime() > CONTACT_MAX_AGE_MS) {
+      outcome = CONTACT_EVENTS.dropped;
+    } else {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), CONTACT_TIMEOUT_MS);
+      try {
+        const response = await fetch(record.request.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...record.request.headers },
+          body: JSON.stringify(record.request.body),
+          credentials: 'omit',
+          signal: controller.signal
+        });
+        if (response.ok) {
+          outcome = CONTACT_EVENTS.sent;
+        } else if (response.status < 500 && !CONTACT_RETRYABLE_STATUSES.includes(response.status)) {
+          console.log('SW: El servidor rechazó un mensaje en cola:', response.status);
+          outcome = CONTACT_EVENTS.dropped;
+        }
+      } catch (error) {
+        console.log('SW: Mensaje en cola sin enviar:', error);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    if (outcome) {
+      await withContactStore(database, 'readwrite', (store) => store.delete(record.id));
+      await notifyClients(outcome, record.id);
+    } else {
+      pending += 1;
+      // Se libera la reserva para el próximo intento
+      await withContactStore(database, 'readwrite', (store) => store.put({ ...record, attempts: record.attempts + 1, inFlight: null }));
+    }
+  }
+
+  if (pending > 0) {
+    throw new Error(`SW: ${pending} mensaje(s) de contacto siguen pendientes`);
+  }
+};
+
+// Background Sync: el navegador lo dispara cuando vuelve la conexión
+self.addEventListener('sync', (event) => {
+  if (event.tag === CONTACT_SYNC_TAG) {
+    event.waitUntil(replayContactQueue());
+  }
+});
@@ -0,0 +1,68 @@
+/**
+ * Script de generación de exportaciones del CV
+ *
+ * Genera en /public los archivos descargables derivados de cvData.json
+ * para que el sitio los sirva en URLs estables (ej: /resume.json, /cv.md, /cv.txt, /cv.docx, /contact.vcf).
+ *
+ * Uso: node scripts/generate-cv-exports.js [directorio-destino]
+ * Se ejecuta automáticamente antes de `npm start` y `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Los módulos de src/ usan sintaxis ESM: se transpilan al vuelo con el preset de CRA
+require('./registerBabel');
+
+const cvDataService = require('../src/services/CVDataService').default;
+const { toJSONResume } = require('../src/utils/jsonResume');
+const { toMarkdown, toPlainText } = require('../src/utils/cvText');
+const { createCVDocxBuffer } = require('../src/utils/cvDocx');
+const { toVCard } = require('../src/utils/vCard');
+
+/**
+ * Archivos a generar: nombre y función que produce su contenido
+ * (texto, Buffer o una promesa de cualquiera de ellos)
+ */
+const EXPORTS = [
+  {
+    file: 'resume.json',
+    render: (service) => `${JSON.stringify(toJSONResume(service.getDocument()), null, 2)}\n`
+  },
+  {
+    file: 'cv.md',
+    render: (service) => toMarkdown(service)
+  },
+  {
+    file: 'cv.txt',
+    render: (service) => toPlainText(service)
+  },
+  {
+    file: 'cv.docx',
+    render: (service) => createCVDocxBuffer(service)
+  },
+  {
+    file: 'contact.vcf',
+    render: (service) => toVCard(service)
+  }
+];
+
+const outputDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'public'));
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+const generateExports = async () => {
+  // Avisa de certificados con fechas desactualizadas antes de publicarlos
+  cvDataService.checkCertificates();
+
+  for (const { file, render } of EXPORTS) {
+    const target = path.join(outputDir, file);
+    fs.writeFileSync(target, await render(cvDataService));
+    console.log(`CV export: ${path.relative(process.cwd(), target)}`);
+  }
+};
+
+generateExports().catch(error => {
+  console.error('CV export: error al generar los archivos', error);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+/**
+ * Registro de Babel para ejecutar módulos de src/ desde Node
+ *
+ * Los módulos de src/ usan sintaxis ESM y JSX: se transpilan al vuelo con
+ * el preset de CRA. Lo comparten los scripts y el servidor de contacto.
+ *
+ * El preset exige BABEL_ENV o NODE_ENV; solo se define BABEL_ENV ("test"
+ * compila para la versión de Node en uso) para no cambiar NODE_ENV del
+ * proceso que lo carga.
+ */
+
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+
+require('@babel/register')({
+  presets: [require.resolve('babel-preset-react-app')],
+  ignore: [/node_modules/],
+  extensions: ['.js', '.jsx']
+});
@@ -0,0 +1,121 @@
+/**
+ * Script de verificación de credenciales Open Badges
+ *
+ * Verifica sin navegador las mismas credenciales que muestra el sitio, con la
+ * lógica de src/utils/openBadges.
+ *
+ * Uso:
+ *   node scripts/verify-credentials.js
+ *     Verifica la credencial ("credential") de cada certificado de cvData.json
+ *     contra certificates.issuers. Falla si alguna no queda verificada.
+ *   node scripts/verify-credentials.js --fixtures [directorio]
+ *     Verifica las credenciales de ejemplo (por defecto scripts/fixtures/open-badges)
+ *     y compara cada estado con el esperado en su manifest.json. Las aserciones
+ *     alojadas se "descargan" de los archivos que indica manifest.hosted, sin red.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Los módulos de src/ usan sintaxis ESM: se transpilan al vuelo con el preset de CRA
+require('./registerBabel');
+
+const cvDataService = require('../src/services/CVDataService').default;
+const { verifyCredential } = require('../src/utils/openBadges');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'open-badges');
+
+/**
+ * Línea de resultado de una credencial
+ * @param {string} label - Certificado o archivo
+ * @param {Object} result - Resultado de verifyCredential
+ * @returns {string}
+ */
+const describe = (label, result) => {
+  const failed = result.checks
+    .filter(check => check.passed === false || (check.passed === null && check.reason))
+    .map(check => (check.reason ? `${check.id} (${check.reason})` : check.id));
+  return `${label}: ${result.status}${failed.length > 0 ? ` — ${failed.join(', ')}` : ''}`;
+};
+
+/**
+ * Verifica las credenciales de los certificados del CV
+ * @returns {Promise<boolean>} True si todas quedaron verificadas
+ */
+const verifyCertificates = async () => {
+  const certificates = cvDataService.getCertificates().filter(certificate => certificate.credential);
+  if (certificates.length === 0) {
+    console.log('Ningún certificado declara "credential" en cvData.json');
+    return true;
+  }
+
+  const options = {
+    issuers: cvDataService.getCredentialIssuers(),
+    recipient: cvDataService.getContact().email
+  };
+  let ok = true;
+  for (const certificate of certificates) {
+    const source = fs.readFileSync(path.join(PUBLIC_DIR, certificate.credential), 'utf8');
+    const result = await verifyCredential(source, options);
+    ok = ok && result.status === 'verified';
+    console.log(`${result.status === 'verified' ? '✓' : '✗'} ${describe(certificate.id, result)}`);
+  }
+  return ok;
+};
+
+/**
+ * fetch que sirve los documentos alojados de las credenciales de ejemplo
+ * (manifest.json → "hosted": { url: archivo }); cualquier otra URL responde 404
+ * @param {Object<string, string>} hosted - Archivo de cada URL
+ * @param {Function} read - Lector de archivos del directorio
+ * @returns {Function}
+ */
+const createFixtureFetcher = (hosted, read) => async (url) => {
+  const file = hosted[url];
+  return {
+    ok: Boolean(file),
+    status: file ? 200 : 404,
+    json: async () => JSON.parse(file ? read(file) : '{}')
+  };
+};
+
+/**
+ * Verifica las credenciales de ejemplo contra su estado esperado
+ * @param {string} directory - Directorio con manifest.json
+ * @returns {Promise<boolean>} True si todos los estados coinciden
+ */
+const verifyFixtures = async (directory) => {
+  const read = (file) => fs.readFileSync(path.join(directory, file), 'utf8');
+  const manifest = JSON.parse(read('manifest.json'));
+  const options = {
+    issuers: JSON.parse(read(manifest.issuers)),
+    recipient: manifest.recipient,
+    now: new Date(manifest.now),
+    fetcher: createFixtureFetcher(manifest.hosted || {}, read)
+  };
+
+  let ok = true;
+  for (const { file, expected } of manifest.credentials) {
+    const result = await verifyCredential(read(file), options);
+    const matches = result.status === expected;
+    ok = ok && matches;
+    console.log(`${matches ? '✓' : '✗'} ${describe(file, result)}${matches ? '' : ` (se esperaba ${expected})`}`);
+  }
+  return ok;
+};
+
+const run = async () => {
+  const [mode, directory] = process.argv.slice(2);
+  const ok = mode === '--fixtures'
+    ? await verifyFixtures(path.resolve(directory || DEFAULT_FIXTURES_DIR))
+    : await verifyCertificates();
+  if (!ok) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch(error => {
+  console.error('No se pudieron verificar las credenciales:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+/**
+ * Autenticación de la bandeja de administración
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: proteger las rutas /admin con HTTP Basic
+ *
+ * BUENAS PRÁCTICAS:
+ * - Comparación en tiempo constante (timingSafeEqual) del usuario y la contraseña
+ * - Sin ADMIN_PASSWORD la bandeja responde 503 en lugar de quedar abierta
+ * - Pensado para usarse detrás de HTTPS
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compara dos textos en tiempo constante
+ * @param {string} a - Texto recibido
+ * @param {string} b - Texto esperado
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  // Se comparan los hashes para que la longitud tampoco se filtre
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+/**
+ * Lee las credenciales de la cabecera Authorization
+ * @param {string|undefined} header - Cabecera Authorization
+ * @returns {{user: string, password: string}|null}
+ */
+const parseBasicAuth = (header) => {
+  const match = /^Basic\s+(.+)$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator === -1
+    ? null
+    : { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+};
+
+/**
+ * Middleware de Express que exige las credenciales de administración
+ * @param {{user: string, password: string}} admin - Credenciales configuradas
+ * @returns {Function}
+ */
+const createAdminAuth = (admin) => (req, res, next) => {
+  if (!admin.password) {
+    res.status(503).type('text').send('Bandeja deshabilitada: configura ADMIN_PASSWORD');
+    return;
+  }
+
+  const credentials = parseBasicAuth(req.get('Authorization'));
+  const userOk = credentials ? safeEqual(credentials.user, admin.user) : false;
+  const passwordOk = credentials ? safeEqual(credentials.password, admin.password) : false;
+  if (!userOk || !passwordOk) {
+    res.set('WWW-Authenticate', 'Basic realm="Contacto", charset="UTF-8"');
+    res.status(401).type('text').send('Credenciales requeridas');
+    return;
+  }
+  next();
+};
+
+module.exports = { createAdminAuth, parseBasicAuth };
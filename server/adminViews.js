@@ -0,0 +1,160 @@
+/**
+ * Vistas HTML de la bandeja de administración
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: convertir los mensajes en páginas HTML
+ *
+ * BUENAS PRÁCTICAS:
+ * - Todo el contenido del visitante se escapa antes de insertarse
+ * - Sin JavaScript ni dependencias: formularios POST para etiquetar y archivar
+ * - Estilos mínimos en línea con la paleta oscura del sitio
+ */
+
+/**
+ * Escapa un texto para HTML
+ * @param {*} value - Valor a mostrar
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; background: #0f172a; color: #e2e8f0; margin: 0; padding: 2rem; }
+  main { max-width: 960px; margin: 0 auto; }
+  a { color: #60a5fa; }
+  nav a { margin-right: 1rem; }
+  table { width: 100%; border-collapse: collapse; margin-top: 1rem; }
+  th, td { text-align: left; padding: .5rem; border-bottom: 1px solid #1e293b; vertical-align: top; }
+  tr.unread td { font-weight: 600; }
+  .tag { display: inline-block; background: #1e3a8a; border-radius: 9999px; padding: 0 .5rem; margin-right: .25rem; font-size: .8rem; }
+  .muted { color: #94a3b8; font-size: .875rem; }
+  pre { white-space: pre-wrap; background: #1e293b; padding: 1rem; border-radius: .5rem; }
+  form { display: inline-block; margin: .5rem .5rem 0 0; }
+  input, button { font: inherit; padding: .25rem .5rem; }
+`;
+
+/**
+ * Estructura común de las páginas
+ * @param {string} title - Título de la página
+ * @param {string} body - HTML del contenido
+ * @returns {string}
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+/**
+ * Menú de la bandeja
+ */
+const NAV = '<nav><a href="/admin">Entrada</a><a href="/admin?view=archived">Archivados</a><a href="/admin/rejections">Rechazados</a></nav>';
+
+/**
+ * Etiquetas de un mensaje, cada una enlazada a su filtro
+ * @param {string[]} tags - Etiquetas
+ * @returns {string}
+ */
+const renderTags = (tags) => tags
+  .map(tag => `<a class="tag" href="/admin?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`)
+  .join('');
+
+/**
+ * Listado de mensajes
+ * @param {Object[]} messages - Mensajes a mostrar
+ * @param {{archived: boolean, tag: string}} filters - Filtros aplicados
+ * @returns {string}
+ */
+const renderInbox = (messages, { archived, tag }) => {
+  const title = archived ? 'Archivados' : 'Bandeja de entrada';
+  const rows = messages.map(message => `
+    <tr class="${message.read ? '' : 'unread'}">
+      <td><a href="/admin/messages/${encodeURIComponent(message.id)}">${escapeHtml(message.subject)}</a><br>${renderTags(message.tags)}</td>
+      <td>${escapeHtml(message.name)}<br><span class="muted">${escapeHtml(message.email)}</span></td>
+      <td class="muted">${escapeHtml(message.receivedAt)}</td>
+    </tr>`).join('');
+
+  return layout(title, `
+    <h1>${title}${tag ? ` · ${escapeHtml(tag)}` : ''}</h1>
+    ${NAV}
+    ${messages.length === 0
+    ? '<p class="muted">No hay mensajes.</p>'
+    : `<table><thead><tr><th>Asunto</th><th>Remitente</th><th>Recibido</th></tr></thead><tbody>${rows}</tbody></table>`}
+  `);
+};
+
+/**
+ * Detalle de un mensaje con las acciones de etiquetado y archivo
+ * @param {Object} message - Mensaje
+ * @returns {string}
+ */
+const renderMessage = (message) => {
+  const action = `/admin/messages/${encodeURIComponent(message.id)}`;
+  return layout(message.subject, `
+    <nav><a href="/admin">← Entrada</a></nav>
+    <h1>${escapeHtml(message.subject)}</h1>
+    <p>${escapeHtml(message.name)} &lt;<a href="mailto:${escapeHtml(message.email)}">${escapeHtml(message.email)}</a>&gt;</p>
+    <p class="muted">Recibido: ${escapeHtml(message.receivedAt)} · IP: ${escapeHtml(message.ip)}</p>
+    <p>${renderTags(message.tags)}</p>
+    <pre>${escapeHtml(message.message)}</pre>
+    <form method="post" action="${action}">
+      <label>Etiquetas <input name="tags" value="${escapeHtml(message.tags.join(', '))}" placeholder="trabajo, respondido"></label>
+      <button type="submit">Guardar</button>
+    </form>
+    <form method="post" action="${action}">
+      <input type="hidden" name="archived" value="${message.archived ? 'false' : 'true'}">
+      <button type="submit">${message.archived ? 'Restaurar' : 'Archivar'}</button>
+    </form>
+    <form method="post" action="${action}">
+      <input type="hidden" name="read" value="false">
+      <button type="submit">Marcar como no leído</button>
+    </form>
+  `);
+};
+
+/**
+ * Dónde se detectó cada rechazo
+ */
+const SOURCE_LABELS = { server: 'servidor', browser: 'navegador' };
+
+/**
+ * Envíos rechazados por la protección antispam
+ * @param {Object[]} rejections - Rechazos, del más reciente al más antiguo
+ * @returns {string}
+ */
+const renderRejections = (rejections) => {
+  const rows = rejections.map(rejection => `
+    <tr>
+      <td>${escapeHtml(rejection.reason)}<br><span class="muted">${escapeHtml(SOURCE_LABELS[rejection.source] || rejection.source)} · ${escapeHtml(rejection.transport)}</span></td>
+      <td>${escapeHtml(rejection.subject)}<br><span class="muted">${escapeHtml(rejection.message)}</span></td>
+      <td>${escapeHtml(rejection.name)}<br><span class="muted">${escapeHtml(rejection.email)}</span></td>
+      <td class="muted">${escapeHtml(rejection.receivedAt)}<br>${escapeHtml(rejection.ip)}</td>
+    </tr>`).join('');
+
+  return layout('Rechazados', `
+    <h1>Rechazados</h1>
+    ${NAV}
+    ${rejections.length === 0
+    ? '<p class="muted">No hay envíos rechazados.</p>'
+    : `<table><thead><tr><th>Motivo</th><th>Mensaje</th><th>Remitente</th><th>Recibido</th></tr></thead><tbody>${rows}</tbody></table>`}
+  `);
+};
+
+/**
+ * Página de error
+ * @param {string} title - Mensaje de error
+ * @returns {string}
+ */
+const renderNotFound = (title) => layout(title, `<h1>${escapeHtml(title)}</h1><p><a href="/admin">Volver</a></p>`);
+
+module.exports = { escapeHtml, renderInbox, renderMessage, renderRejections, renderNotFound };
@@ -0,0 +1,267 @@
+/**
+ * Aplicación Express de la API de contacto
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe la configuración, el almacenamiento, el servicio de correo y el
+ *   limitador ya creados: se puede levantar con dobles en memoria
+ *
+ * BUENAS PRÁCTICAS:
+ * - Valida con las mismas reglas que el formulario (src/utils/validationUtils);
+ *   este módulo requiere que src/ se cargue con @babel/register (ver index.js)
+ * - Respuestas con la forma que espera el transporte "endpoint" del sitio:
+ *   201 si se guardó, 422 con { errors: { campo: mensaje } } si no es válido,
+ *   con los mensajes en el idioma de Accept-Language
+ * - Antispam (server/spamGuard.js) después de validar; los rechazos se registran
+ *   para revisarlos y el campo trampa recibe un 201 falso para no delatar la defensa
+ * - POST /api/contact/rejections registra los rechazos del navegador, que no
+ *   llegan a enviarse ({ reason, transport }, con su propio límite por IP)
+ * - La notificación por correo no demora la respuesta ni la hace fallar
+ * - CORS solo para los orígenes de ALLOWED_ORIGINS
+ */
+
+const express = require('express');
+const { createContactFormValidator } = require('../src/utils/validationUtils');
+const { I18nService } = require('../src/services/I18nService');
+const { SPAM_REASONS } = require('../src/utils/spamProtection');
+const { createAdminAuth } = require('./adminAuth');
+const { renderInbox, renderMessage, renderRejections, renderNotFound } = require('./adminViews');
+
+/**
+ * Campos del formulario que se aceptan
+ */
+const CONTACT_FIELDS = ['name', 'email', 'subject', 'message'];
+
+/**
+ * Motivos que el navegador puede informar (los demás solo los detecta el servidor)
+ */
+const BROWSER_REASONS = [SPAM_REASONS.honeypot, SPAM_REASONS.tooFast, SPAM_REASONS.rateLimited, SPAM_REASONS.linkSpam];
+
+/**
+ * Toma solo los campos del formulario, recortados
+ * @param {Object} body - Cuerpo recibido
+ * @returns {Object}
+ */
+const pickContactFields = (body) => Object.fromEntries(CONTACT_FIELDS.map(field => {
+  const value = body && body[field];
+  return [field, typeof value === 'string' ? value.trim() : value];
+}));
+
+/**
+ * Traductores por idioma para los errores de validación
+ * Cada idioma usa su propia instancia de I18nService: el idioma de una
+ * solicitud no cambia el de las demás
+ * @returns {Object<string, Function>} Código de idioma → t(key, params)
+ */
+const createTranslators = () => Object.fromEntries(new I18nService().getSupportedLanguages().map(({ code }) => {
+  const service = new I18nService();
+  service.setLanguage(code);
+  return [code, (key, params) => service.t(key, params)];
+}));
+
+/**
+ * Envuelve un controlador asíncrono para que sus errores lleguen al manejador de errores
+ * (Express 4 no captura las promesas rechazadas)
+ * @param {Function} handler - Controlador async
+ * @returns {Function}
+ */
+const asyncHandler = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+/**
+ * Convierte los valores de un formulario HTML ("true", "false") en los cambios de un mensaje
+ * @param {Object} body - Cuerpo recibido
+ * @returns {Object}
+ */
+const parseChanges = (body) => {
+  const changes = {};
+  ['read', 'archived'].filter(field => body[field] !== undefined).forEach(field => {
+    changes[field] = body[field] === true || body[field] === 'true';
+  });
+  if (body.tags !== undefined) {
+    changes.tags = body.tags;
+  }
+  return changes;
+};
+
+/**
+ * Middleware de CORS para la API pública
+ * @param {string[]} allowedOrigins - Orígenes permitidos
+ * @returns {Function}
+ */
+const cors = (allowedOrigins) => (req, res, next) => {
+  const origin = req.get('Origin');
+  res.vary('Origin');
+  if (origin && allowedOrigins.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+    res.set('Access-Control-Max-Age', '600');
+  }
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+};
+
+/**
+ * Rechaza los cambios de la bandeja enviados desde otro sitio (CSRF)
+ * Detrás de un proxy que termina TLS el servidor recibe http: el origen esperado
+ * se toma de PUBLIC_ORIGIN y, sin él, de la solicitud (confiable con TRUST_PROXY)
+ * @param {string} publicOrigin - Origen público de la bandeja (vacío = el de la solicitud)
+ * @returns {Function}
+ */
+const sameOrigin = (publicOrigin) => (req, res, next) => {
+  const origin = req.get('Origin');
+  const expected = publicOrigin || `${req.protocol}://${req.get('Host')}`;
+  if (['GET', 'HEAD'].includes(req.method) || !origin || origin === expected) {
+    next();
+    return;
+  }
+  res.status(403).type('text').send('Origen no permitido');
+};
+
+/**
+ * Rutas de la bandeja de administración
+ * @param {Object} store - Almacenamiento de mensajes
+ * @param {Object} rejections - Registro de envíos rechazados
+ * @returns {express.Router}
+ */
+const createAdminRouter = (store, rejections) => {
+  const router = express.Router();
+
+  // Listado: ?view=archived para los archivados, ?tag= para filtrar por etiqueta
+  router.get('/', asyncHandler(async (req, res) => {
+    const filters = { archived: req.query.view === 'archived', tag: req.query.tag ? String(req.query.tag) : '' };
+    res.send(renderInbox(await store.list(filters), filters));
+  }));
+
+  // Detalle: abrir un mensaje lo marca como leído
+  router.get('/messages/:id', asyncHandler(async (req, res) => {
+    const message = await store.get(req.params.id);
+    if (!message) {
+      res.status(404).send(renderNotFound('Mensaje no encontrado'));
+      return;
+    }
+    res.send(renderMessage(message.read ? message : await store.update(message.id, { read: true })));
+  }));
+
+  router.post('/messages/:id', asyncHandler(async (req, res) => {
+    const changes = parseChanges(req.body || {});
+    const message = await store.update(req.params.id, changes);
+    if (!message) {
+      res.status(404).send(renderNotFound('Mensaje no encontrado'));
+      return;
+    }
+    // Volver al detalle lo marcaría como leído otra vez
+    res.redirect(303, changes.read === false || changes.archived !== undefined
+      ? '/admin'
+      : `/admin/messages/${encodeURIComponent(message.id)}`);
+  }));
+
+  // Envíos rechazados por la protección antispam
+  router.get('/rejections', asyncHandler(async (req, res) => {
+    res.send(renderRejections(await rejections.list()));
+  }));
+
+  // API JSON de la bandeja
+  router.get('/api/messages', asyncHandler(async (req, res) => {
+    const archived = req.query.archived === undefined ? undefined : req.query.archived === 'true';
+    res.json({ messages: await store.list({ archived, tag: req.query.tag ? String(req.query.tag) : '' }) });
+  }));
+
+  router.patch('/api/messages/:id', asyncHandler(async (req, res) => {
+    const message = await store.update(req.params.id, parseChanges(req.body || {}));
+    if (!message) {
+      res.status(404).json({ error: 'not_found' });
+      return;
+    }
+    res.json({ message });
+  }));
+
+  router.get('/api/rejections', asyncHandler(async (req, res) => {
+    res.json({ rejections: await rejections.list() });
+  }));
+
+  return router;
+};
+
+/**
+ * Crea la aplicación
+ * @param {{config: Object, store: Object, mailer: Object, rateLimiter: Object, reportLimiter: Object, spamGuard: Object, rejections: Object}} dependencies
+ *   reportLimiter limita los rechazos informados por el navegador
+ * @returns {express.Application}
+ */
+const createApp = ({ config, store, mailer, rateLimiter, reportLimiter, spamGuard, rejections }) => {
+  const app = express();
+  app.disable('x-powered-by');
+  app.set('trust proxy', config.trustProxy);
+
+  app.get('/health', (req, res) => res.json({ ok: true }));
+
+  // Errores de validación en el idioma del sitio (Accept-Language) o en el idioma por defecto
+  const translators = createTranslators();
+  const defaultLanguage = new I18nService().getLanguage();
+
+  app.use('/api', cors(config.allowedOrigins), express.json({ limit: '16kb' }));
+
+  app.post('/api/contact', rateLimiter.middleware, asyncHandler(async (req, res) => {
+    const data = pickContactFields(req.body);
+    const language = req.acceptsLanguages(...Object.keys(translators)) || defaultLanguage;
+    const { isValid, errors } = createContactFormValidator(undefined, translators[language]).validateAll(data);
+    if (!isValid) {
+      res.status(422).json({ errors });
+      return;
+    }
+
+    const client = { ip: req.ip, userAgent: req.get('User-Agent') || '' };
+    const spam = await spamGuard.inspect((req.body && req.body.antiSpam) || null, data);
+    if (spam.reason) {
+      await rejections.add({ ...client, source: 'server', transport: 'endpoint', reason: spam.reason, data });
+      if (spam.reason === SPAM_REASONS.honeypot) {
+        res.status(201).json({ ok: true });
+      } else if (spam.errors) {
+        res.status(422).json({ errors: spam.errors });
+      } else {
+        res.status(400).json({ error: 'spam_rejected' });
+      }
+      return;
+    }
+
+    const message = await store.add({ ...data, ...client });
+    mailer.notify(message);
+    res.status(201).json({ ok: true, id: message.id });
+  }));
+
+  app.post('/api/contact/rejections', reportLimiter.middleware, asyncHandler(async (req, res) => {
+    const { reason, transport } = req.body || {};
+    if (!BROWSER_REASONS.includes(reason) || typeof transport !== 'string' || !/^[a-z]{1,20}$/.test(transport)) {
+      res.status(400).json({ error: 'invalid_rejection' });
+      return;
+    }
+
+    await rejections.add({ ip: req.ip, userAgent: req.get('User-Agent') || '', source: 'browser', transport, reason });
+    res.status(201).json({ ok: true });
+  }));
+
+  app.use(
+    '/admin',
+    createAdminAuth(config.admin),
+    sameOrigin(config.publicOrigin),
+    express.json({ limit: '16kb' }),
+    express.urlencoded({ extended: false, limit: '16kb' }),
+    createAdminRouter(store, rejections)
+  );
+
+  // Errores: JSON mal formado, cuerpo demasiado grande o fallos de almacenamiento
+  app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+      console.error('server: error al procesar la solicitud', error);
+    }
+    res.status(status).json({ error: status >= 500 ? 'internal_error' : error.type || 'bad_request' });
+  });
+
+  return app;
+};
+
+module.exports = { createApp, pickContactFields };
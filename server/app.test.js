@@ -0,0 +1,120 @@
+require('../scripts/registerBabel');
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+const { createRateLimiter } = require('./rateLimiter');
+const { SPAM_REASONS } = require('../src/utils/spamProtection');
+
+const MESSAGE = { name: 'Ana', email: 'ana@example.com', subject: 'Consulta', message: 'Hola, ¿podemos hablar de un proyecto?' };
+
+const ADMIN = { Authorization: `Basic ${Buffer.from('admin:secreto').toString('base64')}` };
+
+/**
+ * Almacenamiento en memoria con la interfaz de MessageStore
+ */
+const createMemoryStore = () => {
+  const messages = [];
+  return {
+    messages,
+    list: async () => messages,
+    get: async (id) => messages.find(message => message.id === id) || null,
+    add: async (data) => {
+      const message = { id: String(messages.length + 1), ...data, read: false, archived: false, tags: [] };
+      messages.unshift(message);
+      return message;
+    },
+    update: async (id, changes) => {
+      const message = messages.find(item => item.id === id);
+      return message ? Object.assign(message, changes) : null;
+    }
+  };
+};
+
+describe('createApp', () => {
+  const store = createMemoryStore();
+  const rejections = createMemoryStore();
+  const spamGuard = { inspect: async (antiSpam) => ({ reason: antiSpam ? null : SPAM_REASONS.invalidProof }) };
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const config = loadConfig({ ADMIN_PASSWORD: 'secreto', PUBLIC_ORIGIN: 'https://cv.example.com/' });
+    const app = createApp({
+      config,
+      store,
+      mailer: { notify: () => {} },
+      rateLimiter: createRateLimiter(config.rateLimit),
+      reportLimiter: createRateLimiter(config.rateLimit),
+      spamGuard,
+      rejections
+    });
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = (path, body, language) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(language ? { 'Accept-Language': language } : {}) },
+    body: JSON.stringify(body)
+  });
+
+  const postContact = (body, language) => post('/api/contact', body, language);
+
+  test('devuelve los errores de validación en el idioma de Accept-Language', async () => {
+    const english = await postContact({ name: '', email: 'x' }, 'en-US,en;q=0.9');
+    const spanish = await postContact({ name: '', email: 'x' });
+
+    assert.equal(english.status, 422);
+    const { errors } = await english.json();
+    assert.notEqual(errors.name, (await spanish.json()).errors.name);
+    assert.match(errors.name, /name/i);
+    assert.deepEqual(store.messages, []);
+  });
+
+  test('guarda un mensaje válido con su prueba antispam', async () => {
+    const response = await postContact({ ...MESSAGE, antiSpam: { salt: 'abcdef12' } });
+
+    assert.equal(response.status, 201);
+    assert.equal(store.messages.length, 1);
+  });
+
+  test('registra el envío que no pasa la protección antispam', async () => {
+    const response = await postContact(MESSAGE);
+
+    assert.equal(response.status, 400);
+    assert.equal(store.messages.length, 1);
+    assert.deepEqual(
+      { source: rejections.messages[0].source, reason: rejections.messages[0].reason },
+      { source: 'server', reason: SPAM_REASONS.invalidProof }
+    );
+  });
+
+  test('registra los rechazos que informa el navegador', async () => {
+    const response = await post('/api/contact/rejections', { reason: SPAM_REASONS.tooFast, transport: 'formspree' });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(
+      { source: rejections.messages[0].source, reason: rejections.messages[0].reason, transport: rejections.messages[0].transport },
+      { source: 'browser', reason: SPAM_REASONS.tooFast, transport: 'formspree' }
+    );
+    assert.equal((await post('/api/contact/rejections', { reason: SPAM_REASONS.invalidProof, transport: 'endpoint' })).status, 400);
+    assert.equal((await post('/api/contact/rejections', { reason: SPAM_REASONS.tooFast, transport: '<script>' })).status, 400);
+    assert.equal(rejections.messages.length, 2);
+  });
+
+  test('detrás de un proxy TLS acepta el origen de PUBLIC_ORIGIN y rechaza los demás', async () => {
+    const patch = (origin) => fetch(`${baseUrl}/admin/api/messages/1`, {
+      method: 'PATCH',
+      headers: { ...ADMIN, 'Content-Type': 'application/json', Origin: origin },
+      body: JSON.stringify({ read: true })
+    });
+
+    assert.equal((await patch('https://cv.example.com')).status, 200);
+    assert.equal((await patch(baseUrl)).status, 403);
+    assert.equal((await patch('https://otro.example.com')).status, 403);
+  });
+});
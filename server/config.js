@@ -0,0 +1,90 @@
+/**
+ * Configuración de la API de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: leer las variables de entorno del servidor y
+ *   completarlas con valores por defecto seguros
+ *
+ * BUENAS PRÁCTICAS:
+ * - Sin SMTP_HOST no se envían notificaciones (los mensajes se guardan igual)
+ * - Sin ADMIN_PASSWORD la bandeja de administración queda deshabilitada
+ * - PUBLIC_ORIGIN fija el origen de la bandeja cuando un proxy termina TLS
+ * - Para desarrollo, SMTP_HOST=localhost y SMTP_PORT=1025 apuntan a un
+ *   capturador local como Mailpit o MailHog
+ */
+
+const path = require('path');
+
+/**
+ * Lee un número entero de una variable de entorno
+ * @param {string|undefined} value - Valor de la variable
+ * @param {number} fallback - Valor por defecto
+ * @returns {number}
+ */
+const toInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Lee un booleano de una variable de entorno ("true", "1")
+ * @param {string|undefined} value - Valor de la variable
+ * @param {boolean} fallback - Valor por defecto
+ * @returns {boolean}
+ */
+const toBoolean = (value, fallback) => (value === undefined || value === '' ? fallback : ['true', '1'].includes(value));
+
+/**
+ * Lee una lista separada por comas
+ * @param {string|undefined} value - Valor de la variable
+ * @returns {string[]}
+ */
+const toList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Lee un origen ("https://ejemplo.com") sin la barra final
+ * @param {string|undefined} value - Valor de la variable
+ * @returns {string} Vacío si no se configuró
+ */
+const toOrigin = (value) => (value || '').trim().replace(/\/+$/, '');
+
+/**
+ * Configuración a partir de un conjunto de variables de entorno
+ * @param {Object} env - Variables de entorno (por defecto process.env)
+ * @returns {Object}
+ */
+const loadConfig = (env = process.env) => {
+  const smtpPort = toInteger(env.SMTP_PORT, 587);
+
+  return {
+    port: toInteger(env.PORT, 3001),
+    // Número de proxies delante del servidor (para leer la IP real del visitante)
+    trustProxy: toInteger(env.TRUST_PROXY, 0),
+    // Origen público de la bandeja (detrás de un proxy TLS el servidor recibe http)
+    publicOrigin: toOrigin(env.PUBLIC_ORIGIN),
+    allowedOrigins: toList(env.ALLOWED_ORIGINS),
+    storageFile: path.resolve(env.CONTACT_STORAGE_FILE || path.join(__dirname, 'data', 'messages.json')),
+    rejectionsFile: path.resolve(env.CONTACT_REJECTIONS_FILE || path.join(__dirname, 'data', 'rejections.json')),
+    rateLimit: {
+      windowMs: toInteger(env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+      max: toInteger(env.RATE_LIMIT_MAX, 5)
+    },
+    smtp: {
+      host: env.SMTP_HOST || '',
+      port: smtpPort,
+      secure: toBoolean(env.SMTP_SECURE, smtpPort === 465),
+      user: env.SMTP_USER || '',
+      pass: env.SMTP_PASS || ''
+    },
+    mail: {
+      from: env.MAIL_FROM || 'Formulario de contacto <no-reply@localhost>',
+      to: env.MAIL_TO || ''
+    },
+    admin: {
+      user: env.ADMIN_USER || 'admin',
+      password: env.ADMIN_PASSWORD || ''
+    }
+  };
+};
+
+module.exports = { loadConfig };
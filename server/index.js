@@ -0,0 +1,41 @@
+/**
+ * API de contacto autoalojada
+ *
+ * Recibe los mensajes del formulario (transporte "endpoint"), los valida con
+ * las mismas reglas que el sitio, descarta el spam, los guarda en un archivo
+ * JSON, avisa por SMTP y ofrece una bandeja de administración protegida en /admin.
+ *
+ * Uso: npm run server
+ * Configuración por variables de entorno (ver server/config.js y el README).
+ */
+
+// Los módulos de src/ usan sintaxis ESM: se transpilan al vuelo con el preset de CRA
+require('../scripts/registerBabel');
+
+const { loadConfig } = require('./config');
+const { createApp } = require('./app');
+const { MessageStore } = require('./messageStore');
+const { RejectionLog } = require('./rejectionLog');
+const { createMailer } = require('./mailer');
+const { createRateLimiter } = require('./rateLimiter');
+const { createSpamGuard } = require('./spamGuard');
+
+const config = loadConfig();
+
+const app = createApp({
+  config,
+  store: new MessageStore(config.storageFile),
+  mailer: createMailer(config),
+  rateLimiter: createRateLimiter(config.rateLimit),
+  reportLimiter: createRateLimiter(config.rateLimit),
+  spamGuard: createSpamGuard(),
+  rejections: new RejectionLog(config.rejectionsFile)
+});
+
+if (!config.admin.password) {
+  console.warn('server: ADMIN_PASSWORD sin configurar, la bandeja /admin queda deshabilitada');
+}
+
+app.listen(config.port, () => {
+  console.log(`API de contacto en http://localhost:${config.port} (mensajes en ${config.storageFile})`);
+});
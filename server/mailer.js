@@ -0,0 +1,78 @@
+/**
+ * Notificaciones por correo de los mensajes de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: avisar por SMTP que llegó un mensaje
+ *
+ * BUENAS PRÁCTICAS:
+ * - Transporte SMTP configurable (proveedor real o capturador local en el puerto 1025)
+ * - Sin SMTP_HOST o MAIL_TO la notificación se omite con un aviso: el mensaje
+ *   ya quedó guardado y se puede leer en la bandeja
+ * - Reply-To apunta al visitante para responder directamente
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Texto plano de la notificación
+ * @param {Object} message - Mensaje guardado
+ * @returns {string}
+ */
+const formatNotification = (message) => [
+  `Nombre: ${message.name}`,
+  `Email: ${message.email}`,
+  `Asunto: ${message.subject}`,
+  `Recibido: ${message.receivedAt}`,
+  '',
+  message.message
+].join('\n');
+
+/**
+ * Crea el servicio de notificaciones
+ * @param {{smtp: Object, mail: Object}} config - Configuración del servidor
+ * @param {Object} transport - Transporte de nodemailer ya creado (opcional)
+ * @returns {{enabled: boolean, notify: Function}}
+ */
+const createMailer = ({ smtp, mail }, transport = null) => {
+  const enabled = Boolean((transport || smtp.host) && mail.to);
+  if (!enabled) {
+    console.warn('mailer: SMTP_HOST o MAIL_TO sin configurar, no se enviarán notificaciones');
+  }
+
+  const transporter = enabled
+    ? transport || nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    })
+    : null;
+
+  /**
+   * Envía la notificación de un mensaje
+   * @param {Object} message - Mensaje guardado
+   * @returns {Promise<boolean>} false si no se envió
+   */
+  const notify = async (message) => {
+    if (!transporter) {
+      return false;
+    }
+    try {
+      await transporter.sendMail({
+        from: mail.from,
+        to: mail.to,
+        replyTo: { name: message.name, address: message.email },
+        subject: `[Contacto] ${message.subject}`,
+        text: formatNotification(message)
+      });
+      return true;
+    } catch (error) {
+      console.error(`mailer: no se pudo enviar la notificación del mensaje ${message.id}`, error);
+      return false;
+    }
+  };
+
+  return { enabled, notify };
+};
+
+module.exports = { createMailer, formatNotification };
@@ -0,0 +1,164 @@
+/**
+ * Almacenamiento de mensajes de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: guardar y leer los mensajes en un archivo JSON
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - La aplicación solo usa list, get, add y update: se puede cambiar por
+ *   otro almacenamiento (SQLite, una base de datos) con la misma interfaz
+ *
+ * BUENAS PRÁCTICAS:
+ * - Escritura atómica: se escribe un archivo temporal y se renombra
+ * - Las escrituras se encadenan para que dos envíos simultáneos no se pisen
+ * - Si el archivo no existe se crea con el primer mensaje
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Campos que se pueden modificar desde la bandeja de administración
+ */
+const EDITABLE_FIELDS = ['read', 'archived', 'tags'];
+
+/**
+ * Normaliza una lista de etiquetas (minúsculas, sin repetidas ni vacías)
+ * @param {string[]|string} tags - Etiquetas o texto separado por comas
+ * @returns {string[]}
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+};
+
+/**
+ * Clase MessageStore
+ * Mensajes ordenados del más reciente al más antiguo
+ */
+class MessageStore {
+  /**
+   * Constructor del almacenamiento
+   * @param {string} file - Ruta del archivo JSON
+   */
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Lee todos los mensajes del archivo
+   * @returns {Promise<Object[]>}
+   */
+  async readAll() {
+    try {
+      const content = await fs.promises.readFile(this.file, 'utf8');
+      const messages = JSON.parse(content);
+      return Array.isArray(messages) ? messages : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`MessageStore: no se pudo leer ${this.file}`, error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Escribe todos los mensajes de forma atómica
+   * @param {Object[]} messages - Mensajes
+   * @returns {Promise<void>}
+   */
+  async writeAll(messages) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, `${JSON.stringify(messages, null, 2)}\n`, 'utf8');
+    await fs.promises.rename(tmpFile, this.file);
+  }
+
+  /**
+   * Encola una modificación para que las escrituras no se superpongan
+   * @param {Function} change - Recibe los mensajes y devuelve { messages, result }
+   * @returns {Promise<*>} result de la modificación
+   */
+  modify(change) {
+    const run = this.queue.then(async () => {
+      const { messages, result } = change(await this.readAll());
+      if (messages) {
+        await this.writeAll(messages);
+      }
+      return result;
+    });
+    // Un error no debe bloquear las escrituras siguientes
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Lista los mensajes, opcionalmente filtrados
+   * @param {{archived?: boolean, tag?: string}} filters - Filtros
+   * @returns {Promise<Object[]>}
+   */
+  async list({ archived, tag } = {}) {
+    const messages = await this.readAll();
+    return messages
+      .filter(message => archived === undefined || message.archived === archived)
+      .filter(message => !tag || message.tags.includes(tag));
+  }
+
+  /**
+   * Obtiene un mensaje por id
+   * @param {string} id - Id del mensaje
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const messages = await this.readAll();
+    return messages.find(message => message.id === id) || null;
+  }
+
+  /**
+   * Guarda un mensaje nuevo
+   * @param {Object} data - Campos del mensaje (name, email, subject, message, ip, userAgent)
+   * @param {Date} now - Fecha de recepción
+   * @returns {Promise<Object>} Mensaje guardado
+   */
+  add(data, now = new Date()) {
+    const message = {
+      id: crypto.randomUUID(),
+      receivedAt: now.toISOString(),
+      ...data,
+      read: false,
+      archived: false,
+      tags: []
+    };
+    return this.modify(messages => ({ messages: [message, ...messages], result: message }));
+  }
+
+  /**
+   * Modifica los campos editables de un mensaje (read, archived, tags)
+   * @param {string} id - Id del mensaje
+   * @param {Object} changes - Cambios a aplicar
+   * @returns {Promise<Object|null>} Mensaje actualizado o null si no existe
+   */
+  update(id, changes) {
+    return this.modify(messages => {
+      const index = messages.findIndex(message => message.id === id);
+      if (index === -1) {
+        return { messages: null, result: null };
+      }
+
+      const updated = { ...messages[index] };
+      EDITABLE_FIELDS
+        .filter(field => changes[field] !== undefined)
+        .forEach(field => {
+          updated[field] = field === 'tags' ? normalizeTags(changes.tags) : Boolean(changes[field]);
+        });
+
+      const next = [...messages];
+      next[index] = updated;
+      return { messages: next, result: updated };
+    });
+  }
+}
+
+module.exports = { MessageStore, normalizeTags };
@@ -0,0 +1,78 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageStore, normalizeTags } = require('./messageStore');
+
+const MESSAGE = { name: 'Ana', email: 'ana@example.com', subject: 'Consulta', message: 'Hola, ¿podemos hablar?' };
+
+describe('MessageStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messages-'));
+    store = new MessageStore(path.join(dir, 'data', 'messages.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('sin archivo no hay mensajes y el primero lo crea', async () => {
+    assert.deepEqual(await store.list(), []);
+
+    const saved = await store.add(MESSAGE, new Date('2026-10-18T12:00:00Z'));
+
+    assert.equal(saved.receivedAt, '2026-10-18T12:00:00.000Z');
+    assert.deepEqual({ read: saved.read, archived: saved.archived, tags: saved.tags }, { read: false, archived: false, tags: [] });
+    assert.deepEqual(await store.get(saved.id), saved);
+  });
+
+  test('dos envíos simultáneos se guardan los dos, el más reciente primero', async () => {
+    const [first, second] = await Promise.all([
+      store.add({ ...MESSAGE, name: 'Ana' }),
+      store.add({ ...MESSAGE, name: 'Beto' })
+    ]);
+
+    assert.deepEqual((await store.list()).map(message => message.id), [second.id, first.id]);
+  });
+
+  test('solo modifica los campos editables y filtra por estado o etiqueta', async () => {
+    const { id } = await store.add(MESSAGE);
+    await store.add(MESSAGE);
+
+    const updated = await store.update(id, { archived: 1, tags: 'Trabajo, trabajo, ,urgente', email: 'otro@example.com' });
+
+    assert.equal(updated.archived, true);
+    assert.deepEqual(updated.tags, ['trabajo', 'urgente']);
+    assert.equal(updated.email, MESSAGE.email);
+    assert.deepEqual((await store.list({ archived: true })).map(message => message.id), [id]);
+    assert.equal((await store.list({ archived: false })).length, 1);
+    assert.deepEqual((await store.list({ tag: 'urgente' })).map(message => message.id), [id]);
+    assert.equal(await store.update('no-existe', { read: true }), null);
+  });
+
+  test('un archivo dañado no impide seguir recibiendo mensajes', async () => {
+    fs.mkdirSync(path.dirname(store.file), { recursive: true });
+    fs.writeFileSync(store.file, '{ roto');
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      await store.add(MESSAGE);
+    } finally {
+      console.error = originalError;
+    }
+    assert.equal((await store.list()).length, 1);
+  });
+});
+
+describe('normalizeTags', () => {
+  test('acepta una lista o un texto separado por comas', () => {
+    assert.deepEqual(normalizeTags(['React', ' react ', '']), ['react']);
+    assert.deepEqual(normalizeTags('a,b'), ['a', 'b']);
+    assert.deepEqual(normalizeTags(undefined), []);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Límite de envíos por IP
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: contar los envíos de cada IP en una ventana de tiempo
+ *
+ * BUENAS PRÁCTICAS:
+ * - Ventana fija en memoria: suficiente para un único proceso; con varias
+ *   instancias habría que compartir el contador (ej: Redis)
+ * - Responde 429 con Retry-After, que el transporte "endpoint" del sitio
+ *   trata como un error que se puede reintentar
+ * - Las ventanas vencidas se limpian en cada consulta
+ */
+
+/**
+ * Crea un limitador
+ * @param {{windowMs: number, max: number}} options - Duración de la ventana y envíos permitidos
+ * @param {Function} now - Reloj (por defecto Date.now)
+ * @returns {{hit: Function, middleware: Function}}
+ */
+const createRateLimiter = ({ windowMs, max }, now = Date.now) => {
+  const hits = new Map();
+
+  /**
+   * Elimina las ventanas ya vencidas
+   * @param {number} time - Instante actual
+   */
+  const prune = (time) => {
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= time) {
+        hits.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Registra un envío de una IP
+   * @param {string} key - IP del visitante
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}} retryAfter en segundos
+   */
+  const hit = (key) => {
+    const time = now();
+    prune(time);
+
+    const entry = hits.get(key) || { count: 0, resetAt: time + windowMs };
+    entry.count += 1;
+    hits.set(key, entry);
+
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - time) / 1000)
+    };
+  };
+
+  /**
+   * Middleware de Express
+   */
+  const middleware = (req, res, next) => {
+    const { allowed, remaining, retryAfter } = hit(req.ip);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(remaining));
+
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ error: 'rate_limited', retryAfter });
+      return;
+    }
+    next();
+  };
+
+  return { hit, middleware };
+};
+
+module.exports = { createRateLimiter };
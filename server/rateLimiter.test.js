@@ -0,0 +1,56 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimiter');
+
+/**
+ * Reloj manual para avanzar el tiempo en los tests
+ */
+const createClock = (start = 0) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+};
+
+/**
+ * Respuesta de Express mínima que registra lo que se envía
+ */
+const createResponse = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('createRateLimiter', () => {
+  test('permite max envíos por IP en la ventana y vuelve a permitir al vencer', () => {
+    const now = createClock();
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 }, now);
+
+    assert.deepEqual(limiter.hit('1.1.1.1'), { allowed: true, remaining: 1, retryAfter: 60 });
+    assert.equal(limiter.hit('1.1.1.1').allowed, true);
+    now.advance(15000);
+    assert.deepEqual(limiter.hit('1.1.1.1'), { allowed: false, remaining: 0, retryAfter: 45 });
+    assert.equal(limiter.hit('2.2.2.2').allowed, true);
+
+    now.advance(45000);
+    assert.equal(limiter.hit('1.1.1.1').allowed, true);
+  });
+
+  test('el middleware responde 429 con Retry-After al superar el límite', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 1 }, createClock());
+    const req = { ip: '1.1.1.1' };
+    let calls = 0;
+    const next = () => { calls += 1; };
+
+    limiter.middleware(req, createResponse(), next);
+    const res = createResponse();
+    limiter.middleware(req, res, next);
+
+    assert.equal(calls, 1);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '60');
+    assert.deepEqual(res.body, { error: 'rate_limited', retryAfter: 60 });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Registro de envíos rechazados
+ *
+ * PRINCIPIO SOLID: Liskov Substitution Principle (LSP)
+ * - Reutiliza el almacenamiento en archivo JSON de MessageStore (lectura,
+ *   escritura atómica y cola de escrituras); solo cambia cómo se agrega
+ *
+ * BUENAS PRÁCTICAS:
+ * - Guarda el motivo, la IP y un extracto del mensaje para revisarlos en
+ *   /admin/rejections (ej: para detectar falsos positivos)
+ * - Registra tanto los rechazos del servidor como los que informa el navegador
+ *   (source "browser", sin el mensaje, que no se llegó a enviar)
+ * - Conserva solo los últimos MAX_ENTRIES rechazos
+ */
+
+const crypto = require('crypto');
+const { MessageStore } = require('./messageStore');
+
+/**
+ * Rechazos que se conservan
+ */
+const MAX_ENTRIES = 500;
+
+/**
+ * Largo máximo de los textos guardados
+ */
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Recorta un texto recibido
+ * @param {*} value - Valor recibido
+ * @returns {string}
+ */
+const excerpt = (value) => (typeof value === 'string' ? value.slice(0, EXCERPT_LENGTH) : '');
+
+/**
+ * Clase RejectionLog
+ * Rechazos ordenados del más reciente al más antiguo
+ */
+class RejectionLog extends MessageStore {
+  /**
+   * Registra un rechazo
+   * @param {{reason: string, source: string, transport: string, ip: string, userAgent: string, data?: Object}} entry - Rechazo
+   *   source: "server" (lo detectó la API) o "browser" (lo informó el formulario)
+   * @param {Date} now - Fecha del rechazo
+   * @returns {Promise<Object>} Registro guardado
+   */
+  add({ reason, source, transport, ip, userAgent, data = {} }, now = new Date()) {
+    const record = {
+      id: crypto.randomUUID(),
+      receivedAt: now.toISOString(),
+      reason,
+      source,
+      transport,
+      ip,
+      userAgent,
+      name: excerpt(data.name),
+      email: excerpt(data.email),
+      subject: excerpt(data.subject),
+      message: excerpt(data.message)
+    };
+    console.warn(`RejectionLog: envío rechazado (${reason}, ${source}) desde ${ip}`);
+    return this.modify(entries => ({ messages: [record, ...entries].slice(0, MAX_ENTRIES), result: record }));
+  }
+}
+
+module.exports = { RejectionLog };
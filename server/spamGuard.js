@@ -0,0 +1,71 @@
+/**
+ * Protección antispam de la API de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: decidir si un envío se acepta según la prueba
+ *   antispam del formulario y el contenido del mensaje
+ *
+ * BUENAS PRÁCTICAS:
+ * - Mismas reglas que el navegador (src/utils/spamProtection): el formulario
+ *   filtra antes de enviar y el servidor vuelve a comprobar todo
+ * - Cada prueba de trabajo se acepta una sola vez (salts usados en memoria
+ *   hasta que la prueba vence)
+ * - La dificultad y los tiempos los fija el servidor, no la prueba recibida
+ */
+
+const { webcrypto } = require('crypto');
+const {
+  SPAM_RULES, SPAM_REASONS, analyzeContent, describeContentIssues, checkSubmissionProof
+} = require('../src/utils/spamProtection');
+
+/**
+ * Crea el verificador
+ * @param {{rules?: Object, now?: Function, subtle?: SubtleCrypto}} options - Reglas, reloj y Web Crypto
+ * @returns {{inspect: Function}}
+ */
+const createSpamGuard = ({ rules = SPAM_RULES, now = Date.now, subtle = webcrypto.subtle } = {}) => {
+  const usedSalts = new Map();
+
+  /**
+   * Elimina los salts de pruebas ya vencidas
+   * @param {number} time - Instante actual
+   */
+  const prune = (time) => {
+    usedSalts.forEach((expiresAt, salt) => {
+      if (expiresAt <= time) {
+        usedSalts.delete(salt);
+      }
+    });
+  };
+
+  /**
+   * Comprueba un envío ya validado
+   * @param {Object|null} antiSpam - Prueba enviada por el formulario
+   * @param {{name: string, subject: string, message: string}} data - Mensaje
+   * @returns {Promise<{reason: string|null, errors?: Object}>} reason es un valor de SPAM_REASONS
+   */
+  const inspect = async (antiSpam, data) => {
+    const time = now();
+    const reason = await checkSubmissionProof(antiSpam, time, subtle, rules);
+    if (reason) {
+      return { reason };
+    }
+
+    prune(time);
+    if (usedSalts.has(antiSpam.salt)) {
+      return { reason: SPAM_REASONS.replayedProof };
+    }
+
+    const issues = analyzeContent(data, rules);
+    if (Object.keys(issues).length > 0) {
+      return { reason: SPAM_REASONS.linkSpam, errors: describeContentIssues(issues, rules) };
+    }
+
+    usedSalts.set(antiSpam.salt, time + rules.proofMaxAgeMs);
+    return { reason: null };
+  };
+
+  return { inspect };
+};
+
+module.exports = { createSpamGuard };
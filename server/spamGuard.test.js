@@ -0,0 +1,70 @@
+require('../scripts/registerBabel');
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { webcrypto } = require('crypto');
+const { SPAM_RULES, SPAM_REASONS, getChallenge, solveProofOfWork } = require('../src/utils/spamProtection');
+const { createSpamGuard } = require('./spamGuard');
+
+// Dificultad baja para que las pruebas sean rápidas
+const RULES = { ...SPAM_RULES, powDifficulty: 8 };
+const NOW = 1767225600000;
+const MESSAGE = { name: 'Ana', subject: 'Consulta', message: 'Hola, ¿podemos hablar de un proyecto?' };
+
+/**
+ * Prueba válida iniciada "elapsedMs" antes de NOW
+ */
+const createProof = async (elapsedMs = 10000, salt = 'abcdef12') => {
+  const session = { startedAt: NOW - elapsedMs, salt };
+  return { ...session, nonce: await solveProofOfWork(getChallenge(session), RULES.powDifficulty, webcrypto.subtle) };
+};
+
+/**
+ * Verificador con un reloj que se puede adelantar
+ */
+const createGuard = () => {
+  let time = NOW;
+  const guard = createSpamGuard({ rules: RULES, now: () => time });
+  guard.advance = (ms) => { time += ms; };
+  return guard;
+};
+
+describe('createSpamGuard', () => {
+  test('acepta una prueba válida una sola vez', async () => {
+    const guard = createGuard();
+    const proof = await createProof();
+
+    assert.deepEqual(await guard.inspect(proof, MESSAGE), { reason: null });
+    assert.deepEqual(await guard.inspect(proof, MESSAGE), { reason: SPAM_REASONS.replayedProof });
+    assert.deepEqual(await guard.inspect(await createProof(10000, 'otrosalt'), MESSAGE), { reason: null });
+  });
+
+  test('rechaza envíos sin prueba, demasiado rápidos o con el campo trampa', async () => {
+    const guard = createGuard();
+
+    assert.equal((await guard.inspect(null, MESSAGE)).reason, SPAM_REASONS.invalidProof);
+    assert.equal((await guard.inspect(await createProof(500), MESSAGE)).reason, SPAM_REASONS.tooFast);
+    assert.equal((await guard.inspect({ ...(await createProof()), honeypot: 'https://spam.example' }, MESSAGE)).reason, SPAM_REASONS.honeypot);
+    assert.equal((await guard.inspect({ ...(await createProof()), nonce: 1 }, MESSAGE)).reason, SPAM_REASONS.invalidProof);
+  });
+
+  test('una prueba vencida no se acepta aunque su salt ya se haya olvidado', async () => {
+    const guard = createGuard();
+    const proof = await createProof();
+    await guard.inspect(proof, MESSAGE);
+
+    guard.advance(RULES.proofMaxAgeMs);
+    assert.equal((await guard.inspect(proof, MESSAGE)).reason, SPAM_REASONS.invalidProof);
+  });
+
+  test('devuelve errores por campo para el spam de enlaces sin gastar la prueba', async () => {
+    const guard = createGuard();
+    const proof = await createProof();
+
+    const result = await guard.inspect(proof, { ...MESSAGE, subject: 'Visita https://spam.example' });
+
+    assert.equal(result.reason, SPAM_REASONS.linkSpam);
+    assert.equal(typeof result.errors.subject, 'string');
+    assert.deepEqual(await guard.inspect(proof, MESSAGE), { reason: null });
+  });
+});
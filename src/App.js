@@ -13,6 +13,8 @@
  * 
  * BUENAS PRÁCTICAS:
  * - Estructura modular y escalable
+ * - Secciones declaradas en constants/sectionRegistry (layout, menú y navegación)
+ * - Rutas de detalle (/projects, /certificates, /skills) con transiciones de página
  * - Lazy loading para optimización
  * - Error boundaries para manejo de errores
  * - Configuración centralizada
@@ -24,28 +26,36 @@ import React, { Suspense, lazy, useEffect, useState, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaSpinner, FaExclamationTriangle, FaArrowUp } from 'react-icons/fa';
 import PropTypes from 'prop-types';
-import { BrowserRouter as Router } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Header from './components/Header';
-import Hero from './components/Hero';
 import ParticleBackground from './components/ParticleBackground';
-import Portfolio from './components/Portfolio';
-import { NavigationService } from './services/NavigationService';
+import navigationService from './services/NavigationService';
+import contactQueueService from './services/ContactQueueService';
+import { getSections } from './constants/sectionRegistry';
+import { ROUTES } from './constants/routes';
 import { personalData } from './constants/personalData';
-
-// Lazy loading de componentes para optimización
-const About = lazy(() => import('./components/About'));
-const Skills = lazy(() => import('./components/Skills'));
-const AIProductivity = lazy(() => import('./components/AIProductivity'));
-const Certificates = lazy(() => import('./components/Certificates'));
-const Contact = lazy(() => import('./components/Contact'));
+import i18nService, { t } from './services/I18nService';
+import useLanguage from './hooks/useLanguage';
+import {
+  STRUCTURED_DATA_SCRIPT_ID,
+  buildStructuredData,
+  serializeStructuredData
+} from './utils/structuredData';
+
+// Las secciones (orden, lazy loading, menú) se declaran en el registro
+navigationService.setSections(getSections());
+
+// Páginas de detalle (rutas propias, cargadas bajo demanda)
+const ProjectPage = lazy(() => import('./pages/ProjectPage'));
+const CertificatePage = lazy(() => import('./pages/CertificatePage'));
+const SkillPage = lazy(() => import('./pages/SkillPage'));
 
 /**
  * Configuración de la aplicación
- * Centralizada para fácil mantenimiento
+ * Centralizada para fácil mantenimiento; título y descripción
+ * se calculan en el idioma activo (ver useAppSetup)
  */
 const APP_CONFIG = {
-  title: `${personalData.name} - ${personalData.title}`,
-  description: personalData.bio,
   theme: {
     primary: '#00d4ff',
     background: '#0a0a0a',
@@ -90,7 +100,7 @@ const APP_ANIMATIONS = {
  * Componente de loading personalizado
  * Muestra un spinner elegante mientras cargan los componentes
  */
-const LoadingSpinner = ({ message = 'Cargando...' }) => (
+const LoadingSpinner = ({ message = t('app.loading') }) => (
   <motion.div
     variants={APP_ANIMATIONS.fadeIn}
     initial="initial"
@@ -133,29 +143,29 @@ const ErrorFallback = ({ error, resetError, componentName }) => (
   >
     <FaExclamationTriangle className="text-6xl text-red-400 mb-6" />
     <h2 className="text-2xl font-bold text-dark-text mb-4">
-      Error al cargar {componentName}
+      {t('app.error.title', { name: componentName })}
     </h2>
     <p className="text-dark-text/70 mb-6 max-w-md">
-      Hubo un problema al cargar esta sección. Por favor, intenta nuevamente.
+      {t('app.error.description')}
     </p>
     <div className="space-x-4">
       <button
         onClick={resetError}
         className="px-6 py-3 bg-neon-blue text-dark-bg rounded-lg hover:bg-neon-blue/90 transition-colors"
       >
-        Reintentar
+        {t('app.error.retry')}
       </button>
       <button
         onClick={() => window.location.reload()}
         className="px-6 py-3 bg-dark-border text-dark-text rounded-lg hover:bg-dark-border/80 transition-colors"
       >
-        Recargar página
+        {t('app.error.reload')}
       </button>
     </div>
     {process.env.NODE_ENV === 'development' && (
       <details className="mt-6 p-4 bg-dark-card rounded-lg max-w-2xl">
         <summary className="cursor-pointer text-sm text-dark-text/70 mb-2">
-          Detalles del error (desarrollo)
+          {t('app.error.details')}
         </summary>
         <pre className="text-xs text-red-400 overflow-auto">
           {error.message}
@@ -223,7 +233,7 @@ const LazySection = ({ component: Component, name, ...props }) => {
   return (
     <Suspense 
       fallback={
-        <LoadingSpinner message={`Cargando ${name}...`} />
+        <LoadingSpinner message={t('app.loadingSection', { name })} />
       }
     >
       <WrappedComponent key={retryCount} {...props} />
@@ -269,7 +279,7 @@ const ScrollToTopButton = () => {
           className="fixed bottom-8 right-8 z-50 p-4 bg-neon-blue text-dark-bg rounded-full shadow-lg hover:shadow-neon-blue/50 transition-all duration-300 hover:scale-110"
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          aria-label="Volver arriba"
+          aria-label={t('app.scrollToTop')}
         >
           <FaArrowUp className="text-xl" />
         </motion.button>
@@ -278,20 +288,102 @@ const ScrollToTopButton = () => {
   );
 };
 
+/**
+ * Envoltorio con la transición de entrada y salida de cada ruta
+ */
+const PageTransition = ({ children }) => (
+  <motion.div
+    initial={APP_ANIMATIONS.pageTransition.initial}
+    animate={APP_ANIMATIONS.pageTransition.animate}
+    exit={APP_ANIMATIONS.pageTransition.exit}
+    transition={APP_ANIMATIONS.pageTransition.transition}
+  >
+    {children}
+  </motion.div>
+);
+
+PageTransition.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * Página principal: todas las secciones del registro en orden
+ * Al llegar con un hash (/#contact) se desplaza a la sección cuando esté cargada
+ */
+const HomePage = () => {
+  const { hash } = useLocation();
+
+  useEffect(() => {
+    if (!hash) {
+      return undefined;
+    }
+    return navigationService.navigateWhenReady(hash.replace('#', ''));
+  }, [hash]);
+
+  return (
+    <>
+      {getSections().map(({ id, labelKey, lazy: isLazy, component: Section }) => (
+        isLazy
+          ? <LazySection key={id} component={Section} name={t(labelKey)} />
+          : <Section key={id} />
+      ))}
+    </>
+  );
+};
+
+/**
+ * Rutas de la aplicación
+ * AnimatePresence espera la salida de una página antes de mostrar la siguiente;
+ * la clave es el pathname para que los cambios de hash no reinicien la página
+ */
+const AppRoutes = () => {
+  const location = useLocation();
+
+  return (
+    <AnimatePresence mode="wait" initial={false}>
+      <Routes location={location} key={location.pathname}>
+        <Route
+          path={ROUTES.home}
+          element={<PageTransition><HomePage /></PageTransition>}
+        />
+        <Route
+          path={ROUTES.project}
+          element={<PageTransition><LazySection component={ProjectPage} name={t('pages.project.eyebrow')} /></PageTransition>}
+        />
+        <Route
+          path={ROUTES.certificate}
+          element={<PageTransition><LazySection component={CertificatePage} name={t('pages.certificate.eyebrow')} /></PageTransition>}
+        />
+        <Route
+          path={ROUTES.skill}
+          element={<PageTransition><LazySection component={SkillPage} name={t('pages.skill.eyebrow')} /></PageTransition>}
+        />
+        <Route path="*" element={<Navigate to={ROUTES.home} replace />} />
+      </Routes>
+    </AnimatePresence>
+  );
+};
+
 /**
  * Hook personalizado para configurar la aplicación
+ * @param {string} language - Idioma activo; los textos del documento se actualizan al cambiarlo
  */
-const useAppSetup = () => {
+const useAppSetup = (language) => {
   useEffect(() => {
+    // Reflejar el idioma activo en <html lang> y en la URL (?lang=)
+    i18nService.applyToDocument();
+
     // Configurar título y meta tags
-    document.title = APP_CONFIG.title;
+    document.title = t('app.documentTitle', { name: personalData.name, title: personalData.title });
     
     // Configurar meta description
     const metaDescription = document.querySelector('meta[name="description"]');
     if (metaDescription) {
-      metaDescription.content = APP_CONFIG.description;
+      metaDescription.content = personalData.bio;
     }
+  }, [language]);
 
+  useEffect(() => {
     // Configurar theme color
     const metaThemeColor = document.querySelector('meta[name="theme-color"]');
     if (metaThemeColor) {
@@ -313,10 +405,24 @@ const useAppSetup = () => {
     };
   }, []);
 
+  // Insertar datos estructurados (JSON-LD) para resultados enriquecidos en buscadores
+  useEffect(() => {
+    const script = document.getElementById(STRUCTURED_DATA_SCRIPT_ID) || document.createElement('script');
+    script.id = STRUCTURED_DATA_SCRIPT_ID;
+    script.type = 'application/ld+json';
+    script.textContent = serializeStructuredData(buildStructuredData());
+    document.head.appendChild(script);
+
+    return () => {
+      script.remove();
+    };
+  }, [language]);
+
   // Configurar service worker para PWA (si está disponible)
+  // El sitio se publica bajo PUBLIC_URL (ver "homepage" en package.json)
   useEffect(() => {
     if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
-      navigator.serviceWorker.register('/sw.js')
+      navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/sw.js`, { scope: `${process.env.PUBLIC_URL}/` })
         .then(registration => {
           console.log('SW registered: ', registration);
         })
@@ -325,6 +431,17 @@ const useAppSetup = () => {
         });
     }
   }, []);
+
+  // Reenviar los mensajes de contacto que quedaron en cola sin conexión
+  useEffect(() => {
+    const resumeQueue = () => contactQueueService.resume();
+    resumeQueue();
+    window.addEventListener('online', resumeQueue);
+
+    return () => {
+      window.removeEventListener('online', resumeQueue);
+    };
+  }, []);
 };
 
 /**
@@ -332,11 +449,11 @@ const useAppSetup = () => {
  * Orquesta todos los componentes y secciones
  */
 const App = () => {
-  // Configurar la aplicación
-  useAppSetup();
+  // Idioma activo: al cambiarlo se vuelve a montar el contenido con los nuevos textos
+  const language = useLanguage();
 
-  // Instanciar servicio de navegación
-  const navigationService = new NavigationService();
+  // Configurar la aplicación
+  useAppSetup(language);
 
   // Configurar navegación suave
   useEffect(() => {
@@ -345,11 +462,11 @@ const App = () => {
     return () => {
       navigationService.cleanup();
     };
-  }, [navigationService]);
+  }, []);
 
   return (
-    <Router>
-      <div className="App">
+    <Router basename={process.env.PUBLIC_URL}>
+      <div className="App" key={language}>
         <ParticleBackground />
         <Header />
         <motion.main
@@ -357,31 +474,33 @@ const App = () => {
           animate={{ opacity: 1 }}
           transition={{ duration: 0.8 }}
         >
-          <Hero />
-          <LazySection component={About} name="Sobre mí" />
-          <LazySection component={Skills} name="Tecnologías" />
-          <Portfolio />
-          <LazySection component={AIProductivity} name="IA & Productividad" />
-          <LazySection component={Certificates} name="Certificados" />
-          <LazySection component={Contact} name="Contacto" />
+          <AppRoutes />
         </motion.main>
         <footer className="bg-dark-card/50 backdrop-blur-sm border-t border-dark-border py-8">
           <div className="container mx-auto px-4">
             <div className="flex flex-col md:flex-row justify-between items-center">
               <div className="text-center md:text-left mb-4 md:mb-0">
                 <p className="text-dark-text/70">
-                  © {new Date().getFullYear()} Santiago Excofier. Todos los derechos reservados.
+                  {t('footer.copyright', { year: new Date().getFullYear(), name: personalData.name })}
                 </p>
                 <p className="text-dark-text/50 text-sm mt-1">
-                  Desarrollado con React, Tailwind CSS y ❤️
+                  {t('footer.builtWith')}
                 </p>
               </div>
               <div className="flex gap-4 text-sm text-dark-text/70">
+                <a
+                  href={`${process.env.PUBLIC_URL}/resume.json`}
+                  download
+                  className="hover:text-neon-blue transition-colors"
+                  aria-label={t('footer.downloadJsonResume')}
+                >
+                  resume.json
+                </a>
                 <a href="#privacy" className="hover:text-neon-blue transition-colors">
-                  Privacidad
+                  {t('footer.privacy')}
                 </a>
                 <a href="#terms" className="hover:text-neon-blue transition-colors">
-                  Términos
+                  {t('footer.terms')}
                 </a>
                 <a href="#cookies" className="hover:text-neon-blue transition-colors">
                   Cookies
@@ -21,15 +21,16 @@
 
 import React, { useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { FaRobot, FaCode, FaLightbulb, FaRocket, FaBrain, FaSearch, FaEdit, FaChartLine } from 'react-icons/fa';
-import { SiOpenai, SiGithub, SiVisualstudiocode, SiNotion } from 'react-icons/si';
-import { GiArtificialIntelligence } from 'react-icons/gi';
-import { MdAutoAwesome, MdSmartToy } from 'react-icons/md';
+import { FaCode, FaLightbulb, FaRocket, FaSearch, FaEdit, FaChartLine } from 'react-icons/fa';
+import { MdSmartToy } from 'react-icons/md';
 import PropTypes from 'prop-types';
 
 // Importar hooks personalizados y componentes
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import cvDataService from '../services/CVDataService';
+import { getIcon } from '../constants/iconRegistry';
+import { t } from '../services/I18nService';
 
 /**
  * Configuración de animaciones para la sección AIProductivity
@@ -98,156 +99,67 @@ const AI_ANIMATIONS = {
   }
 };
 
+/**
+ * Estilos visuales por categoría de herramientas
+ * Las herramientas se leen de cvData.json
+ */
+const CATEGORY_STYLES = {
+  aiAssistants: { color: 'text-purple-400', bgColor: 'from-purple-500/10 to-purple-600/5' },
+  developmentTools: { color: 'text-blue-400', bgColor: 'from-blue-500/10 to-blue-600/5' },
+  productivityTools: { color: 'text-green-400', bgColor: 'from-green-500/10 to-green-600/5' },
+  default: { color: 'text-neon-blue', bgColor: 'from-blue-500/10 to-blue-600/5' }
+};
+
 /**
  * Configuración de herramientas de IA y productividad
  * Organizadas por categorías con información detallada
+ * Se arma al renderizar para usar los datos del idioma activo
+ * @returns {Object}
  */
-const AI_TOOLS = {
-  aiAssistants: {
-    title: 'Asistentes de IA',
-    description: 'Herramientas de IA conversacional para desarrollo y productividad',
-    icon: GiArtificialIntelligence,
-    color: 'text-purple-400',
-    bgColor: 'from-purple-500/10 to-purple-600/5',
-    tools: [
-      {
-        name: 'ChatGPT',
-        icon: SiOpenai,
-        description: 'Asistente de IA para resolución de problemas, documentación y brainstorming',
-        usage: 'Diario',
-        experience: '1.5 años',
-        productivity: 85,
-        features: ['Debugging', 'Documentación', 'Brainstorming', 'Explicaciones técnicas'],
-        color: '#00A67E'
-      },
-      {
-        name: 'Claude',
-        icon: FaBrain,
-        description: 'IA avanzada para análisis complejo, arquitectura de software y revisión de código',
-        usage: 'Diario',
-        experience: '10 meses',
-        productivity: 80,
-        features: ['Arquitectura', 'Análisis de código', 'Documentación técnica', 'Debugging complejo'],
-        color: '#D97706'
-      },
-      {
-        name: 'GitHub Copilot',
-        icon: SiGithub,
-        description: 'Autocompletado inteligente de código y sugerencias en tiempo real',
-        usage: 'Diario',
-        experience: '1 año',
-        productivity: 90,
-        features: ['Autocompletado', 'Generación de código', 'Comentarios', 'Tests unitarios'],
-        color: '#000000'
-      },
-      {
-        name: 'Cursor',
-        icon: SiVisualstudiocode,
-        description: 'Editor de código con IA integrada para desarrollo más eficiente',
-        usage: 'Diario',
-        experience: '8 meses',
-        productivity: 95,
-        features: ['Edición con IA', 'Refactoring', 'Generación de código', 'Chat integrado'],
-        color: '#007ACC'
-      }
-    ]
-  },
-
-  developmentTools: {
-    title: 'Herramientas de Desarrollo',
-    description: 'Editores y extensiones potenciadas con IA',
-    icon: FaCode,
-    color: 'text-blue-400',
-    bgColor: 'from-blue-500/10 to-blue-600/5',
-    tools: [
-      {
-        name: 'VS Code + IA Extensions',
-        icon: SiVisualstudiocode,
-        description: 'Visual Studio Code con extensiones de IA para desarrollo optimizado',
-        usage: 'Frecuente',
-        experience: '2 años',
-        productivity: 85,
-        features: ['IntelliSense', 'Code Actions', 'Debugging', 'Extensions IA'],
-        color: '#007ACC'
-      },
-      {
-        name: 'Cursor',
-        icon: SiVisualstudiocode, // Puedes cambiar el icono si tienes uno específico para Cursor
-        description: 'Cursor: editor de código con IA integrada para acelerar el desarrollo',
-        usage: 'Frecuente',
-        experience: '1 año',
-        productivity: 80,
-        features: ['AI Autocomplete', 'Refactorización', 'Chat IA', 'Integración con repositorios'],
-        color: '#3A76F0'
-      },
-    ]
-  },
-
-  productivityTools: {
-    title: 'Productividad',
-    description: 'Herramientas para optimizar flujos de trabajo',
-    icon: FaRocket,
-    color: 'text-green-400',
-    bgColor: 'from-green-500/10 to-green-600/5',
-    tools: [
-      {
-        name: 'Notion AI',
-        icon: SiNotion,
-        description: 'Gestión de proyectos y documentación con capacidades de IA',
-        usage: 'Diario',
-        experience: '1 año',
-        productivity: 75,
-        features: ['Documentación', 'Gestión de proyectos', 'Planificación', 'Automatización'],
-        color: '#000000'
-      },
-      {
-        name: 'AI Content Tools',
-        icon: MdAutoAwesome,
-        description: 'Herramientas diversas para generación y optimización de contenido',
-        usage: 'Frecuente',
-        experience: '1 año',
-        productivity: 70,
-        features: ['Generación de contenido', 'Optimización SEO', 'Corrección', 'Traducción'],
-        color: '#FF6B6B'
-      }
-    ]
-  }
-};
+const getAITools = () => Object.fromEntries(
+  cvDataService.getToolCategories().map(category => [
+    category.id,
+    {
+      title: category.title,
+      description: category.description,
+      icon: getIcon(category.icon, FaCode),
+      ...(CATEGORY_STYLES[category.id] || CATEGORY_STYLES.default),
+      tools: category.items.map(tool => ({ ...tool, icon: getIcon(tool.icon, FaCode) }))
+    }
+  ])
+);
 
 /**
  * Configuración de beneficios del uso de IA
  * Métricas e impacto en productividad
+ * Los textos se traducen al renderizar (ai.benefits.<id>.*)
  */
 const AI_BENEFITS = [
   {
     icon: FaChartLine,
-    title: 'Productividad',
+    id: 'productivity',
     value: '+75%',
-    description: 'Aumento en velocidad de desarrollo',
     color: 'text-green-400',
     bgColor: 'bg-green-500/20'
   },
   {
     icon: FaLightbulb,
-    title: 'Calidad de Código',
+    id: 'codeQuality',
     value: '+60%',
-    description: 'Mejora en estándares y buenas prácticas',
     color: 'text-yellow-400',
     bgColor: 'bg-yellow-500/20'
   },
   {
     icon: FaSearch,
-    title: 'Debugging',
+    id: 'debugging',
     value: '+80%',
-    description: 'Reducción en tiempo de resolución',
     color: 'text-blue-400',
     bgColor: 'bg-blue-500/20'
   },
   {
     icon: FaEdit,
-    title: 'Documentación',
+    id: 'documentation',
     value: '+90%',
-    description: 'Mejora en documentación técnica',
     color: 'text-purple-400',
     bgColor: 'bg-purple-500/20'
   }
@@ -256,41 +168,21 @@ const AI_BENEFITS = [
 /**
  * Configuración de casos de uso específicos
  * Ejemplos prácticos de aplicación
+ * Los textos se traducen al renderizar (ai.useCases.<id>.*)
  */
 const USE_CASES = [
   {
-    title: 'Desarrollo de Features',
-    description: 'Uso de IA para acelerar el desarrollo de nuevas funcionalidades',
-    steps: [
-      'Análisis de requisitos con Claude',
-      'Generación de código base con Copilot',
-      'Optimización con Cursor',
-      'Documentación con ChatGPT'
-    ],
+    id: 'features',
     icon: FaRocket,
     color: 'text-blue-400'
   },
   {
-    title: 'Debugging y Optimización',
-    description: 'Resolución eficiente de problemas técnicos complejos',
-    steps: [
-      'Identificación del problema',
-      'Análisis de código con IA',
-      'Sugerencias de solución',
-      'Implementación optimizada'
-    ],
+    id: 'debugging',
     icon: FaSearch,
     color: 'text-green-400'
   },
   {
-    title: 'Documentación Técnica',
-    description: 'Creación de documentación completa y profesional',
-    steps: [
-      'Análisis de código existente',
-      'Generación de documentación',
-      'Revisión y mejora',
-      'Mantenimiento automatizado'
-    ],
+    id: 'documentation',
     icon: FaEdit,
     color: 'text-purple-400'
   }
@@ -299,14 +191,14 @@ const USE_CASES = [
 /**
  * Componente para el título de sección
  */
-const SectionTitle = ({ title, subtitle, className = '' }) => (
+const SectionTitle = ({ title, subtitle, className = '', highlight = t('ai.titleHighlight') }) => (
   <motion.div
     variants={AI_ANIMATIONS.section}
     className={`text-center mb-16 ${className}`}
   >
     <CardTitle level={2} className="mb-6" color="text-dark-text">
       {title.split(' ').map((word, index) => 
-        word === 'IA' || word === 'Productividad' ? (
+        highlight.includes(word) ? (
           <span key={index} className="text-neon-blue"> {word}</span>
         ) : (
           <span key={index}> {word}</span>
@@ -325,7 +217,8 @@ const SectionTitle = ({ title, subtitle, className = '' }) => (
 SectionTitle.propTypes = {
   title: PropTypes.string.isRequired,
   subtitle: PropTypes.string,
-  className: PropTypes.string
+  className: PropTypes.string,
+  highlight: PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)])
 };
 
 /**
@@ -379,11 +272,11 @@ const AIToolCard = ({ tool, index, isVisible }) => (
         {/* Métricas */}
         <div className="grid grid-cols-2 gap-4">
           <div className="text-center">
-            <div className="text-sm text-dark-text/70">Uso</div>
+            <div className="text-sm text-dark-text/70">{t('ai.tool.usage')}</div>
             <div className="text-neon-blue font-medium">{tool.usage}</div>
           </div>
           <div className="text-center">
-            <div className="text-sm text-dark-text/70">Experiencia</div>
+            <div className="text-sm text-dark-text/70">{t('ai.tool.experience')}</div>
             <div className="text-neon-blue font-medium">{tool.experience}</div>
           </div>
         </div>
@@ -391,7 +284,7 @@ const AIToolCard = ({ tool, index, isVisible }) => (
         {/* Barra de productividad */}
         <div className="space-y-2">
           <div className="flex justify-between items-center">
-            <span className="text-sm text-dark-text/70">Productividad</span>
+            <span className="text-sm text-dark-text/70">{t('ai.tool.productivity')}</span>
             <span className="text-sm font-medium text-neon-blue">{tool.productivity}%</span>
           </div>
           <div className="w-full bg-dark-bg rounded-full h-2">
@@ -406,7 +299,7 @@ const AIToolCard = ({ tool, index, isVisible }) => (
 
         {/* Features */}
         <div className="space-y-2">
-          <div className="text-sm text-dark-text/70">Características:</div>
+          <div className="text-sm text-dark-text/70">{t('ai.tool.features')}</div>
           <div className="flex flex-wrap gap-2">
             {tool.features.map((feature, idx) => (
               <span
@@ -484,17 +377,17 @@ const AIBenefits = ({ benefits, isVisible }) => (
     <Card variant="gradient" padding="lg" animation="glow">
       <CardHeader className="text-center mb-8">
         <CardTitle level={3} color="text-neon-blue">
-          Impacto en Productividad
+          {t('ai.benefits.title')}
         </CardTitle>
         <p className="text-dark-text/70 mt-2">
-          Métricas de mejora utilizando herramientas de IA
+          {t('ai.benefits.subtitle')}
         </p>
       </CardHeader>
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {benefits.map((benefit, index) => (
           <motion.div
-            key={benefit.title}
+            key={benefit.id}
             custom={index}
             initial="hidden"
             animate={isVisible ? "visible" : "hidden"}
@@ -509,8 +402,8 @@ const AIBenefits = ({ benefits, isVisible }) => (
               <div className={`text-3xl font-bold ${benefit.color} mb-2 font-jetbrains`}>
                 {benefit.value}
               </div>
-              <div className="text-dark-text font-medium mb-2">{benefit.title}</div>
-              <div className="text-dark-text/70 text-sm">{benefit.description}</div>
+              <div className="text-dark-text font-medium mb-2">{t(`ai.benefits.${benefit.id}.title`)}</div>
+              <div className="text-dark-text/70 text-sm">{t(`ai.benefits.${benefit.id}.description`)}</div>
             </div>
           </motion.div>
         ))}
@@ -535,17 +428,17 @@ const UseCases = ({ useCases, isVisible }) => (
     <Card variant="glass" padding="lg" animation="hover">
       <CardHeader className="text-center mb-8">
         <CardTitle level={3} color="text-neon-blue">
-          Casos de Uso Prácticos
+          {t('ai.useCases.title')}
         </CardTitle>
         <p className="text-dark-text/70 mt-2">
-          Ejemplos de cómo integro la IA en mis flujos de trabajo
+          {t('ai.useCases.subtitle')}
         </p>
       </CardHeader>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         {useCases.map((useCase, index) => (
           <motion.div
-            key={useCase.title}
+            key={useCase.id}
             custom={index}
             initial="hidden"
             animate={isVisible ? "visible" : "hidden"}
@@ -556,16 +449,16 @@ const UseCases = ({ useCases, isVisible }) => (
               <div className="flex items-center gap-3 mb-4">
                 <useCase.icon className={`text-2xl ${useCase.color}`} />
                 <CardTitle level={5} color="text-dark-text">
-                  {useCase.title}
+                  {t(`ai.useCases.${useCase.id}.title`)}
                 </CardTitle>
               </div>
               
               <p className="text-dark-text/70 text-sm mb-4">
-                {useCase.description}
+                {t(`ai.useCases.${useCase.id}.description`)}
               </p>
               
               <div className="space-y-2">
-                {useCase.steps.map((step, stepIndex) => (
+                {t(`ai.useCases.${useCase.id}.steps`).map((step, stepIndex) => (
                   <div
                     key={stepIndex}
                     className="flex items-center gap-3 text-sm"
@@ -599,7 +492,7 @@ const AIProductivity = () => {
     triggerOnce: true
   });
 
-  const categories = useMemo(() => Object.entries(AI_TOOLS), []);
+  const categories = useMemo(() => Object.entries(getAITools()), []);
 
   return (
     <motion.section
@@ -609,12 +502,12 @@ const AIProductivity = () => {
       variants={AI_ANIMATIONS.container}
       initial="hidden"
       animate={isVisible ? "visible" : "hidden"}
-      aria-label="Herramientas de IA y productividad"
+      aria-label={t('ai.sectionLabel')}
     >
       <div className="container mx-auto px-4">
         <SectionTitle
-          title="IA & Productividad"
-          subtitle="Herramientas de inteligencia artificial que uso para optimizar mi desarrollo y aumentar la productividad"
+          title={t('ai.title')}
+          subtitle={t('ai.subtitle')}
         />
 
         {/* Beneficios */}
@@ -651,21 +544,20 @@ const AIProductivity = () => {
                   <MdSmartToy className="mx-auto" />
                 </motion.div>
                 <CardTitle level={4} className="mb-4" color="text-dark-text">
-                  El Futuro es Ahora
+                  {t('ai.cta.title')}
                 </CardTitle>
                 <p className="text-dark-text/70 mb-6">
-                  La IA no reemplaza al desarrollador, lo potencia. Uso estas herramientas para crear 
-                  soluciones más eficientes, código más limpio y documentación más clara.
+                  {t('ai.cta.description')}
                 </p>
                 <div className="flex flex-wrap justify-center gap-4 text-sm">
                   <span className="px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full">
-                    Desarrollo asistido por IA
+                    {t('ai.cta.assisted')}
                   </span>
                   <span className="px-4 py-2 bg-purple-500/20 text-purple-400 rounded-full">
-                    Productividad optimizada
+                    {t('ai.cta.productivity')}
                   </span>
                   <span className="px-4 py-2 bg-green-500/20 text-green-400 rounded-full">
-                    Calidad mejorada
+                    {t('ai.cta.quality')}
                   </span>
                 </div>
               </div>
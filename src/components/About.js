@@ -21,13 +21,17 @@
 
 import React, { useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { FaGraduationCap, FaCode, FaUsers, FaRocket, FaCalendar, FaBriefcase } from 'react-icons/fa';
+import { FaCode, FaUsers, FaRocket, FaCalendar } from 'react-icons/fa';
 import PropTypes from 'prop-types';
 
 // Importar hooks personalizados y datos
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import { personalData } from '../constants/personalData';
 import Card, { CardHeader, CardTitle, CardContent, StatCard } from './UI/Card';
+import cvDataService from '../services/CVDataService';
+import { getIcon } from '../constants/iconRegistry';
+import { t } from '../services/I18nService';
+import RichText from './UI/RichText';
 
 /**
  * Configuración de animaciones para la sección About
@@ -98,32 +102,32 @@ const ABOUT_ANIMATIONS = {
 /**
  * Configuración de estadísticas personales
  * Centralizada para fácil mantenimiento y actualización
+ * Se arma al renderizar para usar el idioma activo
+ * @returns {Object[]}
  */
-const PERSONAL_STATS = [
+const getPersonalStats = () => [
   { 
-    icon: () => (
-      <img src={process.env.PUBLIC_URL + "/davinci.jpg"} alt="Escuela Da Vinci" className="w-6 h-6 rounded-full inline-block align-middle" />
-    ),
+    icon: getIcon('davinci'),
     value: personalData.graduationYear, 
-    label: 'Graduación esperada',
+    label: t('about.stats.graduation'),
     color: 'text-blue-400'
   },
   { 
     icon: FaCode, 
     value: personalData.experienceYears, 
-    label: 'Años de experiencia',
+    label: t('about.stats.experienceYears'),
     color: 'text-green-400'
   },
   { 
     icon: FaUsers, 
     value: personalData.projectsCompleted, 
-    label: 'Proyectos completados',
+    label: t('about.stats.projectsCompleted'),
     color: 'text-purple-400'
   },
   { 
     icon: FaRocket, 
     value: '100%', 
-    label: 'Dedicación',
+    label: t('about.stats.dedication'),
     color: 'text-orange-400'
   },
 ];
@@ -131,60 +135,32 @@ const PERSONAL_STATS = [
 /**
  * Configuración de experiencia profesional y académica
  * Datos estructurados para timeline de experiencia
+ * @returns {Object[]}
  */
-const EXPERIENCE_TIMELINE = [
-  {
-    id: 'devweb',
-    title: 'Desarrollador Web',
-    period: '2022 - Presente',
-    type: 'trabajo',
-    icon: FaBriefcase,
-    description: 'Desarrollo de aplicaciones web personalizadas utilizando React, Node.js y bases de datos SQL. Colaboración con equipos remotos y presenciales.',
-    achievements: ['15+ proyectos completados', 'Trabajo remoto/presencial', 'Full-stack development', 'Metodologías ágiles']
-  },
-  {
-    id: 'university',
-    title: 'Graduado - Escuela Da Vinci',
-    period: '2023 - 2025',
-    type: 'educacion',
-    icon: () => (
-      <img src={process.env.PUBLIC_URL + "/davinci.jpg"} alt="Escuela Da Vinci" className="w-6 h-6 rounded-full inline-block align-middle" />
-    ),
-    description: 'Carrera de Análisis de Sistemas con enfoque en desarrollo web y software. Graduado en diciembre 2025.',
-    achievements: ['Análisis de Sistemas', 'Desarrollo de Software', 'Bases de Datos', 'Arquitectura de Software']
-  },
-  {
-    id: 'courses',
-    title: 'Formación Complementaria',
-    period: '2022 - 2023',
-    type: 'educacion',
-    icon: FaCode,
-    description: 'Cursos especializados en CoderHouse: JavaScript, React, Node.js, y tecnologías de frontend y backend.',
-    achievements: ['JavaScript ES6+', 'React.js', 'Node.js', 'Desarrollo Frontend/Backend']
-  }
-];
+const getExperienceTimeline = () => cvDataService.getTimeline().map(entry => ({
+  ...entry,
+  icon: getIcon(entry.icon, FaCode)
+}));
 
 /**
  * Configuración de valores personales
  * Definición de principios y valores del desarrollador
+ * Los textos se traducen al renderizar (about.values.<id>.*)
  */
 const PERSONAL_VALUES = [
   {
     icon: '🎯',
-    title: 'Orientado a Resultados',
-    description: 'Enfoque en soluciones eficientes y de calidad',
+    id: 'results',
     color: 'from-blue-500/20 to-blue-600/10'
   },
   {
     icon: '🚀',
-    title: 'Aprendizaje Continuo',
-    description: 'Siempre actualizado con las últimas tecnologías',
+    id: 'learning',
     color: 'from-green-500/20 to-green-600/10'
   },
   {
     icon: '🤝',
-    title: 'Trabajo en Equipo',
-    description: 'Comunicación clara y colaboración efectiva',
+    id: 'teamwork',
     color: 'from-purple-500/20 to-purple-600/10'
   }
 ];
@@ -193,14 +169,14 @@ const PERSONAL_VALUES = [
  * Componente para el título de sección
  * Reutilizable con animaciones consistentes
  */
-const SectionTitle = ({ title, subtitle, className = '' }) => (
+const SectionTitle = ({ title, subtitle, className = '', highlight = t('about.titleHighlight') }) => (
   <motion.div
     variants={ABOUT_ANIMATIONS.section}
     className={`text-center mb-16 ${className}`}
   >
     <CardTitle level={2} className="mb-6" color="text-dark-text">
       {title.split(' ').map((word, index) => 
-        word === 'mí' ? (
+        highlight.includes(word) ? (
           <span key={index} className="text-neon-blue"> {word}</span>
         ) : (
           <span key={index}> {word}</span>
@@ -219,7 +195,8 @@ const SectionTitle = ({ title, subtitle, className = '' }) => (
 SectionTitle.propTypes = {
   title: PropTypes.string.isRequired,
   subtitle: PropTypes.string,
-  className: PropTypes.string
+  className: PropTypes.string,
+  highlight: PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)])
 };
 
 /**
@@ -303,7 +280,7 @@ const ExperienceTimeline = ({ experiences, isVisible }) => (
                       ? 'bg-green-500/20 text-green-400' 
                       : 'bg-blue-500/20 text-blue-400'
                   }`}>
-                    {experience.type === 'trabajo' ? 'Experiencia Laboral' : 'Formación Académica'}
+                    {experience.type === 'trabajo' ? t('about.timeline.work') : t('about.timeline.education')}
                   </span>
                 </div>
               </div>
@@ -344,14 +321,14 @@ const PersonalValues = ({ values, isVisible }) => (
   <Card variant="glass" padding="lg" animation="glow">
     <CardHeader>
       <CardTitle level={3} color="text-neon-blue" className="text-center">
-        Mis Valores
+        {t('about.values.title')}
       </CardTitle>
     </CardHeader>
     
     <div className="grid md:grid-cols-3 gap-6">
       {values.map((value, index) => (
         <motion.div
-          key={value.title}
+          key={value.id}
           custom={index}
           initial="hidden"
           animate={isVisible ? "visible" : "hidden"}
@@ -361,10 +338,10 @@ const PersonalValues = ({ values, isVisible }) => (
           <div className={`p-6 rounded-xl bg-gradient-to-br ${value.color} border border-dark-border mb-4`}>
             <div className="text-4xl mb-4">{value.icon}</div>
             <CardTitle level={5} className="mb-2" color="text-dark-text">
-              {value.title}
+              {t(`about.values.${value.id}.title`)}
             </CardTitle>
             <CardContent className="text-sm">
-              {value.description}
+              {t(`about.values.${value.id}.description`)}
             </CardContent>
           </div>
         </motion.div>
@@ -406,13 +383,13 @@ const About = () => {
       variants={ABOUT_ANIMATIONS.container}
       initial="hidden"
       animate={isVisible ? "visible" : "hidden"}
-      aria-label="Información personal y profesional"
+      aria-label={t('about.sectionLabel')}
     >
       <div className="container mx-auto px-4">
         {/* Título de la sección */}
         <SectionTitle
-          title="Sobre mí"
-          subtitle="Mi trayectoria profesional, formación y valores que me definen como desarrollador"
+          title={t('about.title')}
+          subtitle={t('about.subtitle')}
         />
 
         <div className="grid lg:grid-cols-2 gap-12 items-start">
@@ -425,36 +402,31 @@ const About = () => {
             <Card variant="glass" padding="lg" animation="hover">
               <CardHeader>
                 <CardTitle level={3} color="text-neon-blue">
-                  Mi Historia
+                  {t('about.story.title')}
                 </CardTitle>
               </CardHeader>
               
               <CardContent className="space-y-4 leading-relaxed">
                 <p>
-                  Soy <strong className="text-neon-blue">{personalInfo.name}</strong>, 
-                  un desarrollador apasionado por la tecnología y la innovación. 
-                  Graduado de la carrera de <strong>{personalInfo.university}</strong> (finalizada en diciembre 2025).
+                  <RichText text={t('about.story.intro', { name: personalInfo.name, university: personalInfo.university })} />
                 </p>
 
                 {/* Imagen de comprobante de plan de estudio y promedio */}
                 <div className="flex flex-col items-center my-4">
                   <img
                     src={process.env.PUBLIC_URL + "/promedio.png"}
-                    alt="Comprobante de inscripción y promedio Escuela Da Vinci"
+                    alt={t('about.story.transcriptAlt')}
                     className="rounded-lg shadow-lg max-w-xs border border-dark-border"
                   />
-                  <span className="text-xs text-dark-text/60 mt-2">Comprobante de inscripción y promedio (8,42) - Escuela Da Vinci</span>
+                  <span className="text-xs text-dark-text/60 mt-2">{t('about.story.transcriptCaption')}</span>
                 </div>
 
                 <p>
-                  Durante los últimos <strong className="text-neon-blue">{personalData.experienceYears}</strong> he 
-                  trabajado en desarrollo web y software, creando soluciones tanto para proyectos individuales como colaborativos. Mi experiencia incluye trabajo en modalidad remota y presencial, lo que me ha permitido desarrollar excelentes habilidades de comunicación y adaptación.
+                  <RichText text={t('about.story.experience', { count: Number(personalData.experienceYears) })} />
                 </p>
 
                 <p>
-                  Mi especialidad está en el <strong className="text-neon-blue">desarrollo full-stack con JavaScript</strong>, 
-                  pero lo que realmente me diferencia es mi enfoque en el uso de herramientas de IA para optimizar 
-                  el proceso de desarrollo, aumentar la productividad y crear código de mayor calidad.
+                  <RichText text={t('about.story.specialty')} />
                 </p>
 
                 <div className="pt-4 border-t border-dark-border">
@@ -469,7 +441,7 @@ const About = () => {
             </Card>
 
             {/* Estadísticas personales */}
-            <PersonalStats stats={PERSONAL_STATS} isVisible={isVisible} />
+            <PersonalStats stats={getPersonalStats()} isVisible={isVisible} />
           </motion.div>
 
           {/* Timeline de experiencia */}
@@ -478,11 +450,11 @@ const About = () => {
             className="space-y-8"
           >
             <CardTitle level={3} color="text-neon-blue">
-              Experiencia & Formación
+              {t('about.timeline.title')}
             </CardTitle>
             
             <ExperienceTimeline 
-              experiences={EXPERIENCE_TIMELINE} 
+              experiences={getExperienceTimeline()} 
               isVisible={isVisible} 
             />
           </motion.div>
@@ -506,21 +478,20 @@ const About = () => {
               <div className="max-w-2xl mx-auto">
                 <div className="text-neon-blue text-4xl mb-4">💡</div>
                 <CardTitle level={4} className="mb-4" color="text-dark-text">
-                  ¿Interesado en contratarme?
+                  {t('about.cta.title')}
                 </CardTitle>
                 <p className="text-dark-text/70 mb-6">
-                  Estoy siempre abierto a nuevos proyectos y oportunidades. 
-                  Si tienes una idea o necesitas ayuda con desarrollo web o software, ¡hablemos!
+                  {t('about.cta.description')}
                 </p>
                 <div className="flex flex-wrap justify-center gap-4 text-sm">
                   <span className="px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full">
-                    Disponible para proyectos
+                    {t('about.cta.available')}
                   </span>
                   <span className="px-4 py-2 bg-green-500/20 text-green-400 rounded-full">
-                    Trabajo remoto
+                    {t('about.cta.remote')}
                   </span>
                   <span className="px-4 py-2 bg-blue-500/20 text-blue-400 rounded-full">
-                    Colaboración en equipo
+                    {t('about.cta.teamwork')}
                   </span>
                 </div>
               </div>
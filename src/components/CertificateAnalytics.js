@@ -0,0 +1,177 @@
+/**
+ * Análisis de la formación: horas por año e instituciones
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: dibujar las cifras calculadas por
+ *   utils/certificateStats (gráfico de horas por año y desgloses)
+ *
+ * BUENAS PRÁCTICAS:
+ * - SVG nativo con su tabla equivalente (ver UI/Chart), igual que en Skills
+ * - Los desgloses son listas con barras proporcionales, no solo color
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ChartSvg, DataTable } from './UI/Chart';
+import { t } from '../services/I18nService';
+
+/**
+ * Medidas del gráfico de barras (unidades del viewBox)
+ */
+const BARS = { width: 480, height: 220, top: 24, bottom: 28, left: 16, right: 16, gap: 12 };
+
+/**
+ * Barras con las horas de formación de cada año
+ */
+const HoursPerYearChart = ({ data, showTable }) => {
+  const maxHours = Math.max(1, ...data.map(item => item.hours));
+  const plotHeight = BARS.height - BARS.top - BARS.bottom;
+  const slot = (BARS.width - BARS.left - BARS.right) / Math.max(1, data.length);
+  const barWidth = Math.max(8, slot - BARS.gap);
+  const summary = data.map(item => t('certificates.analytics.hoursOfYear', { year: item.year, hours: item.hours })).join(', ');
+
+  return (
+    <div>
+      <ChartSvg
+        title={t('certificates.analytics.hoursPerYear')}
+        description={summary}
+        width={BARS.width}
+        height={BARS.height}
+      >
+        <line
+          x1={BARS.left}
+          x2={BARS.width - BARS.right}
+          y1={BARS.height - BARS.bottom}
+          y2={BARS.height - BARS.bottom}
+          stroke="#333"
+        />
+        {data.map((item, index) => {
+          const height = Math.round((item.hours / maxHours) * plotHeight);
+          const x = Math.round(BARS.left + index * slot + (slot - barWidth) / 2);
+          const y = BARS.height - BARS.bottom - height;
+          return (
+            <g key={item.year}>
+              <rect x={x} y={y} width={Math.round(barWidth)} height={height} rx="4" fill="#00d4ff" fillOpacity="0.7" />
+              <text x={x + barWidth / 2} y={y - 6} textAnchor="middle" fontSize="11" fill="#e0e0e0">
+                {item.hours}
+              </text>
+              <text x={x + barWidth / 2} y={BARS.height - BARS.bottom + 18} textAnchor="middle" fontSize="11" fill="#e0e0e0" fillOpacity="0.7">
+                {item.year}
+              </text>
+            </g>
+          );
+        })}
+      </ChartSvg>
+      <DataTable
+        caption={t('certificates.analytics.hoursPerYear')}
+        columns={[t('certificates.analytics.columns.year'), t('certificates.analytics.columns.hours')]}
+        rows={data.map(item => [item.year, item.hours])}
+        isVisible={showTable}
+      />
+    </div>
+  );
+};
+
+HoursPerYearChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    year: PropTypes.number.isRequired,
+    hours: PropTypes.number.isRequired
+  })).isRequired,
+  showTable: PropTypes.bool.isRequired
+};
+
+/**
+ * Lista con la cantidad de certificados y horas de cada grupo
+ */
+const Breakdown = ({ title, items, getLabel }) => {
+  const maxCount = Math.max(1, ...items.map(item => item.count));
+
+  return (
+    <div>
+      <h4 className="font-bold text-dark-text mb-3">{title}</h4>
+      <ul className="space-y-3">
+        {items.map(item => (
+          <li key={item.key} className="text-sm">
+            <div className="flex justify-between gap-2 text-dark-text/80 mb-1">
+              <span>{getLabel(item.key)}</span>
+              <span className="text-dark-text/60">
+                {t('certificates.analytics.groupSummary', {
+                  certificates: t('certificates.analytics.certificateCount', { count: item.count }),
+                  hours: t('common.hours', { count: item.hours })
+                })}
+              </span>
+            </div>
+            <div className="w-full bg-dark-bg rounded-full h-1.5 overflow-hidden" aria-hidden="true">
+              <div className="h-full bg-neon-blue/70 rounded-full" style={{ width: `${(item.count / maxCount) * 100}%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+Breakdown.propTypes = {
+  title: PropTypes.string.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired,
+    hours: PropTypes.number.isRequired
+  })).isRequired,
+  getLabel: PropTypes.func.isRequired
+};
+
+/**
+ * Componente CertificateAnalytics
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.stats - Resultado de computeCertificationStats
+ * @param {Object<string, string>} props.categoryTitles - Título de cada categoría de certificados por id
+ */
+const CertificateAnalytics = ({ stats, categoryTitles }) => {
+  const [showTable, setShowTable] = useState(false);
+
+  return (
+    <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
+      <div>
+        <div className="flex items-center justify-between gap-4 mb-3">
+          <h4 className="font-bold text-dark-text">{t('certificates.analytics.hoursPerYear')}</h4>
+          <button
+            type="button"
+            aria-pressed={showTable}
+            onClick={() => setShowTable(current => !current)}
+            className="text-sm text-neon-blue hover:underline"
+          >
+            {t('skills.charts.showTable')}
+          </button>
+        </div>
+        <HoursPerYearChart data={stats.hoursPerYear} showTable={showTable} />
+      </div>
+      <div className="space-y-8">
+        <Breakdown
+          title={t('certificates.analytics.byInstitution')}
+          items={stats.byInstitution}
+          getLabel={key => key}
+        />
+        <Breakdown
+          title={t('certificates.analytics.byCategory')}
+          items={stats.byCategory}
+          getLabel={key => categoryTitles[key] || key}
+        />
+      </div>
+    </div>
+  );
+};
+
+CertificateAnalytics.propTypes = {
+  stats: PropTypes.shape({
+    hoursPerYear: PropTypes.array.isRequired,
+    byInstitution: PropTypes.array.isRequired,
+    byCategory: PropTypes.array.isRequired
+  }).isRequired,
+  categoryTitles: PropTypes.objectOf(PropTypes.string).isRequired
+};
+
+CertificateAnalytics.displayName = 'CertificateAnalytics';
+
+export default CertificateAnalytics;
@@ -19,21 +19,31 @@
  * - Accesibilidad completa
  */
 
-import React, { useMemo } from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
 import { 
-  FaGraduationCap, FaAward, FaCalendarAlt, FaExternalLinkAlt,
-  FaReact, FaNodeJs, FaDatabase, FaCode, FaBrain, FaRocket
+  FaGraduationCap, FaAward, FaCalendarAlt, FaSearchPlus,
+  FaBrain, FaRocket, FaFilePdf
 } from 'react-icons/fa';
-import { SiOpenai, SiMongodb, SiPostgresql } from 'react-icons/si';
-import { GiArtificialIntelligence } from 'react-icons/gi';
 import { MdVerified, MdSchool } from 'react-icons/md';
 import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
 
 // Importar hooks personalizados y componentes
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
 import Button from './UI/Button';
+import Lightbox from './UI/Lightbox';
+import { CredentialBadge } from './CredentialVerification';
+import CertificateAnalytics from './CertificateAnalytics';
+import useCertificateFilters from '../hooks/useCertificateFilters';
+import cvDataService from '../services/CVDataService';
+import { computeCertificationStats, GRADE_SCALE } from '../utils/certificateStats';
+import { CERTIFICATE_GROUPS, CERTIFICATE_SORTS, groupCertificates } from '../utils/certificateFilters';
+import { getIcon } from '../constants/iconRegistry';
+import { getCertificateStatus, describeCertificateDates } from '../constants/certificateMeta';
+import { t } from '../services/I18nService';
+import { getCertificatePath } from '../constants/routes';
 
 /**
  * Configuración de animaciones para la sección Certificates
@@ -103,153 +113,188 @@ const CERTIFICATES_ANIMATIONS = {
   }
 };
 
+/**
+ * Estilos visuales por categoría de certificados
+ * Los certificados se leen de cvData.json
+ */
+const CATEGORY_STYLES = {
+  technical: { color: 'text-blue-400', bgColor: 'from-blue-500/10 to-blue-600/5' },
+  ai: { color: 'text-purple-400', bgColor: 'from-purple-500/10 to-purple-600/5' },
+  academic: { color: 'text-green-400', bgColor: 'from-green-500/10 to-green-600/5' },
+  default: { color: 'text-neon-blue', bgColor: 'from-blue-500/10 to-blue-600/5' }
+};
+
 /**
  * Configuración de certificados y cursos
  * Organizados por categorías con información detallada
+ * Se arma al renderizar para usar los datos del idioma activo
+ * @returns {Object}
  */
-const CERTIFICATES_DATA = {
-  technical: {
-    title: 'Certificados Técnicos',
-    description: 'Cursos especializados en desarrollo web y programación',
-    icon: FaCode,
-    color: 'text-blue-400',
-    bgColor: 'from-blue-500/10 to-blue-600/5',
-    certificates: [
-      {
-        id: 'coderhouse-js',
-        title: 'JavaScript',
-        subtitle: 'Curso completo de JavaScript ES6+',
-        institution: 'CoderHouse',
-        institutionIcon: FaCode,
-        date: '2023',
-        duration: '4 meses',
-        hours: 160,
-        grade: 'A+',
-        credentialId: 'CH-JS-2023-001',
-        skills: ['JavaScript ES6+', 'DOM Manipulation', 'Async/Await', 'APIs', 'Local Storage'],
-        description: 'Curso integral de JavaScript moderno cubriendo desde fundamentos hasta conceptos avanzados.',
-        verified: true,
-        color: '#F7DF1E',
-        certificate_url: process.env.PUBLIC_URL + '/CertificadoJavaScript.png',
-        hasImage: true
-      }
-    ]
-  },
+const getCertificatesData = () => Object.fromEntries(
+  cvDataService.getCertificateCategories().map(category => [
+    category.id,
+    {
+      title: category.title,
+      description: category.description,
+      icon: getIcon(category.icon, FaGraduationCap),
+      ...(CATEGORY_STYLES[category.id] || CATEGORY_STYLES.default),
+      certificates: category.items.map(certificate => ({
+        ...certificate,
+        institutionIcon: getIcon(certificate.institutionIcon, MdSchool)
+      }))
+    }
+  ])
+);
 
-  ai: {
-    title: 'Inteligencia Artificial',
-    description: 'Certificaciones en IA y tecnologías emergentes',
-    icon: FaBrain,
-    color: 'text-purple-400',
-    bgColor: 'from-purple-500/10 to-purple-600/5',
-    certificates: [
-      {
-        id: 'davinci-ai',
-        title: 'Inteligencia Artificial',
-        subtitle: 'Curso de IA aplicada al desarrollo',
-        institution: 'Escuela Da Vinci',
-        institutionIcon: GiArtificialIntelligence,
-        date: '2024',
-        duration: '6 meses',
-        hours: 12,
-        grade: 'A+',
-        credentialId: 'DV-AI-2024-001',
-        skills: ['Machine Learning', 'Neural Networks', 'AI Tools', 'Prompt Engineering', 'AI Integration'],
-        description: 'Curso especializado en inteligencia artificial aplicada al desarrollo de software.',
-        verified: true,
-        color: '#8B5CF6',
-        certificate_url: '#'
-      }
-    ]
-  },
+/**
+ * Todos los certificados, cada uno con su categoría, en el orden de cvData.json
+ * @param {Object} certificatesData - Resultado de getCertificatesData
+ * @returns {Object[]}
+ */
+const getCertificates = (certificatesData) => Object.entries(certificatesData).flatMap(([categoryId, category]) =>
+  category.certificates.map(certificate => ({ ...certificate, category: categoryId }))
+);
 
-  academic: {
-    title: 'Formación Académica',
-    description: 'Carrera universitaria y estudios formales',
-    icon: FaGraduationCap,
-    color: 'text-green-400',
-    bgColor: 'from-green-500/10 to-green-600/5',
-    certificates: [
-      {
-        id: 'davinci-systems',
-        title: 'Carrera Analista de Sistemas',
-        subtitle: 'Desarrollo Web y Software',
-        institution: 'Escuela Da Vinci',
-        institutionIcon: MdSchool,
-        date: '2022-2026',
-        duration: '4 años',
-        hours: 2400,
-        grade: 'En curso',
-        credentialId: 'DV-SYS-2022-2025',
-        skills: ['Desarrollo Web', 'Programación', 'Bases de Datos', 'Análisis de Sistemas', 'Gestión de Proyectos'],
-        description: 'Carrera completa en Análisis de Sistemas con especialización en desarrollo web y software. Finaliza en inicios de 2026.',
-        verified: true,
-        color: '#10B981',
-        certificate_url: '#',
-        status: 'en_curso'
-      }
-    ]
-  }
+/**
+ * Ícono de los grupos que no son categorías de cvData.json
+ */
+const GROUP_ICONS = {
+  institution: MdSchool,
+  year: FaCalendarAlt,
+  skill: FaBrain
 };
 
 /**
- * Configuración de logros académicos
- * Reconocimientos y distinciones obtenidas
+ * Encabezado de un grupo: la categoría de cvData.json o uno armado con la clave
+ * @param {Object} certificatesData - Resultado de getCertificatesData
+ * @param {string} group - Agrupación de CERTIFICATE_GROUPS
+ * @param {string} key - Clave del grupo (id de categoría, institución, año o habilidad)
+ * @returns {Object}
  */
-const ACADEMIC_ACHIEVEMENTS = [
-  {
-    icon: FaAward,
-    title: 'Mejor Promedio',
-    description: 'Promedio general superior a 8.5',
-    color: 'text-yellow-400',
-    bgColor: 'bg-yellow-500/20'
-  },
-  {
-    icon: MdVerified,
-    title: 'Certificados Verificados',
-    description: 'Todos los certificados con verificación oficial',
-    color: 'text-green-400',
-    bgColor: 'bg-green-500/20'
-  },
-  {
-    icon: FaRocket,
-    title: 'Aprendizaje Continuo',
-    description: 'Actualización constante en nuevas tecnologías',
-    color: 'text-blue-400',
-    bgColor: 'bg-blue-500/20'
-  },
-  {
-    icon: FaBrain,
-    title: 'Especialización en IA',
-    description: 'Enfoque especializado en inteligencia artificial',
-    color: 'text-purple-400',
-    bgColor: 'bg-purple-500/20'
+const getGroupHeader = (certificatesData, group, key) => {
+  if (group === 'category' && certificatesData[key]) {
+    return certificatesData[key];
   }
-];
+  return {
+    title: key,
+    description: t(`certificates.filters.groupDescription.${group}`, { name: key }),
+    icon: GROUP_ICONS[group] || FaGraduationCap,
+    ...CATEGORY_STYLES.default
+  };
+};
+
+/**
+ * Elemento del visor para un certificado
+ * Los que no tienen documento se muestran con el estado "sin documento"
+ * @param {Object} certificate - Certificado
+ * @returns {Object}
+ */
+const toGalleryItem = (certificate) => ({
+  id: certificate.id,
+  title: certificate.title,
+  src: certificate.hasDocument ? certificate.certificate_url : null,
+  mediaType: certificate.hasDocument ? certificate.mediaType : undefined,
+  alt: t('certificates.card.imageAlt', { title: certificate.title }),
+  caption: `${certificate.institution} • ${certificate.date}`,
+  download: certificate.hasDocument ? certificate.certificate_url : undefined,
+  downloadName: certificate.downloadName || undefined
+});
 
 /**
- * Configuración de estadísticas de certificación
- * Métricas de formación y desarrollo
+ * Textos de los controles del visor
+ * Se traducen al renderizar para seguir el idioma activo
+ * @returns {Object}
  */
-const CERTIFICATION_STATS = {
-  totalCertificates: 6,
-  totalHours: 780,
-  averageGrade: 'A+',
-  yearsLearning: 3,
-  institutions: 5
+const getLightboxLabels = () => ({
+  close: t('certificates.lightbox.close'),
+  previous: t('certificates.lightbox.previous'),
+  next: t('certificates.lightbox.next'),
+  zoomIn: t('certificates.lightbox.zoomIn'),
+  zoomOut: t('certificates.lightbox.zoomOut'),
+  reset: t('certificates.lightbox.reset'),
+  empty: t('certificates.lightbox.empty'),
+  download: t('certificates.lightbox.download'),
+  loading: t('certificates.lightbox.loading'),
+  pages: t('certificates.lightbox.pages'),
+  page: (page, count) => t('certificates.lightbox.page', { page, count }),
+  help: t('certificates.lightbox.help')
+});
+
+/**
+ * Cifras que se muestran como tarjetas, en este orden
+ */
+const STAT_KEYS = ['totalCertificates', 'totalHours', 'averageGrade', 'yearsLearning', 'institutions'];
+
+const TOP_GRADE = GRADE_SCALE[GRADE_SCALE.length - 1];
+
+/**
+ * Configuración de logros académicos
+ * Las cifras salen de los certificados; los logros en cero no se muestran.
+ * Los textos se traducen al renderizar (certificates.achievements.<id>.*)
+ * @param {Object[]} certificates - Resultado de getCertificates
+ * @param {Object} stats - Resultado de computeCertificationStats
+ * @returns {Object[]}
+ */
+const getAcademicAchievements = (certificates, stats) => {
+  const topGradeCount = certificates
+    .filter(certificate => String(certificate.grade || '').trim().toUpperCase() === TOP_GRADE).length;
+  const credentialCount = certificates.filter(certificate => certificate.credential).length;
+  const aiHours = stats.byCategory
+    .filter(item => item.key === 'ai')
+    .reduce((total, item) => total + item.hours, 0);
+
+  return [
+    {
+      icon: FaAward,
+      id: 'bestAverage',
+      value: topGradeCount,
+      params: { count: topGradeCount, grade: TOP_GRADE },
+      color: 'text-yellow-400',
+      bgColor: 'bg-yellow-500/20'
+    },
+    {
+      icon: MdVerified,
+      id: 'verified',
+      value: credentialCount,
+      params: { count: credentialCount },
+      color: 'text-green-400',
+      bgColor: 'bg-green-500/20'
+    },
+    {
+      icon: FaRocket,
+      id: 'continuousLearning',
+      value: stats.totalCertificates,
+      params: {
+        certificates: t('certificates.analytics.certificateCount', { count: stats.totalCertificates }),
+        years: t('common.years', { count: stats.yearsLearning })
+      },
+      color: 'text-blue-400',
+      bgColor: 'bg-blue-500/20'
+    },
+    {
+      icon: FaBrain,
+      id: 'aiSpecialization',
+      value: aiHours,
+      params: { hours: t('common.hours', { count: aiHours }) },
+      color: 'text-purple-400',
+      bgColor: 'bg-purple-500/20'
+    }
+  ].filter(achievement => achievement.value > 0);
 };
 
+const FIELD_CLASSES = 'w-full px-4 py-2 rounded-xl bg-dark-bg border border-dark-border text-dark-text focus:outline-none focus:border-neon-blue transition-colors';
+
 /**
  * Componente para el título de sección
  */
-const SectionTitle = ({ title, subtitle, className = '' }) => (
+const SectionTitle = ({ title, subtitle, className = '', highlight = t('certificates.titleHighlight') }) => (
   <motion.div
     variants={CERTIFICATES_ANIMATIONS.section}
     className={`text-center mb-16 ${className}`}
   >
     <CardTitle level={2} className="mb-6" color="text-dark-text">
       {title.split(' ').map((word, index) => 
-        word === 'Certificados' ? (
+        highlight.includes(word) ? (
           <span key={index} className="text-neon-blue"> {word}</span>
         ) : (
           <span key={index}> {word}</span>
@@ -268,164 +313,192 @@ const SectionTitle = ({ title, subtitle, className = '' }) => (
 SectionTitle.propTypes = {
   title: PropTypes.string.isRequired,
   subtitle: PropTypes.string,
-  className: PropTypes.string
+  className: PropTypes.string,
+  highlight: PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)])
 };
 
 /**
  * Componente para mostrar un certificado individual
  */
-const CertificateCard = ({ certificate, index, isVisible }) => (
-  <motion.div
-    custom={index}
-    initial="hidden"
-    animate={isVisible ? "visible" : "hidden"}
-    variants={CERTIFICATES_ANIMATIONS.certificateCard}
-    whileHover={{ 
-      scale: 1.03,
-      transition: { duration: 0.2 }
-    }}
-    className="group h-full"
-  >
-    <Card
-      variant="glass"
-      padding="lg"
-      animation="hover"
-      className="h-full relative overflow-hidden"
+const CertificateCard = ({ certificate, index, isVisible, onOpen }) => {
+  const status = getCertificateStatus(certificate.lifecycle);
+  const datesDetail = describeCertificateDates(certificate);
+
+  return (
+    <motion.div
+      custom={index}
+      initial="hidden"
+      animate={isVisible ? "visible" : "hidden"}
+      variants={CERTIFICATES_ANIMATIONS.certificateCard}
+      whileHover={{ 
+        scale: 1.03,
+        transition: { duration: 0.2 }
+      }}
+      className="group h-full"
     >
-      {/* Efecto de brillo */}
-      <motion.div
-        variants={CERTIFICATES_ANIMATIONS.shine}
-        animate="animate"
-        className="absolute inset-0 bg-gradient-to-r from-transparent via-neon-blue/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"
-      />
-      
-      <CardHeader className="relative">
-        <div className="flex items-start justify-between mb-4">
-          <div className="flex items-center gap-3">
-            <div 
-              className="p-3 rounded-xl border transition-all duration-300 group-hover:scale-110"
-              style={{ 
-                backgroundColor: `${certificate.color}20`,
-                borderColor: `${certificate.color}40`
-              }}
-            >
-              <certificate.institutionIcon 
-                className="text-2xl"
-                style={{ color: certificate.color }}
-              />
-            </div>
-            <div>
-              <CardTitle level={4} color="text-dark-text">
-                {certificate.title}
-              </CardTitle>
-              <p className="text-sm text-dark-text/70">{certificate.subtitle}</p>
+      <Card
+        variant="glass"
+        padding="lg"
+        animation="hover"
+        className="h-full relative overflow-hidden"
+      >
+        {/* Efecto de brillo */}
+        <motion.div
+          variants={CERTIFICATES_ANIMATIONS.shine}
+          animate="animate"
+          className="absolute inset-0 bg-gradient-to-r from-transparent via-neon-blue/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300"
+        />
+        
+        <CardHeader className="relative">
+          <div className="flex items-start justify-between mb-4">
+            <div className="flex items-center gap-3">
+              <div 
+                className="p-3 rounded-xl border transition-all duration-300 group-hover:scale-110"
+                style={{ 
+                  backgroundColor: `${certificate.color}20`,
+                  borderColor: `${certificate.color}40`
+                }}
+              >
+                <certificate.institutionIcon 
+                  className="text-2xl"
+                  style={{ color: certificate.color }}
+                />
+              </div>
+              <div>
+                <CardTitle level={4} color="text-dark-text">
+                  {certificate.title}
+                </CardTitle>
+                <p className="text-sm text-dark-text/70">{certificate.subtitle}</p>
+              </div>
             </div>
-          </div>
-          
-          {/* Badge de verificación */}
-          {certificate.verified && (
-            <motion.div
-              variants={CERTIFICATES_ANIMATIONS.badge}
-              className="flex items-center gap-1 px-2 py-1 bg-green-500/20 text-green-400 rounded-full text-xs"
-            >
-              <MdVerified className="text-xs" />
-              <span>Verificado</span>
+            
+            {/* Estado del ciclo de vida y de la credencial verificable */}
+            <motion.div variants={CERTIFICATES_ANIMATIONS.badge} className="flex flex-col items-end gap-2">
+              {status && (
+                <span className={`px-2 py-1 rounded-full text-xs whitespace-nowrap ${status.bgColor} ${status.color}`}>
+                  {t(status.labelKey)}
+                </span>
+              )}
+              <CredentialBadge certificate={certificate} />
             </motion.div>
-          )}
-        </div>
-
-        <div className="text-sm text-dark-text/70 mb-4">
-          <div className="flex items-center gap-2 mb-1">
-            <MdSchool className="text-neon-blue" />
-            <span>{certificate.institution}</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <FaCalendarAlt className="text-neon-blue" />
-            <span>{certificate.date} • {certificate.duration}</span>
           </div>
-        </div>
-      </CardHeader>
-
-      <CardContent className="space-y-4">
-        <p className="text-dark-text/70 text-sm leading-relaxed">
-          {certificate.description}
-        </p>
 
-        {/* Métricas */}
-        <div className="grid grid-cols-2 gap-4">
-          <div className="text-center p-3 bg-dark-bg/50 rounded-xl">
-            <div className="text-sm text-dark-text/70">Horas</div>
-            <div className="text-neon-blue font-bold">{certificate.hours}h</div>
+          <div className="text-sm text-dark-text/70 mb-4">
+            <div className="flex items-center gap-2 mb-1">
+              <MdSchool className="text-neon-blue" />
+              <span>{certificate.institution}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <FaCalendarAlt className="text-neon-blue" />
+              <span>{certificate.date} • {certificate.duration}</span>
+            </div>
+            {datesDetail && (
+              <div className={`mt-1 pl-6 ${status ? status.color : ''}`}>{datesDetail}</div>
+            )}
           </div>
-          <div className="text-center p-3 bg-dark-bg/50 rounded-xl">
-            <div className="text-sm text-dark-text/70">Calificación</div>
-            <div className="text-neon-blue font-bold">{certificate.grade}</div>
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          <p className="text-dark-text/70 text-sm leading-relaxed">
+            {certificate.description}
+          </p>
+
+          {/* Métricas */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="text-center p-3 bg-dark-bg/50 rounded-xl">
+              <div className="text-sm text-dark-text/70">{t('certificates.card.hours')}</div>
+              <div className="text-neon-blue font-bold">{certificate.hours}h</div>
+            </div>
+            <div className="text-center p-3 bg-dark-bg/50 rounded-xl">
+              <div className="text-sm text-dark-text/70">{t('certificates.card.grade')}</div>
+              <div className="text-neon-blue font-bold">{certificate.grade || t('certificates.card.pendingGrade')}</div>
+            </div>
           </div>
-        </div>
 
-        {/* Skills */}
-        <div className="space-y-2">
-          <div className="text-sm text-dark-text/70">Habilidades adquiridas:</div>
-          <div className="flex flex-wrap gap-2">
-            {certificate.skills.map((skill, idx) => (
-              <span
-                key={idx}
-                className="px-2 py-1 bg-neon-blue/10 text-neon-blue rounded-full text-xs"
-              >
-                {skill}
-              </span>
-            ))}
+          {/* Skills */}
+          <div className="space-y-2">
+            <div className="text-sm text-dark-text/70">{t('certificates.card.skills')}</div>
+            <div className="flex flex-wrap gap-2">
+              {certificate.skills.map((skill, idx) => (
+                <span
+                  key={idx}
+                  className="px-2 py-1 bg-neon-blue/10 text-neon-blue rounded-full text-xs"
+                >
+                  {skill}
+                </span>
+              ))}
+            </div>
           </div>
-        </div>
 
-        {/* Vista previa de imagen del certificado */}
-        {certificate.hasImage && (
-          <div className="mt-4">
-            <div className="text-sm text-dark-text/70 mb-2">Vista previa del certificado:</div>
-            <div className="relative group">
-              <img
-                src={certificate.certificate_url}
-                alt={`Certificado de ${certificate.title}`}
-                className="w-full h-32 object-cover rounded-lg border border-dark-border cursor-pointer transition-transform duration-300 group-hover:scale-105"
-                onClick={() => window.open(certificate.certificate_url, '_blank')}
-              />
-              <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity duration-300 rounded-lg flex items-center justify-center">
-                <div className="text-white text-sm font-medium">Click para ampliar</div>
-              </div>
+          {/* Vista previa del documento del certificado */}
+          {certificate.hasDocument && (
+            <div className="mt-4">
+              <div className="text-sm text-dark-text/70 mb-2">{t('certificates.card.preview')}</div>
+              <button
+                type="button"
+                onClick={() => onOpen(certificate)}
+                className="relative group block w-full rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-blue/50"
+                aria-haspopup="dialog"
+              >
+                {certificate.hasImage ? (
+                  <img
+                    src={certificate.certificate_url}
+                    alt={t('certificates.card.imageAlt', { title: certificate.title })}
+                    className="w-full h-32 object-cover rounded-lg border border-dark-border cursor-zoom-in transition-transform duration-300 group-hover:scale-105"
+                  />
+                ) : (
+                  <span className="w-full h-32 flex flex-col items-center justify-center gap-2 rounded-lg border border-dark-border bg-dark-bg/50 text-dark-text/70 cursor-zoom-in">
+                    <FaFilePdf className="text-3xl text-red-400" aria-hidden="true" />
+                    <span className="text-xs">{t('certificates.card.pdfDocument', { title: certificate.title })}</span>
+                  </span>
+                )}
+                <span className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity duration-300 rounded-lg flex items-center justify-center">
+                  <span className="text-white text-sm font-medium">{t('certificates.card.enlarge')}</span>
+                </span>
+              </button>
             </div>
-          </div>
-        )}
+          )}
 
-        {/* Información adicional */}
-        <div className="pt-3 border-t border-dark-border">
-          <div className="flex items-center justify-between text-xs text-dark-text/60">
-            <span>ID: {certificate.credentialId}</span>
-            <Button
-              type="ghost"
-              size="sm"
-              className="text-xs"
-              onClick={() => window.open(certificate.certificate_url, '_blank')}
-            >
-              <FaExternalLinkAlt className="mr-1" />
-              {certificate.hasImage ? 'Ver Completo' : 'Ver Certificado'}
-            </Button>
+          {/* Información adicional */}
+          <div className="pt-3 border-t border-dark-border">
+            <div className="flex items-center justify-between text-xs text-dark-text/60">
+              <span>ID: {certificate.credentialId}</span>
+              <Link
+                to={getCertificatePath(certificate)}
+                className="text-neon-blue hover:underline"
+                aria-label={t('pages.viewDetailsOf', { name: certificate.title })}
+              >
+                {t('pages.viewDetails')}
+              </Link>
+              <Button
+                type="ghost"
+                size="sm"
+                className="text-xs"
+                onClick={() => onOpen(certificate)}
+                aria-haspopup="dialog"
+              >
+                <FaSearchPlus className="mr-1" />
+                {certificate.hasDocument ? t('certificates.card.viewFull') : t('certificates.card.viewCertificate')}
+              </Button>
+            </div>
           </div>
-        </div>
-      </CardContent>
-    </Card>
-  </motion.div>
-);
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
 
 CertificateCard.propTypes = {
   certificate: PropTypes.object.isRequired,
   index: PropTypes.number.isRequired,
-  isVisible: PropTypes.bool.isRequired
+  isVisible: PropTypes.bool.isRequired,
+  onOpen: PropTypes.func.isRequired
 };
 
 /**
  * Componente para categoría de certificados
  */
-const CertificateCategory = ({ category, certificates, isVisible }) => (
+const CertificateCategory = ({ category, certificates, isVisible, onOpenCertificate }) => (
   <motion.div
     variants={CERTIFICATES_ANIMATIONS.section}
     className="mb-16"
@@ -453,6 +526,7 @@ const CertificateCategory = ({ category, certificates, isVisible }) => (
             certificate={certificate}
             index={index}
             isVisible={isVisible}
+            onOpen={onOpenCertificate}
           />
         ))}
       </div>
@@ -463,13 +537,14 @@ const CertificateCategory = ({ category, certificates, isVisible }) => (
 CertificateCategory.propTypes = {
   category: PropTypes.object.isRequired,
   certificates: PropTypes.array.isRequired,
-  isVisible: PropTypes.bool.isRequired
+  isVisible: PropTypes.bool.isRequired,
+  onOpenCertificate: PropTypes.func.isRequired
 };
 
 /**
  * Componente para estadísticas de certificación
  */
-const CertificationStats = ({ stats, isVisible }) => (
+const CertificationStats = ({ stats, categoryTitles, isVisible }) => (
   <motion.div
     variants={CERTIFICATES_ANIMATIONS.section}
     className="mb-16"
@@ -477,15 +552,15 @@ const CertificationStats = ({ stats, isVisible }) => (
     <Card variant="gradient" padding="lg" animation="glow">
       <CardHeader className="text-center mb-8">
         <CardTitle level={3} color="text-neon-blue">
-          Estadísticas de Formación
+          {t('certificates.stats.title')}
         </CardTitle>
         <p className="text-dark-text/70 mt-2">
-          Métricas de mi desarrollo profesional continuo
+          {t('certificates.stats.subtitle')}
         </p>
       </CardHeader>
 
       <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
-        {Object.entries(stats).map(([key, value], index) => (
+        {STAT_KEYS.filter(key => stats[key] !== null).map((key, index) => (
           <motion.div
             key={key}
             custom={index}
@@ -497,24 +572,71 @@ const CertificationStats = ({ stats, isVisible }) => (
           >
             <div className="p-6 rounded-2xl bg-dark-card/30 backdrop-blur-sm border border-dark-border">
               <div className="text-3xl font-bold text-neon-blue mb-2 font-jetbrains">
-                {value}{key === 'totalHours' ? '+' : ''}
+                {stats[key]}
               </div>
-              <div className="text-dark-text/70 text-sm capitalize">
-                {key.replace(/([A-Z])/g, ' $1').trim()}
+              <div className="text-dark-text/70 text-sm">
+                {t(`certificates.stats.labels.${key}`)}
               </div>
             </div>
           </motion.div>
         ))}
       </div>
+
+      <p className="text-center text-sm text-dark-text/70 mt-6">
+        {t('certificates.stats.progress', { completed: stats.completed, inProgress: stats.inProgress })}
+      </p>
+
+      <CertificateAnalytics stats={stats} categoryTitles={categoryTitles} />
     </Card>
   </motion.div>
 );
 
 CertificationStats.propTypes = {
   stats: PropTypes.object.isRequired,
+  categoryTitles: PropTypes.object.isRequired,
   isVisible: PropTypes.bool.isRequired
 };
 
+/**
+ * Barra de agrupación y orden de los certificados
+ */
+const CertificateFilters = ({ filters, onChange }) => (
+  <div role="group" aria-label={t('certificates.filters.label')} className="mb-8 grid md:grid-cols-2 gap-4 max-w-2xl mx-auto">
+    <label className="block">
+      <span className="block text-sm text-dark-text/70 mb-1">{t('certificates.filters.group')}</span>
+      <select
+        value={filters.group}
+        onChange={(event) => onChange({ group: event.target.value })}
+        className={FIELD_CLASSES}
+      >
+        {CERTIFICATE_GROUPS.map(group => (
+          <option key={group} value={group}>{t(`certificates.filters.groups.${group}`)}</option>
+        ))}
+      </select>
+    </label>
+    <label className="block">
+      <span className="block text-sm text-dark-text/70 mb-1">{t('certificates.filters.sort')}</span>
+      <select
+        value={filters.sort}
+        onChange={(event) => onChange({ sort: event.target.value })}
+        className={FIELD_CLASSES}
+      >
+        {CERTIFICATE_SORTS.map(sort => (
+          <option key={sort} value={sort}>{t(`certificates.filters.sorts.${sort}`)}</option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+CertificateFilters.propTypes = {
+  filters: PropTypes.shape({
+    group: PropTypes.string.isRequired,
+    sort: PropTypes.string.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
 /**
  * Componente para logros académicos
  */
@@ -526,17 +648,17 @@ const AcademicAchievements = ({ achievements, isVisible }) => (
     <Card variant="glass" padding="lg" animation="hover">
       <CardHeader className="text-center mb-8">
         <CardTitle level={3} color="text-neon-blue">
-          Logros Académicos
+          {t('certificates.achievements.title')}
         </CardTitle>
         <p className="text-dark-text/70 mt-2">
-          Reconocimientos y distinciones obtenidas
+          {t('certificates.achievements.subtitle')}
         </p>
       </CardHeader>
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {achievements.map((achievement, index) => (
           <motion.div
-            key={achievement.title}
+            key={achievement.id}
             custom={index}
             initial="hidden"
             animate={isVisible ? "visible" : "hidden"}
@@ -549,9 +671,9 @@ const AcademicAchievements = ({ achievements, isVisible }) => (
                 <achievement.icon className={`text-2xl ${achievement.color}`} />
               </div>
               <CardTitle level={5} className="mb-2" color="text-dark-text">
-                {achievement.title}
+                {t(`certificates.achievements.${achievement.id}.title`)}
               </CardTitle>
-              <p className="text-dark-text/70 text-sm">{achievement.description}</p>
+              <p className="text-dark-text/70 text-sm">{t(`certificates.achievements.${achievement.id}.description`, achievement.params)}</p>
             </div>
           </motion.div>
         ))}
@@ -574,7 +696,37 @@ const Certificates = () => {
     triggerOnce: true
   });
 
-  const categories = useMemo(() => Object.entries(CERTIFICATES_DATA), []);
+  const certificatesData = useMemo(() => getCertificatesData(), []);
+  const certificates = useMemo(() => getCertificates(certificatesData), [certificatesData]);
+  const stats = useMemo(() => computeCertificationStats(certificates), [certificates]);
+  const achievements = getAcademicAchievements(certificates, stats);
+  const categoryTitles = Object.fromEntries(
+    Object.entries(certificatesData).map(([categoryId, category]) => [categoryId, category.title])
+  );
+
+  // Agrupación y orden elegidos (sincronizados con la URL)
+  const { filters, updateFilters } = useCertificateFilters('certificates');
+  const groups = useMemo(() => groupCertificates(certificates, filters), [certificates, filters]);
+
+  // El visor recorre los certificados en el orden en que se muestran, sin repetir
+  // los que aparecen en más de un grupo (ej: agrupados por habilidad)
+  const gallery = useMemo(() => {
+    const unique = new Map();
+    groups.forEach(group => group.certificates.forEach(certificate => {
+      if (!unique.has(certificate.id)) {
+        unique.set(certificate.id, toGalleryItem(certificate));
+      }
+    }));
+    return [...unique.values()];
+  }, [groups]);
+
+  // Certificado abierto en el visor (null = cerrado)
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  const openCertificate = useCallback((certificate) => {
+    setLightboxIndex(gallery.findIndex(item => item.id === certificate.id));
+  }, [gallery]);
+  const closeLightbox = useCallback(() => setLightboxIndex(null), []);
 
   return (
     <motion.section
@@ -584,31 +736,46 @@ const Certificates = () => {
       variants={CERTIFICATES_ANIMATIONS.container}
       initial="hidden"
       animate={isVisible ? "visible" : "hidden"}
-      aria-label="Certificados y cursos completados"
+      aria-label={t('certificates.sectionLabel')}
     >
       <div className="container mx-auto px-4">
         <SectionTitle
-          title="Certificados"
-          subtitle="Cursos completados, certificaciones obtenidas y formación continua en tecnologías actuales"
+          title={t('certificates.title')}
+          subtitle={t('certificates.subtitle')}
         />
 
         {/* Estadísticas */}
-        <CertificationStats stats={CERTIFICATION_STATS} isVisible={isVisible} />
+        <CertificationStats stats={stats} categoryTitles={categoryTitles} isVisible={isVisible} />
+
+        {/* Agrupación y orden */}
+        <CertificateFilters filters={filters} onChange={updateFilters} />
 
-        {/* Categorías de certificados */}
+        {/* Certificados agrupados */}
         <div className="space-y-16">
-          {categories.map(([categoryKey, category]) => (
+          {groups.map(group => (
             <CertificateCategory
-              key={categoryKey}
-              category={category}
-              certificates={category.certificates}
+              key={`${filters.group}-${group.key}`}
+              category={getGroupHeader(certificatesData, filters.group, group.key)}
+              certificates={group.certificates}
               isVisible={isVisible}
+              onOpenCertificate={openCertificate}
             />
           ))}
         </div>
 
+        {/* Visor de certificados */}
+        <Lightbox
+          items={gallery}
+          index={lightboxIndex}
+          onNavigate={setLightboxIndex}
+          onClose={closeLightbox}
+          labels={getLightboxLabels()}
+        />
+
         {/* Logros académicos */}
-        <AcademicAchievements achievements={ACADEMIC_ACHIEVEMENTS} isVisible={isVisible} />
+        {achievements.length > 0 && (
+          <AcademicAchievements achievements={achievements} isVisible={isVisible} />
+        )}
 
         {/* Call to action */}
         <motion.div
@@ -620,21 +787,20 @@ const Certificates = () => {
               <div className="max-w-2xl mx-auto">
                 <FaGraduationCap className="text-neon-blue text-5xl mb-6 mx-auto" />
                 <CardTitle level={4} className="mb-4" color="text-dark-text">
-                  Aprendizaje Continuo
+                  {t('certificates.cta.title')}
                 </CardTitle>
                 <p className="text-dark-text/70 mb-6">
-                  La tecnología evoluciona rápidamente, y mi compromiso es mantenerme actualizado 
-                  con las últimas tendencias y mejores prácticas del desarrollo web.
+                  {t('certificates.cta.description')}
                 </p>
                 <div className="flex flex-wrap justify-center gap-4 text-sm">
                   <span className="px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full">
-                    Certificaciones verificadas
+                    {t('certificates.cta.verified')}
                   </span>
                   <span className="px-4 py-2 bg-green-500/20 text-green-400 rounded-full">
-                    Formación continua
+                    {t('certificates.cta.continuousTraining')}
                   </span>
                   <span className="px-4 py-2 bg-purple-500/20 text-purple-400 rounded-full">
-                    Especialización en IA
+                    {t('certificates.cta.aiSpecialization')}
                   </span>
                 </div>
               </div>
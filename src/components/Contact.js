@@ -19,11 +19,11 @@
  * - Animaciones suaves y atractivas
  */
 
-import React from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { 
   FaEnvelope, FaPhone, FaMapMarkerAlt, FaGithub, FaLinkedin, 
-  FaClock, FaRocket
+  FaClock, FaRocket, FaAddressCard, FaQrcode, FaDownload
 } from 'react-icons/fa';
 import { SiGmail, SiWhatsapp } from 'react-icons/si';
 import PropTypes from 'prop-types';
@@ -31,7 +31,14 @@ import PropTypes from 'prop-types';
 // Importar hooks personalizados, servicios y componentes
 import useScrollAnimation from '../hooks/useScrollAnimation';
 import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
-import Button from './UI/Button';
+import Button, { PrimaryButton, OutlinedButton } from './UI/Button';
+import QRCode from './UI/QRCode';
+import ContactForm from './ContactForm';
+import { personalData, contactData } from '../constants/personalData';
+import { toVCard, VCARD_MIME_TYPE } from '../utils/vCard';
+import { toSVGString, drawQRCode } from '../utils/qrCode';
+import { toFileSlug, downloadBlob } from '../utils/downloadUtils';
+import { t } from '../services/I18nService';
 
 /**
  * Configuración de animaciones para la sección Contact
@@ -109,31 +116,46 @@ const CONTACT_ANIMATIONS = {
   }
 };
 
+/**
+ * Número de teléfono solo con dígitos para enlaces tel: y WhatsApp
+ */
+const PHONE_DIGITS = contactData.phone.replace(/\D/g, '');
+
+/**
+ * Obtiene el último segmento de una URL de perfil (ej: usuario de GitHub)
+ * @param {string} url - URL del perfil
+ * @returns {string} Segmento final sin barras
+ */
+const getProfileHandle = (url) => url.replace(/\/+$/, '').split('/').pop();
+
 /**
  * Configuración de información de contacto
+ * Derivada de contactData (cvData.json); se arma al renderizar
+ * para usar el idioma activo
+ * @returns {Object}
  */
-const CONTACT_INFO = {
+const getContactInfo = () => ({
   primary: [
     {
       icon: FaEnvelope,
-      label: 'Email',
-      value: 'excofier.santi@gmail.com',
-      href: 'mailto:excofier.santi@gmail.com',
+      label: t('contact.info.email'),
+      value: contactData.email,
+      href: `mailto:${contactData.email}`,
       color: 'text-blue-400',
       bgColor: 'bg-blue-500/20'
     },
     {
       icon: FaPhone,
-      label: 'Teléfono',
-      value: '+54 11 6812-9155',
-      href: 'tel:+541168129155',
+      label: t('contact.info.phone'),
+      value: contactData.phone,
+      href: `tel:+${PHONE_DIGITS}`,
       color: 'text-green-400',
       bgColor: 'bg-green-500/20'
     },
     {
       icon: FaMapMarkerAlt,
-      label: 'Ubicación',
-      value: 'Argentina',
+      label: t('contact.info.location'),
+      value: personalData.location,
       color: 'text-purple-400',
       bgColor: 'bg-purple-500/20'
     }
@@ -143,16 +165,16 @@ const CONTACT_INFO = {
     {
       icon: FaGithub,
       label: 'GitHub',
-      value: '@EXCOFFee',
-      href: 'https://github.com/EXCOFFee',
+      value: `@${getProfileHandle(contactData.social.github)}`,
+      href: contactData.social.github,
       color: 'text-gray-400',
       bgColor: 'bg-gray-500/20'
     },
     {
       icon: FaLinkedin,
       label: 'LinkedIn',
-      value: '/santiago-excofier-4649982b9',
-      href: 'https://www.linkedin.com/in/santiago-excofier-4649982b9/',
+      value: `/${getProfileHandle(contactData.social.linkedin)}`,
+      href: contactData.social.linkedin,
       color: 'text-blue-600',
       bgColor: 'bg-blue-600/20'
     }
@@ -162,45 +184,46 @@ const CONTACT_INFO = {
     {
       icon: SiWhatsapp,
       label: 'WhatsApp',
-      value: '+54 11 6812-9155',
-      href: 'https://wa.me/541168129155',
+      value: contactData.phone,
+      href: `https://wa.me/${PHONE_DIGITS}`,
       color: 'text-green-500',
       bgColor: 'bg-green-500/20'
     },
     {
       icon: SiGmail,
       label: 'Gmail',
-      value: 'Enviar email',
-      href: 'mailto:excofier.santi@gmail.com',
+      value: t('contact.info.sendEmail'),
+      href: `mailto:${contactData.email}`,
       color: 'text-red-500',
       bgColor: 'bg-red-500/20'
     }
   ]
-};
+});
 
 /**
  * Configuración de disponibilidad
+ * @returns {Object}
  */
-const AVAILABILITY_INFO = {
-  status: 'Disponible',
+const getAvailabilityInfo = () => ({
+  status: t('contact.availability.status'),
   statusColor: 'text-green-400',
   statusBg: 'bg-green-500/20',
-  workingHours: 'Lun - Vie: 9:00 - 18:00 (UTC-3)',
-  responseTime: 'Respuesta en 24 horas',
-  timezone: 'Zona horaria: UTC-3 (Argentina)'
-};
+  workingHours: `${contactData.availability.workingDays}: ${contactData.availability.workingHours}`,
+  responseTime: t('contact.availability.responseTime', { time: contactData.availability.responseTime }),
+  timezone: t('contact.availability.timezone', { timezone: personalData.timezone, location: personalData.location })
+});
 
 /**
  * Componente para el título de sección
  */
-const SectionTitle = ({ title, subtitle, className = '' }) => (
+const SectionTitle = ({ title, subtitle, className = '', highlight = t('contact.titleHighlight') }) => (
   <motion.div
     variants={CONTACT_ANIMATIONS.section}
     className={`text-center mb-16 ${className}`}
   >
     <CardTitle level={2} className="mb-6" color="text-dark-text">
       {title.split(' ').map((word, index) => 
-        word === 'Contacto' ? (
+        highlight.includes(word) ? (
           <span key={index} className="text-neon-blue"> {word}</span>
         ) : (
           <span key={index}> {word}</span>
@@ -219,7 +242,8 @@ const SectionTitle = ({ title, subtitle, className = '' }) => (
 SectionTitle.propTypes = {
   title: PropTypes.string.isRequired,
   subtitle: PropTypes.string,
-  className: PropTypes.string
+  className: PropTypes.string,
+  highlight: PropTypes.oneOfType([PropTypes.string, PropTypes.arrayOf(PropTypes.string)])
 };
 
 /**
@@ -249,7 +273,7 @@ const ContactInfoItem = ({ item, index, isVisible }) => (
           onClick={() => window.open(item.href, '_blank')}
           className="opacity-0 group-hover:opacity-100 transition-opacity"
         >
-          Abrir
+          {t('contact.info.open')}
         </Button>
       )}
     </div>
@@ -265,45 +289,173 @@ ContactInfoItem.propTypes = {
 /**
  * Componente para información de disponibilidad
  */
-const AvailabilityInfo = ({ isVisible }) => (
-  <motion.div
-    variants={CONTACT_ANIMATIONS.section}
-    className="mb-8"
-  >
-    <Card variant="gradient" padding="lg" animation="glow">
-      <CardContent>
-        <div className="flex items-center justify-center gap-4 mb-6">
-          <motion.div
-            variants={CONTACT_ANIMATIONS.pulse}
-            animate="animate"
-            className={`w-3 h-3 rounded-full ${AVAILABILITY_INFO.statusBg}`}
-          />
-          <span className={`font-medium ${AVAILABILITY_INFO.statusColor}`}>
-            {AVAILABILITY_INFO.status}
-          </span>
-        </div>
+const AvailabilityInfo = ({ isVisible }) => {
+  const availability = getAvailabilityInfo();
+
+  return (
+    <motion.div
+      variants={CONTACT_ANIMATIONS.section}
+      className="mb-8"
+    >
+      <Card variant="gradient" padding="lg" animation="glow">
+        <CardContent>
+          <div className="flex items-center justify-center gap-4 mb-6">
+            <motion.div
+              variants={CONTACT_ANIMATIONS.pulse}
+              animate="animate"
+              className={`w-3 h-3 rounded-full ${availability.statusBg}`}
+            />
+            <span className={`font-medium ${availability.statusColor}`}>
+              {availability.status}
+            </span>
+          </div>
         
-        <div className="grid md:grid-cols-3 gap-4 text-center">
-          <div className="flex items-center justify-center gap-2">
-            <FaClock className="text-neon-blue" />
-            <span className="text-sm text-dark-text/70">{AVAILABILITY_INFO.workingHours}</span>
+          <div className="grid md:grid-cols-3 gap-4 text-center">
+            <div className="flex items-center justify-center gap-2">
+              <FaClock className="text-neon-blue" />
+              <span className="text-sm text-dark-text/70">{availability.workingHours}</span>
+            </div>
+            <div className="flex items-center justify-center gap-2">
+              <FaEnvelope className="text-neon-blue" />
+              <span className="text-sm text-dark-text/70">{availability.responseTime}</span>
+            </div>
+            <div className="flex items-center justify-center gap-2">
+              <FaMapMarkerAlt className="text-neon-blue" />
+              <span className="text-sm text-dark-text/70">{availability.timezone}</span>
+            </div>
           </div>
-          <div className="flex items-center justify-center gap-2">
-            <FaEnvelope className="text-neon-blue" />
-            <span className="text-sm text-dark-text/70">{AVAILABILITY_INFO.responseTime}</span>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+};
+
+AvailabilityInfo.propTypes = {
+  isVisible: PropTypes.bool.isRequired
+};
+
+/**
+ * Contenidos que puede codificar el QR de la tarjeta de contacto
+ * @returns {Object}
+ */
+const getQrContents = () => ({
+  vcard: {
+    label: 'vCard',
+    description: t('contact.card.qrContents.vcard'),
+    getValue: () => toVCard()
+  },
+  url: {
+    label: t('contact.card.qrContents.urlLabel'),
+    description: t('contact.card.qrContents.url'),
+    getValue: () => contactData.social.portfolio || window.location.origin
+  }
+});
+
+/**
+ * Nombre base de los archivos de la tarjeta de contacto
+ */
+const CONTACT_FILE_BASE = toFileSlug(personalData.name);
+
+/**
+ * Componente de tarjeta de contacto
+ * Descarga la vCard y muestra un QR imprimible con la vCard o la URL del sitio
+ */
+const ContactCard = () => {
+  const [qrContent, setQrContent] = useState('vcard');
+  const qrContents = useMemo(() => getQrContents(), []);
+  const { label, description, getValue } = qrContents[qrContent];
+  const qrValue = useMemo(() => getValue(), [getValue]);
+  const qrFileName = `${CONTACT_FILE_BASE}-qr-${qrContent}`;
+
+  const handleSaveContact = useCallback(() => {
+    downloadBlob(new Blob([toVCard()], { type: VCARD_MIME_TYPE }), `${CONTACT_FILE_BASE}.vcf`);
+  }, []);
+
+  const handleDownloadSvg = useCallback(() => {
+    const svg = toSVGString(qrValue);
+    if (svg) {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${qrFileName}.svg`);
+    }
+  }, [qrValue, qrFileName]);
+
+  const handleDownloadPng = useCallback(() => {
+    const canvas = document.createElement('canvas');
+    if (drawQRCode(canvas, qrValue, { scale: 12 })) {
+      canvas.toBlob(blob => blob && downloadBlob(blob, `${qrFileName}.png`), 'image/png');
+    }
+  }, [qrValue, qrFileName]);
+
+  return (
+    <Card variant="glass" padding="lg" animation="hover">
+      <CardHeader>
+        <CardTitle level={3} color="text-neon-blue">
+          {t('contact.card.title')}
+        </CardTitle>
+        <p className="text-dark-text/70 mt-2">
+          {t('contact.card.subtitle')}
+        </p>
+      </CardHeader>
+
+      <CardContent>
+        <div className="flex flex-col md:flex-row items-center gap-8">
+          <div className="flex flex-col items-center gap-3">
+            <div className="p-2 bg-white rounded-xl">
+              <QRCode
+                value={qrValue}
+                label={t('contact.card.qrLabel', { description: description.toLowerCase() })}
+                size={192}
+              />
+            </div>
+            <div className="flex gap-2" role="group" aria-label={t('contact.card.qrContentGroup')}>
+              {Object.entries(qrContents).map(([key, content]) => (
+                <Button
+                  key={key}
+                  type={key === qrContent ? 'base' : 'ghost'}
+                  size="xs"
+                  onClick={() => setQrContent(key)}
+                  aria-pressed={key === qrContent}
+                >
+                  {content.label}
+                </Button>
+              ))}
+            </div>
           </div>
-          <div className="flex items-center justify-center gap-2">
-            <FaMapMarkerAlt className="text-neon-blue" />
-            <span className="text-sm text-dark-text/70">{AVAILABILITY_INFO.timezone}</span>
+
+          <div className="flex-grow space-y-4 text-center md:text-left">
+            <p className="text-dark-text/70 text-sm">
+              {t('contact.card.downloadHint', { description })}
+            </p>
+            <div className="flex flex-wrap justify-center md:justify-start gap-3">
+              <PrimaryButton
+                size="md"
+                leftIcon={<FaAddressCard />}
+                onClick={handleSaveContact}
+                aria-label={t('contact.card.saveContactAria')}
+              >
+                {t('contact.card.saveContact')}
+              </PrimaryButton>
+              <OutlinedButton
+                size="md"
+                leftIcon={<FaQrcode />}
+                onClick={handleDownloadSvg}
+                aria-label={t('contact.card.downloadQrAria', { label, format: 'SVG' })}
+              >
+                {t('contact.card.downloadQr', { format: 'SVG' })}
+              </OutlinedButton>
+              <OutlinedButton
+                size="md"
+                leftIcon={<FaDownload />}
+                onClick={handleDownloadPng}
+                aria-label={t('contact.card.downloadQrAria', { label, format: 'PNG' })}
+              >
+                {t('contact.card.downloadQr', { format: 'PNG' })}
+              </OutlinedButton>
+            </div>
           </div>
         </div>
       </CardContent>
     </Card>
-  </motion.div>
-);
-
-AvailabilityInfo.propTypes = {
-  isVisible: PropTypes.bool.isRequired
+  );
 };
 
 /**
@@ -314,6 +466,7 @@ const Contact = () => {
     threshold: 0.1,
     triggerOnce: true
   });
+  const contactInfo = getContactInfo();
 
   return (
     <motion.section
@@ -323,38 +476,41 @@ const Contact = () => {
       variants={CONTACT_ANIMATIONS.container}
       initial="hidden"
       animate={isVisible ? "visible" : "hidden"}
-      aria-label="Información de contacto"
+      aria-label={t('contact.sectionLabel')}
     >
       <div className="container mx-auto px-4">
         <SectionTitle
-          title="Contacto"
-          subtitle="¿Tienes un proyecto en mente? ¡Hablemos! Estoy disponible para nuevas oportunidades y colaboraciones."
+          title={t('contact.title')}
+          subtitle={t('contact.subtitle')}
         />
 
         {/* Información de disponibilidad */}
         <AvailabilityInfo isVisible={isVisible} />
 
-        {/* Información de contacto centrada */}
+        {/* Formulario e información de contacto centrados */}
         <div className="max-w-4xl mx-auto">
           <motion.div
             variants={CONTACT_ANIMATIONS.slideLeft}
             className="space-y-8"
           >
+            {/* Formulario de contacto */}
+            <ContactForm />
+
             <Card variant="glass" padding="lg" animation="hover">
               <CardHeader>
                 <CardTitle level={3} color="text-neon-blue">
-                  Información de Contacto
+                  {t('contact.info.title')}
                 </CardTitle>
                 <p className="text-dark-text/70 mt-2">
-                  Múltiples formas de ponerte en contacto conmigo
+                  {t('contact.info.subtitle')}
                 </p>
               </CardHeader>
 
               <CardContent className="space-y-6">
                 {/* Contacto principal */}
                 <div className="space-y-4">
-                  <h4 className="text-lg font-semibold text-dark-text mb-4">Principal</h4>
-                  {CONTACT_INFO.primary.map((item, index) => (
+                  <h4 className="text-lg font-semibold text-dark-text mb-4">{t('contact.info.primary')}</h4>
+                  {contactInfo.primary.map((item, index) => (
                     <ContactInfoItem
                       key={item.label}
                       item={item}
@@ -366,8 +522,8 @@ const Contact = () => {
 
                 {/* Redes sociales */}
                 <div className="space-y-4">
-                  <h4 className="text-lg font-semibold text-dark-text mb-4">Redes Sociales</h4>
-                  {CONTACT_INFO.social.map((item, index) => (
+                  <h4 className="text-lg font-semibold text-dark-text mb-4">{t('contact.info.social')}</h4>
+                  {contactInfo.social.map((item, index) => (
                     <ContactInfoItem
                       key={item.label}
                       item={item}
@@ -379,8 +535,8 @@ const Contact = () => {
 
                 {/* Mensajería */}
                 <div className="space-y-4">
-                  <h4 className="text-lg font-semibold text-dark-text mb-4">Mensajería</h4>
-                  {CONTACT_INFO.messaging.map((item, index) => (
+                  <h4 className="text-lg font-semibold text-dark-text mb-4">{t('contact.info.messaging')}</h4>
+                  {contactInfo.messaging.map((item, index) => (
                     <ContactInfoItem
                       key={item.label}
                       item={item}
@@ -391,6 +547,9 @@ const Contact = () => {
                 </div>
               </CardContent>
             </Card>
+
+            {/* Tarjeta de contacto: vCard y QR */}
+            <ContactCard />
           </motion.div>
         </div>
 
@@ -404,21 +563,20 @@ const Contact = () => {
               <div className="max-w-2xl mx-auto">
                 <FaRocket className="text-neon-blue text-4xl mb-4 mx-auto" />
                 <CardTitle level={4} className="mb-4" color="text-dark-text">
-                  ¡Construyamos algo increíble juntos!
+                  {t('contact.cta.title')}
                 </CardTitle>
                 <p className="text-dark-text/70 mb-6">
-                  Cada proyecto es una oportunidad para crear algo único. 
-                  Si tienes una idea, yo tengo las herramientas para hacerla realidad.
+                  {t('contact.cta.description')}
                 </p>
                 <div className="flex flex-wrap justify-center gap-4 text-sm">
                   <span className="px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full">
-                    Respuesta rápida
+                    {t('contact.cta.fastResponse')}
                   </span>
                   <span className="px-4 py-2 bg-green-500/20 text-green-400 rounded-full">
-                    Proyectos personalizados
+                    {t('contact.cta.customProjects')}
                   </span>
                   <span className="px-4 py-2 bg-purple-500/20 text-purple-400 rounded-full">
-                    Colaboración profesional
+                    {t('contact.cta.professional')}
                   </span>
                 </div>
               </div>
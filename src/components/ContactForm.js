@@ -0,0 +1,484 @@
+/**
+ * ContactForm.js - Formulario de contacto
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Valida y muestra el estado; la entrega depende de ContactService, que usa
+ *   el transporte configurado (Formspree, webhook, API propia o mailto)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciona en GitHub Pages: sin transporte configurado abre el cliente de correo
+ * - Estado anunciado a lectores de pantalla (role="status" / "alert")
+ * - Si el envío falla se ofrece el cliente de correo como respaldo
+ * - Sin conexión el mensaje queda en cola (ContactQueueService) y el estado
+ *   se actualiza cuando el service worker o la página lo envían
+ * - Antispam sin CAPTCHAs (SpamGuardService): campo trampa, tiempo mínimo,
+ *   límite por navegador, heurísticas de enlaces y prueba de trabajo
+ */
+
+import React, { useState, useCallback, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { 
+  FaEnvelope, FaPaperPlane, FaCheck, FaExclamationTriangle,
+  FaSpinner, FaUser, FaEnvelopeOpenText, FaClock
+} from 'react-icons/fa';
+import PropTypes from 'prop-types';
+
+// Importar componentes necesarios
+import { createContactFormValidator } from '../utils/validationUtils';
+import { formConfig } from '../constants/personalData';
+import contactService from '../services/ContactService';
+import contactQueueService, { CONTACT_QUEUE_EVENTS } from '../services/ContactQueueService';
+import spamGuardService from '../services/SpamGuardService';
+import { SPAM_REASONS, SPAM_RULES, describeContentIssues } from '../utils/spamProtection';
+import { CONTACT_STATUSES } from '../utils/contactTransports';
+import { t } from '../services/I18nService';
+import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import Button from './UI/Button';
+
+/**
+ * Estados del formulario
+ * HANDOFF: el mensaje quedó en el cliente de correo del visitante (mailto)
+ * QUEUED: sin conexión, el mensaje se enviará cuando vuelva
+ */
+const FORM_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  SUCCESS: 'success',
+  HANDOFF: 'handoff',
+  QUEUED: 'queued',
+  ERROR: 'error'
+};
+
+/**
+ * Estado del formulario para cada resultado de ContactService
+ */
+const RESULT_STATUS = {
+  [CONTACT_STATUSES.sent]: FORM_STATUS.SUCCESS,
+  [CONTACT_STATUSES.handoff]: FORM_STATUS.HANDOFF,
+  [CONTACT_STATUSES.queued]: FORM_STATUS.QUEUED,
+  [CONTACT_STATUSES.failed]: FORM_STATUS.ERROR
+};
+
+/**
+ * Clave del mensaje para el visitante según el resultado (se traduce al renderizar)
+ */
+const RESULT_MESSAGES = {
+  [FORM_STATUS.SUCCESS]: formConfig.messages.success,
+  [FORM_STATUS.HANDOFF]: 'form.status.handoff',
+  [FORM_STATUS.QUEUED]: 'form.status.queued',
+  [FORM_STATUS.ERROR]: 'form.sendError'
+};
+
+/**
+ * Colores del mensaje de estado
+ */
+const STATUS_STYLES = {
+  [FORM_STATUS.LOADING]: 'bg-yellow-500/20 text-yellow-400',
+  [FORM_STATUS.SUCCESS]: 'bg-green-500/20 text-green-400',
+  [FORM_STATUS.HANDOFF]: 'bg-blue-500/20 text-blue-400',
+  [FORM_STATUS.QUEUED]: 'bg-blue-500/20 text-blue-400',
+  [FORM_STATUS.ERROR]: 'bg-red-500/20 text-red-400'
+};
+
+/**
+ * Campo trampa: fuera de la pantalla y del orden de tabulación, solo los bots lo completan
+ */
+const HONEYPOT_STYLE = { position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' };
+
+/**
+ * Configuración inicial del formulario
+ */
+const INITIAL_FORM_DATA = {
+  name: '',
+  email: '',
+  subject: '',
+  message: ''
+};
+
+/**
+ * Componente para el campo de formulario
+ */
+const FormField = ({ 
+  label, 
+  type = 'text', 
+  name, 
+  value, 
+  onChange, 
+  error, 
+  placeholder,
+  required = false,
+  rows = null,
+  disabled = false,
+  icon: Icon = null
+}) => {
+  const Component = rows ? 'textarea' : 'input';
+  const id = `contact-${name}`;
+  
+  return (
+    <div className="space-y-2">
+      <label htmlFor={id} className="block text-sm font-medium text-dark-text">
+        {label} {required && <span className="text-red-400">*</span>}
+      </label>
+      <div className="relative">
+        {Icon && (
+          <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 text-dark-text/50" />
+        )}
+        <Component
+          id={id}
+          type={type}
+          name={name}
+          value={value}
+          onChange={onChange}
+          placeholder={placeholder}
+          rows={rows}
+          disabled={disabled}
+          required={required}
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? `${id}-error` : undefined}
+          className={`w-full px-4 py-3 ${Icon ? 'pl-10' : ''} bg-dark-bg border rounded-xl transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:border-neon-blue disabled:opacity-50 disabled:cursor-not-allowed ${
+            error 
+              ? 'border-red-500 focus:border-red-500 focus:ring-red-500/50' 
+              : 'border-dark-border hover:border-neon-blue/50'
+          } text-dark-text placeholder-dark-text/50`}
+        />
+      </div>
+      {error && (
+        <div id={`${id}-error`} className="flex items-center gap-2 text-red-400 text-sm">
+          <FaExclamationTriangle className="text-xs" />
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+FormField.propTypes = {
+  label: PropTypes.string.isRequired,
+  type: PropTypes.string,
+  name: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  rows: PropTypes.number,
+  disabled: PropTypes.bool,
+  icon: PropTypes.elementType
+};
+
+/**
+ * Componente para el formulario de contacto
+ */
+const ContactForm = () => {
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState(FORM_STATUS.IDLE);
+  // Mensaje de estado como clave y parámetros (se traduce al renderizar)
+  const [submitMessage, setSubmitMessage] = useState(null);
+  const [canFallback, setCanFallback] = useState(false);
+  const [queuedId, setQueuedId] = useState(null);
+  const [honeypot, setHoneypot] = useState('');
+  const [spamSession, setSpamSession] = useState(() => spamGuardService.createSession());
+
+  // Actualizar el estado cuando se envía (o se descarta) el mensaje en cola
+  useEffect(() => {
+    if (!queuedId) return undefined;
+
+    return contactQueueService.subscribe(({ type, id }) => {
+      if (id !== queuedId) return;
+      const sent = type === CONTACT_QUEUE_EVENTS.sent;
+      setStatus(sent ? FORM_STATUS.SUCCESS : FORM_STATUS.ERROR);
+      setSubmitMessage({ key: sent ? 'form.status.queuedSent' : 'form.status.queuedFailed' });
+      setQueuedId(null);
+    });
+  }, [queuedId]);
+
+  /**
+   * Maneja los cambios en los campos del formulario
+   */
+  const handleInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    
+    // Limpiar error del campo si existe
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: null
+      }));
+    }
+  }, [errors]);
+
+  /**
+   * Valida el formulario completo (mismas reglas que la API de contacto)
+   */
+  const validateForm = useCallback(() => {
+    const { errors: newErrors } = createContactFormValidator().validateAll(formData);
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  }, [formData]);
+
+  /**
+   * Aplica el resultado de un envío al estado del formulario
+   * @param {Object} result - Resultado de ContactService
+   */
+  const applyResult = useCallback((result) => {
+    const nextStatus = RESULT_STATUS[result.status] || FORM_STATUS.ERROR;
+    setStatus(nextStatus);
+    setSubmitMessage({ key: RESULT_MESSAGES[nextStatus] });
+    setCanFallback(Boolean(result.canFallback));
+    setQueuedId(result.queueId || null);
+
+    // El mensaje en cola ya está guardado: no hace falta volver a escribirlo
+    if (nextStatus === FORM_STATUS.SUCCESS || nextStatus === FORM_STATUS.QUEUED) {
+      setFormData(INITIAL_FORM_DATA);
+      // Cada prueba antispam sirve para un solo envío
+      setSpamSession(spamGuardService.createSession());
+    }
+    // Errores de validación devueltos por el servidor
+    if (result.fieldErrors) {
+      setErrors(prev => ({ ...prev, ...result.fieldErrors }));
+    }
+  }, []);
+
+  /**
+   * Muestra el motivo de un envío rechazado por la protección antispam
+   * @param {Object} check - Resultado de SpamGuardService.inspect
+   */
+  const applyRejection = useCallback((check) => {
+    switch (check.reason) {
+      case SPAM_REASONS.honeypot:
+        // Se simula el éxito para no delatar la defensa
+        applyResult({ status: CONTACT_STATUSES.sent });
+        break;
+      case SPAM_REASONS.linkSpam:
+        setStatus(FORM_STATUS.IDLE);
+        setSubmitMessage(null);
+        setErrors(prev => ({ ...prev, ...describeContentIssues(check.contentIssues) }));
+        break;
+      case SPAM_REASONS.rateLimited:
+        setStatus(FORM_STATUS.ERROR);
+        setSubmitMessage({ key: 'form.spam.rateLimited', params: { count: Math.max(1, Math.ceil(check.retryAfterMs / 60000)) } });
+        break;
+      default:
+        setStatus(FORM_STATUS.ERROR);
+        setSubmitMessage({ key: 'form.spam.tooFast' });
+    }
+  }, [applyResult]);
+
+  /**
+   * Envía el formulario con el transporte configurado
+   */
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) return;
+
+    setStatus(FORM_STATUS.LOADING);
+    setSubmitMessage({ key: 'form.status.verifying' });
+    setCanFallback(false);
+
+    const check = await spamGuardService.inspect(formData, spamSession, honeypot, {
+      withProof: contactService.verifiesProof()
+    });
+    if (!check.allowed) {
+      // El registro no demora la respuesta al visitante
+      contactService.reportRejection(check.reason);
+      applyRejection(check);
+      return;
+    }
+
+    setSubmitMessage(null);
+    const result = await contactService.send({ ...formData, antiSpam: check.antiSpam }, {
+      onRetry: (attempt, total) => setSubmitMessage({ key: 'form.status.retrying', params: { attempt, total } })
+    });
+    if (result.status === CONTACT_STATUSES.sent || result.status === CONTACT_STATUSES.queued) {
+      spamGuardService.recordSubmission();
+    }
+    applyResult(result);
+  }, [formData, spamSession, honeypot, validateForm, applyRejection, applyResult]);
+
+  /**
+   * Entrega el mensaje con el cliente de correo tras un envío fallido
+   */
+  const handleFallback = useCallback(async () => {
+    applyResult(await contactService.sendWithFallback(formData));
+  }, [formData, applyResult]);
+
+  /**
+   * Resetea el estado del formulario
+   */
+  const resetForm = useCallback(() => {
+    setFormData(INITIAL_FORM_DATA);
+    setErrors({});
+    setStatus(FORM_STATUS.IDLE);
+    setSubmitMessage(null);
+    setCanFallback(false);
+    setQueuedId(null);
+  }, []);
+
+  return (
+    <div className="space-y-6">
+      <Card variant="glass" padding="lg" animation="hover">
+        <CardHeader>
+          <CardTitle level={3} color="text-neon-blue">
+            {t('form.title')}
+          </CardTitle>
+          <p className="text-dark-text/70 mt-2">
+            {t('form.subtitle')}
+          </p>
+        </CardHeader>
+
+        <CardContent>
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div aria-hidden="true" style={HONEYPOT_STYLE}>
+              <label htmlFor="contact-honeypot">{t('form.honeypot')}</label>
+              <input
+                id="contact-honeypot"
+                type="text"
+                name={SPAM_RULES.honeypotField}
+                value={honeypot}
+                onChange={(e) => setHoneypot(e.target.value)}
+                tabIndex={-1}
+                autoComplete="off"
+              />
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              <FormField
+                label={t('form.fields.name')}
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                error={errors.name}
+                placeholder={t('form.placeholders.name')}
+                required
+                disabled={status === FORM_STATUS.LOADING}
+                icon={FaUser}
+              />
+
+              <FormField
+                label={t('form.fields.email')}
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                error={errors.email}
+                placeholder={t('form.placeholders.email')}
+                required
+                disabled={status === FORM_STATUS.LOADING}
+                icon={FaEnvelope}
+              />
+            </div>
+
+            <FormField
+              label={t('form.fields.subject')}
+              name="subject"
+              value={formData.subject}
+              onChange={handleInputChange}
+              error={errors.subject}
+              placeholder={t('form.placeholders.subject')}
+              required
+              disabled={status === FORM_STATUS.LOADING}
+            />
+
+            <FormField
+              label={t('form.fields.message')}
+              name="message"
+              value={formData.message}
+              onChange={handleInputChange}
+              error={errors.message}
+              placeholder={t('form.placeholders.message')}
+              required
+              rows={5}
+              disabled={status === FORM_STATUS.LOADING}
+            />
+
+            <div className="flex flex-col sm:flex-row gap-4">
+              <Button
+                buttonType="submit"
+                variant="primary"
+                size="lg"
+                disabled={status === FORM_STATUS.LOADING}
+                className="flex-grow"
+              >
+                {status === FORM_STATUS.LOADING ? (
+                  <>
+                    <FaSpinner className="animate-spin mr-2" />
+                    {t('form.sending')}
+                  </>
+                ) : (
+                  <>
+                    <FaPaperPlane className="mr-2" />
+                    {t('form.send')}
+                  </>
+                )}
+              </Button>
+
+              {canFallback && (
+                <Button
+                  type="outlined"
+                  variant="primary"
+                  size="lg"
+                  onClick={handleFallback}
+                >
+                  <FaEnvelopeOpenText className="mr-2" />
+                  {t('form.fallback')}
+                </Button>
+              )}
+
+              {status !== FORM_STATUS.IDLE && (
+                <Button
+                  type="base"
+                  variant="secondary"
+                  size="lg"
+                  onClick={resetForm}
+                  disabled={status === FORM_STATUS.LOADING}
+                >
+                  {t('form.reset')}
+                </Button>
+              )}
+            </div>
+          </form>
+
+          {/* Mensaje de estado */}
+          {submitMessage && (
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              role={status === FORM_STATUS.ERROR ? 'alert' : 'status'}
+              className={`mt-4 p-4 rounded-xl flex items-center gap-3 ${STATUS_STYLES[status] || STATUS_STYLES[FORM_STATUS.LOADING]}`}
+            >
+              {status === FORM_STATUS.LOADING && <FaSpinner className="text-xl animate-spin" />}
+              {(status === FORM_STATUS.SUCCESS || status === FORM_STATUS.HANDOFF) && <FaCheck className="text-xl" />}
+              {status === FORM_STATUS.QUEUED && <FaClock className="text-xl" />}
+              {status === FORM_STATUS.ERROR && <FaExclamationTriangle className="text-xl" />}
+              <span>{t(submitMessage.key, submitMessage.params)}</span>
+            </motion.div>
+          )}
+
+          {/* Cómo se entregan los mensajes */}
+          <div className="mt-6 p-4 bg-blue-500/10 border border-blue-500/20 rounded-xl">
+            <div className="flex items-start gap-3">
+              <FaEnvelope className="text-blue-400 mt-1" />
+              <div className="text-sm">
+                <p className="text-blue-400 font-medium mb-1">
+                  {contactService.usesFallback() ? t('form.transport.mailtoTitle') : t('form.transport.directTitle')}
+                </p>
+                <p className="text-dark-text/70">
+                  {contactService.usesFallback() ? t('form.transport.mailto') : t('form.transport.direct')}
+                </p>
+              </div>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,153 @@
+/**
+ * Estado de verificación de la credencial de un certificado
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar el estado calculado por CredentialService,
+ *   como insignia (tarjeta) o con el detalle de cada comprobación (página)
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Cada estado se describe en STATUS_STYLES; un estado nuevo solo agrega una entrada
+ */
+
+import React from 'react';
+import { FaTimesCircle, FaClock, FaBan, FaQuestionCircle, FaExclamationTriangle, FaCheck, FaTimes, FaMinus, FaFileCode } from 'react-icons/fa';
+import { MdVerified } from 'react-icons/md';
+import PropTypes from 'prop-types';
+import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import useCredentialVerification from '../hooks/useCredentialVerification';
+import credentialService from '../services/CredentialService';
+import { t } from '../services/I18nService';
+
+/**
+ * Icono y colores de cada estado
+ */
+const STATUS_STYLES = {
+  verified: { icon: MdVerified, className: 'bg-green-500/20 text-green-400' },
+  invalid: { icon: FaTimesCircle, className: 'bg-red-500/20 text-red-400' },
+  expired: { icon: FaClock, className: 'bg-yellow-500/20 text-yellow-400' },
+  revoked: { icon: FaBan, className: 'bg-red-500/20 text-red-400' },
+  untrusted: { icon: FaQuestionCircle, className: 'bg-orange-500/20 text-orange-400' },
+  unsupported: { icon: FaQuestionCircle, className: 'bg-dark-bg/50 text-dark-text/70' },
+  unchecked: { icon: FaExclamationTriangle, className: 'bg-yellow-500/20 text-yellow-400' },
+  unavailable: { icon: FaExclamationTriangle, className: 'bg-dark-bg/50 text-dark-text/70' },
+  checking: { icon: FaClock, className: 'bg-dark-bg/50 text-dark-text/70' },
+  none: { icon: FaMinus, className: 'bg-dark-bg/50 text-dark-text/70' }
+};
+
+/**
+ * Icono del resultado de una comprobación (superada, fallida, no aplica)
+ */
+const CHECK_ICONS = {
+  passed: { icon: FaCheck, className: 'text-green-400' },
+  failed: { icon: FaTimes, className: 'text-red-400' },
+  skipped: { icon: FaMinus, className: 'text-dark-text/40' }
+};
+
+/**
+ * Insignia con el estado
+ */
+const StatusChip = ({ status, size }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.none;
+  const Icon = style.icon;
+  const sizeClasses = size === 'sm' ? 'px-2 py-1 text-xs' : 'px-3 py-1 text-sm';
+
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full ${sizeClasses} ${style.className}`}>
+      <Icon aria-hidden="true" />
+      {t(`certificates.verification.status.${status}`)}
+    </span>
+  );
+};
+
+StatusChip.propTypes = {
+  status: PropTypes.string.isRequired,
+  size: PropTypes.oneOf(['sm', 'md'])
+};
+
+/**
+ * Insignia para la tarjeta del certificado
+ * No se muestra si el certificado no tiene credencial
+ */
+export const CredentialBadge = ({ certificate }) => {
+  const { status } = useCredentialVerification(certificate);
+
+  if (status === 'none') {
+    return null;
+  }
+  return <StatusChip status={status} size="sm" />;
+};
+
+CredentialBadge.propTypes = {
+  certificate: PropTypes.object.isRequired
+};
+
+/**
+ * Componente CredentialVerification
+ * Detalle de la verificación para la página del certificado
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.certificate - Certificado del CV
+ */
+const CredentialVerification = ({ certificate }) => {
+  const { status, result } = useCredentialVerification(certificate);
+  const credentialUrl = credentialService.getUrl(certificate);
+  const checks = result ? result.checks : [];
+
+  return (
+    <Card variant="glass" padding="lg" className="mb-8">
+      <CardHeader>
+        <CardTitle level={2} color="text-neon-blue">
+          {t('certificates.verification.title')}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div aria-live="polite">
+          <StatusChip status={status} />
+          <p className="mt-3 text-dark-text/80">
+            {t(`certificates.verification.description.${status}`, {
+              issuer: result && result.issuer ? result.issuer.name : '',
+              version: result && result.credential ? result.credential.version : ''
+            })}
+          </p>
+        </div>
+
+        {checks.length > 0 && (
+          <ul className="grid sm:grid-cols-2 gap-2">
+            {checks.map(check => {
+              const outcome = check.passed === null ? 'skipped' : (check.passed ? 'passed' : 'failed');
+              const { icon: Icon, className } = CHECK_ICONS[outcome];
+              return (
+                <li key={check.id} className="flex items-center gap-2 text-sm text-dark-text/80">
+                  <Icon className={className} aria-hidden="true" />
+                  <span>
+                    {t(`certificates.verification.checks.${check.id}`)}
+                    <span className="sr-only">: {t(`certificates.verification.outcome.${outcome}`)}</span>
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {credentialUrl && (
+          <a
+            href={credentialUrl}
+            download
+            className="inline-flex items-center gap-2 text-sm text-neon-blue hover:underline"
+          >
+            <FaFileCode aria-hidden="true" />
+            {t('certificates.verification.download')}
+          </a>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+CredentialVerification.propTypes = {
+  certificate: PropTypes.object.isRequired
+};
+
+CredentialVerification.displayName = 'CredentialVerification';
+
+export default CredentialVerification;
@@ -16,16 +16,21 @@
  * - Efectos de scroll con cleanup
  * - Accesibilidad (aria-labels, roles)
  * - Responsive design
+ * - Selector de idioma (ES/EN) visible en desktop y móvil
+ * - Desde una página de detalle, el menú vuelve a la principal con el hash de la sección
  */
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaBars, FaTimes } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import { useLocation, useNavigate } from 'react-router-dom';
 
 // Importar servicios y hooks personalizados
 import navigationService from '../services/NavigationService';
+import i18nService, { t } from '../services/I18nService';
 import useScrollAnimation from '../hooks/useScrollAnimation';
+import { ROUTES } from '../constants/routes';
 
 /**
  * Configuración de animaciones para el header
@@ -114,7 +119,7 @@ const HeaderLogo = ({ onClick, className = '' }) => (
     whileHover={{ scale: 1.05 }}
     whileTap={{ scale: 0.95 }}
     className={`text-2xl font-bold text-neon-blue font-jetbrains transition-colors duration-300 hover:text-neon-blue/80 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:ring-offset-2 focus:ring-offset-dark-bg rounded-lg px-2 py-1 ${className}`}
-    aria-label="Ir al inicio"
+    aria-label={t('header.goHome')}
   >
     &lt;Santiago /&gt;
   </motion.button>
@@ -179,6 +184,49 @@ DesktopNavigation.propTypes = {
   onItemClick: PropTypes.func.isRequired
 };
 
+/**
+ * Componente para el selector de idioma
+ * Cambiar de idioma guarda la preferencia y vuelve a renderizar el contenido traducido
+ */
+const LanguageSwitcher = ({ className = '' }) => {
+  const languages = useMemo(() => i18nService.getSupportedLanguages(), []);
+  const currentLanguage = i18nService.getLanguage();
+
+  return (
+    <div
+      className={`flex items-center rounded-lg border border-dark-border overflow-hidden ${className}`}
+      role="group"
+      aria-label={t('header.languageSwitcher')}
+    >
+      {languages.map(({ code, name }) => (
+        <button
+          key={code}
+          type="button"
+          lang={code}
+          onClick={() => code !== currentLanguage && i18nService.setLanguage(code)}
+          className={`
+            px-2 py-1 text-xs font-jetbrains font-medium uppercase transition-colors duration-300
+            focus:outline-none focus:ring-2 focus:ring-neon-blue/50
+            ${code === currentLanguage
+              ? 'bg-neon-blue/20 text-neon-blue'
+              : 'text-dark-text/70 hover:text-neon-blue hover:bg-dark-card/50'
+            }
+          `}
+          aria-pressed={code === currentLanguage}
+          aria-label={t('common.changeLanguage', { language: name })}
+          title={name}
+        >
+          {code}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+LanguageSwitcher.propTypes = {
+  className: PropTypes.string
+};
+
 /**
  * Componente para el botón del menú móvil
  * Separado para mejor organización
@@ -189,7 +237,7 @@ const MobileMenuButton = ({ isOpen, onClick }) => (
     whileHover={{ scale: 1.1 }}
     whileTap={{ scale: 0.9 }}
     className="md:hidden text-neon-blue text-2xl p-2 rounded-lg hover:bg-dark-card/50 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:ring-offset-2 focus:ring-offset-dark-bg transition-colors duration-300"
-    aria-label={isOpen ? "Cerrar menú" : "Abrir menú"}
+    aria-label={isOpen ? t('header.closeMenu') : t('header.openMenu')}
     aria-expanded={isOpen}
     aria-controls="mobile-menu"
   >
@@ -285,22 +333,37 @@ MobileNavigation.propTypes = {
 const Header = () => {
   // Estados locales para UI
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-  const [activeSection, setActiveSection] = useState('hero');
-
   // Hook personalizado para detectar scroll
   const isScrolled = useScrollState(50);
 
-  // Obtener elementos de navegación del servicio
+  // Ruta actual: las secciones solo existen en la página principal
+  const location = useLocation();
+  const navigate = useNavigate();
+  const isHomePage = location.pathname === ROUTES.home;
+
+  // Obtener elementos de navegación del servicio (derivados del registro de secciones)
   // Usamos useMemo para evitar recálculos innecesarios
   const navigationItems = useMemo(() => {
     return navigationService.getNavigationItems();
   }, []);
 
+  // La primera sección del registro es el inicio de la página
+  const homeSection = navigationItems.length > 0 ? navigationItems[0] : null;
+  const [activeSection, setActiveSection] = useState(homeSection && homeSection.id);
+
   /**
    * Maneja la navegación a una sección
    * Usa useCallback para optimización de rendimiento
    */
   const handleNavigation = useCallback((href) => {
+    // En una página de detalle se vuelve a la principal; HomePage hace el scroll
+    if (!isHomePage) {
+      navigate({ pathname: ROUTES.home, search: location.search, hash: href });
+      setActiveSection(href.replace('#', ''));
+      setIsMobileMenuOpen(false);
+      return;
+    }
+
     // Usar el servicio de navegación para manejar el scroll
     const success = navigationService.navigateToHref(href);
     
@@ -312,14 +375,16 @@ const Header = () => {
       // Cerrar el menú móvil si está abierto
       setIsMobileMenuOpen(false);
     }
-  }, []);
+  }, [isHomePage, navigate, location.search]);
 
   /**
    * Maneja la navegación al logo (inicio)
    */
   const handleLogoClick = useCallback(() => {
-    handleNavigation('#hero');
-  }, [handleNavigation]);
+    if (homeSection) {
+      handleNavigation(homeSection.href);
+    }
+  }, [handleNavigation, homeSection]);
 
   /**
    * Alterna el estado del menú móvil
@@ -346,7 +411,7 @@ const Header = () => {
       const sections = navigationItems.map(item => document.querySelector(item.href));
       const scrollPosition = window.scrollY + 100; // Offset para el header
 
-      let currentSection = 'hero';
+      let currentSection = homeSection && homeSection.id;
       
       sections.forEach((section, index) => {
         if (section && section.offsetTop <= scrollPosition) {
@@ -359,7 +424,7 @@ const Header = () => {
 
     window.addEventListener('scroll', handleScroll, { passive: true });
     return () => window.removeEventListener('scroll', handleScroll);
-  }, [navigationItems]);
+  }, [navigationItems, homeSection]);
 
   /**
    * Genera las clases CSS dinámicas del header
@@ -385,7 +450,7 @@ const Header = () => {
       <nav 
         className="container mx-auto px-4 py-4" 
         role="navigation" 
-        aria-label="Navegación principal"
+        aria-label={t('header.mainNavigation')}
       >
         <div className="flex items-center justify-between">
           {/* Logo */}
@@ -398,11 +463,16 @@ const Header = () => {
             onItemClick={handleNavigation}
           />
 
-          {/* Botón de menú móvil */}
-          <MobileMenuButton
-            isOpen={isMobileMenuOpen}
-            onClick={toggleMobileMenu}
-          />
+          <div className="flex items-center gap-3">
+            {/* Selector de idioma */}
+            <LanguageSwitcher />
+
+            {/* Botón de menú móvil */}
+            <MobileMenuButton
+              isOpen={isMobileMenuOpen}
+              onClick={toggleMobileMenu}
+            />
+          </div>
         </div>
 
         {/* Navegación móvil */}
@@ -21,13 +21,15 @@
 
 import React, { useMemo, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { FaGithub, FaLinkedin, FaArrowDown } from 'react-icons/fa';
+import { FaGithub, FaLinkedin, FaArrowDown, FaDownload } from 'react-icons/fa';
 import PropTypes from 'prop-types';
 
 // Importar hooks personalizados y servicios
 import useTypingAnimation from '../hooks/useTypingAnimation';
 import navigationService from '../services/NavigationService';
-import { personalData } from '../constants/personalData';
+import { personalData, getHeroTexts } from '../constants/personalData';
+import { t } from '../services/I18nService';
+import { getCVFileName } from '../utils/downloadUtils';
 import Button, { PrimaryButton, OutlinedButton } from './UI/Button';
 
 /**
@@ -100,17 +102,6 @@ const SOCIAL_ICON_ANIMATIONS = {
   tap: { scale: 0.9 }
 };
 
-/**
- * Textos para la animación de escritura
- * Configuración centralizada para fácil modificación
- */
-const TYPING_TEXTS = [
-  'Desarrollador Web Full Stack',
-  'Estudiante de Análisis de Sistemas',
-  'Especialista en uso de herramientas de IA & Productividad',
-  'Programador Freelance'
-];
-
 /**
  * Configuración de redes sociales
  * Centralizada para facilitar mantenimiento
@@ -120,15 +111,13 @@ const SOCIAL_LINKS = [
     name: 'GitHub',
     icon: FaGithub,
     url: personalData.github,
-    color: 'hover:text-gray-300',
-    ariaLabel: 'Ver perfil de GitHub'
+    color: 'hover:text-gray-300'
   },
   {
     name: 'LinkedIn',
     icon: FaLinkedin,
     url: personalData.linkedin,
-    color: 'hover:text-blue-400',
-    ariaLabel: 'Ver perfil de LinkedIn'
+    color: 'hover:text-blue-400'
   }
 ];
 
@@ -219,7 +208,7 @@ const HeroTitle = () => (
     variants={HERO_ANIMATIONS.title}
     className="text-4xl md:text-6xl font-bold text-dark-text mb-4 font-jetbrains"
   >
-    Hola, Soy{' '}
+    {t('hero.greeting')}{' '}
     <span className="text-neon-blue">{personalData.name}</span>
   </motion.h1>
 );
@@ -244,26 +233,26 @@ const HeroDescription = () => (
 const HeroButtons = ({ onAboutClick, onDownloadClick }) => (
   <motion.div
     variants={HERO_ANIMATIONS.buttons}
-    className="flex flex-col sm:flex-row gap-4 justify-center items-center mb-12"
+    className="flex flex-col sm:flex-row gap-4 justify-center items-center mb-4"
   >
     <PrimaryButton
       onClick={onAboutClick}
       leftIcon={<FaArrowDown className="text-sm" />}
       animation="glow"
       size="lg"
-      aria-label="Ver perfil completo"
+      aria-label={t('hero.viewProfileAria')}
     >
-      Ver Perfil Completo
+      {t('hero.viewProfile')}
     </PrimaryButton>
     
     <OutlinedButton
       onClick={onDownloadClick}
-      leftIcon={null}
+      leftIcon={<FaDownload className="text-sm" />}
       animation="scale"
       size="lg"
-      aria-label="Contáctame"
+      aria-label={t('hero.downloadCvAria')}
     >
-      Contáctame
+      {t('hero.downloadCv')}
     </OutlinedButton>
   </motion.div>
 );
@@ -273,6 +262,54 @@ HeroButtons.propTypes = {
   onDownloadClick: PropTypes.func.isRequired
 };
 
+/**
+ * Versiones en texto del CV para sistemas de seguimiento de candidatos (ATS)
+ * Se generan con `npm run export:cv` y se sirven en URLs estables
+ */
+const CV_TEXT_EXPORTS = [
+  { file: 'cv.md', extension: 'md', labelKey: 'hero.exports.markdown', ariaLabelKey: 'hero.exports.markdownAria' },
+  { file: 'cv.txt', extension: 'txt', labelKey: 'hero.exports.plainText', ariaLabelKey: 'hero.exports.plainTextAria' }
+];
+
+/**
+ * Componente con los formatos alternativos del CV
+ * Word se genera en el navegador; Markdown y texto plano se sirven como archivos
+ */
+const HeroExportLinks = ({ onWordClick }) => (
+  <motion.p
+    variants={HERO_ANIMATIONS.buttons}
+    className="text-sm text-dark-text/60 mb-12"
+  >
+    {t('hero.exports.alsoIn')}{' '}
+    <button
+      type="button"
+      onClick={onWordClick}
+      className="text-neon-blue/80 hover:text-neon-blue underline-offset-4 hover:underline transition-colors"
+      aria-label={t('hero.exports.wordAria')}
+    >
+      Word
+    </button>
+    {CV_TEXT_EXPORTS.map(item => (
+      <React.Fragment key={item.file}>
+        {' · '}
+        <a
+          href={`${process.env.PUBLIC_URL}/${item.file}`}
+          download={getCVFileName(personalData.name, item.extension)}
+          className="text-neon-blue/80 hover:text-neon-blue underline-offset-4 hover:underline transition-colors"
+          aria-label={t(item.ariaLabelKey)}
+        >
+          {t(item.labelKey)}
+        </a>
+      </React.Fragment>
+    ))}
+    {' '}{t('hero.exports.atsFriendly')}
+  </motion.p>
+);
+
+HeroExportLinks.propTypes = {
+  onWordClick: PropTypes.func.isRequired
+};
+
 /**
  * Componente para los enlaces sociales
  * Separado para mejor organización
@@ -282,7 +319,7 @@ const SocialLinks = () => (
     variants={HERO_ANIMATIONS.social}
     className="flex justify-center gap-6"
     role="list"
-    aria-label="Enlaces a redes sociales"
+    aria-label={t('hero.socialLinks')}
   >
     {SOCIAL_LINKS.map((social) => (
       <motion.a
@@ -291,7 +328,7 @@ const SocialLinks = () => (
         target="_blank"
         rel="noopener noreferrer"
         className={`text-dark-text/70 ${social.color} transition-colors duration-300 text-2xl focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:ring-offset-2 focus:ring-offset-dark-bg rounded-lg p-2`}
-        aria-label={social.ariaLabel}
+        aria-label={t('hero.socialProfile', { network: social.name })}
         whileHover={SOCIAL_ICON_ANIMATIONS.hover}
         whileTap={SOCIAL_ICON_ANIMATIONS.tap}
         role="listitem"
@@ -316,7 +353,7 @@ const ScrollIndicator = ({ onClick }) => (
       className="text-neon-blue/50 text-2xl cursor-pointer hover:text-neon-blue transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 focus:ring-offset-2 focus:ring-offset-dark-bg rounded-lg p-2"
       animate={{ y: [0, 10, 0] }}
       transition={{ duration: 2, repeat: Infinity }}
-      aria-label="Desplazarse hacia abajo"
+      aria-label={t('hero.scrollDown')}
     >
       <FaArrowDown />
     </motion.button>
@@ -341,20 +378,32 @@ const Hero = () => {
   }, []);
 
   /**
-   * Maneja la navegación a la sección de contacto para descarga
-   * En una implementación real, esto podría abrir un modal o descargar directamente
+   * Genera el CV en PDF en el navegador y lo descarga
+   * El generador (y jsPDF) se cargan bajo demanda para no aumentar el bundle inicial
    */
-  const handleDownloadCV = useCallback(() => {
-    // Por ahora navegamos a contacto, pero se puede implementar descarga directa
-    navigationService.navigateToSection('contact');
-    
-    // TODO: Implementar descarga directa del CV
-    // const link = document.createElement('a');
-    // link.href = '/cv-nitemplem.pdf';
-    // link.download = 'CV-Nitemplem-Developer.pdf';
-    // document.body.appendChild(link);
-    // link.click();
-    // document.body.removeChild(link);
+  const handleDownloadCV = useCallback(async () => {
+    try {
+      const { downloadCVPdf } = await import('../utils/cvPdf');
+      downloadCVPdf();
+    } catch (error) {
+      console.error('Hero: Error al generar el CV en PDF', error);
+      // Si la generación falla, ofrecer el contacto directo como alternativa
+      navigationService.navigateToSection('contact');
+    }
+  }, []);
+
+  /**
+   * Genera el CV en DOCX en el navegador y lo descarga
+   * Igual que el PDF, el generador se carga bajo demanda
+   */
+  const handleDownloadDocx = useCallback(async () => {
+    try {
+      const { downloadCVDocx } = await import('../utils/cvDocx');
+      await downloadCVDocx();
+    } catch (error) {
+      console.error('Hero: Error al generar el CV en DOCX', error);
+      navigationService.navigateToSection('contact');
+    }
   }, []);
 
   return (
@@ -365,7 +414,7 @@ const Hero = () => {
       initial="initial"
       animate="animate"
       role="banner"
-      aria-label="Sección de presentación principal"
+      aria-label={t('hero.sectionLabel')}
     >
       {/* Elementos flotantes de fondo */}
       <FloatingCodeElements />
@@ -380,7 +429,7 @@ const Hero = () => {
 
           {/* Texto con animación de escritura */}
           <TypingText 
-            texts={TYPING_TEXTS}
+            texts={getHeroTexts()}
             className="text-xl md:text-2xl text-dark-text/80 mb-8"
           />
 
@@ -393,6 +442,9 @@ const Hero = () => {
             onDownloadClick={handleDownloadCV}
           />
 
+          {/* Formatos alternativos del CV */}
+          <HeroExportLinks onWordClick={handleDownloadDocx} />
+
           {/* Enlaces sociales */}
           <SocialLinks />
         </motion.div>
@@ -0,0 +1,213 @@
+/**
+ * Hoja de ruta de aprendizaje
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar el avance de las tecnologías en aprendizaje
+ *   (hitos, fechas objetivo, cursos) y los últimos hitos completados
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe los datos ya calculados (ver utils/learningRoadmap y
+ *   CVDataService.getRoadmap); el componente solo los dibuja
+ */
+
+import React, { useId } from 'react';
+import { motion } from 'framer-motion';
+import { FaCheckCircle, FaRegCircle, FaExternalLinkAlt, FaGraduationCap } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import { formatMonth } from '../utils/learningRoadmap';
+import { t } from '../services/I18nService';
+
+/**
+ * Tarjeta de una tecnología de la hoja de ruta
+ */
+const RoadmapItem = ({ item, categoryTitle }) => {
+  const Icon = item.icon;
+
+  return (
+    <li className="p-6 rounded-2xl bg-dark-card/30 backdrop-blur-sm border border-dark-border">
+      <div className="flex items-center gap-4 mb-4">
+        <div className="p-3 rounded-xl" style={{ backgroundColor: `${item.color}20` }}>
+          <Icon className="text-2xl" style={{ color: item.color }} aria-hidden="true" />
+        </div>
+        <div className="flex-1">
+          <h4 className="font-bold text-dark-text">{item.name}</h4>
+          <p className="text-xs text-dark-text/60">
+            {item.graduated
+              ? t('skills.learning.graduated', { category: categoryTitle })
+              : t('skills.learning.target', { date: formatMonth(item.targetDate) })}
+          </p>
+        </div>
+        <span className="text-sm font-medium text-neon-blue">{item.progress}%</span>
+      </div>
+
+      <div
+        role="progressbar"
+        aria-label={t('skills.learning.progressLabel', { name: item.name })}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={item.progress}
+        className="w-full bg-dark-bg rounded-full h-2 overflow-hidden mb-4"
+      >
+        <div
+          className="h-full bg-gradient-to-r from-neon-blue to-blue-400 rounded-full"
+          style={{ width: `${item.progress}%` }}
+        />
+      </div>
+
+      <h5 className="sr-only">{t('skills.learning.milestones')}</h5>
+      <ol className="space-y-2 mb-4">
+        {item.milestones.map(milestone => (
+          <li key={milestone.id} className="flex items-start gap-2 text-sm">
+            {milestone.completedDate ? (
+              <FaCheckCircle className="mt-0.5 text-green-400 shrink-0" aria-hidden="true" />
+            ) : (
+              <FaRegCircle className="mt-0.5 text-dark-text/40 shrink-0" aria-hidden="true" />
+            )}
+            <span className={milestone.completedDate ? 'text-dark-text' : 'text-dark-text/70'}>
+              <span className="sr-only">
+                {milestone.completedDate ? t('skills.learning.completed') : t('skills.learning.pending')}:{' '}
+              </span>
+              {milestone.title}
+              <span className="block text-xs text-dark-text/50">
+                {milestone.completedDate
+                  ? formatMonth(milestone.completedDate)
+                  : t('skills.learning.target', { date: formatMonth(milestone.targetDate) })}
+              </span>
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {item.courses.length > 0 && (
+        <>
+          <h5 className="text-xs uppercase tracking-wide text-dark-text/50 mb-2">{t('skills.learning.courses')}</h5>
+          <ul className="space-y-1">
+            {item.courses.map(course => (
+              <li key={course.url}>
+                <a
+                  href={course.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-2 text-sm text-neon-blue hover:underline"
+                >
+                  {course.title}
+                  <span className="text-dark-text/50">· {course.provider}</span>
+                  <FaExternalLinkAlt className="text-xs" aria-hidden="true" />
+                </a>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </li>
+  );
+};
+
+RoadmapItem.propTypes = {
+  item: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    icon: PropTypes.elementType.isRequired,
+    color: PropTypes.string,
+    targetDate: PropTypes.string,
+    progress: PropTypes.number.isRequired,
+    graduated: PropTypes.bool.isRequired,
+    milestones: PropTypes.array.isRequired,
+    courses: PropTypes.array.isRequired
+  }).isRequired,
+  categoryTitle: PropTypes.string
+};
+
+/**
+ * Últimos hitos completados
+ */
+const RecentlyCompleted = ({ events, categoryTitles }) => {
+  const titleId = useId();
+
+  return (
+    <aside aria-labelledby={titleId} className="p-6 rounded-2xl bg-dark-card/30 border border-dark-border">
+      <h4 id={titleId} className="font-bold text-dark-text mb-4">
+        {t('skills.learning.recent.title')}
+      </h4>
+      {events.length > 0 ? (
+        <ol className="space-y-4">
+          {events.map(event => (
+            <li key={event.id} className="flex gap-3 text-sm">
+              {event.graduation ? (
+                <FaGraduationCap className="mt-0.5 text-neon-blue shrink-0" aria-hidden="true" />
+              ) : (
+                <FaCheckCircle className="mt-0.5 text-green-400 shrink-0" aria-hidden="true" />
+              )}
+              <div>
+                <time dateTime={event.date} className="block text-xs text-dark-text/50">
+                  {formatMonth(event.date)}
+                </time>
+                <span className="text-dark-text">
+                  {event.graduation
+                    ? t('skills.learning.recent.graduation', {
+                      name: event.item.name,
+                      category: categoryTitles[event.item.category] || event.item.category
+                    })
+                    : t('skills.learning.recent.milestone', { name: event.item.name, title: event.milestone.title })}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-dark-text/60">{t('skills.learning.recent.empty')}</p>
+      )}
+    </aside>
+  );
+};
+
+RecentlyCompleted.propTypes = {
+  events: PropTypes.array.isRequired,
+  categoryTitles: PropTypes.objectOf(PropTypes.string).isRequired
+};
+
+/**
+ * Componente LearningRoadmap
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object[]} props.items - Tecnologías de la hoja de ruta, con el icono ya resuelto
+ * @param {Object[]} props.recentlyCompleted - Últimos hitos (CVDataService.getRecentlyCompleted)
+ * @param {Object<string, string>} props.categoryTitles - Título de cada categoría de skills por id
+ * @param {Object} props.variants - Variantes de animación de la sección
+ */
+const LearningRoadmap = ({ items, recentlyCompleted, categoryTitles, variants }) => (
+  <motion.div variants={variants} className="mb-16">
+    <Card variant="gradient" padding="lg" animation="glow">
+      <CardHeader className="text-center mb-8">
+        <CardTitle level={3} color="text-neon-blue">
+          {t('skills.learning.title')}
+        </CardTitle>
+        <p className="text-dark-text/70 mt-2">
+          {t('skills.learning.subtitle')}
+        </p>
+      </CardHeader>
+
+      <CardContent>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <ul className="lg:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-6">
+            {items.map(item => (
+              <RoadmapItem key={item.id} item={item} categoryTitle={categoryTitles[item.category]} />
+            ))}
+          </ul>
+          <RecentlyCompleted events={recentlyCompleted} categoryTitles={categoryTitles} />
+        </div>
+      </CardContent>
+    </Card>
+  </motion.div>
+);
+
+LearningRoadmap.propTypes = {
+  items: PropTypes.array.isRequired,
+  recentlyCompleted: PropTypes.array.isRequired,
+  categoryTitles: PropTypes.objectOf(PropTypes.string).isRequired,
+  variants: PropTypes.object
+};
+
+LearningRoadmap.displayName = 'LearningRoadmap';
+
+export default LearningRoadmap;
@@ -1,31 +1,30 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { motion } from 'framer-motion';
-import { FaExternalLinkAlt, FaGithub } from 'react-icons/fa';
+import { FaExternalLinkAlt, FaGithub, FaSearch, FaTimes } from 'react-icons/fa';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
 import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import cvDataService from '../services/CVDataService';
+import { t } from '../services/I18nService';
+import { getProjectPath } from '../constants/routes';
+import { PROJECT_TYPES, getProjectType, getProjectStatus } from '../constants/projectMeta';
+import useProjectFilters from '../hooks/useProjectFilters';
+import {
+  PROJECT_SORTS,
+  applyProjectFilters,
+  getProjectTags,
+  hasActiveFilters
+} from '../utils/projectFilters';
 
-const PROJECTS = [
-  {
-    name: 'Wunder Coaching',
-    url: 'https://wundercoaching.com.ar',
-    description: 'Sitio web profesional para coaching y desarrollo personal.',
-  },
-  {
-    name: 'Marketing MLB',
-    url: 'https://marketingmlb.com.ar',
-    description: 'Agencia de marketing digital y soluciones web.',
-  },
-  {
-    name: 'Capacitaciones MLB',
-    url: 'https://navajowhite-bat-858967.hostingersite.com',
-    description: 'Plataforma de capacitaciones y cursos especializados.',
-  },
-  {
-    name: 'Tienda de Juegos',
-    url: 'https://github.com/IJSagnella/TP1_PaginaWeb',
-    description: 'E-commerce de videojuegos desarrollado como proyecto académico.',
-    isGitHub: true,
-  },
-];
+const SECTION_ID = 'portfolio';
+
+/**
+ * Tipos de proyecto presentes en la lista
+ * @param {Object[]} projects - Proyectos del CV
+ * @returns {string[]}
+ */
+const getAvailableTypes = (projects) =>
+  Object.keys(PROJECT_TYPES).filter(type => projects.some(project => project.type === type));
 
 const PORTFOLIO_ANIMATIONS = {
   container: {
@@ -34,54 +33,228 @@ const PORTFOLIO_ANIMATIONS = {
   },
 };
 
-const Portfolio = () => (
-  <motion.section
-    id="portfolio"
-    className="py-20 relative"
-    variants={PORTFOLIO_ANIMATIONS.container}
-    initial="hidden"
-    whileInView="visible"
-    viewport={{ once: true, amount: 0.2 }}
-    aria-label="Ejemplos de proyectos realizados"
-  >
-    <div className="container mx-auto px-4">
-      <Card variant="glass" padding="lg" animation="hover">
-        <CardHeader>
-          <CardTitle level={2} color="text-neon-blue">
-            Portafolio de Proyectos
-          </CardTitle>
-        </CardHeader>
-        <CardContent>
-          <div className="grid md:grid-cols-2 gap-8 mb-8">
-            {PROJECTS.map((project) => (
-              <div key={project.url || project.name} className={`p-6 rounded-xl bg-dark-bg border shadow-md flex flex-col gap-2 border-dark-border`}>
-                <span className="font-bold text-lg text-neon-blue flex items-center gap-2">
-                  {project.name}
-                  <a href={project.url} target="_blank" rel="noopener noreferrer" aria-label={`Ver ${project.name}`} className="ml-2 text-dark-text/60 hover:text-neon-blue">
-                    {project.isGitHub ? <FaGithub /> : <FaExternalLinkAlt />}
-                  </a>
-                </span>
-                <span className="text-dark-text/70 text-sm">{project.description}</span>
-              </div>
+const FIELD_CLASSES = 'w-full px-4 py-2 rounded-xl bg-dark-bg border border-dark-border text-dark-text focus:outline-none focus:border-neon-blue transition-colors';
+
+/**
+ * Barra de filtros: búsqueda, tipo, orden y etiquetas
+ */
+const PortfolioFilters = ({ filters, tags, types, resultCount, totalCount, onChange, onToggleTag, onReset }) => (
+  <div role="search" className="mb-8 space-y-4">
+    <div className="grid md:grid-cols-3 gap-4">
+      <label className="block">
+        <span className="block text-sm text-dark-text/70 mb-1">{t('portfolio.filters.search')}</span>
+        <span className="relative block">
+          <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-dark-text/50" aria-hidden="true" />
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(event) => onChange({ query: event.target.value })}
+            placeholder={t('portfolio.filters.searchPlaceholder')}
+            className={`${FIELD_CLASSES} pl-9`}
+          />
+        </span>
+      </label>
+      {types.length > 0 && (
+        <label className="block">
+          <span className="block text-sm text-dark-text/70 mb-1">{t('portfolio.filters.type')}</span>
+          <select
+            value={filters.type}
+            onChange={(event) => onChange({ type: event.target.value })}
+            className={FIELD_CLASSES}
+          >
+            <option value="">{t('portfolio.filters.allTypes')}</option>
+            {types.map(type => (
+              <option key={type} value={type}>{t(PROJECT_TYPES[type].labelKey)}</option>
             ))}
-          </div>
-          <div className="mb-4">
-            <span className="font-bold text-dark-text">Proyectos de Software en GitHub:</span>
-            <a
-              href="https://github.com/EXCOff"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="inline-flex items-center gap-2 ml-2 px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full hover:bg-neon-blue/40 transition-colors"
-              aria-label="Ver portafolio en GitHub"
+          </select>
+        </label>
+      )}
+      <label className="block">
+        <span className="block text-sm text-dark-text/70 mb-1">{t('portfolio.filters.sort')}</span>
+        <select
+          value={filters.sort}
+          onChange={(event) => onChange({ sort: event.target.value })}
+          className={FIELD_CLASSES}
+        >
+          {PROJECT_SORTS.map(sort => (
+            <option key={sort} value={sort}>{t(`portfolio.filters.sorts.${sort}`)}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+
+    {tags.length > 0 && (
+      <div role="group" aria-label={t('portfolio.filters.tags')} className="flex flex-wrap gap-2">
+        {tags.map(tag => {
+          const isSelected = filters.tags.includes(tag.slug);
+          return (
+            <button
+              key={tag.slug}
+              type="button"
+              aria-pressed={isSelected}
+              onClick={() => onToggleTag(tag.slug)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                isSelected
+                  ? 'bg-neon-blue/20 border-neon-blue text-neon-blue'
+                  : 'border-dark-border text-dark-text/70 hover:border-neon-blue/50'
+              }`}
             >
-              <FaGithub />
-              Ver GitHub
-            </a>
-          </div>
-        </CardContent>
-      </Card>
+              {tag.name} <span className="text-xs opacity-70">({tag.count})</span>
+            </button>
+          );
+        })}
+      </div>
+    )}
+
+    <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+      <p className="text-dark-text/70" aria-live="polite">
+        {t('portfolio.filters.results', { count: resultCount, total: totalCount })}
+      </p>
+      {hasActiveFilters(filters) && (
+        <button
+          type="button"
+          onClick={onReset}
+          className="inline-flex items-center gap-1 text-neon-blue hover:underline"
+        >
+          <FaTimes aria-hidden="true" />
+          {t('portfolio.filters.clear')}
+        </button>
+      )}
     </div>
-  </motion.section>
+  </div>
 );
 
+PortfolioFilters.propTypes = {
+  filters: PropTypes.shape({
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    type: PropTypes.string.isRequired,
+    query: PropTypes.string.isRequired,
+    sort: PropTypes.string.isRequired
+  }).isRequired,
+  tags: PropTypes.arrayOf(PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired
+  })).isRequired,
+  types: PropTypes.arrayOf(PropTypes.string).isRequired,
+  resultCount: PropTypes.number.isRequired,
+  totalCount: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onToggleTag: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired
+};
+
+/**
+ * Tarjeta de un proyecto
+ */
+const ProjectCard = ({ project }) => {
+  const type = getProjectType(project.type);
+  const status = getProjectStatus(project.status);
+
+  return (
+    <div className="p-6 rounded-xl bg-dark-bg border shadow-md flex flex-col gap-2 border-dark-border">
+      <span className="font-bold text-lg text-neon-blue flex items-center gap-2">
+        <Link
+          to={getProjectPath(project)}
+          className="hover:underline"
+          aria-label={t('pages.viewDetailsOf', { name: project.name })}
+        >
+          {project.name}
+        </Link>
+        <a href={project.url} target="_blank" rel="noopener noreferrer" aria-label={t('portfolio.viewProject', { name: project.name })} className="ml-2 text-dark-text/60 hover:text-neon-blue">
+          {project.isGitHub ? <FaGithub /> : <FaExternalLinkAlt />}
+        </a>
+      </span>
+      {(type || status || project.year) && (
+        <span className="flex flex-wrap items-center gap-2 text-xs">
+          {type && <span className={`px-2 py-1 rounded-full ${type.bgColor} ${type.color}`}>{t(type.labelKey)}</span>}
+          {status && <span className={`px-2 py-1 rounded-full ${status.bgColor} ${status.color}`}>{t(status.labelKey)}</span>}
+          {project.year && <span className="text-dark-text/60">{project.year}</span>}
+        </span>
+      )}
+      <span className="text-dark-text/70 text-sm">{project.description}</span>
+      {project.tags && project.tags.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label={t('portfolio.filters.tags')}>
+          {project.tags.map(tag => (
+            <li key={tag} className="px-2 py-0.5 rounded-full bg-neon-blue/10 text-neon-blue text-xs">{tag}</li>
+          ))}
+        </ul>
+      )}
+      <Link
+        to={getProjectPath(project)}
+        className="mt-auto pt-2 text-sm text-neon-blue hover:underline"
+      >
+        {project.caseStudy ? t('portfolio.readCaseStudy') : t('pages.viewDetails')} →
+      </Link>
+    </div>
+  );
+};
+
+ProjectCard.propTypes = {
+  project: PropTypes.object.isRequired
+};
+
+const Portfolio = () => {
+  const { filters, updateFilters, toggleTag, resetFilters } = useProjectFilters(SECTION_ID);
+  const allProjects = cvDataService.getProjects();
+  const projectTags = useMemo(() => getProjectTags(allProjects), [allProjects]);
+  const availableTypes = useMemo(() => getAvailableTypes(allProjects), [allProjects]);
+  const projects = useMemo(() => applyProjectFilters(allProjects, filters), [allProjects, filters]);
+  const githubUrl = cvDataService.getContact().social.github;
+
+  return (
+    <motion.section
+      id={SECTION_ID}
+      className="py-20 relative"
+      variants={PORTFOLIO_ANIMATIONS.container}
+      initial="hidden"
+      whileInView="visible"
+      viewport={{ once: true, amount: 0.2 }}
+      aria-label={t('portfolio.sectionLabel')}
+    >
+      <div className="container mx-auto px-4">
+        <Card variant="glass" padding="lg" animation="hover">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('portfolio.title')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <PortfolioFilters
+              filters={filters}
+              tags={projectTags}
+              types={availableTypes}
+              resultCount={projects.length}
+              totalCount={allProjects.length}
+              onChange={updateFilters}
+              onToggleTag={toggleTag}
+              onReset={resetFilters}
+            />
+            {projects.length > 0 ? (
+              <div className="grid md:grid-cols-2 gap-8 mb-8">
+                {projects.map(project => <ProjectCard key={project.id} project={project} />)}
+              </div>
+            ) : (
+              <p className="mb-8 text-dark-text/70">{t('portfolio.filters.empty')}</p>
+            )}
+            <div className="mb-4">
+              <span className="font-bold text-dark-text">{t('portfolio.githubProjects')}</span>
+              <a
+                href={githubUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-2 ml-2 px-4 py-2 bg-neon-blue/20 text-neon-blue rounded-full hover:bg-neon-blue/40 transition-colors"
+                aria-label={t('portfolio.viewGithubAria')}
+              >
+                <FaGithub />
+                {t('portfolio.viewGithub')}
+              </a>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </motion.section>
+  );
+};
+
 export default Portfolio;
@@ -0,0 +1,131 @@
+/**
+ * Panel de relaciones de una habilidad
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: listar los proyectos y certificados que respaldan
+ *   una habilidad
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Las relaciones llegan desde knowledgeGraphService; el panel solo las dibuja
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FaCertificate, FaLaptopCode } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import SidePanel from './UI/SidePanel';
+import knowledgeGraphService from '../services/KnowledgeGraphService';
+import { getCertificatePath, getProjectPath, getSkillPath } from '../constants/routes';
+import { getProjectType } from '../constants/projectMeta';
+import { t } from '../services/I18nService';
+
+/**
+ * Lista de enlaces del panel
+ */
+const RelationList = ({ title, icon: Icon, items, emptyText }) => (
+  <section className="mb-8">
+    <h3 className="flex items-center gap-2 text-lg font-bold text-dark-text mb-3">
+      <Icon className="text-neon-blue" aria-hidden="true" />
+      {title}
+    </h3>
+    {items.length > 0 ? (
+      <ul className="space-y-3">
+        {items.map(item => (
+          <li key={item.key}>
+            <Link
+              to={item.to}
+              className="block p-4 rounded-xl bg-dark-bg border border-dark-border hover:border-neon-blue/50 transition-colors"
+            >
+              <span className="font-bold text-neon-blue">{item.title}</span>
+              {item.detail && <span className="block mt-1 text-sm text-dark-text/70">{item.detail}</span>}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="text-sm text-dark-text/60">{emptyText}</p>
+    )}
+  </section>
+);
+
+RelationList.propTypes = {
+  title: PropTypes.string.isRequired,
+  icon: PropTypes.elementType.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    to: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    detail: PropTypes.string
+  })).isRequired,
+  emptyText: PropTypes.string.isRequired
+};
+
+/**
+ * Componente SkillRelationsPanel
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object|null} props.skill - Habilidad seleccionada (se conserva al cerrar para la animación de salida)
+ * @param {boolean} props.isOpen - Si el panel está visible
+ * @param {Function} props.onClose - Se llama al cerrar el panel
+ */
+const SkillRelationsPanel = ({ skill, isOpen, onClose }) => {
+  const { projects, certificates } = skill
+    ? knowledgeGraphService.getSkillRelations(skill.name)
+    : { projects: [], certificates: [] };
+
+  const projectItems = projects.map(project => {
+    const type = getProjectType(project.type);
+    return {
+      key: project.id,
+      to: getProjectPath(project),
+      title: project.name,
+      detail: type ? type.label : project.description
+    };
+  });
+  const certificateItems = certificates.map(certificate => ({
+    key: certificate.id,
+    to: getCertificatePath(certificate),
+    title: certificate.title,
+    detail: `${certificate.institution} • ${certificate.date}`
+  }));
+
+  return (
+    <SidePanel
+      isOpen={isOpen && Boolean(skill)}
+      onClose={onClose}
+      title={skill ? skill.name : ''}
+      closeLabel={t('skills.relations.close')}
+    >
+      {skill && (
+        <>
+          <p className="text-dark-text/70 mb-8">{t('skills.relations.description')}</p>
+          <RelationList
+            title={t('skills.relations.projects')}
+            icon={FaLaptopCode}
+            items={projectItems}
+            emptyText={t('skills.relations.noProjects')}
+          />
+          <RelationList
+            title={t('skills.relations.certificates')}
+            icon={FaCertificate}
+            items={certificateItems}
+            emptyText={t('skills.relations.noCertificates')}
+          />
+          <Link to={getSkillPath(skill)} className="text-neon-blue hover:underline">
+            {t('skills.relations.viewSkill')} →
+          </Link>
+        </>
+      )}
+    </SidePanel>
+  );
+};
+
+SkillRelationsPanel.propTypes = {
+  skill: PropTypes.object,
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+SkillRelationsPanel.displayName = 'SkillRelationsPanel';
+
+export default SkillRelationsPanel;
@@ -0,0 +1,410 @@
+/**
+ * Visualizaciones de habilidades (radar, matriz y línea de tiempo)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: dibujar en SVG los niveles y fechas de las habilidades
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Cada vista es un componente registrado en CHART_VIEWS; sumar una vista
+ *   es agregar una entrada
+ *
+ * BUENAS PRÁCTICAS:
+ * - SVG nativo de React, sin librerías de gráficos
+ * - Pestañas con el patrón ARIA "tabs" (flechas, Inicio y Fin)
+ * - Cada gráfico tiene una tabla equivalente: siempre disponible para lectores
+ *   de pantalla y visible con el botón "Ver como tabla"
+ * - Los cálculos viven en utils/skillCharts
+ */
+
+import React, { useId, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import Card, { CardHeader, CardTitle, CardContent } from './UI/Card';
+import { ChartSvg, DataTable } from './UI/Chart';
+import {
+  getCategoryProficiency,
+  getRadarPoint,
+  wrapLabel,
+  toPolygonPoints,
+  getAdoptionValue,
+  getScoredSkills,
+  getYearRange,
+  getAdoptionTimeline
+} from '../utils/skillCharts';
+import { t } from '../services/I18nService';
+
+/**
+ * Medidas de los gráficos (unidades del viewBox)
+ */
+const RADAR = { width: 560, height: 440, radius: 150, rings: [25, 50, 75, 100], labelOffset: 22, lineHeight: 13, labelChars: 18 };
+const MATRIX = { labelWidth: 170, cellWidth: 56, rowHeight: 26, headerHeight: 30, levelWidth: 56 };
+const TIMELINE = { axisX: 70, rowHeight: 24, groupGap: 16, width: 420 };
+
+/**
+ * Radar con el nivel promedio de cada categoría
+ */
+const RadarChart = ({ categories, showTable }) => {
+  const axes = useMemo(() => getCategoryProficiency(categories), [categories]);
+  const center = { x: RADAR.width / 2, y: RADAR.height / 2 };
+  const pointAt = (index, value) => getRadarPoint(index, axes.length, value, RADAR.radius, center);
+
+  return (
+    <>
+      <ChartSvg
+        title={t('skills.charts.radar.title')}
+        description={t('skills.charts.radar.description', { count: axes.length })}
+        width={RADAR.width}
+        height={RADAR.height}
+      >
+        <g className="text-dark-border" fill="none" stroke="currentColor">
+          {RADAR.rings.map(ring => (
+            <polygon key={ring} points={toPolygonPoints(axes.map((_, index) => pointAt(index, ring)))} />
+          ))}
+          {axes.map((axis, index) => {
+            const end = pointAt(index, 100);
+            return <line key={axis.id} x1={center.x} y1={center.y} x2={end.x} y2={end.y} />;
+          })}
+        </g>
+        <polygon
+          className="text-neon-blue"
+          points={toPolygonPoints(axes.map((axis, index) => pointAt(index, axis.value)))}
+          fill="currentColor"
+          fillOpacity="0.2"
+          stroke="currentColor"
+          strokeWidth="2"
+        />
+        {axes.map((axis, index) => {
+          const point = pointAt(index, axis.value);
+          const label = getRadarPoint(index, axes.length, 100, RADAR.radius + RADAR.labelOffset, center);
+          const anchor = Math.abs(label.x - center.x) < 1 ? 'middle' : label.x > center.x ? 'start' : 'end';
+          const lines = [...wrapLabel(axis.title, RADAR.labelChars), `${axis.value}%`];
+          // Las etiquetas crecen hacia afuera del radar: hacia arriba en la mitad
+          // superior, hacia abajo en la inferior y centradas en los costados
+          const shift = Math.abs(label.y - center.y) < 1 ? 0.5 : label.y < center.y ? 1 : 0;
+          const top = Math.round(label.y - shift * (lines.length - 1) * RADAR.lineHeight);
+          return (
+            <g key={axis.id}>
+              <circle className="text-neon-blue" cx={point.x} cy={point.y} r="4" fill="currentColor" />
+              <text textAnchor={anchor} dominantBaseline="middle" className="fill-dark-text text-[11px]">
+                {lines.map((line, lineIndex) => (
+                  <tspan
+                    key={lineIndex}
+                    x={label.x}
+                    y={top + lineIndex * RADAR.lineHeight}
+                    className={lineIndex === lines.length - 1 ? 'fill-neon-blue' : undefined}
+                  >
+                    {line}
+                  </tspan>
+                ))}
+              </text>
+            </g>
+          );
+        })}
+      </ChartSvg>
+      <DataTable
+        caption={t('skills.charts.radar.title')}
+        columns={[
+          t('skills.charts.columns.category'),
+          t('skills.charts.columns.average'),
+          t('skills.charts.columns.skills')
+        ]}
+        rows={axes.map(axis => [axis.title, `${axis.value}%`, axis.count])}
+        isVisible={showTable}
+      />
+    </>
+  );
+};
+
+RadarChart.propTypes = {
+  categories: PropTypes.array.isRequired,
+  showTable: PropTypes.bool.isRequired
+};
+
+/**
+ * Matriz habilidad / año: una celda por año en que se usó la habilidad,
+ * con opacidad según el nivel
+ */
+const SkillMatrix = ({ categories, showTable }) => {
+  const skills = useMemo(() => getScoredSkills(categories), [categories]);
+  const years = useMemo(() => getYearRange(skills), [skills]);
+  const width = MATRIX.labelWidth + years.length * MATRIX.cellWidth + MATRIX.levelWidth;
+  const height = MATRIX.headerHeight + skills.length * MATRIX.rowHeight;
+
+  return (
+    <>
+      <div className="w-full overflow-x-auto flex justify-center">
+        <ChartSvg
+          title={t('skills.charts.matrix.title')}
+          description={t('skills.charts.matrix.description', {
+            count: skills.length,
+            from: years[0],
+            to: years[years.length - 1]
+          })}
+          width={width}
+          height={height}
+        >
+          {years.map((year, column) => (
+            <text
+              key={year}
+              x={MATRIX.labelWidth + column * MATRIX.cellWidth + MATRIX.cellWidth / 2}
+              y={MATRIX.headerHeight / 2}
+              textAnchor="middle"
+              dominantBaseline="middle"
+              className="fill-dark-text/70 text-[11px]"
+            >
+              {year}
+            </text>
+          ))}
+          {skills.map((skill, row) => {
+            const y = MATRIX.headerHeight + row * MATRIX.rowHeight;
+            const adoptionYear = Math.floor(getAdoptionValue(skill));
+            return (
+              <g key={skill.name}>
+                <text
+                  x={MATRIX.labelWidth - 10}
+                  y={y + MATRIX.rowHeight / 2}
+                  textAnchor="end"
+                  dominantBaseline="middle"
+                  className="fill-dark-text text-[11px]"
+                >
+                  {skill.name}
+                </text>
+                {years.map((year, column) => (
+                  <rect
+                    key={year}
+                    x={MATRIX.labelWidth + column * MATRIX.cellWidth + 2}
+                    y={y + 3}
+                    width={MATRIX.cellWidth - 4}
+                    height={MATRIX.rowHeight - 6}
+                    rx="4"
+                    fill={year >= adoptionYear ? skill.color || '#00d4ff' : 'transparent'}
+                    fillOpacity={year >= adoptionYear ? 0.25 + (0.75 * skill.level) / 100 : 0}
+                    stroke={year >= adoptionYear ? 'none' : '#333333'}
+                  />
+                ))}
+                <text
+                  x={width - MATRIX.levelWidth / 2}
+                  y={y + MATRIX.rowHeight / 2}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  className="fill-neon-blue text-[11px]"
+                >
+                  {skill.level}%
+                </text>
+              </g>
+            );
+          })}
+        </ChartSvg>
+      </div>
+      <DataTable
+        caption={t('skills.charts.matrix.title')}
+        columns={[
+          t('skills.charts.columns.skill'),
+          t('skills.charts.columns.since'),
+          t('skills.charts.columns.experience'),
+          t('skills.charts.columns.level')
+        ]}
+        rows={skills.map(skill => [skill.name, skill.evidence.since, skill.experience, `${skill.level}%`])}
+        isVisible={showTable}
+      />
+    </>
+  );
+};
+
+SkillMatrix.propTypes = {
+  categories: PropTypes.array.isRequired,
+  showTable: PropTypes.bool.isRequired
+};
+
+/**
+ * Línea de tiempo vertical con las tecnologías adoptadas cada año
+ */
+const AdoptionTimeline = ({ categories, showTable }) => {
+  const groups = useMemo(() => getAdoptionTimeline(getScoredSkills(categories)), [categories]);
+  const layout = groups.reduce((rows, group) => {
+    const top = rows.length > 0
+      ? rows[rows.length - 1].top + rows[rows.length - 1].group.skills.length * TIMELINE.rowHeight + TIMELINE.groupGap
+      : TIMELINE.groupGap;
+    return [...rows, { group, top }];
+  }, []);
+  const last = layout[layout.length - 1];
+  const height = last ? last.top + last.group.skills.length * TIMELINE.rowHeight + TIMELINE.groupGap : 0;
+
+  return (
+    <>
+      <ChartSvg
+        title={t('skills.charts.timeline.title')}
+        description={t('skills.charts.timeline.description', { count: groups.length })}
+        width={TIMELINE.width}
+        height={height}
+      >
+        <line
+          className="text-dark-border"
+          x1={TIMELINE.axisX}
+          y1={0}
+          x2={TIMELINE.axisX}
+          y2={height}
+          stroke="currentColor"
+          strokeWidth="2"
+        />
+        {layout.map(({ group, top }) => (
+          <g key={group.year}>
+            <circle className="text-neon-blue" cx={TIMELINE.axisX} cy={top + TIMELINE.rowHeight / 2} r="6" fill="currentColor" />
+            <text
+              x={TIMELINE.axisX - 14}
+              y={top + TIMELINE.rowHeight / 2}
+              textAnchor="end"
+              dominantBaseline="middle"
+              className="fill-neon-blue text-[13px] font-bold"
+            >
+              {group.year}
+            </text>
+            {group.skills.map((skill, index) => (
+              <g key={skill.name}>
+                <circle
+                  cx={TIMELINE.axisX + 24}
+                  cy={top + index * TIMELINE.rowHeight + TIMELINE.rowHeight / 2}
+                  r="4"
+                  fill={skill.color || '#00d4ff'}
+                />
+                <text
+                  x={TIMELINE.axisX + 36}
+                  y={top + index * TIMELINE.rowHeight + TIMELINE.rowHeight / 2}
+                  dominantBaseline="middle"
+                  className="fill-dark-text text-[12px]"
+                >
+                  {skill.name} · {skill.experience}
+                </text>
+              </g>
+            ))}
+          </g>
+        ))}
+      </ChartSvg>
+      <DataTable
+        caption={t('skills.charts.timeline.title')}
+        columns={[t('skills.charts.columns.year'), t('skills.charts.columns.skills')]}
+        rows={groups.map(group => [group.year, group.skills.map(skill => skill.name).join(', ')])}
+        isVisible={showTable}
+      />
+    </>
+  );
+};
+
+AdoptionTimeline.propTypes = {
+  categories: PropTypes.array.isRequired,
+  showTable: PropTypes.bool.isRequired
+};
+
+/**
+ * Vistas disponibles, en el orden de las pestañas
+ */
+const CHART_VIEWS = [
+  { id: 'radar', component: RadarChart },
+  { id: 'matrix', component: SkillMatrix },
+  { id: 'timeline', component: AdoptionTimeline }
+];
+
+/**
+ * Componente SkillsVisualizations
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object[]} props.categories - Categorías de Skills con "id", "title" y "technologies"
+ */
+const SkillsVisualizations = ({ categories }) => {
+  const baseId = useId();
+  const [activeView, setActiveView] = useState(CHART_VIEWS[0].id);
+  const [showTable, setShowTable] = useState(false);
+  const tabRefs = useRef([]);
+
+  const selectTab = (index) => {
+    const nextIndex = (index + CHART_VIEWS.length) % CHART_VIEWS.length;
+    setActiveView(CHART_VIEWS[nextIndex].id);
+    tabRefs.current[nextIndex].focus();
+  };
+
+  const handleKeyDown = (event, index) => {
+    const moves = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      Home: 0,
+      End: CHART_VIEWS.length - 1
+    };
+    if (moves[event.key] !== undefined) {
+      event.preventDefault();
+      selectTab(moves[event.key]);
+    }
+  };
+
+  const active = CHART_VIEWS.find(view => view.id === activeView);
+  const ActiveChart = active.component;
+
+  return (
+    <Card variant="glass" padding="lg" className="mb-16">
+      <CardHeader className="text-center mb-8">
+        <CardTitle level={3} color="text-neon-blue">
+          {t('skills.charts.title')}
+        </CardTitle>
+        <p className="text-dark-text/70 mt-2">{t('skills.charts.subtitle')}</p>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div role="tablist" aria-label={t('skills.charts.tabsLabel')} className="flex flex-wrap gap-2">
+            {CHART_VIEWS.map((view, index) => {
+              const isActive = view.id === activeView;
+              return (
+                <button
+                  key={view.id}
+                  ref={element => { tabRefs.current[index] = element; }}
+                  type="button"
+                  role="tab"
+                  id={`${baseId}-tab-${view.id}`}
+                  aria-selected={isActive}
+                  aria-controls={`${baseId}-panel-${view.id}`}
+                  tabIndex={isActive ? 0 : -1}
+                  onClick={() => setActiveView(view.id)}
+                  onKeyDown={event => handleKeyDown(event, index)}
+                  className={`px-4 py-2 rounded-full text-sm border transition-colors ${
+                    isActive
+                      ? 'bg-neon-blue/20 border-neon-blue text-neon-blue'
+                      : 'border-dark-border text-dark-text/70 hover:text-neon-blue'
+                  }`}
+                >
+                  {t(`skills.charts.${view.id}.tab`)}
+                </button>
+              );
+            })}
+          </div>
+          <button
+            type="button"
+            aria-pressed={showTable}
+            onClick={() => setShowTable(visible => !visible)}
+            className="text-sm text-dark-text/70 hover:text-neon-blue underline-offset-4 hover:underline"
+          >
+            {t('skills.charts.showTable')}
+          </button>
+        </div>
+
+        <div
+          role="tabpanel"
+          id={`${baseId}-panel-${active.id}`}
+          aria-labelledby={`${baseId}-tab-${active.id}`}
+          tabIndex={0}
+          className="flex flex-col items-center"
+        >
+          <ActiveChart categories={categories} showTable={showTable} />
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+SkillsVisualizations.propTypes = {
+  categories: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    technologies: PropTypes.array.isRequired
+  })).isRequired
+};
+
+SkillsVisualizations.displayName = 'SkillsVisualizations';
+
+export default SkillsVisualizations;
@@ -0,0 +1,83 @@
+/**
+ * Piezas comunes de los gráficos SVG
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: dar a cada gráfico un SVG accesible y su tabla
+ *   equivalente; el dibujo de cada gráfico queda en quien lo usa
+ *
+ * BUENAS PRÁCTICAS:
+ * - El SVG se anuncia como imagen con título y descripción
+ * - La tabla siempre está disponible para lectores de pantalla y se muestra
+ *   en pantalla cuando el usuario lo pide
+ */
+
+import React, { useId } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Tabla equivalente a un gráfico
+ */
+export const DataTable = ({ caption, columns, rows, isVisible }) => (
+  <div className={isVisible ? 'mt-6 w-full overflow-x-auto' : 'sr-only'}>
+    <table className="w-full text-sm text-left text-dark-text/80">
+      <caption className="text-left text-dark-text/60 mb-2">{caption}</caption>
+      <thead>
+        <tr className="border-b border-dark-border">
+          {columns.map(column => (
+            <th key={column} scope="col" className="py-2 pr-4 font-medium text-dark-text">{column}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row[0]} className="border-b border-dark-border/50">
+            {row.map((cell, index) => (
+              index === 0
+                ? <th key={index} scope="row" className="py-2 pr-4 font-normal text-dark-text">{cell}</th>
+                : <td key={index} className="py-2 pr-4">{cell}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+DataTable.propTypes = {
+  caption: PropTypes.string.isRequired,
+  columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+  rows: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.node)).isRequired,
+  isVisible: PropTypes.bool.isRequired
+};
+
+/**
+ * SVG accesible: título y descripción enlazados con aria-labelledby / aria-describedby
+ */
+export const ChartSvg = ({ title, description, width, height, children }) => {
+  const titleId = useId();
+  const descriptionId = useId();
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-labelledby={titleId}
+      aria-describedby={descriptionId}
+      className="w-full h-auto"
+      style={{ maxWidth: width }}
+    >
+      <title id={titleId}>{title}</title>
+      <desc id={descriptionId}>{description}</desc>
+      {children}
+    </svg>
+  );
+};
+
+ChartSvg.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string.isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  children: PropTypes.node
+};
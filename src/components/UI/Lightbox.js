@@ -0,0 +1,319 @@
+/**
+ * Componente Lightbox Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar una galería de imágenes en un diálogo a
+ *   pantalla completa, con zoom, desplazamiento y navegación
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe los elementos y los textos por props; el zoom vive en useZoomPan y
+ *   el manejo del foco en useFocusTrap
+ *
+ * BUENAS PRÁCTICAS:
+ * - role="dialog" con aria-modal, título asociado y foco atrapado
+ * - Teclado: Escape cierra, ← → navegan (o desplazan con zoom), + - 0 ajustan el zoom,
+ *   Re Pág / Av Pág cambian de página en los PDF
+ * - Rueda del mouse y pellizco para ampliar; arrastre para desplazar
+ * - Imágenes y PDF (mediaType "pdf", ver PdfViewer) comparten zoom y controles
+ * - Los elementos sin documento (o cuyo documento no carga) muestran un estado vacío
+ */
+
+import React, { useCallback, useEffect, useId, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FaTimes, FaChevronLeft, FaChevronRight, FaSearchPlus, FaSearchMinus, FaCompress, FaFileImage, FaDownload
+} from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import PdfViewer from './PdfViewer';
+import useZoomPan from '../../hooks/useZoomPan';
+import useFocusTrap from '../../hooks/useFocusTrap';
+
+/**
+ * Animaciones del fondo y de la imagen
+ */
+const LIGHTBOX_ANIMATIONS = {
+  overlay: {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { duration: 0.2 } },
+    exit: { opacity: 0, transition: { duration: 0.2 } }
+  },
+  content: {
+    hidden: { opacity: 0, scale: 0.95 },
+    visible: { opacity: 1, scale: 1, transition: { duration: 0.25, ease: 'easeOut' } }
+  }
+};
+
+/**
+ * Píxeles que se desplaza la imagen ampliada con cada flecha
+ */
+const KEYBOARD_PAN_STEP = 60;
+
+const CONTROL_CLASSES = 'p-3 rounded-full text-dark-text/80 bg-dark-card/80 hover:text-neon-blue hover:bg-neon-blue/10 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 transition-colors disabled:opacity-40';
+
+/**
+ * Componente Lightbox
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object[]} props.items - Elementos: { id, title, src (o null), mediaType ("image" o "pdf"),
+ *   alt, caption, download (URL de descarga), downloadName }
+ * @param {number|null} props.index - Elemento abierto (null = cerrado)
+ * @param {Function} props.onNavigate - Recibe el índice del elemento a mostrar
+ * @param {Function} props.onClose - Se llama al cerrar
+ * @param {Object} props.labels - Textos accesibles de los controles y del estado vacío;
+ *   page(página, total) nombra cada página de un PDF
+ */
+const Lightbox = ({ items, index, onNavigate, onClose, labels }) => {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const [failedSrc, setFailedSrc] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageCount, setPageCount] = useState(0);
+  const { transform, isZoomed, zoomIn, zoomOut, reset, panBy, handlers } = useZoomPan();
+
+  const isOpen = index !== null && Boolean(items[index]);
+  const item = isOpen ? items[index] : null;
+  const hasDocument = Boolean(item && item.src) && failedSrc !== item.src;
+  const isPdf = hasDocument && item.mediaType === 'pdf';
+  const hasSeveral = items.length > 1;
+
+  useFocusTrap(dialogRef, isOpen, closeButtonRef);
+
+  const showPrevious = useCallback(() => {
+    onNavigate((index - 1 + items.length) % items.length);
+  }, [index, items.length, onNavigate]);
+
+  const showNext = useCallback(() => {
+    onNavigate((index + 1) % items.length);
+  }, [index, items.length, onNavigate]);
+
+  const markFailed = useCallback(() => {
+    setFailedSrc(item ? item.src : null);
+  }, [item]);
+
+  const changePage = useCallback((step) => {
+    setPage(current => Math.min(Math.max(current + step, 1), Math.max(pageCount, 1)));
+  }, [pageCount]);
+
+  // Cada elemento se abre sin zoom y en su primera página
+  useEffect(() => {
+    reset();
+    setPage(1);
+    setPageCount(0);
+  }, [index, reset]);
+
+  // Cada página de un PDF se abre sin zoom
+  useEffect(() => {
+    reset();
+  }, [page, reset]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      return undefined;
+    }
+
+    const previousOverflow = document.body.style.overflow;
+    // Con zoom las flechas desplazan la imagen; sin zoom, ← y → cambian de elemento
+    const pan = (dx, dy) => () => isZoomed && panBy(dx, dy);
+    const navigate = (step) => () => {
+      if (isZoomed) {
+        panBy(-step * KEYBOARD_PAN_STEP, 0);
+      } else if (hasSeveral) {
+        (step < 0 ? showPrevious : showNext)();
+      }
+    };
+    const shortcuts = {
+      Escape: onClose,
+      '+': zoomIn,
+      '=': zoomIn,
+      '-': zoomOut,
+      '0': reset,
+      ArrowLeft: navigate(-1),
+      ArrowRight: navigate(1),
+      ArrowUp: pan(0, KEYBOARD_PAN_STEP),
+      ArrowDown: pan(0, -KEYBOARD_PAN_STEP),
+      PageUp: () => isPdf && changePage(-1),
+      PageDown: () => isPdf && changePage(1)
+    };
+    const handleKeyDown = (event) => {
+      const action = shortcuts[event.key];
+      if (action) {
+        event.preventDefault();
+        action();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = previousOverflow;
+    };
+  }, [isOpen, isZoomed, isPdf, hasSeveral, onClose, showPrevious, showNext, changePage, zoomIn, zoomOut, reset, panBy]);
+
+  const contentStyle = {
+    transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+    transition: 'transform 0.1s ease-out'
+  };
+  const zoomAreaProps = {
+    ...handlers,
+    onDoubleClick: isZoomed ? reset : zoomIn,
+    className: isZoomed ? 'cursor-grab active:cursor-grabbing' : 'cursor-zoom-in'
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          ref={dialogRef}
+          initial="hidden"
+          animate="visible"
+          exit="exit"
+          variants={LIGHTBOX_ANIMATIONS.overlay}
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby={titleId}
+          className="fixed inset-0 z-[70] flex flex-col bg-black/90 backdrop-blur-sm"
+        >
+          <div className="flex items-center justify-between gap-4 p-4">
+            <div className="min-w-0">
+              <h2 id={titleId} className="text-lg font-bold text-neon-blue truncate">{item.title}</h2>
+              {item.caption && <p className="text-sm text-dark-text/70 truncate">{item.caption}</p>}
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              {hasSeveral && (
+                <span className="text-sm text-dark-text/70 mr-2" aria-live="polite">
+                  {index + 1} / {items.length}
+                </span>
+              )}
+              {item.download && hasDocument && (
+                <a href={item.download} download={item.downloadName || true} className={CONTROL_CLASSES} aria-label={labels.download}>
+                  <FaDownload aria-hidden="true" />
+                </a>
+              )}
+              <button type="button" onClick={zoomOut} disabled={!hasDocument || !isZoomed} className={CONTROL_CLASSES} aria-label={labels.zoomOut}>
+                <FaSearchMinus aria-hidden="true" />
+              </button>
+              <button type="button" onClick={zoomIn} disabled={!hasDocument} className={CONTROL_CLASSES} aria-label={labels.zoomIn}>
+                <FaSearchPlus aria-hidden="true" />
+              </button>
+              <button type="button" onClick={reset} disabled={!hasDocument || !isZoomed} className={CONTROL_CLASSES} aria-label={labels.reset}>
+                <FaCompress aria-hidden="true" />
+              </button>
+              <button ref={closeButtonRef} type="button" onClick={onClose} className={CONTROL_CLASSES} aria-label={labels.close}>
+                <FaTimes aria-hidden="true" />
+              </button>
+            </div>
+          </div>
+
+          <div className="relative flex-1 flex items-center justify-center overflow-hidden">
+            {isPdf && (
+              <PdfViewer
+                key={item.src}
+                src={item.src}
+                title={item.alt || item.title}
+                page={page}
+                onPageChange={setPage}
+                onPageCount={setPageCount}
+                onError={markFailed}
+                contentStyle={contentStyle}
+                pageProps={zoomAreaProps}
+                labels={{ loading: labels.loading, pages: labels.pages, page: labels.page }}
+              />
+            )}
+            {hasDocument && !isPdf && (
+              <div
+                {...zoomAreaProps}
+                className={`w-full h-full flex items-center justify-center select-none ${zoomAreaProps.className}`}
+                style={{ touchAction: 'none' }}
+              >
+                <motion.div
+                  key={item.src}
+                  initial="hidden"
+                  animate="visible"
+                  variants={LIGHTBOX_ANIMATIONS.content}
+                  className="w-full h-full flex items-center justify-center"
+                >
+                  <img
+                    src={item.src}
+                    alt={item.alt || item.title}
+                    draggable={false}
+                    onError={markFailed}
+                    className="max-w-full max-h-full object-contain"
+                    style={contentStyle}
+                  />
+                </motion.div>
+              </div>
+            )}
+            {!hasDocument && (
+              <div className="flex flex-col items-center gap-4 p-8 text-center text-dark-text/70" role="status">
+                <FaFileImage className="text-6xl text-dark-text/40" aria-hidden="true" />
+                <p className="text-lg">{labels.empty}</p>
+              </div>
+            )}
+
+            {hasSeveral && (
+              <>
+                <button
+                  type="button"
+                  onClick={showPrevious}
+                  className={`${CONTROL_CLASSES} absolute left-4 top-1/2 -translate-y-1/2`}
+                  aria-label={labels.previous}
+                >
+                  <FaChevronLeft aria-hidden="true" />
+                </button>
+                <button
+                  type="button"
+                  onClick={showNext}
+                  className={`${CONTROL_CLASSES} absolute right-4 top-1/2 -translate-y-1/2`}
+                  aria-label={labels.next}
+                >
+                  <FaChevronRight aria-hidden="true" />
+                </button>
+              </>
+            )}
+          </div>
+
+          {labels.help && (
+            <p className="p-3 text-center text-xs text-dark-text/50">{labels.help}</p>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+Lightbox.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    src: PropTypes.string,
+    mediaType: PropTypes.oneOf(['image', 'pdf']),
+    alt: PropTypes.string,
+    caption: PropTypes.string,
+    download: PropTypes.string,
+    downloadName: PropTypes.string
+  })).isRequired,
+  index: PropTypes.number,
+  onNavigate: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  labels: PropTypes.shape({
+    close: PropTypes.string.isRequired,
+    previous: PropTypes.string.isRequired,
+    next: PropTypes.string.isRequired,
+    zoomIn: PropTypes.string.isRequired,
+    zoomOut: PropTypes.string.isRequired,
+    reset: PropTypes.string.isRequired,
+    empty: PropTypes.string.isRequired,
+    download: PropTypes.string.isRequired,
+    loading: PropTypes.string.isRequired,
+    pages: PropTypes.string.isRequired,
+    page: PropTypes.func.isRequired,
+    help: PropTypes.string
+  }).isRequired
+};
+
+Lightbox.displayName = 'Lightbox';
+
+export default Lightbox;
@@ -0,0 +1,127 @@
+/**
+ * Componente Markdown Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: dibujar los bloques que genera utils/markdown
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - El parseo vive en utils/markdown; el componente solo recibe bloques
+ *
+ * BUENAS PRÁCTICAS:
+ * - Sin innerHTML: cada bloque es un elemento de React
+ * - Los títulos se desplazan un nivel (# -> h2) porque la página ya tiene su h1
+ * - Enlaces externos en pestaña nueva con rel="noopener noreferrer"
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Clases de los títulos según su nivel en la página
+ */
+const HEADING_CLASSES = {
+  2: 'text-2xl font-bold text-neon-blue mt-8 mb-4',
+  3: 'text-xl font-bold text-dark-text mt-6 mb-3',
+  4: 'text-lg font-semibold text-dark-text mt-4 mb-2'
+};
+
+/**
+ * Dibuja los fragmentos en línea de un bloque
+ * @param {Object[]} tokens - Fragmentos de parseInline
+ * @returns {React.ReactNode[]}
+ */
+const renderInline = (tokens) => tokens.map((token, index) => {
+  switch (token.type) {
+    case 'strong':
+      return <strong key={index} className="text-dark-text">{token.text}</strong>;
+    case 'em':
+      return <em key={index}>{token.text}</em>;
+    case 'code':
+      return <code key={index} className="px-1 py-0.5 rounded bg-dark-bg text-neon-blue text-sm">{token.text}</code>;
+    case 'link': {
+      const isExternal = /^https?:/i.test(token.href);
+      return (
+        <a
+          key={index}
+          href={token.href}
+          className="text-neon-blue underline hover:text-neon-blue/80"
+          {...(isExternal ? { target: '_blank', rel: 'noopener noreferrer' } : {})}
+        >
+          {token.text}
+        </a>
+      );
+    }
+    default:
+      return <React.Fragment key={index}>{token.text}</React.Fragment>;
+  }
+});
+
+/**
+ * Dibuja un bloque
+ * @param {Object} block - Bloque de parseMarkdown
+ * @param {number} index - Posición (clave de React)
+ * @returns {React.ReactNode}
+ */
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const level = Math.min(6, block.level + 1);
+      const Tag = `h${level}`;
+      return <Tag key={index} className={HEADING_CLASSES[level] || HEADING_CLASSES[4]}>{renderInline(block.content)}</Tag>;
+    }
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 space-y-1 mb-4`}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </Tag>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={index} className="border-l-4 border-neon-blue/50 pl-4 italic text-dark-text/70 mb-4">
+          {renderInline(block.content)}
+        </blockquote>
+      );
+    case 'code':
+      return (
+        <pre key={index} className="p-4 mb-4 rounded-xl bg-dark-bg border border-dark-border overflow-auto text-sm">
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'image':
+      return (
+        <img
+          key={index}
+          src={block.src}
+          alt={block.alt}
+          loading="lazy"
+          className="w-full rounded-xl border border-dark-border mb-4"
+        />
+      );
+    default:
+      return <p key={index} className="mb-4 leading-relaxed">{renderInline(block.content)}</p>;
+  }
+};
+
+/**
+ * Componente Markdown
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object[]} props.blocks - Bloques generados por parseMarkdown
+ * @param {string} [props.className] - Clases adicionales del contenedor
+ */
+const Markdown = ({ blocks, className = '' }) => (
+  <div className={`text-dark-text/80 ${className}`}>
+    {blocks.map(renderBlock)}
+  </div>
+);
+
+Markdown.propTypes = {
+  blocks: PropTypes.arrayOf(PropTypes.object).isRequired,
+  className: PropTypes.string
+};
+
+Markdown.displayName = 'Markdown';
+
+export default Markdown;
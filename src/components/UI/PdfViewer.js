@@ -0,0 +1,177 @@
+/**
+ * Componente PdfViewer Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar una página de un PDF con miniaturas para
+ *   saltar entre páginas
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - La carga vive en usePdfDocument y el zoom lo decide quien lo usa (Lightbox):
+ *   este componente recibe la transformación y los manejadores ya resueltos
+ *
+ * BUENAS PRÁCTICAS:
+ * - Cada página se dibuja en un canvas y el dibujo se cancela si cambia antes de terminar
+ * - Miniaturas como botones con aria-current en la página visible
+ * - Si el PDF no se puede abrir avisa con onError para mostrar el estado vacío
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import usePdfDocument from '../../hooks/usePdfDocument';
+
+/**
+ * Ancho de las miniaturas y tope del ancho de la página, en píxeles CSS
+ */
+const THUMBNAIL_WIDTH = 96;
+const MAX_PAGE_WIDTH = 1000;
+
+/**
+ * Canvas con una página del documento
+ */
+const PdfPage = ({ pdf, renderPage, pageNumber, width, className, style }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!canvasRef.current || width <= 0) {
+      return undefined;
+    }
+    const task = renderPage(pdf, pageNumber, canvasRef.current, width);
+    task.promise.catch(error => {
+      if (error && error.name !== 'RenderingCancelledException') {
+        console.warn(`No se pudo dibujar la página ${pageNumber}:`, error);
+      }
+    });
+    return task.cancel;
+  }, [pdf, renderPage, pageNumber, width]);
+
+  return <canvas ref={canvasRef} className={className} style={style} aria-hidden="true" />;
+};
+
+PdfPage.propTypes = {
+  pdf: PropTypes.object.isRequired,
+  renderPage: PropTypes.func.isRequired,
+  pageNumber: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+  className: PropTypes.string,
+  style: PropTypes.object
+};
+
+/**
+ * Componente PdfViewer
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.src - URL del PDF
+ * @param {string} props.title - Nombre accesible del documento
+ * @param {number} props.page - Página visible (desde 1)
+ * @param {Function} props.onPageChange - Recibe la página a mostrar
+ * @param {Function} props.onPageCount - Recibe la cantidad de páginas al abrir el documento
+ * @param {Function} props.onError - Se llama si el documento no se puede abrir
+ * @param {Object} props.contentStyle - Estilo de la página (zoom y desplazamiento)
+ * @param {Object} props.pageProps - Manejadores del área de la página (arrastre, rueda, doble clic)
+ * @param {Object} props.labels - Textos: loading, pages y page(página, total)
+ */
+const PdfViewer = ({
+  src, title, page, onPageChange, onPageCount, onError, contentStyle, pageProps = {}, labels
+}) => {
+  const { status, pdf, pageCount, renderPage } = usePdfDocument(src);
+  const containerRef = useRef(null);
+  const [pageWidth, setPageWidth] = useState(MAX_PAGE_WIDTH);
+
+  useEffect(() => {
+    if (status === 'error') {
+      onError();
+    } else if (status === 'ready') {
+      onPageCount(pageCount);
+    }
+  }, [status, pageCount, onError, onPageCount]);
+
+  // La página ocupa el ancho disponible, sin pasar de MAX_PAGE_WIDTH
+  useEffect(() => {
+    const measure = () => {
+      if (containerRef.current && containerRef.current.clientWidth > 0) {
+        setPageWidth(Math.min(MAX_PAGE_WIDTH, containerRef.current.clientWidth - 32));
+      }
+    };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const currentPage = Math.min(Math.max(page, 1), Math.max(pageCount, 1));
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+
+  return (
+    <div className="w-full h-full flex flex-col">
+      <div
+        {...pageProps}
+        ref={containerRef}
+        className={`relative flex-1 min-h-0 flex items-center justify-center overflow-hidden select-none ${pageProps.className || ''}`}
+        style={{ touchAction: 'none' }}
+        role="img"
+        aria-label={status === 'ready' ? `${title} — ${labels.page(currentPage, pageCount)}` : title}
+      >
+        {status === 'ready' ? (
+          <PdfPage
+            pdf={pdf}
+            renderPage={renderPage}
+            pageNumber={currentPage}
+            width={pageWidth}
+            className="max-w-full max-h-full bg-white shadow-2xl"
+            style={contentStyle}
+          />
+        ) : (
+          <p className="text-dark-text/70" role="status">{labels.loading}</p>
+        )}
+      </div>
+
+      {status === 'ready' && pageCount > 1 && (
+        <nav aria-label={labels.pages} className="shrink-0 p-3 overflow-x-auto">
+          <ol className="flex justify-center gap-3">
+            {pages.map(pageNumber => (
+              <li key={pageNumber}>
+                <button
+                  type="button"
+                  onClick={() => onPageChange(pageNumber)}
+                  aria-current={pageNumber === currentPage ? 'page' : undefined}
+                  aria-label={labels.page(pageNumber, pageCount)}
+                  className={`block rounded border-2 transition-colors focus:outline-none focus:ring-2 focus:ring-neon-blue/50 ${
+                    pageNumber === currentPage ? 'border-neon-blue' : 'border-transparent hover:border-dark-border'
+                  }`}
+                >
+                  <PdfPage
+                    pdf={pdf}
+                    renderPage={renderPage}
+                    pageNumber={pageNumber}
+                    width={THUMBNAIL_WIDTH}
+                    className="bg-white"
+                  />
+                  <span className="block text-xs text-dark-text/70 py-1">{pageNumber}</span>
+                </button>
+              </li>
+            ))}
+          </ol>
+        </nav>
+      )}
+    </div>
+  );
+};
+
+PdfViewer.propTypes = {
+  src: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  page: PropTypes.number.isRequired,
+  onPageChange: PropTypes.func.isRequired,
+  onPageCount: PropTypes.func.isRequired,
+  onError: PropTypes.func.isRequired,
+  contentStyle: PropTypes.object,
+  pageProps: PropTypes.object,
+  labels: PropTypes.shape({
+    loading: PropTypes.string.isRequired,
+    pages: PropTypes.string.isRequired,
+    page: PropTypes.func.isRequired
+  }).isRequired
+};
+
+PdfViewer.displayName = 'PdfViewer';
+
+export default PdfViewer;
@@ -0,0 +1,76 @@
+/**
+ * Componente QRCode Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar un código QR como SVG accesible
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Delega la codificación en utils/qrCode; el componente solo dibuja la matriz
+ *
+ * BUENAS PRÁCTICAS:
+ * - SVG nativo de React (sin innerHTML), escalable a cualquier tamaño
+ * - Zona de silencio y fondo claro para que cualquier cámara lo lea
+ */
+
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { QR_DEFAULTS, createQRMatrix, toSVGPath } from '../../utils/qrCode';
+
+/**
+ * Componente QRCode
+ *
+ * @param {Object} props - Propiedades del componente
+ */
+const QRCode = ({
+  value,
+  label,
+  size = 192,
+  errorCorrectionLevel = QR_DEFAULTS.errorCorrectionLevel,
+  margin = QR_DEFAULTS.margin,
+  dark = QR_DEFAULTS.dark,
+  light = QR_DEFAULTS.light,
+  className = ''
+}) => {
+  const matrix = useMemo(
+    () => createQRMatrix(value, { errorCorrectionLevel }),
+    [value, errorCorrectionLevel]
+  );
+
+  if (!matrix) {
+    return null;
+  }
+
+  const viewBox = matrix.size + margin * 2;
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width={size}
+      height={size}
+      viewBox={`0 0 ${viewBox} ${viewBox}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={label}
+      className={className}
+    >
+      <title>{label}</title>
+      <rect width={viewBox} height={viewBox} fill={light} />
+      <path fill={dark} d={toSVGPath(matrix, margin)} />
+    </svg>
+  );
+};
+
+QRCode.propTypes = {
+  value: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  size: PropTypes.number,
+  errorCorrectionLevel: PropTypes.oneOf(['L', 'M', 'Q', 'H']),
+  margin: PropTypes.number,
+  dark: PropTypes.string,
+  light: PropTypes.string,
+  className: PropTypes.string
+};
+
+QRCode.displayName = 'QRCode';
+
+export default QRCode;
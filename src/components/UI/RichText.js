@@ -0,0 +1,60 @@
+/**
+ * Componente RichText Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar mensajes traducidos que incluyen énfasis
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Nuevas etiquetas se agregan en RICH_TEXT_TAGS sin tocar el parser
+ *
+ * BUENAS PRÁCTICAS:
+ * - Los catálogos de i18n marcan el énfasis con etiquetas simples (<hl>, <b>)
+ *   para que cada idioma ubique las palabras destacadas donde corresponda
+ * - Sin innerHTML: cualquier otra etiqueta se muestra como texto
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Etiquetas soportadas y su presentación
+ */
+const RICH_TEXT_TAGS = {
+  hl: ({ children }) => <strong className="text-neon-blue">{children}</strong>,
+  b: ({ children }) => <strong>{children}</strong>
+};
+
+const TAG_PATTERN = /<(\w+)>(.*?)<\/\1>/g;
+
+/**
+ * Componente RichText
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.text - Mensaje con etiquetas <hl> y <b>
+ */
+const RichText = ({ text }) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  String(text).replace(TAG_PATTERN, (match, tag, content, offset) => {
+    const Tag = RICH_TEXT_TAGS[tag];
+    if (!Tag) {
+      return match;
+    }
+    parts.push(text.slice(lastIndex, offset));
+    parts.push(<Tag key={offset}>{content}</Tag>);
+    lastIndex = offset + match.length;
+    return match;
+  });
+  parts.push(String(text).slice(lastIndex));
+
+  return <>{parts}</>;
+};
+
+RichText.propTypes = {
+  text: PropTypes.string.isRequired
+};
+
+RichText.displayName = 'RichText';
+
+export default RichText;
@@ -0,0 +1,133 @@
+/**
+ * Componente SidePanel Reutilizable
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar contenido en un panel lateral modal
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - El contenido llega como children; el panel no conoce qué muestra
+ *
+ * BUENAS PRÁCTICAS:
+ * - role="dialog" con aria-modal y título asociado
+ * - Se cierra con Escape, con el botón de cerrar o tocando el fondo
+ * - Al abrir enfoca el botón de cerrar y al cerrar devuelve el foco
+ * - Bloquea el scroll de la página mientras está abierto
+ */
+
+import React, { useEffect, useId, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+
+/**
+ * Animaciones del fondo y del panel
+ */
+const SIDE_PANEL_ANIMATIONS = {
+  overlay: {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { duration: 0.2 } },
+    exit: { opacity: 0, transition: { duration: 0.2 } }
+  },
+  panel: {
+    hidden: { x: '100%' },
+    visible: { x: 0, transition: { duration: 0.3, ease: 'easeOut' } },
+    exit: { x: '100%', transition: { duration: 0.2, ease: 'easeIn' } }
+  }
+};
+
+/**
+ * Componente SidePanel
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.isOpen - Si el panel está visible
+ * @param {Function} props.onClose - Se llama al cerrar
+ * @param {string} props.title - Título del panel
+ * @param {string} props.closeLabel - Texto accesible del botón de cerrar
+ * @param {React.ReactNode} props.children - Contenido
+ */
+const SidePanel = ({ isOpen, onClose, title, closeLabel, children }) => {
+  const titleId = useId();
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      return undefined;
+    }
+
+    const previousFocus = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.body.style.overflow = 'hidden';
+    if (closeButtonRef.current) {
+      closeButtonRef.current.focus();
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = previousOverflow;
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+      }
+    };
+  }, [isOpen, onClose]);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-[60] flex justify-end">
+          <motion.div
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+            variants={SIDE_PANEL_ANIMATIONS.overlay}
+            className="absolute inset-0 bg-black/60 backdrop-blur-sm"
+            onClick={onClose}
+            aria-hidden="true"
+          />
+          <motion.aside
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+            variants={SIDE_PANEL_ANIMATIONS.panel}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={titleId}
+            className="relative h-full w-full max-w-md overflow-y-auto bg-dark-card border-l border-dark-border p-6 shadow-2xl"
+          >
+            <div className="flex items-start justify-between gap-4 mb-6">
+              <h2 id={titleId} className="text-2xl font-bold text-neon-blue">{title}</h2>
+              <button
+                ref={closeButtonRef}
+                type="button"
+                onClick={onClose}
+                className="p-2 rounded-full text-dark-text/70 hover:text-neon-blue hover:bg-neon-blue/10 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 transition-colors"
+                aria-label={closeLabel}
+              >
+                <FaTimes />
+              </button>
+            </div>
+            {children}
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+SidePanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  title: PropTypes.string.isRequired,
+  closeLabel: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+SidePanel.displayName = 'SidePanel';
+
+export default SidePanel;
@@ -0,0 +1,70 @@
+/**
+ * Estados del ciclo de vida de los certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: traducir el estado calculado de un certificado
+ *   (ver utils/certificateLifecycle) a etiquetas y colores
+ *
+ * BUENAS PRÁCTICAS:
+ * - Compartido por la sección Certificados y la página de detalle del certificado
+ * - Etiquetas como claves de i18n (labelKey), traducidas al renderizar
+ */
+
+import { t } from '../services/I18nService';
+import { CERTIFICATE_LIFECYCLE, formatCertificateDate } from '../utils/certificateLifecycle';
+
+/**
+ * Estados del ciclo de vida
+ */
+export const CERTIFICATE_STATUSES = {
+  [CERTIFICATE_LIFECYCLE.planned]: { labelKey: 'certificates.lifecycle.planned', color: 'text-dark-text/70', bgColor: 'bg-dark-border/40' },
+  [CERTIFICATE_LIFECYCLE.inProgress]: { labelKey: 'certificates.lifecycle.inProgress', color: 'text-yellow-400', bgColor: 'bg-yellow-500/20' },
+  [CERTIFICATE_LIFECYCLE.completed]: { labelKey: 'certificates.lifecycle.completed', color: 'text-blue-400', bgColor: 'bg-blue-500/20' },
+  [CERTIFICATE_LIFECYCLE.expired]: { labelKey: 'certificates.lifecycle.expired', color: 'text-red-400', bgColor: 'bg-red-500/20' },
+  [CERTIFICATE_LIFECYCLE.renewed]: { labelKey: 'certificates.lifecycle.renewed', color: 'text-green-400', bgColor: 'bg-green-500/20' }
+};
+
+/**
+ * Obtiene la configuración del estado de un certificado
+ * @param {string} lifecycle - Estado calculado del certificado
+ * @returns {Object|null} null si el estado no es conocido
+ */
+export const getCertificateStatus = (lifecycle) => CERTIFICATE_STATUSES[lifecycle] || null;
+
+/**
+ * Fecha relevante para el estado de un certificado ("Vence en mar 2027", "Finaliza en dic 2025")
+ * @param {Object} certificate - Certificado con su estado calculado ("lifecycle")
+ * @returns {string|null} null si el estado no tiene una fecha que destacar
+ */
+export const describeCertificateDates = (certificate) => {
+  const format = (key, value) => t(`certificates.lifecycle.${key}`, { date: formatCertificateDate(value) });
+
+  switch (certificate.lifecycle) {
+    case CERTIFICATE_LIFECYCLE.planned:
+      return format('startsOn', certificate.startDate);
+    case CERTIFICATE_LIFECYCLE.inProgress:
+      return certificate.endDate ? format('endsOn', certificate.endDate) : null;
+    case CERTIFICATE_LIFECYCLE.expired:
+      return format('expiredOn', certificate.expiryDate);
+    case CERTIFICATE_LIFECYCLE.renewed:
+      return [format('renewedOn', certificate.renewedDate), certificate.expiryDate && format('expiresOn', certificate.expiryDate)]
+        .filter(Boolean)
+        .join(' · ');
+    default:
+      return certificate.expiryDate ? format('expiresOn', certificate.expiryDate) : null;
+  }
+};
+
+/**
+ * Estado de un certificado para los CV exportados, en el idioma actual
+ * Los completados no lo indican porque es el caso habitual
+ * @param {Object} certificate - Certificado con su estado calculado ("lifecycle")
+ * @returns {string|null}
+ */
+export const getExportStatusLabel = (certificate) => (
+  certificate.lifecycle && certificate.lifecycle !== CERTIFICATE_LIFECYCLE.completed
+    ? t(`certificates.lifecycle.${certificate.lifecycle}`)
+    : null
+);
+
+export default CERTIFICATE_STATUSES;
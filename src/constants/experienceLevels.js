@@ -0,0 +1,60 @@
+/**
+ * Niveles de experiencia
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: traducir un nivel numérico (0-100) a una etiqueta
+ *
+ * Los umbrales clasifican el puntaje calculado con la rúbrica de
+ * constants/skillScoring (tiempo, frecuencia de uso, proyectos y certificados)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Compartido por la sección Skills y los exportadores del CV
+ *   para que la redacción sea la misma en el sitio y en los archivos
+ * - Guarda la clave de la etiqueta (labelKey) y se traduce al mostrarla,
+ *   así sigue al idioma activo
+ */
+
+import { t } from '../services/I18nService';
+
+/**
+ * Configuración de niveles de experiencia
+ * Para mostrar badges y descripciones
+ */
+export const EXPERIENCE_LEVELS = {
+  expert: { labelKey: 'levels.expert', color: 'text-green-400', bgColor: 'bg-green-500/20', min: 85 },
+  advanced: { labelKey: 'levels.advanced', color: 'text-blue-400', bgColor: 'bg-blue-500/20', min: 65 },
+  advancedSpecial: { labelKey: 'levels.advanced', color: 'text-purple-400', bgColor: 'bg-purple-500/20', min: 65 },
+  intermediate: { labelKey: 'levels.intermediate', color: 'text-yellow-400', bgColor: 'bg-yellow-500/20', min: 45 },
+  beginner: { labelKey: 'levels.beginner', color: 'text-red-400', bgColor: 'bg-red-500/20', min: 0 }
+};
+
+/**
+ * Función para obtener el nivel de experiencia basado en el porcentaje
+ * @param {number} level - Nivel de habilidad (0-100)
+ * @returns {Object} Información del nivel de experiencia
+ */
+export const getExperienceLevel = (level) => {
+  // Ordenar niveles de mayor a menor para encontrar el nivel más alto que coincida
+  const levels = Object.entries(EXPERIENCE_LEVELS).sort(([, a], [, b]) => b.min - a.min);
+  const foundLevel = levels.find(([, config]) => level >= config.min);
+  return foundLevel ? foundLevel[1] : EXPERIENCE_LEVELS.beginner;
+};
+
+/**
+ * Indica si una habilidad tiene nivel calculado
+ * Las habilidades con "scored": false (blandas, formación) no lo tienen
+ * @param {Object} skill - Habilidad del CV
+ * @returns {boolean}
+ */
+export const hasExperienceLevel = (skill) => Number.isFinite(skill.level);
+
+/**
+ * Obtiene la etiqueta del nivel de una habilidad en el idioma activo
+ * @param {Object} skill - Habilidad del CV
+ * @returns {string} Etiqueta (ej: "Experto") o cadena vacía si no tiene nivel
+ */
+export const getSkillLevelLabel = (skill) => (
+  hasExperienceLevel(skill) ? t(getExperienceLevel(skill.level).labelKey) : ''
+);
+
+export default EXPERIENCE_LEVELS;
@@ -0,0 +1,98 @@
+/**
+ * Registro de iconos
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Abierto para extensión: nuevos iconos se registran con una clave
+ * - Cerrado para modificación: los datos del CV solo guardan la clave
+ *
+ * BUENAS PRÁCTICAS:
+ * - Mantiene cvData.json serializable (sin componentes de React)
+ * - Un único punto para cambiar la iconografía del sitio
+ */
+
+import React from 'react';
+import {
+  FaJs, FaReact, FaNodeJs, FaHtml5, FaCss3Alt, FaPhp, FaJava, FaPython,
+  FaGitAlt, FaGithub, FaServer, FaWordpress, FaBrain, FaBug, FaLightbulb,
+  FaChartLine, FaComments, FaRandom, FaProjectDiagram, FaGraduationCap,
+  FaCode, FaLaptopCode, FaBookOpen, FaTrello, FaJira, FaBriefcase, FaRocket
+} from 'react-icons/fa';
+import {
+  SiMysql, SiExpress, SiTailwindcss, SiNextdotjs, SiVuedotjs, SiAngular,
+  SiCsharp, SiOpenai, SiDotnet, SiVisualstudiocode, SiNotion
+} from 'react-icons/si';
+import { GiArtificialIntelligence } from 'react-icons/gi';
+import { MdAutoAwesome, MdSchool } from 'react-icons/md';
+
+/**
+ * Logo de Escuela Da Vinci
+ * Acepta className para integrarse como cualquier otro icono
+ */
+const DaVinciIcon = () => (
+  <img src={process.env.PUBLIC_URL + "/davinci.jpg"} alt="Escuela Da Vinci" className="w-6 h-6 rounded-full inline-block align-middle" />
+);
+
+/**
+ * Mapa de claves de datos a componentes de icono
+ */
+export const ICON_REGISTRY = {
+  // Lenguajes y frameworks
+  js: FaJs,
+  java: FaJava,
+  python: FaPython,
+  php: FaPhp,
+  csharp: SiCsharp,
+  mysql: SiMysql,
+  react: FaReact,
+  node: FaNodeJs,
+  express: SiExpress,
+  tailwind: SiTailwindcss,
+  html5: FaHtml5,
+  css3: FaCss3Alt,
+  nextjs: SiNextdotjs,
+  vue: SiVuedotjs,
+  angular: SiAngular,
+  dotnet: SiDotnet,
+
+  // Herramientas
+  git: FaGitAlt,
+  github: FaGithub,
+  server: FaServer,
+  wordpress: FaWordpress,
+  trello: FaTrello,
+  jira: FaJira,
+  vscode: SiVisualstudiocode,
+  notion: SiNotion,
+
+  // IA
+  openai: SiOpenai,
+  brain: FaBrain,
+  bug: FaBug,
+  ai: GiArtificialIntelligence,
+  autoAwesome: MdAutoAwesome,
+
+  // Habilidades y generales
+  code: FaCode,
+  lightbulb: FaLightbulb,
+  chartLine: FaChartLine,
+  comments: FaComments,
+  random: FaRandom,
+  projectDiagram: FaProjectDiagram,
+  graduationCap: FaGraduationCap,
+  laptopCode: FaLaptopCode,
+  bookOpen: FaBookOpen,
+  briefcase: FaBriefcase,
+  rocket: FaRocket,
+  school: MdSchool,
+  davinci: DaVinciIcon
+};
+
+/**
+ * Obtiene el componente de icono para una clave
+ * @param {string} key - Clave del icono en los datos
+ * @param {React.ElementType} fallback - Icono a usar si la clave no existe
+ * @returns {React.ElementType|null} Componente de icono
+ */
+export const getIcon = (key, fallback = null) => ICON_REGISTRY[key] || fallback;
+
+export default ICON_REGISTRY;
@@ -15,81 +15,91 @@
  * - Separación de configuración y lógica
  */
 
+import cvDataService from '../services/CVDataService';
+import i18nService, { t } from '../services/I18nService';
+import { CONTACT_FORM_LIMITS } from '../utils/validationUtils';
+
 /**
- * Información personal básica
- * Datos principales del desarrollador
+ * Arma la información personal básica con el CV en el idioma activo
+ * @returns {Object}
  */
-export const personalData = {
-  // Información básica
-  name: 'Santiago Excofier',
-  title: 'Desarrollador Full-Stack',
-  subtitle: 'Especializado en JavaScript & IA',
-  bio: 'Graduado en Desarrollo Web y Software en Escuela Da Vinci (finalizado en diciembre 2025) con más de 3 años de experiencia en desarrollo web y software. Apasionado por la inteligencia artificial, desarrollo web y productividad.',
+const buildPersonalData = () => {
+  const profile = cvDataService.getProfile();
+  const contact = cvDataService.getContact();
+  const mainEducation = cvDataService.getMainEducation();
+
+  return {
+    // Información básica
+    name: profile.name,
+    title: profile.title,
+    subtitle: profile.subtitle,
+    bio: profile.bio,
   
-  // Ubicación y contacto
-  location: 'Argentina',
-  timezone: 'UTC-3',
+    // Ubicación y contacto
+    location: profile.location,
+    timezone: profile.timezone,
+    github: contact.social.github,
+    linkedin: contact.social.linkedin,
   
-  // Formación académica
-  university: 'Analista de Sistemas - Escuela Da Vinci',
-  graduationYear: '2026',
-  expectedGraduation: 'Inicios de 2026',
+    // Formación académica
+    university: mainEducation ? `${mainEducation.title} - ${mainEducation.institution}` : '',
+    graduationYear: mainEducation && mainEducation.endDate ? String(mainEducation.endDate).slice(0, 4) : '',
   
-  // Experiencia profesional
-  experienceYears: '3',
-  freelanceStartYear: '2022',
-  workStatus: 'Freelance',
-  availability: 'Disponible para proyectos',
+    // Experiencia profesional
+    experienceYears: String(cvDataService.getExperienceYears()),
+    freelanceStartYear: String(profile.freelanceStartYear),
+    workStatus: profile.workStatus,
+    availability: profile.availability,
   
-  // Especialización
-  specialization: 'Full-Stack Development & IA',
-  mainTechnologies: ['JavaScript', 'React', 'Python', 'Java', 'PHP'],
+    // Especialización
+    specialization: profile.specialization,
+    mainTechnologies: profile.mainTechnologies,
   
-  // Estadísticas
-  projectsCompleted: '20+',
-  clientsServed: '10+',
-  technologiesUsed: '15+',
+    // Estadísticas
+    projectsCompleted: profile.stats.projectsCompleted,
+    clientsServed: profile.stats.clientsServed,
+    technologiesUsed: profile.stats.technologiesUsed,
   
-  // Valores y principios
-  workingStyle: 'Remoto/Presencial',
-  methodology: 'Metodologías Ágiles',
-  focusAreas: ['Desarrollo Web', 'Desarrollo de Software', 'IA/Productividad', 'Desarrollo Full-Stack'],
+    // Valores y principios
+    workingStyle: profile.workingStyle,
+    methodology: profile.methodology,
+    focusAreas: profile.focusAreas,
   
-  // Intereses
-  interests: ['Inteligencia Artificial', 'Desarrollo Web', 'Desarrollo de Software', 'Productividad', 'Nuevas Tecnologías'],
+    // Intereses
+    interests: profile.interests,
   
-  // Idiomas
-  languages: [
-    { name: 'Español', level: 'Nativo' },
-    { name: 'Inglés', level: 'Intermedio' }
-  ]
+    // Idiomas
+    languages: profile.languages
+  };
 };
 
 /**
- * Información de contacto
- * Datos de contacto y redes sociales
+ * Información personal básica
+ * Vista derivada de cvData.json (la única fuente de verdad del CV)
  */
-export const contactData = {
-  email: 'excofier.santi@gmail.com',
-  phone: '+54 11 6812-9155',
-  freelanceStartYear: '',
-  workStatus: '',
-  // Redes sociales (agregar URLs reales)
-  social: {
-    github: 'https://github.com/EXCOFFee',
-    linkedin: 'https://www.linkedin.com/in/santiago-excofier-4649982b9/',
-    portfolio: 'https://santiagoexcofier.dev'
-  },
-  
-  // Disponibilidad
-  availability: {
-    status: 'Respuesta a la Brevedad',
-    workingHours: '9:00 - 18:00 (UTC-3)',
-    responseTime: '24 horas',
-    preferredContact: 'email'
-  }
+export const personalData = buildPersonalData();
+
+/**
+ * Arma la información de contacto con el CV en el idioma activo
+ * @returns {Object}
+ */
+const buildContactData = () => {
+  const contact = cvDataService.getContact();
+
+  return {
+    email: contact.email,
+    phone: contact.phone,
+    social: contact.social,
+    availability: contact.availability
+  };
 };
 
+/**
+ * Información de contacto
+ * Datos de contacto y redes sociales (derivados de cvData.json)
+ */
+export const contactData = buildContactData();
+
 /**
  * Configuración de marca personal
  * Colores, tipografías y elementos visuales
@@ -113,23 +123,17 @@ export const brandData = {
   // Logo y elementos visuales
   logo: {
     text: 'SE',
-    fullName: 'Santiago Excofier',
-    tagline: 'Desarrollador Full-Stack'
+    fullName: personalData.name,
+    tagline: personalData.title
   }
 };
 
 /**
  * Textos predefinidos para la animación del hero
- * Frases que se mostrarán en el efecto typewriter
+ * Frases que se mostrarán en el efecto typewriter (definidas en cvData.json)
+ * @returns {string[]} Frases en el idioma activo
  */
-export const heroTexts = [
-  'Desarrollador Full-Stack',
-  'Especialista en JavaScript',
-  'Entusiasta de la IA',
-  'Desarrollador Web',
-  'Estudiante de Desarrollo Web',
-  'Innovador Tecnológico'
-];
+export const getHeroTexts = () => cvDataService.getProfile().headlines;
 
 /**
  * Configuración de animaciones y transiciones
@@ -171,33 +175,41 @@ export const formConfig = {
   validation: {
     email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     phone: /^[\+]?[1-9][\d]{0,15}$/,
-    minMessageLength: 10,
-    maxMessageLength: 500
+    minMessageLength: CONTACT_FORM_LIMITS.messageMin,
+    maxMessageLength: CONTACT_FORM_LIMITS.messageMax
   },
   
-  // Mensajes
+  // Claves de los mensajes (se traducen al mostrarlos)
   messages: {
-    success: '¡Mensaje enviado correctamente! Te responderé pronto.',
-    error: 'Hubo un error al enviar el mensaje. Por favor intenta nuevamente.',
-    loading: 'Enviando mensaje...'
+    success: 'form.messages.success',
+    error: 'form.messages.error',
+    loading: 'form.messages.loading'
+  },
+
+  // Transporte de los mensajes (ver services/ContactService y utils/contactTransports)
+  // Se elige al compilar con las variables de entorno de Create React App:
+  // REACT_APP_CONTACT_TRANSPORT = formspree | webhook | endpoint | mailto
+  // REACT_APP_CONTACT_ENDPOINT = URL del formulario, webhook o API propia
+  // REACT_APP_CONTACT_REJECTION_LOG = URL que registra los envíos rechazados por spam
+  //   (POST { reason, transport }); con la API propia es <endpoint>/rejections
+  transport: {
+    adapter: process.env.REACT_APP_CONTACT_TRANSPORT || 'mailto',
+    endpoint: process.env.REACT_APP_CONTACT_ENDPOINT || '',
+    rejectionLog: process.env.REACT_APP_CONTACT_REJECTION_LOG || '',
+    recipient: contactData.email,
+    // Cabeceras extra para webhook y endpoint (quedan visibles en el bundle: no usar secretos)
+    headers: {},
+    retries: 2,
+    retryDelay: 1000,
+    timeout: 10000
   }
 };
 
 /**
  * Configuración de navegación
- * Elementos del menú de navegación
+ * Las secciones del menú se declaran en constants/sectionRegistry
  */
 export const navigationConfig = {
-  // Menú principal
-  mainMenu: [
-    { id: 'home', label: 'Inicio', href: '#home' },
-    { id: 'about', label: 'Sobre mí', href: '#about' },
-    { id: 'skills', label: 'Tecnologías', href: '#skills' },
-    { id: 'ai-productivity', label: 'IA & Productividad', href: '#ai-productivity' },
-    { id: 'certificates', label: 'Certificados', href: '#certificates' },
-    { id: 'contact', label: 'Contacto', href: '#contact' }
-  ],
-  
   // Configuración del header
   header: {
     logo: 'SE',
@@ -214,11 +226,11 @@ export const getTimeBasedGreeting = () => {
   const hour = new Date().getHours();
   
   if (hour < 12) {
-    return '¡Buenos días!';
+    return t('greetings.morning');
   } else if (hour < 18) {
-    return '¡Buenas tardes!';
+    return t('greetings.afternoon');
   } else {
-    return '¡Buenas noches!';
+    return t('greetings.evening');
   }
 };
 
@@ -245,19 +257,29 @@ export const calculateAge = (birthDate) => {
  * @returns {string} Fecha formateada
  */
 export const getLastUpdated = () => {
-  return new Date().toLocaleDateString('es-AR', {
+  return new Date().toLocaleDateString(i18nService.getLocale(), {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
   });
 };
 
+/**
+ * Las vistas derivadas del CV se regeneran al cambiar de idioma
+ * CVDataService se suscribe antes (al importarse), así que ya tiene las traducciones
+ */
+i18nService.subscribe(() => {
+  Object.assign(personalData, buildPersonalData());
+  Object.assign(contactData, buildContactData());
+  Object.assign(brandData.logo, { fullName: personalData.name, tagline: personalData.title });
+});
+
 // Exportar todo como un objeto default para facilitar importación
 export default {
   personalData,
   contactData,
   brandData,
-  heroTexts,
+  getHeroTexts,
   animationConfig,
   formConfig,
   navigationConfig,
@@ -0,0 +1,46 @@
+/**
+ * Tipos y estados de proyecto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: traducir los valores "type" y "status" de un
+ *   proyecto a etiquetas y colores
+ *
+ * BUENAS PRÁCTICAS:
+ * - Compartido por el portafolio y la página de detalle del proyecto
+ * - Etiquetas como claves de i18n (labelKey), traducidas al renderizar
+ */
+
+/**
+ * Tipos de proyecto admitidos en cvData.json
+ */
+export const PROJECT_TYPES = {
+  client: { labelKey: 'portfolio.types.client', color: 'text-neon-blue', bgColor: 'bg-neon-blue/10' },
+  academic: { labelKey: 'portfolio.types.academic', color: 'text-purple-400', bgColor: 'bg-purple-500/20' },
+  openSource: { labelKey: 'portfolio.types.openSource', color: 'text-green-400', bgColor: 'bg-green-500/20' }
+};
+
+/**
+ * Estados de proyecto admitidos en cvData.json
+ */
+export const PROJECT_STATUSES = {
+  live: { labelKey: 'portfolio.statuses.live', color: 'text-green-400', bgColor: 'bg-green-500/20' },
+  completed: { labelKey: 'portfolio.statuses.completed', color: 'text-blue-400', bgColor: 'bg-blue-500/20' },
+  inProgress: { labelKey: 'portfolio.statuses.inProgress', color: 'text-yellow-400', bgColor: 'bg-yellow-500/20' },
+  archived: { labelKey: 'portfolio.statuses.archived', color: 'text-dark-text/60', bgColor: 'bg-dark-border/40' }
+};
+
+/**
+ * Obtiene la configuración del tipo de un proyecto
+ * @param {string} type - Valor "type" del proyecto
+ * @returns {Object|null} null si el proyecto no declara un tipo conocido
+ */
+export const getProjectType = (type) => PROJECT_TYPES[type] || null;
+
+/**
+ * Obtiene la configuración del estado de un proyecto
+ * @param {string} status - Valor "status" del proyecto
+ * @returns {Object|null} null si el proyecto no declara un estado conocido
+ */
+export const getProjectStatus = (status) => PROJECT_STATUSES[status] || null;
+
+export default PROJECT_TYPES;
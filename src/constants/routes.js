@@ -0,0 +1,75 @@
+/**
+ * Rutas de la aplicación
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: definir las rutas y construir sus URLs
+ *
+ * BUENAS PRÁCTICAS:
+ * - Los componentes enlazan con getProjectPath/getCertificatePath/getSkillPath
+ *   en lugar de armar las URLs a mano
+ * - Las secciones de la página principal siguen usando hash (/#contact)
+ */
+
+/**
+ * Patrones de ruta para react-router
+ */
+export const ROUTES = {
+  home: '/',
+  project: '/projects/:slug',
+  certificate: '/certificates/:id',
+  skill: '/skills/:name'
+};
+
+/**
+ * Convierte un nombre en un segmento de URL legible
+ * Ej: "React.js" -> "react-js", "C#" -> "c-sharp", "Programación" -> "programacion"
+ * @param {string} text - Texto de origen
+ * @returns {string}
+ */
+export const toUrlSlug = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/#/g, '-sharp')
+  .replace(/\+/g, '-plus')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * URL de la página de un proyecto (el id del proyecto ya es un slug)
+ * @param {Object} project - Proyecto del CV
+ * @returns {string}
+ */
+export const getProjectPath = (project) => `/projects/${encodeURIComponent(project.id)}`;
+
+/**
+ * URL de la página de un certificado
+ * @param {Object} certificate - Certificado del CV
+ * @returns {string}
+ */
+export const getCertificatePath = (certificate) => `/certificates/${encodeURIComponent(certificate.id)}`;
+
+/**
+ * URL de la página de una habilidad
+ * @param {Object} skill - Habilidad del CV (se usa su nombre)
+ * @returns {string}
+ */
+export const getSkillPath = (skill) => `/skills/${toUrlSlug(skill.name)}`;
+
+/**
+ * URL de una sección de la página principal
+ * @param {string} sectionId - Id de la sección (ej: "portfolio")
+ * @returns {string}
+ */
+export const getSectionPath = (sectionId) => `${ROUTES.home}#${sectionId}`;
+
+const routes = {
+  ROUTES,
+  toUrlSlug,
+  getProjectPath,
+  getCertificatePath,
+  getSkillPath,
+  getSectionPath
+};
+
+export default routes;
@@ -0,0 +1,127 @@
+/**
+ * Registro de secciones
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Abierto para extensión: una sección nueva es una entrada más en SECTION_DEFINITIONS
+ * - Cerrado para modificación: App, Header y NavigationService no cambian
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: declarar qué secciones tiene la página y en qué orden
+ *
+ * BUENAS PRÁCTICAS:
+ * - Única fuente para el layout, el menú, el scroll spy y la navegación por hash
+ * - Las secciones pesadas se cargan con React.lazy a partir de su import()
+ */
+
+import { lazy } from 'react';
+import Hero from '../components/Hero';
+import Portfolio from '../components/Portfolio';
+
+/**
+ * @typedef {Object} SectionDefinition
+ * @property {string} id - Id del elemento <section> y del hash (#id)
+ * @property {string} labelKey - Clave i18n del nombre en el menú y en los mensajes de carga
+ * @property {React.ElementType|Function} component - Componente, o su import() si lazy es true
+ * @property {boolean} [lazy=false] - Carga diferida con React.lazy
+ * @property {number} order - Posición en la página y en el menú
+ * @property {boolean} [inMenu=true] - Mostrar la sección en el menú del header
+ */
+
+/**
+ * Secciones de la página
+ * El orden se deja con saltos de 10 para intercalar secciones sin renumerar
+ * @type {SectionDefinition[]}
+ */
+const SECTION_DEFINITIONS = [
+  {
+    id: 'hero',
+    labelKey: 'nav.home',
+    component: Hero,
+    order: 10
+  },
+  {
+    id: 'about',
+    labelKey: 'nav.about',
+    component: () => import('../components/About'),
+    lazy: true,
+    order: 20
+  },
+  {
+    id: 'skills',
+    labelKey: 'nav.skillsMenu',
+    component: () => import('../components/Skills'),
+    lazy: true,
+    order: 30
+  },
+  {
+    id: 'portfolio',
+    labelKey: 'nav.portfolio',
+    component: Portfolio,
+    order: 40
+  },
+  {
+    id: 'ai-productivity',
+    labelKey: 'nav.aiProductivity',
+    component: () => import('../components/AIProductivity'),
+    lazy: true,
+    order: 50
+  },
+  {
+    id: 'certificates',
+    labelKey: 'nav.certificates',
+    component: () => import('../components/Certificates'),
+    lazy: true,
+    order: 60
+  },
+  {
+    id: 'contact',
+    labelKey: 'nav.contact',
+    component: () => import('../components/Contact'),
+    lazy: true,
+    order: 70
+  }
+];
+
+/**
+ * Normaliza una definición: valores por defecto, href y componente lazy
+ * @param {SectionDefinition} definition - Definición de la sección
+ * @returns {Object} Sección lista para renderizar y navegar
+ */
+const createSection = ({ lazy: isLazy = false, inMenu = true, component, ...definition }) => ({
+  ...definition,
+  href: `#${definition.id}`,
+  lazy: isLazy,
+  inMenu,
+  component: isLazy ? lazy(component) : component
+});
+
+/**
+ * Secciones normalizadas y ordenadas
+ */
+export const SECTION_REGISTRY = Object.freeze(
+  SECTION_DEFINITIONS
+    .map(createSection)
+    .sort((a, b) => a.order - b.order)
+);
+
+/**
+ * Obtiene todas las secciones en orden
+ * @returns {Object[]}
+ */
+export const getSections = () => SECTION_REGISTRY;
+
+/**
+ * Obtiene las secciones visibles en el menú
+ * @returns {Object[]}
+ */
+export const getMenuSections = () => SECTION_REGISTRY.filter(section => section.inMenu);
+
+/**
+ * Busca una sección por id
+ * @param {string} sectionId - Id de la sección
+ * @returns {Object|null}
+ */
+export const getSection = (sectionId) =>
+  SECTION_REGISTRY.find(section => section.id === sectionId) || null;
+
+export default SECTION_REGISTRY;
@@ -0,0 +1,44 @@
+/**
+ * Rúbrica de puntuación de habilidades
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: definir cuánto pesa cada evidencia en el nivel
+ *   de una habilidad (0-100)
+ *
+ * El nivel se calcula con cuatro evidencias (ver utils/skillScoring):
+ *
+ * | Evidencia     | Puntos | Cómo se mide                                                   |
+ * |---------------|--------|----------------------------------------------------------------|
+ * | Tiempo        | 45     | Años desde "since" (o freelanceStartYear); completo a los 4    |
+ * | Frecuencia    | 30     | "usage": daily 100%, weekly 70%, monthly 40%, occasional 20%   |
+ * | Proyectos     | 15     | 7.5 por proyecto relacionado (tags o relatedSkills), hasta 2   |
+ * | Certificados  | 10     | Horas de los certificados relacionados; completo a las 160 h   |
+ *
+ * Los umbrales de constants/experienceLevels clasifican el resultado.
+ * Las habilidades con "scored": false (blandas, formación) no se puntúan ni muestran nivel.
+ */
+
+/**
+ * Pesos y topes de la rúbrica
+ */
+export const SKILL_SCORING = {
+  time: { points: 45, fullYears: 4 },
+  usage: { points: 30 },
+  projects: { points: 15, fullCount: 2 },
+  certificates: { points: 10, fullHours: 160 }
+};
+
+/**
+ * Frecuencia de uso admitida en "usage" y su proporción de puntos
+ * Sin "usage" se asume weekly
+ */
+export const USAGE_WEIGHTS = {
+  daily: 1,
+  weekly: 0.7,
+  monthly: 0.4,
+  occasional: 0.2
+};
+
+export const DEFAULT_USAGE = 'weekly';
+
+export default SKILL_SCORING;
@@ -0,0 +1,25 @@
+/**
+ * Hook personalizado para el orden y la agrupación de certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: conectar la elección de la sección
+ *   Certificados con useQueryFilters (igual que useProjectFilters en el portafolio)
+ *
+ * @param {string} sectionId - Id de la sección que se agrega como hash al cambiar la elección
+ * @returns {{filters: {group: string, sort: string}, updateFilters: Function}}
+ */
+
+import useQueryFilters from './useQueryFilters';
+import { parseCertificateFilters, serializeCertificateFilters } from '../utils/certificateFilters';
+
+const useCertificateFilters = (sectionId) => {
+  const { filters, updateFilters } = useQueryFilters(
+    parseCertificateFilters,
+    serializeCertificateFilters,
+    sectionId
+  );
+
+  return { filters, updateFilters };
+};
+
+export default useCertificateFilters;
@@ -0,0 +1,48 @@
+/**
+ * Hook personalizado para verificar la credencial de un certificado
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: exponer a React el resultado de
+ *   CredentialService.verify, que ya cachea por certificado
+ *
+ * Depende solo del id y de la credencial del certificado, así no se vuelve a
+ * verificar cuando el objeto del certificado se recrea en cada render.
+ *
+ * @param {Object} certificate - Certificado del CV
+ * @returns {{status: string, result: Object|null}} status: "checking", "unavailable"
+ *   (no se pudo descargar) o uno de VERIFICATION_STATUSES de utils/openBadges
+ */
+
+import { useEffect, useState } from 'react';
+import credentialService from '../services/CredentialService';
+import { VERIFICATION_STATUSES } from '../utils/openBadges';
+
+const useCredentialVerification = (certificate) => {
+  const { id, credential } = certificate;
+  const hasCredential = Boolean(credential);
+  const [state, setState] = useState({
+    status: hasCredential ? 'checking' : VERIFICATION_STATUSES.none,
+    result: null
+  });
+
+  useEffect(() => {
+    let isActive = true;
+    if (hasCredential) {
+      setState({ status: 'checking', result: null });
+    }
+
+    credentialService.verify({ id, credential }).then(result => {
+      if (isActive) {
+        setState({ status: result ? result.status : 'unavailable', result });
+      }
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, [id, credential, hasCredential]);
+
+  return state;
+};
+
+export default useCredentialVerification;
@@ -0,0 +1,78 @@
+/**
+ * Hook personalizado para mantener el foco dentro de un diálogo
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: que Tab y Shift+Tab recorran solo
+ *   los elementos enfocables del contenedor mientras está activo
+ *
+ * Al activarse enfoca el elemento indicado (o el primero enfocable) y al
+ * desactivarse devuelve el foco al elemento que lo tenía antes de abrir.
+ *
+ * @param {React.RefObject} containerRef - Contenedor del diálogo
+ * @param {boolean} isActive - Si la trampa está activa
+ * @param {React.RefObject} [initialFocusRef] - Elemento a enfocar al activarse
+ */
+
+import { useEffect } from 'react';
+
+/**
+ * Selector de elementos que pueden recibir foco con el teclado
+ */
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+const useFocusTrap = (containerRef, isActive, initialFocusRef) => {
+  useEffect(() => {
+    if (!isActive || !containerRef.current) {
+      return undefined;
+    }
+
+    const container = containerRef.current;
+    const previousFocus = document.activeElement;
+    const getFocusable = () => [...container.querySelectorAll(FOCUSABLE_SELECTOR)];
+
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Tab') {
+        return;
+      }
+      const focusable = getFocusable();
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (!container.contains(document.activeElement)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+      } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    const initial = (initialFocusRef && initialFocusRef.current) || getFocusable()[0];
+    if (initial) {
+      initial.focus();
+    }
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+      }
+    };
+  }, [containerRef, isActive, initialFocusRef]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,25 @@
+/**
+ * Hook personalizado para seguir el idioma activo
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: volver a renderizar cuando cambia el idioma
+ *
+ * @returns {string} - Código del idioma activo (ej: "es")
+ */
+
+import { useEffect, useState } from 'react';
+import i18nService from '../services/I18nService';
+
+const useLanguage = () => {
+  const [language, setLanguage] = useState(i18nService.getLanguage());
+
+  useEffect(() => {
+    // Sincronizar por si el idioma cambió entre el render y el efecto
+    setLanguage(i18nService.getLanguage());
+    return i18nService.subscribe(setLanguage);
+  }, []);
+
+  return language;
+};
+
+export default useLanguage;
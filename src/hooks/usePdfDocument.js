@@ -0,0 +1,71 @@
+/**
+ * Hook personalizado para abrir un documento PDF
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: cargar el PDF de una URL y
+ *   exponer su estado; el dibujo de las páginas queda en utils/pdfDocument
+ *
+ * pdf.js se importa de forma dinámica la primera vez que se usa. Al cambiar la
+ * URL o desmontar el componente, la carga en curso se cancela y el documento
+ * anterior se libera.
+ *
+ * @param {string|null} url - URL del PDF (null = nada que cargar)
+ * @returns {{status: string, pdf: Object|null, pageCount: number, renderPage: Function|null}}
+ *   status es "idle", "loading", "ready" o "error"
+ */
+
+import { useEffect, useState } from 'react';
+
+const IDLE_STATE = { status: 'idle', pdf: null, pageCount: 0, renderPage: null };
+
+const usePdfDocument = (url) => {
+  const [state, setState] = useState(IDLE_STATE);
+
+  useEffect(() => {
+    if (!url) {
+      setState(IDLE_STATE);
+      return undefined;
+    }
+
+    let active = true;
+    let loadingTask = null;
+    setState({ ...IDLE_STATE, status: 'loading' });
+
+    import('../utils/pdfDocument')
+      .then(({ loadPdfDocument, renderPdfPage }) => {
+        if (!active) {
+          return;
+        }
+        loadingTask = loadPdfDocument(url);
+        loadingTask.promise
+          .then(pdf => {
+            if (active) {
+              setState({ status: 'ready', pdf, pageCount: pdf.numPages, renderPage: renderPdfPage });
+            }
+          })
+          .catch(error => {
+            if (active) {
+              console.warn(`No se pudo abrir el PDF ${url}:`, error);
+              setState({ ...IDLE_STATE, status: 'error' });
+            }
+          });
+      })
+      .catch(error => {
+        if (active) {
+          console.error('No se pudo cargar el lector de PDF:', error);
+          setState({ ...IDLE_STATE, status: 'error' });
+        }
+      });
+
+    return () => {
+      active = false;
+      if (loadingTask) {
+        loadingTask.destroy();
+      }
+    };
+  }, [url]);
+
+  return state;
+};
+
+export default usePdfDocument;
@@ -0,0 +1,51 @@
+/**
+ * Hook personalizado para los filtros del portafolio
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: las operaciones propias de los
+ *   filtros del portafolio (etiquetas y limpieza); la sincronización con la
+ *   URL la resuelve useQueryFilters
+ *
+ * @param {string} sectionId - Id de la sección que se agrega como hash al filtrar
+ * @returns {Object} - Filtros actuales y funciones para modificarlos
+ */
+
+import { useCallback } from 'react';
+import useQueryFilters from './useQueryFilters';
+import {
+  DEFAULT_PROJECT_FILTERS,
+  parseProjectFilters,
+  serializeProjectFilters
+} from '../utils/projectFilters';
+
+const useProjectFilters = (sectionId) => {
+  const { filters, setFilters, updateFilters } = useQueryFilters(
+    parseProjectFilters,
+    serializeProjectFilters,
+    sectionId
+  );
+
+  /**
+   * Agrega o quita una etiqueta de la selección
+   * @param {string} slug - Slug de la etiqueta
+   */
+  const toggleTag = useCallback((slug) => {
+    setFilters(current => ({
+      ...current,
+      tags: current.tags.includes(slug)
+        ? current.tags.filter(tag => tag !== slug)
+        : [...current.tags, slug]
+    }));
+  }, [setFilters]);
+
+  /**
+   * Quita todos los filtros (conserva el orden elegido)
+   */
+  const resetFilters = useCallback(() => {
+    setFilters(current => ({ ...DEFAULT_PROJECT_FILTERS, sort: current.sort }));
+  }, [setFilters]);
+
+  return { filters, updateFilters, toggleTag, resetFilters };
+};
+
+export default useProjectFilters;
@@ -0,0 +1,51 @@
+/**
+ * Hook personalizado para filtros sincronizados con la query de la URL
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: mantener un estado de filtros
+ *   sincronizado con la query de la URL
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Cada sección aporta su propio parse/serialize (ver useProjectFilters y
+ *   useCertificateFilters) sin modificar este hook
+ *
+ * La URL se actualiza con replaceState (igual que NavigationService e I18nService),
+ * así filtrar no agrega entradas al historial y el enlace copiado de la barra de
+ * direcciones abre la sección con la misma selección
+ *
+ * @param {Function} parse - Lee los filtros desde una query ("?tags=react")
+ * @param {Function} serialize - Escribe los filtros en una query, conservando los demás parámetros
+ * @param {string} sectionId - Id de la sección que se agrega como hash al filtrar
+ * @returns {{filters: Object, setFilters: Function, updateFilters: Function}}
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const useQueryFilters = (parse, serialize, sectionId) => {
+  // Estado inicial tomado de la URL (enlaces compartidos)
+  const [filters, setFilters] = useState(() => parse(window.location.search));
+  const isFirstRender = useRef(true);
+
+  useEffect(() => {
+    // La URL ya refleja el estado inicial
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+
+    const search = serialize(filters, window.location.search);
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}#${sectionId}`);
+  }, [filters, serialize, sectionId]);
+
+  /**
+   * Modifica uno o varios filtros
+   * @param {Object} changes - Filtros a reemplazar
+   */
+  const updateFilters = useCallback((changes) => {
+    setFilters(current => ({ ...current, ...changes }));
+  }, []);
+
+  return { filters, setFilters, updateFilters };
+};
+
+export default useQueryFilters;
@@ -0,0 +1,118 @@
+/**
+ * Hook personalizado para ampliar y desplazar una imagen
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Este hook tiene una sola responsabilidad: calcular la escala y el
+ *   desplazamiento de un contenido a partir de la rueda, el arrastre y el
+ *   gesto de pellizco
+ *
+ * Usa Pointer Events, así el mismo código sirve para mouse, lápiz y pantallas
+ * táctiles (dos dedos = pellizco). Con escala 1 el contenido vuelve al centro.
+ *
+ * @param {Object} options - Opciones
+ * @param {number} options.min - Escala mínima (por defecto 1)
+ * @param {number} options.max - Escala máxima (por defecto 4)
+ * @param {number} options.step - Paso de los botones y la rueda (por defecto 0.5)
+ * @returns {Object} - Transformación actual, acciones y manejadores para el contenedor
+ */
+
+import { useCallback, useRef, useState } from 'react';
+
+const INITIAL_TRANSFORM = { scale: 1, x: 0, y: 0 };
+
+/**
+ * Distancia entre los dos primeros punteros activos
+ * @param {Map<number, {x: number, y: number}>} pointers - Punteros por id
+ * @returns {number}
+ */
+const getPointerDistance = (pointers) => {
+  const [a, b] = [...pointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+};
+
+const useZoomPan = ({ min = 1, max = 4, step = 0.5 } = {}) => {
+  const [transform, setTransform] = useState(INITIAL_TRANSFORM);
+  const pointers = useRef(new Map());
+  const pinch = useRef(null);
+
+  /**
+   * Aplica una escala dentro de los límites; en la mínima se centra el contenido
+   */
+  const zoomTo = useCallback((getScale) => {
+    setTransform(current => {
+      const scale = Math.min(max, Math.max(min, getScale(current.scale)));
+      return scale === min ? { ...INITIAL_TRANSFORM, scale } : { ...current, scale };
+    });
+  }, [min, max]);
+
+  const zoomIn = useCallback(() => zoomTo(scale => scale + step), [zoomTo, step]);
+  const zoomOut = useCallback(() => zoomTo(scale => scale - step), [zoomTo, step]);
+  const reset = useCallback(() => setTransform(INITIAL_TRANSFORM), []);
+
+  /**
+   * Desplaza el contenido (solo cuando está ampliado)
+   */
+  const panBy = useCallback((dx, dy) => {
+    setTransform(current => (
+      current.scale > min ? { ...current, x: current.x + dx, y: current.y + dy } : current
+    ));
+  }, [min]);
+
+  const onWheel = useCallback((event) => {
+    if (event.deltaY < 0) {
+      zoomIn();
+    } else if (event.deltaY > 0) {
+      zoomOut();
+    }
+  }, [zoomIn, zoomOut]);
+
+  const onPointerDown = useCallback((event) => {
+    if (event.currentTarget.setPointerCapture) {
+      event.currentTarget.setPointerCapture(event.pointerId);
+    }
+    pointers.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (pointers.current.size === 2) {
+      pinch.current = { distance: getPointerDistance(pointers.current), scale: transform.scale };
+    }
+  }, [transform.scale]);
+
+  const onPointerMove = useCallback((event) => {
+    const previous = pointers.current.get(event.pointerId);
+    if (!previous) {
+      return;
+    }
+    pointers.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (pinch.current && pointers.current.size === 2) {
+      const { distance, scale } = pinch.current;
+      zoomTo(() => scale * (getPointerDistance(pointers.current) / distance));
+    } else if (pointers.current.size === 1) {
+      panBy(event.clientX - previous.x, event.clientY - previous.y);
+    }
+  }, [zoomTo, panBy]);
+
+  const onPointerUp = useCallback((event) => {
+    pointers.current.delete(event.pointerId);
+    if (pointers.current.size < 2) {
+      pinch.current = null;
+    }
+  }, []);
+
+  return {
+    transform,
+    isZoomed: transform.scale > min,
+    zoomIn,
+    zoomOut,
+    reset,
+    panBy,
+    handlers: {
+      onWheel,
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp
+    }
+  };
+};
+
+export default useZoomPan;
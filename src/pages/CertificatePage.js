@@ -0,0 +1,175 @@
+/**
+ * Página de detalle de un certificado (/certificates/:id)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar la ficha completa de una credencial
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Lee los datos desde cvDataService y las relaciones desde knowledgeGraphService
+ */
+
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FaExternalLinkAlt, FaDownload } from 'react-icons/fa';
+import { MdSchool } from 'react-icons/md';
+import Card, { CardHeader, CardTitle, CardContent } from '../components/UI/Card';
+import DetailLayout, { DetailNotFound, DetailField } from './DetailLayout';
+import CredentialVerification from '../components/CredentialVerification';
+import cvDataService from '../services/CVDataService';
+import knowledgeGraphService from '../services/KnowledgeGraphService';
+import { getIcon } from '../constants/iconRegistry';
+import { getCertificateStatus } from '../constants/certificateMeta';
+import { formatCertificateDate } from '../utils/certificateLifecycle';
+import { getProjectPath, getSkillPath } from '../constants/routes';
+import { t } from '../services/I18nService';
+
+const SECTION_ID = 'certificates';
+
+/**
+ * Componente CertificatePage
+ */
+const CertificatePage = () => {
+  const { id } = useParams();
+  const certificate = cvDataService.getCertificate(id);
+
+  if (!certificate) {
+    return <DetailNotFound sectionId={SECTION_ID} />;
+  }
+
+  const skills = [...new Set([...certificate.skills, ...(certificate.relatedSkills || [])])];
+  const projects = knowledgeGraphService.getProjectsForCertificate(certificate);
+  const status = getCertificateStatus(certificate.lifecycle);
+
+  return (
+    <DetailLayout
+      sectionId={SECTION_ID}
+      eyebrow={t('pages.certificate.eyebrow')}
+      title={certificate.title}
+      subtitle={certificate.subtitle}
+      icon={getIcon(certificate.institutionIcon, MdSchool)}
+      color={certificate.color}
+    >
+      <Card variant="glass" padding="lg" className="mb-8">
+        <CardContent className="space-y-6">
+          <p className="text-lg text-dark-text/80 leading-relaxed">{certificate.description}</p>
+          {certificate.hasDocument && (
+            <div className="flex flex-wrap gap-3">
+              <a
+                href={certificate.certificate_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-2 px-5 py-3 bg-neon-blue/20 text-neon-blue rounded-full hover:bg-neon-blue/40 transition-colors"
+              >
+                <FaExternalLinkAlt />
+                {t('pages.certificate.viewDocument')}
+              </a>
+              <a
+                href={certificate.certificate_url}
+                download={certificate.downloadName}
+                className="inline-flex items-center gap-2 px-5 py-3 border border-neon-blue/40 text-neon-blue rounded-full hover:bg-neon-blue/10 transition-colors"
+              >
+                <FaDownload />
+                {t('certificates.lightbox.download')}
+              </a>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card variant="glass" padding="lg" className="mb-8">
+        <CardHeader>
+          <CardTitle level={2} color="text-neon-blue">
+            {t('pages.certificate.details')}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <dl className="grid sm:grid-cols-2 gap-4">
+            <DetailField label={t('pages.certificate.institution')}>{certificate.institution}</DetailField>
+            {status && (
+              <DetailField label={t('pages.certificate.status')}>
+                <span className={status.color}>{t(status.labelKey)}</span>
+              </DetailField>
+            )}
+            <DetailField label={t('pages.certificate.date')}>{certificate.date}</DetailField>
+            {certificate.issueDate && (
+              <DetailField label={t('pages.certificate.issueDate')}>{formatCertificateDate(certificate.issueDate)}</DetailField>
+            )}
+            {certificate.renewedDate && (
+              <DetailField label={t('pages.certificate.renewedDate')}>{formatCertificateDate(certificate.renewedDate)}</DetailField>
+            )}
+            {certificate.expiryDate && (
+              <DetailField label={t('pages.certificate.expiryDate')}>{formatCertificateDate(certificate.expiryDate)}</DetailField>
+            )}
+            <DetailField label={t('pages.certificate.duration')}>{certificate.duration}</DetailField>
+            <DetailField label={t('pages.certificate.hours')}>
+              {t('common.hours', { count: certificate.hours })}
+            </DetailField>
+            <DetailField label={t('pages.certificate.grade')}>{certificate.grade || t('certificates.card.pendingGrade')}</DetailField>
+            <DetailField label={t('pages.certificate.credentialId')}>{certificate.credentialId}</DetailField>
+          </dl>
+        </CardContent>
+      </Card>
+
+      <CredentialVerification certificate={certificate} />
+
+      {skills.length > 0 && (
+        <Card variant="glass" padding="lg" className="mb-8">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('pages.certificate.skills')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="flex flex-wrap gap-2">
+              {skills.map(skill => (
+                <li key={skill}>
+                  {knowledgeGraphService.isSkill(skill) ? (
+                    <Link
+                      to={getSkillPath({ name: skill })}
+                      className="inline-block px-3 py-1 bg-neon-blue/10 text-neon-blue rounded-full text-sm hover:bg-neon-blue/30 transition-colors"
+                    >
+                      {skill}
+                    </Link>
+                  ) : (
+                    <span className="inline-block px-3 py-1 bg-dark-bg/50 text-dark-text/80 rounded-full text-sm">
+                      {skill}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      {projects.length > 0 && (
+        <Card variant="glass" padding="lg">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('pages.certificate.projects')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="grid sm:grid-cols-2 gap-4">
+              {projects.map(project => (
+                <li key={project.id}>
+                  <Link
+                    to={getProjectPath(project)}
+                    className="block h-full p-4 rounded-xl bg-dark-bg border border-dark-border hover:border-neon-blue/50 transition-colors"
+                  >
+                    <span className="font-bold text-neon-blue">{project.name}</span>
+                    <span className="block mt-1 text-sm text-dark-text/70">{project.description}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+    </DetailLayout>
+  );
+};
+
+CertificatePage.displayName = 'CertificatePage';
+
+export default CertificatePage;
@@ -0,0 +1,160 @@
+/**
+ * Layout de las páginas de detalle
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: estructura común de las rutas de detalle
+ *   (volver a la sección, encabezado y título del documento)
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Cada página aporta su contenido como children sin modificar el layout
+ *
+ * BUENAS PRÁCTICAS:
+ * - El enlace de regreso apunta al hash de la sección de origen (/#portfolio)
+ * - Título del documento por página, restaurado al salir
+ * - Un único <h1> por página para accesibilidad y SEO
+ */
+
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import Card, { CardContent } from '../components/UI/Card';
+import { personalData } from '../constants/personalData';
+import { getSectionPath } from '../constants/routes';
+import { getSection } from '../constants/sectionRegistry';
+import { t } from '../services/I18nService';
+
+/**
+ * Enlace para volver a una sección de la página principal
+ */
+const BackLink = ({ sectionId }) => {
+  const section = getSection(sectionId);
+
+  return (
+    <Link
+      to={getSectionPath(sectionId)}
+      className="inline-flex items-center gap-2 text-sm font-jetbrains text-neon-blue hover:text-neon-blue/80 focus:outline-none focus:ring-2 focus:ring-neon-blue/50 rounded-lg px-2 py-1 transition-colors duration-300"
+    >
+      <FaArrowLeft />
+      {t('pages.backTo', { section: section ? section.label : sectionId })}
+    </Link>
+  );
+};
+
+BackLink.propTypes = {
+  sectionId: PropTypes.string.isRequired
+};
+
+/**
+ * Componente DetailLayout
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.sectionId - Sección de origen para el enlace de regreso
+ * @param {string} props.eyebrow - Tipo de página (ej: "Proyecto")
+ * @param {string} props.title - Título principal
+ * @param {string} [props.subtitle] - Subtítulo
+ * @param {React.ElementType} [props.icon] - Icono del encabezado
+ * @param {string} [props.color] - Color de acento (hex)
+ */
+const DetailLayout = ({
+  sectionId,
+  eyebrow,
+  title,
+  subtitle,
+  icon: Icon,
+  color = '#00d4ff',
+  children
+}) => {
+  // Título del documento y scroll al inicio al entrar en la página
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = t('pages.documentTitle', { title, name: personalData.name });
+    window.scrollTo(0, 0);
+
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [title]);
+
+  return (
+    <section className="min-h-screen pt-28 pb-20 relative" aria-labelledby="detail-title">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <BackLink sectionId={sectionId} />
+
+        <header className="mt-8 mb-10 flex items-start gap-5">
+          {Icon && (
+            <div
+              className="p-4 rounded-2xl border shrink-0"
+              style={{ backgroundColor: `${color}20`, borderColor: `${color}40` }}
+            >
+              <Icon className="text-4xl" style={{ color }} />
+            </div>
+          )}
+          <div>
+            <p className="text-sm uppercase tracking-widest font-jetbrains text-neon-blue mb-2">
+              {eyebrow}
+            </p>
+            <h1 id="detail-title" className="text-3xl md:text-5xl font-bold text-dark-text">
+              {title}
+            </h1>
+            {subtitle && (
+              <p className="mt-3 text-lg text-dark-text/70">{subtitle}</p>
+            )}
+          </div>
+        </header>
+
+        {children}
+      </div>
+    </section>
+  );
+};
+
+DetailLayout.propTypes = {
+  sectionId: PropTypes.string.isRequired,
+  eyebrow: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  subtitle: PropTypes.string,
+  icon: PropTypes.elementType,
+  color: PropTypes.string,
+  children: PropTypes.node
+};
+
+/**
+ * Página para elementos inexistentes (slug o id desconocido)
+ */
+export const DetailNotFound = ({ sectionId }) => (
+  <DetailLayout
+    sectionId={sectionId}
+    eyebrow="404"
+    title={t('pages.notFound.title')}
+  >
+    <Card variant="glass" padding="lg">
+      <CardContent>
+        <p className="text-dark-text/70">{t('pages.notFound.description')}</p>
+      </CardContent>
+    </Card>
+  </DetailLayout>
+);
+
+DetailNotFound.propTypes = {
+  sectionId: PropTypes.string.isRequired
+};
+
+/**
+ * Fila de datos (etiqueta y valor) para las fichas de detalle
+ */
+export const DetailField = ({ label, children }) => (
+  <div className="p-4 bg-dark-bg/50 rounded-xl">
+    <dt className="text-sm text-dark-text/70">{label}</dt>
+    <dd className="mt-1 font-medium text-dark-text">{children}</dd>
+  </div>
+);
+
+DetailField.propTypes = {
+  label: PropTypes.string.isRequired,
+  children: PropTypes.node
+};
+
+DetailLayout.displayName = 'DetailLayout';
+
+export default DetailLayout;
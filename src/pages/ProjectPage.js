@@ -0,0 +1,322 @@
+/**
+ * Página de detalle de un proyecto (/projects/:slug)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: mostrar un proyecto del portafolio y su caso de estudio
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Lee los datos desde cvDataService y el caso de estudio desde caseStudyService
+ *
+ * BUENAS PRÁCTICAS:
+ * - Los datos básicos del proyecto se muestran de inmediato; el caso de estudio
+ *   (Markdown) se agrega cuando termina de cargar
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FaExternalLinkAlt, FaGithub, FaLaptopCode, FaSpinner } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import Card, { CardHeader, CardTitle, CardContent } from '../components/UI/Card';
+import Markdown from '../components/UI/Markdown';
+import DetailLayout, { DetailNotFound, DetailField } from './DetailLayout';
+import cvDataService from '../services/CVDataService';
+import knowledgeGraphService from '../services/KnowledgeGraphService';
+import caseStudyService from '../services/CaseStudyService';
+import { getCertificatePath, getProjectPath, getSkillPath } from '../constants/routes';
+import { getProjectType, getProjectStatus } from '../constants/projectMeta';
+import { t } from '../services/I18nService';
+
+const SECTION_ID = 'portfolio';
+
+/**
+ * Hook para cargar el caso de estudio de un proyecto
+ * @param {Object|null} project - Proyecto del CV
+ * @returns {{caseStudy: Object|null, status: string}} status: idle, loading, ready o error
+ */
+const useCaseStudy = (project) => {
+  const hasCaseStudy = caseStudyService.hasCaseStudy(project);
+  const [state, setState] = useState({ caseStudy: null, status: hasCaseStudy ? 'loading' : 'idle' });
+
+  useEffect(() => {
+    if (!hasCaseStudy) {
+      setState({ caseStudy: null, status: 'idle' });
+      return undefined;
+    }
+
+    let isActive = true;
+    setState({ caseStudy: null, status: 'loading' });
+    caseStudyService.load(project).then(caseStudy => {
+      if (isActive) {
+        setState({ caseStudy, status: caseStudy ? 'ready' : 'error' });
+      }
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, [project, hasCaseStudy]);
+
+  return state;
+};
+
+/**
+ * Bloque de texto del caso de estudio (desafío, solución)
+ */
+const CaseStudyBlock = ({ title, children }) => (
+  <Card variant="glass" padding="lg" className="h-full">
+    <CardHeader>
+      <CardTitle level={2} color="text-neon-blue">{title}</CardTitle>
+    </CardHeader>
+    <CardContent>{children}</CardContent>
+  </Card>
+);
+
+CaseStudyBlock.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * Contenido del caso de estudio
+ */
+const CaseStudy = ({ caseStudy }) => {
+  const facts = [
+    { key: 'client', label: t('pages.project.client'), value: caseStudy.client },
+    { key: 'role', label: t('pages.project.role'), value: caseStudy.role },
+    { key: 'year', label: t('pages.project.year'), value: caseStudy.year }
+  ].filter(fact => fact.value);
+
+  return (
+    <div className="space-y-8 mb-8">
+      {(facts.length > 0 || caseStudy.stack.length > 0) && (
+        <Card variant="glass" padding="lg">
+          <CardContent className="space-y-6">
+            {facts.length > 0 && (
+              <dl className="grid sm:grid-cols-3 gap-4">
+                {facts.map(fact => (
+                  <DetailField key={fact.key} label={fact.label}>{fact.value}</DetailField>
+                ))}
+              </dl>
+            )}
+            {caseStudy.stack.length > 0 && (
+              <div>
+                <h2 className="text-sm text-dark-text/70 mb-2">{t('pages.project.stack')}</h2>
+                <ul className="flex flex-wrap gap-2">
+                  {caseStudy.stack.map(technology => (
+                    <li key={technology} className="px-3 py-1 bg-neon-blue/10 text-neon-blue rounded-full text-sm">
+                      {technology}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {(caseStudy.challenge || caseStudy.solution) && (
+        <div className="grid md:grid-cols-2 gap-8">
+          {caseStudy.challenge && (
+            <CaseStudyBlock title={t('pages.project.challenge')}>
+              <p className="text-dark-text/80 leading-relaxed whitespace-pre-line">{caseStudy.challenge}</p>
+            </CaseStudyBlock>
+          )}
+          {caseStudy.solution && (
+            <CaseStudyBlock title={t('pages.project.solution')}>
+              <p className="text-dark-text/80 leading-relaxed whitespace-pre-line">{caseStudy.solution}</p>
+            </CaseStudyBlock>
+          )}
+        </div>
+      )}
+
+      {caseStudy.results.length > 0 && (
+        <CaseStudyBlock title={t('pages.project.results')}>
+          <ul className="list-disc pl-6 space-y-1 text-dark-text/80">
+            {caseStudy.results.map(result => <li key={result}>{result}</li>)}
+          </ul>
+        </CaseStudyBlock>
+      )}
+
+      {caseStudy.content.length > 0 && (
+        <Card variant="glass" padding="lg">
+          <CardContent>
+            <Markdown blocks={caseStudy.content} />
+          </CardContent>
+        </Card>
+      )}
+
+      {caseStudy.gallery.length > 0 && (
+        <CaseStudyBlock title={t('pages.project.gallery')}>
+          <div className="grid sm:grid-cols-2 gap-4">
+            {caseStudy.gallery.map(image => (
+              <figure key={image.src}>
+                <a href={image.src} target="_blank" rel="noopener noreferrer">
+                  <img
+                    src={image.src}
+                    alt={image.alt}
+                    loading="lazy"
+                    className="w-full rounded-xl border border-dark-border hover:border-neon-blue/50 transition-colors"
+                  />
+                </a>
+                {image.caption && (
+                  <figcaption className="mt-2 text-sm text-dark-text/60">{image.caption}</figcaption>
+                )}
+              </figure>
+            ))}
+          </div>
+        </CaseStudyBlock>
+      )}
+    </div>
+  );
+};
+
+CaseStudy.propTypes = {
+  caseStudy: PropTypes.object.isRequired
+};
+
+/**
+ * Componente ProjectPage
+ */
+const ProjectPage = () => {
+  const { slug } = useParams();
+  const project = cvDataService.getProject(slug);
+  const { caseStudy, status } = useCaseStudy(project);
+
+  if (!project) {
+    return <DetailNotFound sectionId={SECTION_ID} />;
+  }
+
+  const otherProjects = cvDataService.getProjects().filter(item => item.id !== project.id);
+  const LinkIcon = project.isGitHub ? FaGithub : FaExternalLinkAlt;
+  const projectType = getProjectType(project.type);
+  const projectStatus = getProjectStatus(project.status);
+  const facts = [
+    { key: 'type', label: t('pages.project.type'), value: projectType && t(projectType.labelKey) },
+    { key: 'status', label: t('pages.project.status'), value: projectStatus && t(projectStatus.labelKey) },
+    // Con caso de estudio el año se muestra en sus datos
+    { key: 'year', label: t('pages.project.year'), value: !project.caseStudy && project.year }
+  ].filter(fact => fact.value);
+  const skills = [...new Set([...(project.tags || []), ...(project.relatedSkills || [])])];
+  const certificates = knowledgeGraphService.getCertificatesForProject(project);
+
+  return (
+    <DetailLayout
+      sectionId={SECTION_ID}
+      eyebrow={caseStudy ? t('pages.project.caseStudy') : t('pages.project.eyebrow')}
+      title={project.name}
+      icon={FaLaptopCode}
+    >
+      <Card variant="glass" padding="lg" className="mb-8">
+        <CardContent className="space-y-6">
+          <p className="text-lg text-dark-text/80 leading-relaxed">{project.description}</p>
+          {facts.length > 0 && (
+            <dl className="grid sm:grid-cols-3 gap-4">
+              {facts.map(fact => (
+                <DetailField key={fact.key} label={fact.label}>{fact.value}</DetailField>
+              ))}
+            </dl>
+          )}
+          {skills.length > 0 && (
+            <div>
+              <h2 className="text-sm text-dark-text/70 mb-2">{t('pages.project.skills')}</h2>
+              <ul className="flex flex-wrap gap-2">
+                {skills.map(skill => (
+                  <li key={skill}>
+                    {knowledgeGraphService.isSkill(skill) ? (
+                      <Link
+                        to={getSkillPath({ name: skill })}
+                        className="inline-block px-3 py-1 bg-neon-blue/10 text-neon-blue rounded-full text-sm hover:bg-neon-blue/30 transition-colors"
+                      >
+                        {skill}
+                      </Link>
+                    ) : (
+                      <span className="inline-block px-3 py-1 bg-dark-bg/50 text-dark-text/80 rounded-full text-sm">
+                        {skill}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <a
+            href={project.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-2 px-5 py-3 bg-neon-blue/20 text-neon-blue rounded-full hover:bg-neon-blue/40 transition-colors"
+          >
+            <LinkIcon />
+            {project.isGitHub ? t('pages.project.viewRepository') : t('pages.project.visitSite')}
+          </a>
+        </CardContent>
+      </Card>
+
+      {status === 'loading' && (
+        <p className="flex items-center gap-2 mb-8 text-dark-text/70" role="status">
+          <FaSpinner className="animate-spin text-neon-blue" />
+          {t('pages.project.loadingCaseStudy')}
+        </p>
+      )}
+      {status === 'error' && (
+        <p className="mb-8 text-red-400" role="alert">{t('pages.project.caseStudyError')}</p>
+      )}
+      {caseStudy && <CaseStudy caseStudy={caseStudy} />}
+
+      {certificates.length > 0 && (
+        <Card variant="glass" padding="lg" className="mb-8">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('pages.project.certificates')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="grid sm:grid-cols-2 gap-4">
+              {certificates.map(certificate => (
+                <li key={certificate.id}>
+                  <Link
+                    to={getCertificatePath(certificate)}
+                    className="block h-full p-4 rounded-xl bg-dark-bg border border-dark-border hover:border-neon-blue/50 transition-colors"
+                  >
+                    <span className="font-bold text-neon-blue">{certificate.title}</span>
+                    <span className="block mt-1 text-sm text-dark-text/70">
+                      {certificate.institution} • {certificate.date}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      {otherProjects.length > 0 && (
+        <Card variant="glass" padding="lg">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('pages.project.otherProjects')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="grid sm:grid-cols-2 gap-4">
+              {otherProjects.map(item => (
+                <li key={item.id}>
+                  <Link
+                    to={getProjectPath(item)}
+                    className="block h-full p-4 rounded-xl bg-dark-bg border border-dark-border hover:border-neon-blue/50 transition-colors"
+                  >
+                    <span className="font-bold text-neon-blue">{item.name}</span>
+                    <span className="block mt-1 text-sm text-dark-text/70">{item.description}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+    </DetailLayout>
+  );
+};
+
+ProjectPage.displayName = 'ProjectPage';
+
+export default ProjectPage;
@@ -0,0 +1,232 @@
+/**
+ * Página de detalle de una habilidad (/skills/:name)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: reunir todo lo que el CV dice sobre una habilidad
+ *   (nivel, evidencias del nivel, categorías, proyectos, certificados y uso como herramienta)
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Lee los datos desde cvDataService, no desde el archivo de datos
+ *
+ * El parámetro :name es el slug del nombre (ver toUrlSlug en constants/routes)
+ */
+
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FaCode } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import Card, { CardHeader, CardTitle, CardContent } from '../components/UI/Card';
+import DetailLayout, { DetailNotFound, DetailField } from './DetailLayout';
+import cvDataService from '../services/CVDataService';
+import knowledgeGraphService from '../services/KnowledgeGraphService';
+import { getIcon } from '../constants/iconRegistry';
+import { getExperienceLevel, hasExperienceLevel } from '../constants/experienceLevels';
+import { SKILL_SCORING } from '../constants/skillScoring';
+import { formatExperience } from '../utils/skillScoring';
+import { getCertificatePath, getProjectPath, toUrlSlug } from '../constants/routes';
+import { t } from '../services/I18nService';
+
+const SECTION_ID = 'skills';
+
+/**
+ * Lista de enlaces a proyectos o certificados relacionados
+ */
+const RelatedLinks = ({ title, items, emptyText }) => (
+  <Card variant="glass" padding="lg" className="mb-8">
+    <CardHeader>
+      <CardTitle level={2} color="text-neon-blue">{title}</CardTitle>
+    </CardHeader>
+    <CardContent>
+      {items.length > 0 ? (
+        <ul className="grid sm:grid-cols-2 gap-4">
+          {items.map(item => (
+            <li key={item.key}>
+              <Link
+                to={item.to}
+                className="block h-full p-4 rounded-xl bg-dark-bg border border-dark-border hover:border-neon-blue/50 transition-colors"
+              >
+                <span className="font-bold text-neon-blue">{item.title}</span>
+                <span className="block mt-1 text-sm text-dark-text/70">{item.detail}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-dark-text/70">{emptyText}</p>
+      )}
+    </CardContent>
+  </Card>
+);
+
+RelatedLinks.propTypes = {
+  title: PropTypes.string.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    to: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    detail: PropTypes.string.isRequired
+  })).isRequired,
+  emptyText: PropTypes.string.isRequired
+};
+
+/**
+ * Desglose del nivel calculado (ver constants/skillScoring)
+ */
+const EvidenceCard = ({ evidence, breakdown }) => {
+  const rows = [
+    { key: 'time', detail: formatExperience(evidence.months) },
+    { key: 'usage', detail: t(`skills.usage.${evidence.usage}`) },
+    { key: 'projects', detail: t('skills.relations.projectCount', { count: evidence.projectCount }) },
+    { key: 'certificates', detail: t('common.hours', { count: evidence.certificateHours }) }
+  ];
+
+  return (
+    <Card variant="glass" padding="lg" className="mb-8">
+      <CardHeader>
+        <CardTitle level={2} color="text-neon-blue">{t('pages.skill.evidence')}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-dark-text/70 mb-6">{t('pages.skill.evidenceDescription')}</p>
+        <dl className="grid sm:grid-cols-2 gap-4">
+          {rows.map(row => (
+            <div key={row.key} className="p-4 rounded-xl bg-dark-bg border border-dark-border">
+              <dt className="text-sm text-dark-text/70">{t(`pages.skill.evidenceItems.${row.key}`)}</dt>
+              <dd className="mt-1 text-dark-text">{row.detail}</dd>
+              <dd className="mt-1 text-sm font-medium text-neon-blue">
+                {t('pages.skill.points', { points: breakdown[row.key], max: SKILL_SCORING[row.key].points })}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </CardContent>
+    </Card>
+  );
+};
+
+EvidenceCard.propTypes = {
+  evidence: PropTypes.shape({
+    months: PropTypes.number.isRequired,
+    usage: PropTypes.string.isRequired,
+    projectCount: PropTypes.number.isRequired,
+    certificateHours: PropTypes.number.isRequired
+  }).isRequired,
+  breakdown: PropTypes.objectOf(PropTypes.number).isRequired
+};
+
+/**
+ * Componente SkillPage
+ */
+const SkillPage = () => {
+  const { name } = useParams();
+  const slug = toUrlSlug(name);
+  const matches = cvDataService.getSkills().filter(skill => toUrlSlug(skill.name) === slug);
+
+  if (matches.length === 0) {
+    return <DetailNotFound sectionId={SECTION_ID} />;
+  }
+
+  // Una habilidad puede figurar en varias categorías: se toma el nivel más alto
+  const skill = matches.reduce((best, item) => (item.level > best.level ? item : best));
+  const experienceLevel = getExperienceLevel(skill.level);
+  // Las habilidades sin puntaje (blandas, formación) no muestran nivel ni experiencia
+  const isScored = hasExperienceLevel(skill);
+  const categories = cvDataService.getSkillCategories()
+    .filter(category => matches.some(item => item.category === category.id));
+  const { projects, certificates } = knowledgeGraphService.getSkillRelations(slug);
+  const tools = cvDataService.getToolCategories()
+    .flatMap(category => category.items)
+    .filter(tool => toUrlSlug(tool.name) === slug);
+
+  return (
+    <DetailLayout
+      sectionId={SECTION_ID}
+      eyebrow={t('pages.skill.eyebrow')}
+      title={skill.name}
+      subtitle={skill.description}
+      icon={getIcon(skill.icon, FaCode)}
+      color={skill.color}
+    >
+      <Card variant="glass" padding="lg" className="mb-8">
+        <CardContent className="space-y-6">
+          {isScored && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <span className="text-sm text-dark-text/70">{t('pages.skill.level')}</span>
+                <span className="text-sm font-medium text-neon-blue">{skill.level}%</span>
+              </div>
+              <div className="w-full bg-dark-bg rounded-full h-2 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-neon-blue to-blue-400 rounded-full"
+                  style={{ width: `${skill.level}%` }}
+                />
+              </div>
+            </div>
+          )}
+          <dl className="grid sm:grid-cols-2 gap-4">
+            {isScored && (
+              <>
+                <DetailField label={t('pages.skill.experience')}>{skill.experience}</DetailField>
+                <DetailField label={t('skills.card.level')}>
+                  <span className={`text-xs px-2 py-1 rounded-full ${experienceLevel.bgColor} ${experienceLevel.color}`}>
+                    {t(experienceLevel.labelKey)}
+                  </span>
+                </DetailField>
+              </>
+            )}
+            <DetailField label={t('pages.skill.categories')}>
+              {categories.map(category => category.title).join(' · ')}
+            </DetailField>
+          </dl>
+        </CardContent>
+      </Card>
+
+      {skill.breakdown && <EvidenceCard evidence={skill.evidence} breakdown={skill.breakdown} />}
+
+      <RelatedLinks
+        title={t('pages.skill.projects')}
+        items={projects.map(project => ({
+          key: project.id,
+          to: getProjectPath(project),
+          title: project.name,
+          detail: project.description
+        }))}
+        emptyText={t('pages.skill.noProjects')}
+      />
+
+      <RelatedLinks
+        title={t('pages.skill.certificates')}
+        items={certificates.map(certificate => ({
+          key: certificate.id,
+          to: getCertificatePath(certificate),
+          title: certificate.title,
+          detail: `${certificate.institution} • ${certificate.date}`
+        }))}
+        emptyText={t('pages.skill.noCertificates')}
+      />
+
+      {tools.length > 0 && (
+        <Card variant="glass" padding="lg">
+          <CardHeader>
+            <CardTitle level={2} color="text-neon-blue">
+              {t('pages.skill.tools')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {tools.map(tool => (
+              <div key={tool.name}>
+                <p className="text-dark-text/80">{tool.description}</p>
+                <p className="mt-1 text-sm text-dark-text/60">
+                  {t('pages.skill.usage', { usage: tool.usage })} • {tool.experience}
+                </p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </DetailLayout>
+  );
+};
+
+SkillPage.displayName = 'SkillPage';
+
+export default SkillPage;
@@ -0,0 +1,576 @@
+/**
+ * Servicio de Datos del CV
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: dar acceso de solo lectura a los datos del CV
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Las secciones dependen de este servicio y no del formato del archivo de datos
+ *
+ * BUENAS PRÁCTICAS:
+ * - Única fuente de verdad: src/constants/cvData.json
+ * - Esquema documentado y versionado (CV_SCHEMA_VERSION)
+ * - Traducciones opcionales en "translations" que se superponen al idioma base
+ * - Sin dependencias de React: reutilizable por exportadores y scripts
+ */
+
+import cvData from '../constants/cvData.json';
+import i18nService, { t } from './I18nService';
+import { scoreSkill } from '../utils/skillScoring';
+import { describeLearningItem, getRecentlyCompleted, graduateLearningItems } from '../utils/learningRoadmap';
+import { MEDIA_TYPES, getMediaType, getDownloadName } from '../utils/certificateMedia';
+import { getCertificateLifecycle, findLifecycleIssues } from '../utils/certificateLifecycle';
+
+/**
+ * Versión del esquema soportada por este servicio
+ * Cambios incompatibles en cvData.json deben incrementar la versión mayor
+ */
+export const CV_SCHEMA_VERSION = '1.10.0';
+
+/**
+ * Secciones obligatorias del documento de datos
+ */
+export const CV_SECTIONS = ['profile', 'work', 'education', 'projects', 'skills', 'certificates', 'tools'];
+
+/**
+ * @typedef {Object} CVProfile
+ * @property {string} name - Nombre completo
+ * @property {string} title - Título profesional
+ * @property {string} subtitle - Subtítulo o especialidad
+ * @property {string} bio - Biografía breve
+ * @property {string[]} headlines - Frases para la animación del hero
+ * @property {string} location - Ubicación
+ * @property {string} countryCode - Código de país ISO 3166-1 alfa-2
+ * @property {string} timezone - Zona horaria (ej: "UTC-3")
+ * @property {number} freelanceStartYear - Año de inicio de la actividad profesional
+ * @property {{name: string, level: string}[]} languages - Idiomas
+ * @property {Object} stats - Estadísticas declaradas (proyectos, clientes, tecnologías)
+ * @property {CVContact} contact - Datos de contacto
+ */
+
+/**
+ * @typedef {Object} CVContact
+ * @property {string} email - Email principal
+ * @property {string} phone - Teléfono en formato internacional
+ * @property {Object<string, string>} social - URLs de redes sociales por clave
+ * @property {Object} availability - Horarios y tiempos de respuesta
+ */
+
+/**
+ * @typedef {Object} CVWork
+ * @property {string} id - Identificador único
+ * @property {string} position - Puesto
+ * @property {string} organization - Empresa o modalidad
+ * @property {string} startDate - Fecha de inicio (YYYY o YYYY-MM)
+ * @property {string|null} endDate - Fecha de fin o null si continúa
+ * @property {string} icon - Clave del registro de iconos
+ * @property {string} summary - Descripción
+ * @property {string[]} highlights - Logros destacados
+ */
+
+/**
+ * @typedef {Object} CVEducation
+ * @property {string} id - Identificador único
+ * @property {string} title - Título o carrera
+ * @property {string} institution - Institución
+ * @property {string} area - Área de estudio
+ * @property {string} startDate - Fecha de inicio (YYYY o YYYY-MM)
+ * @property {string|null} endDate - Fecha de fin o null si continúa
+ * @property {string} icon - Clave del registro de iconos
+ * @property {string} summary - Descripción
+ * @property {string[]} highlights - Contenidos destacados
+ */
+
+/**
+ * @typedef {Object} CVProject
+ * @property {string} id - Identificador único (slug)
+ * @property {string} name - Nombre del proyecto
+ * @property {string} url - URL pública o repositorio
+ * @property {string} description - Descripción breve
+ * @property {boolean} [isGitHub] - Si la URL apunta a un repositorio
+ * @property {string} [caseStudy] - Caso de estudio en Markdown dentro de /public (ver CaseStudyService)
+ * @property {string[]} [tags] - Tecnologías del proyecto (filtro del portafolio)
+ * @property {string} [type] - Tipo: client, academic u openSource (ver constants/projectFilters)
+ * @property {number} [year] - Año de realización
+ * @property {string} [status] - Estado: live, completed, inProgress o archived
+ * @property {string[]} [relatedSkills] - Habilidades de la sección skills que respalda, por nombre (ver KnowledgeGraphService)
+ */
+
+/**
+ * @typedef {Object} CVSkill
+ * @property {string} name - Nombre de la tecnología o habilidad
+ * @property {string} icon - Clave del registro de iconos
+ * @property {string} [since] - Inicio de uso (YYYY o YYYY-MM); por defecto freelanceStartYear
+ * @property {string} [usage] - Frecuencia de uso: daily, weekly, monthly u occasional
+ * @property {boolean} [scored=true] - false en habilidades que no se pueden medir con evidencias (blandas, formación)
+ * @property {number} [level] - Nivel (0-100), calculado con la rúbrica de constants/skillScoring
+ * @property {string} [experience] - Experiencia calculada desde "since" ("3 años")
+ * @property {string} color - Color de marca (hex)
+ *
+ * "level" y "experience" no se escriben en cvData.json: se calculan, y las
+ * habilidades con "scored": false no los tienen
+ */
+
+/**
+ * @typedef {Object} CVLearningItem
+ * @property {string} id - Identificador único
+ * @property {string} name - Nombre de la tecnología
+ * @property {string} icon - Clave del registro de iconos
+ * @property {string} color - Color de marca (hex)
+ * @property {string} category - Categoría de skills a la que se suma al graduarse
+ * @property {string} [usage] - Frecuencia de uso una vez graduada (ver CVSkill)
+ * @property {string} startDate - Inicio del aprendizaje (YYYY-MM)
+ * @property {string} targetDate - Fecha objetivo de la hoja de ruta (YYYY-MM)
+ * @property {CVMilestone[]} milestones - Hitos en orden
+ * @property {string} [graduatesAt] - Id del hito que la gradúa (por defecto el último)
+ * @property {{title: string, provider: string, url: string}[]} courses - Cursos y recursos vinculados
+ *
+ * getLearningItems() agrega progress (0-100), graduated y nextMilestone (ver utils/learningRoadmap)
+ */
+
+/**
+ * @typedef {Object} CVMilestone
+ * @property {string} id - Identificador dentro de la tecnología
+ * @property {string} title - Descripción del hito
+ * @property {string} targetDate - Fecha objetivo (YYYY-MM)
+ * @property {string} [completedDate] - Fecha en que se alcanzó (YYYY-MM); sin ella está pendiente
+ */
+
+/**
+ * @typedef {Object} CVCertificate
+ * @property {string} id - Identificador único
+ * @property {string} title - Título del certificado
+ * @property {string} institution - Institución emisora
+ * @property {string} date - Fecha o rango de fechas para mostrar (ej: "2022-2025")
+ * @property {string} [startDate] - Inicio de la cursada (YYYY, YYYY-MM o YYYY-MM-DD); sin "issueDate" queda en curso
+ * @property {string} [endDate] - Fin previsto de la cursada; si pasa sin "issueDate" se avisa (ver checkCertificates)
+ * @property {string} [issueDate] - Fecha de emisión del certificado
+ * @property {string} [expiryDate] - Fecha de vencimiento
+ * @property {string} [renewedDate] - Fecha de la última renovación ("expiryDate" es el vencimiento renovado)
+ * @property {number} hours - Carga horaria
+ * @property {string} credentialId - Identificador de la credencial
+ * @property {string[]} skills - Habilidades cubiertas
+ * @property {string[]} [relatedSkills] - Habilidades de la sección skills que respalda, por nombre (ver KnowledgeGraphService)
+ * @property {string|null} asset - Archivo en /public o null si no hay documento
+ * @property {string} [mediaType] - Tipo de documento: image o pdf; si falta se deduce de la extensión de "asset"
+ * @property {string} [credential] - Credencial Open Badges 2.0/3.0 en /public (JSON-LD o JWS), ver CredentialService
+ *
+ * getCertificateCategories agrega certificate_url, mediaType ("none" sin documento),
+ * hasImage, hasDocument, downloadName y lifecycle (planned, inProgress, completed,
+ * expired o renewed, calculado con la fecha actual; ver utils/certificateLifecycle)
+ */
+
+/**
+ * @typedef {Object} CVBadgeIssuer
+ * Perfil de emisor Open Badges (certificates.issuers) incluido en el sitio
+ * @property {string} id - Id del perfil (URL), igual al "issuer" de las credenciales
+ * @property {string} name - Nombre del emisor
+ * @property {{allowedOrigins: string[]}} [verification] - Hosts donde publica aserciones alojadas
+ * @property {{id: string, publicKeyPem?: string, publicKeyJwk?: Object}[]} [publicKey] - Claves de las credenciales firmadas
+ * @property {{revokedAssertions: string[]}} [revocationList] - Ids de aserciones revocadas
+ */
+
+/**
+ * @typedef {Object} CVTool
+ * @property {string} name - Nombre de la herramienta
+ * @property {string} icon - Clave del registro de iconos
+ * @property {string} usage - Frecuencia de uso
+ * @property {string} experience - Experiencia declarada
+ * @property {number} productivity - Impacto en productividad (0-100)
+ * @property {string[]} features - Usos principales
+ */
+
+/**
+ * @typedef {Object} CVTranslations
+ * Documentos parciales por idioma (ej: { en: { profile: { title: "..." } } })
+ * - Los objetos se combinan campo a campo con el documento base
+ * - Las listas de objetos se combinan por "id" o, si no tienen id, por posición
+ *   ({} deja una posición sin traducir)
+ * - Las listas de textos se reemplazan completas
+ */
+
+/**
+ * Indica si un valor es un objeto plano (no lista ni null)
+ * @param {*} value - Valor a comprobar
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Superpone una traducción parcial sobre una sección del CV
+ * @param {*} base - Valor en el idioma base
+ * @param {*} overlay - Valor traducido (parcial)
+ * @returns {*} Valor combinado, sin modificar los originales
+ */
+export const mergeTranslation = (base, overlay) => {
+  if (overlay === undefined || overlay === null) {
+    return base;
+  }
+
+  if (Array.isArray(base) && Array.isArray(overlay) && base.every(isPlainObject)) {
+    const byId = overlay.some(item => isPlainObject(item) && item.id !== undefined);
+    return base.map((item, index) => {
+      const translation = byId
+        ? overlay.find(candidate => isPlainObject(candidate) && candidate.id === item.id)
+        : overlay[index];
+      return mergeTranslation(item, translation);
+    });
+  }
+
+  if (isPlainObject(base) && isPlainObject(overlay)) {
+    return Object.keys(overlay).reduce((merged, key) => ({
+      ...merged,
+      [key]: mergeTranslation(base[key], overlay[key])
+    }), base);
+  }
+
+  return overlay;
+};
+
+/**
+ * Obtiene el documento del CV en un idioma
+ * @param {Object} data - Documento con traducciones opcionales
+ * @param {string|null} language - Código de idioma (ej: "en")
+ * @returns {Object} Documento sin la clave "translations"
+ */
+export const localizeCVData = (data, language) => {
+  const { translations = {}, ...document } = data;
+  return language && translations[language]
+    ? mergeTranslation(document, translations[language])
+    : document;
+};
+
+/**
+ * Formatea un rango de fechas del esquema para mostrarlo
+ * @param {string} startDate - Fecha de inicio (YYYY o YYYY-MM)
+ * @param {string|null} endDate - Fecha de fin o null si continúa
+ * @returns {string} Período legible (ej: "2022 - Presente")
+ */
+export const formatPeriod = (startDate, endDate) => {
+  const start = String(startDate).slice(0, 4);
+  const end = endDate ? String(endDate).slice(0, 4) : t('common.present');
+  return `${start} - ${end}`;
+};
+
+/**
+ * Clase CVDataService
+ * Expone cada sección del CV ya normalizada para los componentes
+ */
+class CVDataService {
+  /**
+   * Constructor del servicio
+   * @param {Object} data - Documento de datos del CV (por defecto cvData.json)
+   * @param {string|null} language - Idioma de las traducciones a aplicar (null = idioma base)
+   */
+  constructor(data = cvData, language = null) {
+    this.source = data;
+    this.language = language;
+    this.data = localizeCVData(data, language);
+    this.validateSchema();
+
+    // Los avisos de fechas son para quien edita cvData.json: en desarrollo y en
+    // los scripts (ver scripts/generate-cv-exports.js), no en la consola del visitante
+    if (process.env.NODE_ENV === 'development') {
+      this.checkCertificates();
+    }
+  }
+
+  /**
+   * Cambia el idioma de las traducciones aplicadas al documento
+   * @param {string|null} language - Código de idioma (null = idioma base)
+   */
+  setLanguage(language) {
+    this.language = language;
+    this.data = localizeCVData(this.source, language);
+  }
+
+  /**
+   * Verifica la versión y las secciones obligatorias del documento
+   * @returns {boolean} - True si el documento es compatible
+   */
+  validateSchema() {
+    const [expectedMajor] = CV_SCHEMA_VERSION.split('.');
+    const [actualMajor] = String(this.data.schemaVersion || '').split('.');
+
+    if (expectedMajor !== actualMajor) {
+      console.warn(`CVDataService: versión de esquema incompatible "${this.data.schemaVersion}" (se esperaba ${CV_SCHEMA_VERSION})`);
+      return false;
+    }
+
+    const missing = CV_SECTIONS.filter(section => !this.data[section]);
+    if (missing.length > 0) {
+      console.warn('CVDataService: faltan secciones en los datos del CV', missing);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Avisa de fechas inválidas o desactualizadas en los certificados
+   * (ej: uno en curso cuya fecha de fin ya pasó)
+   * @param {Date} now - Fecha de referencia (por defecto hoy)
+   * @returns {{id: string, code: string, message: string}[]} - Problemas encontrados
+   */
+  checkCertificates(now = new Date()) {
+    const certificates = this.data.certificates
+      ? this.data.certificates.categories.flatMap(category => category.items)
+      : [];
+    const issues = findLifecycleIssues(certificates, now);
+
+    issues.forEach(issue => console.warn(`CVDataService: certificado ${issue.message}`));
+    return issues;
+  }
+
+  /**
+   * Obtiene el documento de datos completo (para exportadores)
+   * @returns {Object}
+   */
+  getDocument() {
+    return this.data;
+  }
+
+  /**
+   * Obtiene la versión del esquema del documento
+   * @returns {string}
+   */
+  getSchemaVersion() {
+    return this.data.schemaVersion;
+  }
+
+  /**
+   * Obtiene los metadatos del documento (fecha de actualización, locale)
+   * @returns {Object}
+   */
+  getMeta() {
+    return this.data.meta || {};
+  }
+
+  /**
+   * Obtiene el perfil personal
+   * @returns {CVProfile}
+   */
+  getProfile() {
+    return this.data.profile;
+  }
+
+  /**
+   * Obtiene los datos de contacto
+   * @returns {CVContact}
+   */
+  getContact() {
+    return this.data.profile.contact;
+  }
+
+  /**
+   * Calcula los años de experiencia desde el inicio de la actividad profesional
+   * @param {Date} referenceDate - Fecha de referencia (por defecto hoy)
+   * @returns {number}
+   */
+  getExperienceYears(referenceDate = new Date()) {
+    return Math.max(0, referenceDate.getFullYear() - Number(this.data.profile.freelanceStartYear));
+  }
+
+  /**
+   * Obtiene la experiencia laboral
+   * @returns {CVWork[]}
+   */
+  getWork() {
+    return this.data.work;
+  }
+
+  /**
+   * Obtiene la formación académica
+   * @returns {CVEducation[]}
+   */
+  getEducation() {
+    return this.data.education;
+  }
+
+  /**
+   * Obtiene la formación principal (la primera del listado)
+   * @returns {CVEducation|null}
+   */
+  getMainEducation() {
+    return this.data.education[0] || null;
+  }
+
+  /**
+   * Combina trabajo y formación en una línea temporal
+   * @returns {Object[]} - Entradas con id, title, period, type, icon, description y achievements
+   */
+  getTimeline() {
+    const work = this.data.work.map(job => ({
+      id: job.id,
+      title: job.position,
+      period: formatPeriod(job.startDate, job.endDate),
+      type: 'trabajo',
+      icon: job.icon,
+      description: job.summary,
+      achievements: job.highlights
+    }));
+
+    const education = this.data.education.map(study => ({
+      id: study.id,
+      title: `${study.title} - ${study.institution}`,
+      period: formatPeriod(study.startDate, study.endDate),
+      type: 'educacion',
+      icon: study.icon,
+      description: study.summary,
+      achievements: study.highlights
+    }));
+
+    return [...work, ...education];
+  }
+
+  /**
+   * Obtiene los proyectos del portafolio
+   * @returns {CVProject[]}
+   */
+  getProjects() {
+    return this.data.projects;
+  }
+
+  /**
+   * Busca un proyecto por id
+   * @param {string} projectId - Id del proyecto
+   * @returns {CVProject|null}
+   */
+  getProject(projectId) {
+    return this.data.projects.find(project => project.id === projectId) || null;
+  }
+
+  /**
+   * Obtiene las categorías de habilidades con el nivel y la experiencia calculados
+   * @param {Date} referenceDate - Fecha de referencia (por defecto hoy)
+   * @returns {{id: string, title: string, description: string, items: CVSkill[]}[]}
+   */
+  getSkillCategories(referenceDate = new Date()) {
+    const context = {
+      projects: this.data.projects,
+      certificates: this.data.certificates.categories.flatMap(category => category.items),
+      defaultSince: this.data.profile.freelanceStartYear,
+      referenceDate
+    };
+
+    return graduateLearningItems(this.data.skills.categories, this.data.skills.learning || [])
+      .map(category => ({
+        ...category,
+        items: category.items.map(skill => scoreSkill(skill, context))
+      }));
+  }
+
+  /**
+   * Obtiene todas las habilidades en una lista plana
+   * @returns {CVSkill[]}
+   */
+  getSkills() {
+    return this.getSkillCategories().flatMap(category =>
+      category.items.map(item => ({ ...item, category: category.id }))
+    );
+  }
+
+  /**
+   * Obtiene la hoja de ruta completa, incluidas las tecnologías ya graduadas
+   * @returns {CVLearningItem[]}
+   */
+  getRoadmap() {
+    return (this.data.skills.learning || []).map(describeLearningItem);
+  }
+
+  /**
+   * Obtiene las tecnologías en aprendizaje (las graduadas ya figuran en skills)
+   * @returns {CVLearningItem[]}
+   */
+  getLearningItems() {
+    return this.getRoadmap().filter(item => !item.graduated);
+  }
+
+  /**
+   * Obtiene los últimos hitos completados de la hoja de ruta
+   * @param {number} limit - Cantidad máxima de hitos
+   * @returns {{id: string, item: CVLearningItem, milestone: CVMilestone, date: string, graduation: boolean}[]}
+   */
+  getRecentlyCompleted(limit = 5) {
+    return getRecentlyCompleted(this.getRoadmap(), limit);
+  }
+
+  /**
+   * Obtiene las categorías de certificados con la URL y el tipo del documento resueltos
+   * @returns {{id: string, title: string, description: string, icon: string, items: CVCertificate[]}[]}
+   */
+  getCertificateCategories() {
+    return this.data.certificates.categories.map(category => ({
+      ...category,
+      items: category.items.map(certificate => {
+        const mediaType = getMediaType(certificate);
+        return {
+          ...certificate,
+          certificate_url: this.resolveAsset(certificate.asset),
+          mediaType,
+          hasImage: mediaType === MEDIA_TYPES.image,
+          hasDocument: mediaType !== MEDIA_TYPES.none,
+          downloadName: getDownloadName(certificate),
+          lifecycle: getCertificateLifecycle(certificate)
+        };
+      })
+    }));
+  }
+
+  /**
+   * Obtiene todos los certificados en una lista plana
+   * @returns {CVCertificate[]}
+   */
+  getCertificates() {
+    return this.getCertificateCategories().flatMap(category =>
+      category.items.map(item => ({ ...item, category: category.id }))
+    );
+  }
+
+  /**
+   * Busca un certificado por id
+   * @param {string} certificateId - Id del certificado
+   * @returns {CVCertificate|null}
+   */
+  getCertificate(certificateId) {
+    return this.getCertificates().find(certificate => certificate.id === certificateId) || null;
+  }
+
+  /**
+   * Obtiene los perfiles de emisor Open Badges con los que se verifican las credenciales
+   * @returns {CVBadgeIssuer[]}
+   */
+  getCredentialIssuers() {
+    return this.data.certificates.issuers || [];
+  }
+
+  /**
+   * Obtiene las categorías de herramientas de IA y productividad
+   * @returns {{id: string, title: string, description: string, icon: string, items: CVTool[]}[]}
+   */
+  getToolCategories() {
+    return this.data.tools.categories;
+  }
+
+  /**
+   * Resuelve la URL pública de un archivo de /public
+   * @param {string|null} asset - Nombre del archivo
+   * @returns {string} - URL absoluta desde la raíz pública o '#' si no hay archivo
+   */
+  resolveAsset(asset) {
+    if (!asset) {
+      return '#';
+    }
+    return `${process.env.PUBLIC_URL || ''}/${asset}`;
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const cvDataService = new CVDataService(cvData, i18nService.getLanguage());
+
+// Mantener el documento en el idioma activo cuando el usuario lo cambia
+i18nService.subscribe(language => cvDataService.setLanguage(language));
+
+// Exportar tanto la clase como la instancia
+export { CVDataService };
+export default cvDataService;
@@ -0,0 +1,190 @@
+/**
+ * Servicio de Casos de Estudio
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: cargar los casos de estudio en Markdown y
+ *   combinarlos con el proyecto del CV
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos y la función fetch en el constructor
+ *
+ * BUENAS PRÁCTICAS:
+ * - Los casos de estudio viven en public/case-studies/<id>.md y el proyecto
+ *   los referencia con "caseStudy" (igual que "asset" en los certificados)
+ * - Front-matter con client, role, year, stack, challenge, solution, results y gallery
+ * - Caché por proyecto: cada archivo se descarga una sola vez
+ */
+
+import cvDataService from './CVDataService';
+import { parseFrontMatter, parseMarkdown, isSafeUrl } from '../utils/markdown';
+
+/**
+ * @typedef {Object} CVCaseStudy
+ * Proyecto (CVProject) extendido con los datos del caso de estudio
+ * @property {string|null} client - Cliente u organización
+ * @property {string|null} role - Rol en el proyecto
+ * @property {string|null} year - Año o período
+ * @property {string[]} stack - Tecnologías utilizadas
+ * @property {string|null} challenge - Desafío
+ * @property {string|null} solution - Solución
+ * @property {string[]} results - Resultados (uno por elemento)
+ * @property {{src: string, alt: string, caption: string|null}[]} gallery - Capturas
+ * @property {Object[]} content - Bloques del cuerpo Markdown (ver utils/markdown)
+ */
+
+/**
+ * Resuelve una ruta relativa al archivo Markdown ("images/home.webp")
+ * Las URLs absolutas y las rutas desde la raíz se devuelven sin cambios
+ * @param {string} path - Ruta declarada en el caso de estudio
+ * @param {string} baseUrl - URL del archivo Markdown
+ * @returns {string}
+ */
+export const resolveRelativeUrl = (path, baseUrl) => {
+  const value = String(path || '').trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith('/')) {
+    return value;
+  }
+  return `${baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1)}${value.replace(/^\.\//, '')}`;
+};
+
+/**
+ * Normaliza un valor del front-matter a lista
+ * @param {*} value - Valor (lista, texto o vacío)
+ * @returns {Array}
+ */
+const toList = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Normaliza un valor del front-matter a texto
+ * @param {*} value - Valor
+ * @returns {string|null}
+ */
+const toText = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+/**
+ * Combina un proyecto con su caso de estudio en Markdown
+ * @param {Object} project - Proyecto del CV
+ * @param {string} markdown - Contenido del archivo .md
+ * @param {string} baseUrl - URL del archivo (para resolver imágenes relativas)
+ * @returns {CVCaseStudy}
+ */
+export const toCaseStudy = (project, markdown, baseUrl = '') => {
+  const { attributes, body } = parseFrontMatter(markdown);
+  const resolveUrl = (path) => resolveRelativeUrl(path, baseUrl);
+
+  const gallery = toList(attributes.gallery)
+    .map(item => (typeof item === 'object' ? item : { src: item }))
+    .filter(item => item.src && isSafeUrl(item.src))
+    .map(item => ({
+      src: resolveUrl(item.src),
+      alt: toText(item.alt) || toText(item.caption) || project.name,
+      caption: toText(item.caption)
+    }));
+
+  return {
+    ...project,
+    client: toText(attributes.client),
+    role: toText(attributes.role),
+    year: toText(attributes.year) || toText(project.year),
+    stack: toList(attributes.stack).map(String),
+    challenge: toText(attributes.challenge),
+    solution: toText(attributes.solution),
+    results: toList(attributes.results).map(String),
+    gallery,
+    content: parseMarkdown(body, { resolveUrl })
+  };
+};
+
+/**
+ * Clase CaseStudyService
+ * Descarga, interpreta y cachea los casos de estudio de los proyectos
+ */
+class CaseStudyService {
+  /**
+   * Constructor del servicio
+   * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+   * @param {Function} fetcher - Implementación de fetch (por defecto la del navegador)
+   */
+  constructor(dataService = cvDataService, fetcher = null) {
+    this.dataService = dataService;
+    this.fetcher = fetcher;
+    this.cache = new Map();
+  }
+
+  /**
+   * Indica si un proyecto tiene caso de estudio
+   * @param {Object} project - Proyecto del CV
+   * @returns {boolean}
+   */
+  hasCaseStudy(project) {
+    return Boolean(project && project.caseStudy);
+  }
+
+  /**
+   * Obtiene la URL pública del caso de estudio de un proyecto
+   * @param {Object} project - Proyecto del CV
+   * @returns {string|null}
+   */
+  getUrl(project) {
+    return this.hasCaseStudy(project) ? this.dataService.resolveAsset(project.caseStudy) : null;
+  }
+
+  /**
+   * Carga el caso de estudio de un proyecto
+   * Se cachea el archivo y no el resultado, para combinarlo siempre con el
+   * proyecto recibido (que cambia al cambiar de idioma)
+   * @param {Object} project - Proyecto del CV
+   * @returns {Promise<CVCaseStudy|null>} null si no tiene caso de estudio o no se pudo cargar
+   */
+  load(project) {
+    if (!this.hasCaseStudy(project)) {
+      return Promise.resolve(null);
+    }
+
+    const url = this.getUrl(project);
+    if (!this.cache.has(url)) {
+      this.cache.set(url, this.fetchMarkdown(project, url));
+    }
+    return this.cache.get(url).then(markdown => (
+      markdown === null ? null : toCaseStudy(project, markdown, url)
+    ));
+  }
+
+  /**
+   * Descarga el archivo Markdown
+   * @param {Object} project - Proyecto del CV
+   * @param {string} url - URL pública del archivo
+   * @returns {Promise<string|null>}
+   */
+  async fetchMarkdown(project, url) {
+    const fetcher = this.fetcher || (typeof fetch === 'function' ? fetch : null);
+
+    try {
+      if (!fetcher) {
+        throw new Error('fetch no está disponible');
+      }
+      const response = await fetcher(url);
+      if (!response.ok) {
+        throw new Error(`respuesta ${response.status}`);
+      }
+      return await response.text();
+    } catch (error) {
+      console.error(`CaseStudyService: no se pudo cargar el caso de estudio de "${project.id}"`, error);
+      // Se descarta la entrada para reintentar en la próxima visita
+      this.cache.delete(url);
+      return null;
+    }
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const caseStudyService = new CaseStudyService();
+
+// Exportar tanto la clase como la instancia
+export { CaseStudyService };
+export default caseStudyService;
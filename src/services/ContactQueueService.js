@@ -0,0 +1,362 @@
+/**
+ * Servicio de Cola de Contacto sin conexión
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: guardar en IndexedDB los mensajes que no se pudieron
+ *   enviar por falta de conexión y reenviarlos cuando vuelva
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Guarda la solicitud ya armada por el transporte ({ url, body, headers }):
+ *   la cola no conoce Formspree, webhooks ni la API propia
+ *
+ * BUENAS PRÁCTICAS:
+ * - El reenvío lo hace el service worker (public/sw.js) con Background Sync;
+ *   si el navegador no lo admite, la página reenvía al cargar o al recuperar la conexión
+ * - La base, el almacén y la etiqueta de sincronización deben coincidir con public/sw.js
+ * - Los mensajes rechazados por el servidor o más antiguos que la prueba antispam
+ *   (SPAM_RULES.proofMaxAgeMs, 24 horas) se descartan
+ * - Cada mensaje se reserva (inFlight) antes de reenviarlo: la página y el service
+ *   worker no envían el mismo mensaje dos veces; una reserva vencida (pestaña
+ *   cerrada a mitad del envío) se puede volver a tomar
+ * - Sin IndexedDB (navegadores antiguos, pruebas) enqueue devuelve null y el
+ *   formulario muestra el error de siempre
+ */
+
+import { CONTACT_STATUSES, postJson } from '../utils/contactTransports';
+import { SPAM_RULES } from '../utils/spamProtection';
+
+/**
+ * Configuración de la cola (compartida con public/sw.js)
+ */
+export const CONTACT_QUEUE = {
+  dbName: 'cv-web-contact',
+  storeName: 'outbox',
+  syncTag: 'contact-outbox',
+  maxAgeMs: SPAM_RULES.proofMaxAgeMs,
+  // Tiempo de espera de cada reenvío y vigencia de la reserva (debe superarlo)
+  timeoutMs: 10000,
+  claimTtlMs: 60 * 1000
+};
+
+/**
+ * Avisos de la cola, enviados también por el service worker con postMessage
+ */
+export const CONTACT_QUEUE_EVENTS = {
+  sent: 'CONTACT_QUEUE_SENT',
+  dropped: 'CONTACT_QUEUE_DROPPED'
+};
+
+/**
+ * Convierte una solicitud de IndexedDB en una promesa
+ * @param {IDBRequest} request - Solicitud
+ * @returns {Promise<*>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Indica si otro proceso (página o service worker) está enviando el mensaje
+ * @param {Object} record - Registro de la cola
+ * @param {number} time - Instante actual en milisegundos
+ * @returns {boolean}
+ */
+export const isClaimed = (record, time) => (
+  Boolean(record.inFlight) && time - record.inFlight < CONTACT_QUEUE.claimTtlMs
+);
+
+/**
+ * Clase ContactQueueService
+ * Cola de solicitudes de contacto pendientes en IndexedDB
+ */
+class ContactQueueService {
+  /**
+   * Constructor del servicio
+   * @param {Object} dependencies - { indexedDB, serviceWorker, fetch, now } (por defecto las del navegador)
+   */
+  constructor(dependencies = {}) {
+    this.dependencies = dependencies;
+    this.database = null;
+    this.flushing = null;
+    this.listeners = new Set();
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+  }
+
+  /**
+   * Dependencias efectivas: las inyectadas o las del navegador
+   * @returns {Object}
+   */
+  getDependencies() {
+    const hasNavigator = typeof navigator !== 'undefined';
+    return {
+      indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+      serviceWorker: hasNavigator && 'serviceWorker' in navigator ? navigator.serviceWorker : null,
+      fetch: typeof fetch === 'function' ? (...args) => fetch(...args) : null,
+      now: () => new Date(),
+      ...this.dependencies
+    };
+  }
+
+  /**
+   * Indica si el navegador permite guardar mensajes sin conexión
+   * @returns {boolean}
+   */
+  isSupported() {
+    return Boolean(this.getDependencies().indexedDB);
+  }
+
+  /**
+   * Abre la base de datos (una sola vez)
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.database) {
+      const request = this.getDependencies().indexedDB.open(CONTACT_QUEUE.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CONTACT_QUEUE.storeName, { keyPath: 'id' });
+      };
+      this.database = promisify(request).catch(error => {
+        this.database = null;
+        throw error;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Ejecuta una operación sobre el almacén de la cola
+   * @param {string} mode - "readonly" o "readwrite"
+   * @param {Function} operation - Recibe el IDBObjectStore y devuelve una IDBRequest
+   * @returns {Promise<*>} Resultado de la operación
+   */
+  async withStore(mode, operation) {
+    const database = await this.openDatabase();
+    return promisify(operation(database.transaction(CONTACT_QUEUE.storeName, mode).objectStore(CONTACT_QUEUE.storeName)));
+  }
+
+  /**
+   * Reserva un mensaje para reenviarlo
+   * La lectura y la marca inFlight ocurren en la misma transacción readwrite, así
+   * que dos procesos no pueden reservar el mismo mensaje
+   * @param {string} id - Id del registro
+   * @returns {Promise<Object|null>} Registro reservado, o null si ya no existe o lo envía otro proceso
+   */
+  async claim(id) {
+    const database = await this.openDatabase();
+    const time = this.getDependencies().now().getTime();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(CONTACT_QUEUE.storeName, 'readwrite');
+      const store = transaction.objectStore(CONTACT_QUEUE.storeName);
+      let claimed = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result && !isClaimed(request.result, time)) {
+          claimed = { ...request.result, inFlight: time };
+          store.put(claimed);
+        }
+      };
+      transaction.oncomplete = () => resolve(claimed);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Guarda una solicitud para enviarla cuando vuelva la conexión
+   * @param {{url: string, body: Object, headers: Object}} request - Solicitud armada por el transporte
+   * @param {string} transport - Id del transporte
+   * @returns {Promise<Object|null>} Registro guardado o null si no se pudo guardar
+   */
+  async enqueue(request, transport) {
+    if (!this.isSupported()) {
+      return null;
+    }
+
+    const { now } = this.getDependencies();
+    const createdAt = now();
+    const record = {
+      id: `${createdAt.getTime()}-${Math.random().toString(36).slice(2, 10)}`,
+      createdAt: createdAt.toISOString(),
+      transport,
+      request,
+      attempts: 0,
+      inFlight: null
+    };
+
+    try {
+      await this.withStore('readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('ContactQueueService: no se pudo guardar el mensaje en la cola', error);
+      return null;
+    }
+    await this.requestSync();
+    return record;
+  }
+
+  /**
+   * Mensajes pendientes
+   * @returns {Promise<Object[]>}
+   */
+  async getPending() {
+    if (!this.isSupported()) {
+      return [];
+    }
+    try {
+      return await this.withStore('readonly', store => store.getAll());
+    } catch (error) {
+      console.warn('ContactQueueService: no se pudo leer la cola', error);
+      return [];
+    }
+  }
+
+  /**
+   * Pide al service worker que reenvíe la cola con Background Sync
+   * @returns {Promise<boolean>} false si no hay service worker activo o no admite sincronización
+   */
+  async requestSync() {
+    const { serviceWorker } = this.getDependencies();
+    // ready no se resuelve nunca si la página no tiene service worker (ej: en desarrollo)
+    if (!serviceWorker || !serviceWorker.controller) {
+      return false;
+    }
+    try {
+      const registration = await serviceWorker.ready;
+      if (!registration.sync) {
+        return false;
+      }
+      await registration.sync.register(CONTACT_QUEUE.syncTag);
+      return true;
+    } catch (error) {
+      console.warn('ContactQueueService: no se pudo registrar la sincronización en segundo plano', error);
+      return false;
+    }
+  }
+
+  /**
+   * Reenvía desde la página los mensajes pendientes (sin Background Sync)
+   * @returns {Promise<number>} Mensajes que siguen pendientes
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.replay().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Reenvía cada mensaje pendiente y actualiza la cola
+   * @returns {Promise<number>} Mensajes que siguen pendientes
+   */
+  async replay() {
+    const { fetch: fetcher, now } = this.getDependencies();
+    const records = await this.getPending();
+    let pending = 0;
+
+    for (const { id } of records) {
+      // Lo está enviando el service worker (u otra pestaña) o ya se envió
+      const record = await this.claim(id);
+      if (!record) {
+        continue;
+      }
+
+      if (now() - new Date(record.createdAt) > CONTACT_QUEUE.maxAgeMs) {
+        await this.remove(record.id, CONTACT_QUEUE_EVENTS.dropped);
+        continue;
+      }
+
+      const { url, body, headers } = record.request;
+      const result = await postJson(url, body, { fetch: fetcher, timeout: CONTACT_QUEUE.timeoutMs, headers });
+      if (result.status === CONTACT_STATUSES.sent) {
+        await this.remove(record.id, CONTACT_QUEUE_EVENTS.sent);
+      } else if (!result.retryable) {
+        console.warn(`ContactQueueService: el servidor rechazó el mensaje en cola (${result.httpStatus})`);
+        await this.remove(record.id, CONTACT_QUEUE_EVENTS.dropped);
+      } else {
+        pending += 1;
+        // Se libera la reserva para el próximo intento
+        await this.withStore('readwrite', store => store.put({ ...record, attempts: record.attempts + 1, inFlight: null }));
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Quita un mensaje de la cola y avisa a los suscriptores
+   * @param {string} id - Id del registro
+   * @param {string} type - Valor de CONTACT_QUEUE_EVENTS
+   */
+  async remove(id, type) {
+    await this.withStore('readwrite', store => store.delete(id));
+    this.emit({ type, id });
+  }
+
+  /**
+   * Retoma la cola al cargar la página o al recuperar la conexión:
+   * la delega al service worker si puede y, si no, la reenvía desde la página
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    const records = await this.getPending();
+    if (records.length === 0) {
+      return;
+    }
+    try {
+      if (!(await this.requestSync())) {
+        await this.flush();
+      }
+    } catch (error) {
+      console.warn('ContactQueueService: no se pudo reenviar la cola', error);
+    }
+  }
+
+  /**
+   * Suscribe una función a los avisos de la cola (de la página y del service worker)
+   * @param {Function} listener - Recibe { type, id }
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    const { serviceWorker } = this.getDependencies();
+    if (this.listeners.size === 0 && serviceWorker) {
+      serviceWorker.addEventListener('message', this.handleWorkerMessage);
+    }
+    this.listeners.add(listener);
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && serviceWorker) {
+        serviceWorker.removeEventListener('message', this.handleWorkerMessage);
+      }
+    };
+  }
+
+  /**
+   * Reenvía a los suscriptores los avisos del service worker
+   * @param {MessageEvent} event - Mensaje del service worker
+   */
+  handleWorkerMessage(event) {
+    const data = event.data || {};
+    if (Object.values(CONTACT_QUEUE_EVENTS).includes(data.type)) {
+      this.emit({ type: data.type, id: data.id });
+    }
+  }
+
+  /**
+   * Avisa a los suscriptores
+   * @param {{type: string, id: string}} event - Aviso
+   */
+  emit(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const contactQueueService = new ContactQueueService();
+
+// Exportar tanto la clase como la instancia
+export { ContactQueueService };
+export default contactQueueService;
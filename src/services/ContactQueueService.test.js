@@ -0,0 +1,157 @@
+import { ContactQueueService, CONTACT_QUEUE, CONTACT_QUEUE_EVENTS } from './ContactQueueService';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+const REQUEST = { url: 'https://api.example.com/contact', body: { name: 'Ana' }, headers: {} };
+
+/**
+ * IndexedDB en memoria: las transacciones se ejecutan de a una, como las
+ * transacciones readwrite superpuestas de un navegador
+ */
+const createFakeIndexedDB = () => {
+  const records = new Map();
+  const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  let last = Promise.resolve();
+
+  const createRequest = (transaction, run) => {
+    const request = {};
+    transaction.pending += 1;
+    transaction.ready.then(() => {
+      request.result = run();
+      if (request.onsuccess) request.onsuccess();
+      transaction.pending -= 1;
+      transaction.settle();
+    });
+    return request;
+  };
+
+  const database = {
+    transaction: () => {
+      let finish;
+      const transaction = { pending: 0, done: false, ready: last };
+      last = new Promise(resolve => { finish = resolve; });
+      transaction.settle = () => Promise.resolve().then(() => {
+        if (transaction.pending === 0 && !transaction.done) {
+          transaction.done = true;
+          if (transaction.oncomplete) transaction.oncomplete();
+          finish();
+        }
+      });
+      transaction.objectStore = () => ({
+        get: (id) => createRequest(transaction, () => copy(records.get(id))),
+        getAll: () => createRequest(transaction, () => [...records.values()].map(copy)),
+        put: (record) => createRequest(transaction, () => records.set(record.id, copy(record)) && record.id),
+        delete: (id) => createRequest(transaction, () => { records.delete(id); })
+      });
+      return transaction;
+    }
+  };
+
+  const indexedDB = {
+    open: () => {
+      const request = {};
+      Promise.resolve().then(() => {
+        request.result = database;
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+  return { records, indexedDB };
+};
+
+const createQueue = (indexedDB, fetch = jest.fn()) => new ContactQueueService({
+  indexedDB,
+  serviceWorker: null,
+  fetch,
+  now: () => NOW
+});
+
+const response = (status) => ({ ok: status >= 200 && status < 300, status, json: () => Promise.resolve(null) });
+
+const record = (overrides = {}) => ({
+  id: 'mensaje-1',
+  createdAt: NOW.toISOString(),
+  transport: 'endpoint',
+  request: REQUEST,
+  attempts: 0,
+  inFlight: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ContactQueueService.claim', () => {
+  test('solo uno de dos procesos reserva el mismo mensaje', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    records.set('mensaje-1', record());
+
+    const claims = await Promise.all([createQueue(indexedDB).claim('mensaje-1'), createQueue(indexedDB).claim('mensaje-1')]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(records.get('mensaje-1').inFlight).toBe(NOW.getTime());
+  });
+
+  test('una reserva vencida se puede volver a tomar', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    records.set('fresca', record({ id: 'fresca', inFlight: NOW.getTime() - 1000 }));
+    records.set('vencida', record({ id: 'vencida', inFlight: NOW.getTime() - CONTACT_QUEUE.claimTtlMs }));
+    const queue = createQueue(indexedDB);
+
+    await expect(queue.claim('fresca')).resolves.toBeNull();
+    await expect(queue.claim('vencida')).resolves.toMatchObject({ id: 'vencida', inFlight: NOW.getTime() });
+    await expect(queue.claim('no-existe')).resolves.toBeNull();
+  });
+});
+
+describe('ContactQueueService.replay', () => {
+  test('la página y otro proceso que reenvían a la vez envían cada mensaje una sola vez', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    const fetch = jest.fn().mockResolvedValue(response(201));
+    const page = createQueue(indexedDB, fetch);
+    const listener = jest.fn();
+    page.subscribe(listener);
+    const saved = await page.enqueue(REQUEST, 'endpoint');
+
+    await Promise.all([page.flush(), createQueue(indexedDB, fetch).flush()]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(records.size).toBe(0);
+    expect(listener.mock.calls.map(([event]) => event)).toEqual([{ type: CONTACT_QUEUE_EVENTS.sent, id: saved.id }]);
+  });
+
+  test('no reenvía un mensaje reservado por otro proceso', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    records.set('mensaje-1', record({ inFlight: NOW.getTime() - 1000 }));
+    const fetch = jest.fn();
+
+    await expect(createQueue(indexedDB, fetch).replay()).resolves.toBe(0);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(records.has('mensaje-1')).toBe(true);
+  });
+
+  test('un fallo pasajero libera la reserva para el próximo intento', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    records.set('mensaje-1', record());
+    const fetch = jest.fn().mockResolvedValue(response(503));
+
+    await expect(createQueue(indexedDB, fetch).replay()).resolves.toBe(1);
+    expect(records.get('mensaje-1')).toMatchObject({ attempts: 1, inFlight: null });
+  });
+
+  test('descarta los mensajes vencidos o rechazados por el servidor', async () => {
+    const { records, indexedDB } = createFakeIndexedDB();
+    records.set('viejo', record({ id: 'viejo', createdAt: new Date(NOW.getTime() - CONTACT_QUEUE.maxAgeMs - 1).toISOString() }));
+    records.set('rechazado', record({ id: 'rechazado' }));
+    const fetch = jest.fn().mockResolvedValue(response(422));
+
+    await expect(createQueue(indexedDB, fetch).replay()).resolves.toBe(0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(records.size).toBe(0);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Servicio de Contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: entregar los mensajes del formulario de contacto
+ *   con el transporte configurado, reintentando los fallos pasajeros
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - El formulario depende de este servicio y no de Formspree, un webhook o una
+ *   API concreta: los adaptadores viven en utils/contactTransports
+ *
+ * BUENAS PRÁCTICAS:
+ * - Transporte elegido por configuración (formConfig.transport)
+ * - Si el transporte no existe o le falta el endpoint se usa mailto, con un aviso
+ * - Reintentos con espera exponencial solo para errores que se pueden reintentar
+ *   (no los tiempos agotados, que podrían duplicar el mensaje)
+ * - Sin conexión no se reintenta: el mensaje se guarda en la cola sin conexión
+ *   (ContactQueueService) y se envía cuando vuelva
+ * - Los envíos que el navegador rechaza por spam se registran con
+ *   POST { reason, transport } en transport.rejectionLog (por defecto
+ *   <endpoint>/rejections con la API propia)
+ * - Dependencias (fetch, apertura de URLs, espera, reloj, idioma, conexión y cola) inyectables
+ */
+
+import { formConfig } from '../constants/personalData';
+import i18nService from './I18nService';
+import contactQueueService from './ContactQueueService';
+import { CONTACT_STATUSES, CONTACT_TRANSPORTS, FALLBACK_TRANSPORT, isNetworkFailure, postJson } from '../utils/contactTransports';
+
+/**
+ * Espera una cantidad de milisegundos
+ * @param {number} ms - Milisegundos
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Clase ContactService
+ * Envía mensajes de contacto con reintentos y un estado de resultado común
+ */
+class ContactService {
+  /**
+   * Constructor del servicio
+   * @param {Object} config - Configuración del transporte (por defecto formConfig.transport)
+   * @param {Object} dependencies - { fetch, openUrl, wait, now, isOnline, location, transports, queue } (por defecto las del navegador)
+   */
+  constructor(config = formConfig.transport, dependencies = {}) {
+    this.config = config;
+    this.dependencies = dependencies;
+    this.transport = null;
+  }
+
+  /**
+   * Dependencias efectivas: las inyectadas o las del navegador
+   * @returns {Object}
+   */
+  getDependencies() {
+    const hasWindow = typeof window !== 'undefined';
+    return {
+      fetch: typeof fetch === 'function' ? (...args) => fetch(...args) : null,
+      openUrl: (url) => { window.location.href = url; },
+      wait: delay,
+      now: () => new Date(),
+      isOnline: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+      location: hasWindow ? window.location.href : '',
+      language: i18nService.getLanguage(),
+      transports: CONTACT_TRANSPORTS,
+      queue: contactQueueService,
+      ...this.dependencies
+    };
+  }
+
+  /**
+   * Obtiene el transporte configurado o el de respaldo (se resuelve una sola vez)
+   * @returns {Object} Adaptador de utils/contactTransports
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.resolveTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Elige el transporte según la configuración
+   * @returns {Object} Adaptador de utils/contactTransports
+   */
+  resolveTransport() {
+    const { transports } = this.getDependencies();
+    const transport = transports[this.config.adapter];
+
+    if (!transport) {
+      console.warn(`ContactService: transporte desconocido "${this.config.adapter}", se usa ${FALLBACK_TRANSPORT}`);
+      return transports[FALLBACK_TRANSPORT];
+    }
+    if (transport.requiresEndpoint && !this.config.endpoint) {
+      console.warn(`ContactService: el transporte "${transport.id}" necesita un endpoint, se usa ${FALLBACK_TRANSPORT}`);
+      return transports[FALLBACK_TRANSPORT];
+    }
+    return transport;
+  }
+
+  /**
+   * Indica si el transporte activo es el de respaldo (el formulario lo aclara al visitante)
+   * @returns {boolean}
+   */
+  usesFallback() {
+    return this.getTransport().id === FALLBACK_TRANSPORT;
+  }
+
+  /**
+   * Indica si el destino verifica la prueba antispam (solo la API propia):
+   * con los demás transportes no vale la pena calcularla
+   * @returns {boolean}
+   */
+  verifiesProof() {
+    return Boolean(this.getTransport().verifiesProof);
+  }
+
+  /**
+   * URL del registro de rechazos: la configurada o, con la API propia, <endpoint>/rejections
+   * @returns {string} Vacío si no hay dónde registrarlos
+   */
+  getRejectionLogUrl() {
+    if (this.config.rejectionLog) {
+      return this.config.rejectionLog;
+    }
+    return this.getTransport().id === 'endpoint' ? `${this.config.endpoint.replace(/\/+$/, '')}/rejections` : '';
+  }
+
+  /**
+   * Registra un envío que el navegador rechazó por spam para revisarlo después
+   * Un fallo del registro no afecta al formulario: solo se avisa en la consola
+   * @param {string} reason - Motivo (SPAM_REASONS)
+   * @returns {Promise<boolean>} true si el registro lo aceptó
+   */
+  async reportRejection(reason) {
+    const url = this.getRejectionLogUrl();
+    const { fetch: fetcher } = this.getDependencies();
+    if (!url || !fetcher) {
+      return false;
+    }
+
+    const result = await postJson(url, { reason, transport: this.getTransport().id }, {
+      fetch: fetcher,
+      timeout: this.config.timeout
+    });
+    if (result.status !== CONTACT_STATUSES.sent) {
+      console.warn(`ContactService: no se pudo registrar el rechazo (${reason})`, result.error || result.httpStatus);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Envía un mensaje con el transporte activo
+   * @param {{name: string, email: string, subject: string, message: string, antiSpam?: Object}} message - Mensaje validado (antiSpam: prueba de SpamGuardService)
+   * @param {{onRetry?: Function}} options - onRetry(intento, total) se llama antes de cada reintento
+   * @returns {Promise<Object>} { status, retryable, transport, attempts, canFallback, httpStatus?, fieldErrors?, timedOut?, queueId? }
+   */
+  async send(message, { onRetry } = {}) {
+    const transport = this.getTransport();
+    const dependencies = this.getDependencies();
+    const maxAttempts = transport.requiresEndpoint ? Math.max(0, this.config.retries || 0) + 1 : 1;
+
+    let result = null;
+    let attempts = 0;
+    while (attempts < maxAttempts) {
+      if (attempts > 0) {
+        if (onRetry) {
+          onRetry(attempts, maxAttempts - 1);
+        }
+        await dependencies.wait((this.config.retryDelay || 0) * 2 ** (attempts - 1));
+      }
+      attempts += 1;
+      result = await transport.send(message, this.config, dependencies);
+      // Un tiempo agotado no se reintenta: el servidor pudo haber recibido el mensaje
+      if (result.status !== CONTACT_STATUSES.failed || !result.retryable || result.timedOut || !dependencies.isOnline()) {
+        break;
+      }
+    }
+
+    if (isNetworkFailure(result) && transport.buildRequest) {
+      const queued = await dependencies.queue.enqueue(transport.buildRequest(message, this.config, dependencies), transport.id);
+      if (queued) {
+        return { status: CONTACT_STATUSES.queued, retryable: false, transport: transport.id, attempts, canFallback: false, queueId: queued.id };
+      }
+    }
+
+    if (result.status === CONTACT_STATUSES.failed) {
+      console.error(`ContactService: no se pudo enviar el mensaje con "${transport.id}" tras ${attempts} intento(s)`, result.error || result.httpStatus);
+    }
+    return {
+      ...result,
+      transport: transport.id,
+      attempts,
+      canFallback: result.status === CONTACT_STATUSES.failed && transport.id !== FALLBACK_TRANSPORT
+    };
+  }
+
+  /**
+   * Entrega el mensaje con el transporte de respaldo (cliente de correo)
+   * @param {Object} message - Mensaje validado
+   * @returns {Promise<Object>} Resultado con la misma forma que send
+   */
+  async sendWithFallback(message) {
+    const dependencies = this.getDependencies();
+    const result = await dependencies.transports[FALLBACK_TRANSPORT].send(message, this.config, dependencies);
+    return { ...result, transport: FALLBACK_TRANSPORT, attempts: 1, canFallback: false };
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const contactService = new ContactService();
+
+// Exportar tanto la clase como la instancia
+export { ContactService };
+export default contactService;
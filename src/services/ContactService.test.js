@@ -0,0 +1,134 @@
+import { ContactService } from './ContactService';
+import { CONTACT_STATUSES, CONTACT_TRANSPORTS } from '../utils/contactTransports';
+
+const MESSAGE = { name: 'Ana', email: 'ana@example.com', subject: 'Consulta', message: 'Hola, ¿podemos hablar?' };
+
+const CONFIG = {
+  adapter: 'endpoint',
+  endpoint: 'https://api.example.com/contact',
+  recipient: 'yo@example.com',
+  retries: 2,
+  retryDelay: 100,
+  timeout: 1000
+};
+
+const failure = (details) => ({ status: CONTACT_STATUSES.failed, retryable: true, ...details });
+
+/**
+ * Servicio con un transporte "endpoint" que devuelve los resultados indicados, en orden
+ */
+const createService = (results, config = CONFIG, dependencies = {}) => {
+  const send = jest.fn();
+  results.forEach(result => send.mockResolvedValueOnce(result));
+  const pause = jest.fn().mockResolvedValue();
+  const openUrl = jest.fn();
+  const service = new ContactService(config, {
+    wait: pause,
+    openUrl,
+    transports: { ...CONTACT_TRANSPORTS, endpoint: { ...CONTACT_TRANSPORTS.endpoint, send } },
+    ...dependencies
+  });
+  return { service, send, pause, openUrl };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ContactService.send', () => {
+  test('reintenta los fallos pasajeros con espera creciente', async () => {
+    const { service, send, pause } = createService([
+      failure({ error: new TypeError('Failed to fetch') }),
+      failure({ httpStatus: 503 }),
+      { status: CONTACT_STATUSES.sent, retryable: false, httpStatus: 201 }
+    ]);
+    const onRetry = jest.fn();
+
+    const result = await service.send(MESSAGE, { onRetry });
+
+    expect(result).toMatchObject({ status: CONTACT_STATUSES.sent, transport: 'endpoint', attempts: 3, canFallback: false });
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(pause.mock.calls).toEqual([[100], [200]]);
+    expect(onRetry.mock.calls).toEqual([[1, 2], [2, 2]]);
+  });
+
+  test('no reintenta un tiempo agotado: el servidor pudo haber recibido el mensaje', async () => {
+    const { service, send } = createService([failure({ timedOut: true }), { status: CONTACT_STATUSES.sent }]);
+
+    const result = await service.send(MESSAGE);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: CONTACT_STATUSES.failed, timedOut: true, attempts: 1, canFallback: true });
+  });
+
+  test('sin conexión guarda el mensaje en la cola; un tiempo agotado no', async () => {
+    const queue = { enqueue: jest.fn().mockResolvedValue({ id: 'mensaje-1' }) };
+    const offline = createService([failure({ timedOut: false })], CONFIG, { queue, isOnline: () => false });
+
+    await expect(offline.service.send(MESSAGE)).resolves.toMatchObject({ status: CONTACT_STATUSES.queued, queueId: 'mensaje-1' });
+    expect(queue.enqueue).toHaveBeenCalledWith(expect.objectContaining({ url: CONFIG.endpoint, body: MESSAGE }), 'endpoint');
+
+    const slow = createService([failure({ timedOut: true })], CONFIG, { queue });
+    await expect(slow.service.send(MESSAGE)).resolves.toMatchObject({ status: CONTACT_STATUSES.failed, canFallback: true });
+    expect(queue.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('no reintenta los rechazos del servidor', async () => {
+    const { service, send } = createService([
+      { status: CONTACT_STATUSES.failed, retryable: false, httpStatus: 422, fieldErrors: { email: 'Email inválido' } }
+    ]);
+
+    await expect(service.send(MESSAGE)).resolves.toMatchObject({ attempts: 1, fieldErrors: { email: 'Email inválido' } });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('sin endpoint usa el cliente de correo', async () => {
+    const { service, send, openUrl } = createService([], { ...CONFIG, endpoint: '' });
+
+    expect(service.usesFallback()).toBe(true);
+    await expect(service.send(MESSAGE)).resolves.toMatchObject({ status: CONTACT_STATUSES.handoff, transport: 'mailto' });
+    expect(send).not.toHaveBeenCalled();
+    expect(openUrl).toHaveBeenCalledWith(expect.stringMatching(/^mailto:yo@example\.com/));
+  });
+});
+
+describe('ContactService.reportRejection', () => {
+  const createReporter = (config, transports) => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 201, json: () => Promise.resolve(null) });
+    return { fetch, service: new ContactService(config, { fetch, ...(transports ? { transports } : {}) }) };
+  };
+
+  test('con la API propia informa el motivo y el transporte en <endpoint>/rejections', async () => {
+    const { service, fetch } = createReporter({ ...CONFIG, endpoint: 'https://api.example.com/contact/' });
+
+    await expect(service.reportRejection('tooFast')).resolves.toBe(true);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.example.com/contact/rejections');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ reason: 'tooFast', transport: 'endpoint' });
+    expect(service.verifiesProof()).toBe(true);
+  });
+
+  test('con otro transporte usa el registro configurado o no informa', async () => {
+    const configured = createReporter({ ...CONFIG, adapter: 'formspree', rejectionLog: 'https://logs.example.com/spam' });
+    await configured.service.reportRejection('honeypot');
+    expect(configured.fetch.mock.calls[0][0]).toBe('https://logs.example.com/spam');
+    expect(JSON.parse(configured.fetch.mock.calls[0][1].body)).toEqual({ reason: 'honeypot', transport: 'formspree' });
+    expect(configured.service.verifiesProof()).toBe(false);
+
+    const unconfigured = createReporter({ ...CONFIG, adapter: 'webhook' });
+    await expect(unconfigured.service.reportRejection('linkSpam')).resolves.toBe(false);
+    expect(unconfigured.fetch).not.toHaveBeenCalled();
+  });
+
+  test('un registro caído no lanza errores', async () => {
+    const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const service = new ContactService(CONFIG, { fetch });
+
+    await expect(service.reportRejection('rateLimited')).resolves.toBe(false);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Servicio de Credenciales Verificables
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: cargar la credencial Open Badges de un certificado
+ *   y calcular su estado de verificación
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos y la función fetch en el constructor; la
+ *   verificación en sí vive en utils/openBadges
+ *
+ * BUENAS PRÁCTICAS:
+ * - Las credenciales viven en /public y el certificado las referencia con
+ *   "credential" (igual que "asset" para el documento)
+ * - Se verifican contra los emisores de certificates.issuers, sin consultar la red del emisor
+ * - El titular es el email de contacto del perfil
+ * - Caché por certificado: cada credencial se descarga y verifica una sola vez
+ */
+
+import cvDataService from './CVDataService';
+import { verifyCredential, VERIFICATION_STATUSES } from '../utils/openBadges';
+
+/**
+ * Resultado para los certificados que no tienen credencial
+ */
+const NO_CREDENTIAL = {
+  status: VERIFICATION_STATUSES.none,
+  checks: [],
+  credential: null,
+  issuer: null
+};
+
+/**
+ * Clase CredentialService
+ * Descarga, verifica y cachea las credenciales de los certificados
+ */
+class CredentialService {
+  /**
+   * Constructor del servicio
+   * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+   * @param {Function} fetcher - Implementación de fetch (por defecto la del navegador)
+   */
+  constructor(dataService = cvDataService, fetcher = null) {
+    this.dataService = dataService;
+    this.fetcher = fetcher;
+    this.cache = new Map();
+  }
+
+  /**
+   * Indica si un certificado tiene credencial
+   * @param {Object} certificate - Certificado del CV
+   * @returns {boolean}
+   */
+  hasCredential(certificate) {
+    return Boolean(certificate && certificate.credential);
+  }
+
+  /**
+   * Obtiene la URL pública de la credencial de un certificado
+   * @param {Object} certificate - Certificado del CV
+   * @returns {string|null}
+   */
+  getUrl(certificate) {
+    return this.hasCredential(certificate) ? this.dataService.resolveAsset(certificate.credential) : null;
+  }
+
+  /**
+   * Verifica la credencial de un certificado
+   * @param {Object} certificate - Certificado del CV
+   * @returns {Promise<Object|null>} Resultado de utils/openBadges.verifyCredential
+   *   (status "none" sin credencial) o null si no se pudo descargar
+   */
+  verify(certificate) {
+    if (!this.hasCredential(certificate)) {
+      return Promise.resolve(NO_CREDENTIAL);
+    }
+
+    if (!this.cache.has(certificate.id)) {
+      this.cache.set(certificate.id, this.fetchAndVerify(certificate));
+    }
+    return this.cache.get(certificate.id);
+  }
+
+  /**
+   * Descarga la credencial y la verifica
+   * @param {Object} certificate - Certificado del CV
+   * @returns {Promise<Object|null>}
+   */
+  async fetchAndVerify(certificate) {
+    const url = this.getUrl(certificate);
+    const fetcher = this.fetcher || (typeof fetch === 'function' ? fetch : null);
+
+    try {
+      if (!fetcher) {
+        throw new Error('fetch no está disponible');
+      }
+      const response = await fetcher(url);
+      if (!response.ok) {
+        throw new Error(`respuesta ${response.status}`);
+      }
+      return await verifyCredential(await response.text(), {
+        issuers: this.dataService.getCredentialIssuers(),
+        recipient: this.dataService.getContact().email,
+        fetcher
+      });
+    } catch (error) {
+      console.error(`CredentialService: no se pudo verificar la credencial de "${certificate.id}"`, error);
+      // Se descarta la entrada para reintentar en la próxima visita
+      this.cache.delete(certificate.id);
+      return null;
+    }
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const credentialService = new CredentialService();
+
+// Exportar tanto la clase como la instancia
+export { CredentialService };
+export default credentialService;
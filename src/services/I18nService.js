@@ -0,0 +1,285 @@
+/**
+ * Servicio de Internacionalización (i18n)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: resolver el idioma activo y traducir mensajes
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Abierto para extensión: un idioma nuevo es un catálogo nuevo en src/locales
+ * - Cerrado para modificación: componentes y servicios solo usan t()
+ *
+ * BUENAS PRÁCTICAS:
+ * - Catálogos JSON por idioma con claves jerárquicas ("hero.downloadCv")
+ * - Interpolación con llaves ("{name}") y pluralización con Intl.PluralRules
+ * - Idioma detectado desde la URL (?lang=), la preferencia guardada o navigator.language
+ * - Seguro en Node: sin window se usa el idioma por defecto
+ * - Cambio de idioma sin recargar: los suscriptores se notifican y la UI se vuelve a renderizar
+ */
+
+import es from '../locales/es.json';
+import en from '../locales/en.json';
+
+/**
+ * Configuración de idiomas
+ */
+export const I18N_CONFIG = {
+  defaultLanguage: 'es',
+  catalogs: { es, en },
+  // Nombre de cada idioma en su propio idioma, para el selector
+  languageNames: {
+    es: 'Español',
+    en: 'English'
+  },
+  // Locale completo para formatos (fechas, números, plurales)
+  locales: {
+    es: 'es-AR',
+    en: 'en-US'
+  },
+  urlParam: 'lang',
+  storageKey: 'cv-language'
+};
+
+/**
+ * Reemplaza los marcadores {clave} por los parámetros recibidos
+ * Los marcadores sin parámetro quedan tal cual para detectarlos fácilmente
+ * @param {string} message - Mensaje con marcadores
+ * @param {Object} params - Valores a interpolar
+ * @returns {string}
+ */
+export const interpolate = (message, params = {}) => String(message).replace(
+  /\{(\w+)\}/g,
+  (match, key) => (params[key] !== undefined && params[key] !== null ? String(params[key]) : match)
+);
+
+/**
+ * Clase I18nService
+ * Mantiene el idioma activo y traduce claves de los catálogos
+ */
+class I18nService {
+  /**
+   * Constructor del servicio
+   * @param {Object} config - Configuración de idiomas (por defecto I18N_CONFIG)
+   */
+  constructor(config = I18N_CONFIG) {
+    this.config = config;
+    this.language = this.detectLanguage();
+    this.pluralRules = {};
+    this.listeners = new Set();
+  }
+
+  /**
+   * Registra una función que se ejecuta cada vez que cambia el idioma
+   * Se notifica en orden de registro: los servicios de datos (que se registran
+   * al importarse) se actualizan antes que los componentes
+   * @param {Function} listener - Recibe el nuevo código de idioma
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Indica si el servicio corre en un navegador
+   * @returns {boolean}
+   */
+  hasWindow() {
+    return typeof window !== 'undefined';
+  }
+
+  /**
+   * Obtiene los idiomas disponibles
+   * @returns {{code: string, name: string}[]}
+   */
+  getSupportedLanguages() {
+    return Object.keys(this.config.catalogs).map(code => ({
+      code,
+      name: this.config.languageNames[code] || code
+    }));
+  }
+
+  /**
+   * Normaliza un código de idioma ("en-US" -> "en") si está soportado
+   * @param {string} value - Código de idioma
+   * @returns {string|null}
+   */
+  normalizeLanguage(value) {
+    if (!value) {
+      return null;
+    }
+    const code = String(value).toLowerCase().split(/[-_]/)[0];
+    return this.config.catalogs[code] ? code : null;
+  }
+
+  /**
+   * Lee la preferencia guardada sin fallar si el almacenamiento no está disponible
+   * @returns {string|null}
+   */
+  getStoredLanguage() {
+    try {
+      return window.localStorage.getItem(this.config.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Detecta el idioma inicial
+   * Prioridad: parámetro de la URL, preferencia guardada, navigator.language, idioma por defecto
+   * @returns {string}
+   */
+  detectLanguage() {
+    if (!this.hasWindow()) {
+      return this.config.defaultLanguage;
+    }
+
+    const fromUrl = new URLSearchParams(window.location.search).get(this.config.urlParam);
+    const browserLanguages = window.navigator.languages || [window.navigator.language];
+    const candidates = [fromUrl, this.getStoredLanguage(), ...browserLanguages];
+
+    return candidates.map(candidate => this.normalizeLanguage(candidate)).find(Boolean)
+      || this.config.defaultLanguage;
+  }
+
+  /**
+   * Obtiene el idioma activo
+   * @returns {string} Código de idioma (ej: "es")
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Obtiene el locale completo del idioma activo
+   * @returns {string} Locale (ej: "es-AR")
+   */
+  getLocale() {
+    return this.config.locales[this.language] || this.language;
+  }
+
+  /**
+   * Cambia el idioma, guarda la preferencia y notifica a los suscriptores
+   * @param {string} language - Código de idioma
+   * @returns {boolean} True si el idioma es válido
+   */
+  setLanguage(language) {
+    const code = this.normalizeLanguage(language);
+    if (!code) {
+      console.warn(`I18nService: idioma no soportado "${language}"`);
+      return false;
+    }
+
+    try {
+      window.localStorage.setItem(this.config.storageKey, code);
+    } catch (error) {
+      // Sin almacenamiento la preferencia se mantiene en la URL
+    }
+
+    this.language = code;
+    this.applyToDocument();
+    this.listeners.forEach(listener => listener(code));
+    return true;
+  }
+
+  /**
+   * Refleja el idioma activo en la URL (?lang=) sin agregar entradas al historial
+   */
+  syncUrl() {
+    const url = new URL(window.location.href);
+    if (url.searchParams.get(this.config.urlParam) !== this.language) {
+      url.searchParams.set(this.config.urlParam, this.language);
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * Aplica el idioma activo al documento (<html lang>) y a la URL
+   */
+  applyToDocument() {
+    if (!this.hasWindow()) {
+      return;
+    }
+    document.documentElement.lang = this.language;
+    this.syncUrl();
+  }
+
+  /**
+   * Busca una clave jerárquica en un catálogo
+   * @param {Object} catalog - Catálogo de mensajes
+   * @param {string} key - Clave separada por puntos
+   * @returns {*} Mensaje o undefined
+   */
+  lookup(catalog, key) {
+    return key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      catalog
+    );
+  }
+
+  /**
+   * Selecciona la forma plural de un mensaje ({ one, other, ... })
+   * @param {Object} forms - Formas plurales por categoría de Intl.PluralRules
+   * @param {number} count - Cantidad
+   * @returns {string}
+   */
+  selectPlural(forms, count) {
+    if (count === 0 && forms.zero !== undefined) {
+      return forms.zero;
+    }
+    const locale = this.getLocale();
+    if (!this.pluralRules[locale]) {
+      this.pluralRules[locale] = new Intl.PluralRules(locale);
+    }
+    const category = this.pluralRules[locale].select(count);
+    return forms[category] !== undefined ? forms[category] : forms.other;
+  }
+
+  /**
+   * Traduce una clave al idioma activo
+   * Si falta en el idioma activo se usa el idioma por defecto y, en último caso, la clave
+   *
+   * @param {string} key - Clave del mensaje (ej: "contact.title")
+   * @param {Object} params - Valores a interpolar; "count" selecciona la forma plural
+   * @returns {string|string[]} Mensaje traducido (las listas se devuelven como arrays)
+   */
+  t(key, params = {}) {
+    const { catalogs, defaultLanguage } = this.config;
+    let message = this.lookup(catalogs[this.language], key);
+
+    if (message === undefined) {
+      message = this.lookup(catalogs[defaultLanguage], key);
+      if (process.env.NODE_ENV === 'development') {
+        console.warn(`I18nService: falta la clave "${key}" en "${this.language}"`);
+      }
+    }
+
+    if (message === undefined) {
+      return key;
+    }
+
+    if (Array.isArray(message)) {
+      return message.map(item => interpolate(item, params));
+    }
+
+    if (message && typeof message === 'object') {
+      message = this.selectPlural(message, Number(params.count));
+    }
+
+    return interpolate(message, params);
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const i18nService = new I18nService();
+
+/**
+ * Atajo para traducir con el servicio singleton
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Valores a interpolar
+ * @returns {string|string[]}
+ */
+export const t = (key, params) => i18nService.t(key, params);
+
+// Exportar tanto la clase como la instancia
+export { I18nService };
+export default i18nService;
@@ -0,0 +1,46 @@
+import i18nService, { I18nService, t } from './I18nService';
+import cvDataService from './CVDataService';
+
+afterEach(() => {
+  i18nService.setLanguage('es');
+});
+
+describe('I18nService', () => {
+  test('interpola parámetros y usa el idioma por defecto si falta la clave', () => {
+    const service = new I18nService({
+      defaultLanguage: 'es',
+      catalogs: { es: { saludo: 'Hola {name}', solo: 'Solo ES' }, en: { saludo: 'Hi {name}' } },
+      languageNames: {},
+      locales: {},
+      urlParam: 'lang',
+      storageKey: 'test-language'
+    });
+
+    service.language = 'en';
+    expect(service.t('saludo', { name: 'Ana' })).toBe('Hi Ana');
+    expect(service.t('solo')).toBe('Solo ES');
+    expect(service.t('inexistente')).toBe('inexistente');
+  });
+
+  test('setLanguage notifica a los suscriptores sin recargar la página', () => {
+    const listener = jest.fn();
+    const unsubscribe = i18nService.subscribe(listener);
+
+    expect(i18nService.setLanguage('en')).toBe(true);
+    expect(listener).toHaveBeenCalledWith('en');
+    expect(document.documentElement.lang).toBe('en');
+    expect(t('nav.contact')).toBe('Contact');
+
+    unsubscribe();
+    i18nService.setLanguage('es');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('CVDataService vuelve a aplicar las traducciones del CV al cambiar de idioma', () => {
+    i18nService.setLanguage('en');
+    expect(cvDataService.getProfile().title).toBe('Full-Stack Developer');
+
+    i18nService.setLanguage('es');
+    expect(cvDataService.getProfile().title).toBe('Desarrollador Full-Stack');
+  });
+});
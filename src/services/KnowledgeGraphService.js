@@ -0,0 +1,178 @@
+/**
+ * Servicio de Relaciones del CV (habilidades ↔ proyectos ↔ certificados)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: responder qué proyectos y certificados respaldan
+ *   una habilidad, y qué habilidades respalda un proyecto o un certificado
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos en el constructor
+ *
+ * BUENAS PRÁCTICAS:
+ * - Las relaciones se declaran en cvData.json por nombre: "tags" y
+ *   "relatedSkills" en los proyectos; "skills" y "relatedSkills" en los certificados
+ * - Los nombres se comparan como slug (ver toUrlSlug), igual que las rutas
+ *   de /skills/:name ("React.js" y "react-js" son la misma habilidad)
+ * - El índice se construye la primera vez que se consulta y se rehace si
+ *   cambia el documento del CV (por ejemplo, al cambiar de idioma)
+ */
+
+import cvDataService from './CVDataService';
+import { toUrlSlug } from '../constants/routes';
+import { getProjectTerms, getCertificateTerms } from '../utils/skillScoring';
+
+/**
+ * @typedef {Object} CVSkillRelations
+ * @property {Object[]} projects - Proyectos (CVProject) que usaron la habilidad
+ * @property {Object[]} certificates - Certificados (CVCertificate) que la cubren
+ */
+
+/**
+ * Clase KnowledgeGraphService
+ * Índice invertido de términos (slug) hacia proyectos, certificados y habilidades
+ */
+class KnowledgeGraphService {
+  /**
+   * Constructor del servicio
+   * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+   */
+  constructor(dataService = cvDataService) {
+    this.dataService = dataService;
+    this.index = null;
+    this.indexedDocument = null;
+  }
+
+  /**
+   * Construye el índice de relaciones
+   * @returns {Map<string, {skills: Object[], projects: Object[], certificates: Object[]}>}
+   */
+  buildIndex() {
+    const index = new Map();
+    const entryFor = (slug) => {
+      if (!index.has(slug)) {
+        index.set(slug, { skills: [], projects: [], certificates: [] });
+      }
+      return index.get(slug);
+    };
+
+    this.dataService.getSkills().forEach(skill => {
+      entryFor(toUrlSlug(skill.name)).skills.push(skill);
+    });
+    this.dataService.getProjects().forEach(project => {
+      getProjectTerms(project).forEach(slug => entryFor(slug).projects.push(project));
+    });
+    this.dataService.getCertificates().forEach(certificate => {
+      getCertificateTerms(certificate).forEach(slug => entryFor(slug).certificates.push(certificate));
+    });
+
+    return index;
+  }
+
+  /**
+   * Obtiene la entrada del índice para un nombre
+   * @param {string} name - Nombre o slug de la habilidad ("Laravel", "Async/Await", "react-js")
+   * @returns {{skills: Object[], projects: Object[], certificates: Object[]}}
+   */
+  getEntry(name) {
+    const document = this.dataService.getDocument();
+    if (!this.index || this.indexedDocument !== document) {
+      this.index = this.buildIndex();
+      this.indexedDocument = document;
+    }
+    return this.index.get(toUrlSlug(name)) || { skills: [], projects: [], certificates: [] };
+  }
+
+  /**
+   * Indica si un nombre corresponde a una habilidad de la sección skills
+   * @param {string} name - Nombre o slug
+   * @returns {boolean}
+   */
+  isSkill(name) {
+    return this.getEntry(name).skills.length > 0;
+  }
+
+  /**
+   * Proyectos que usaron una habilidad ("¿qué proyectos usaron Laravel?")
+   * @param {string} name - Nombre o slug de la habilidad
+   * @returns {Object[]}
+   */
+  getProjectsBySkill(name) {
+    return this.getEntry(name).projects;
+  }
+
+  /**
+   * Certificados que cubren una habilidad ("¿qué certificado cubre Async/Await?")
+   * @param {string} name - Nombre o slug de la habilidad
+   * @returns {Object[]}
+   */
+  getCertificatesBySkill(name) {
+    return this.getEntry(name).certificates;
+  }
+
+  /**
+   * Proyectos y certificados que respaldan una habilidad
+   * @param {string} name - Nombre o slug de la habilidad
+   * @returns {CVSkillRelations}
+   */
+  getSkillRelations(name) {
+    const { projects, certificates } = this.getEntry(name);
+    return { projects, certificates };
+  }
+
+  /**
+   * Busca habilidades de la sección skills a partir de una lista de términos
+   * Una habilidad que figura en varias categorías se devuelve una sola vez
+   * @param {string[]} terms - Slugs
+   * @returns {Object[]} Habilidades (CVSkill)
+   */
+  resolveSkills(terms) {
+    return terms
+      .map(slug => this.getEntry(slug).skills[0])
+      .filter(Boolean);
+  }
+
+  /**
+   * Habilidades que respalda un proyecto
+   * @param {Object} project - Proyecto del CV
+   * @returns {Object[]} Habilidades (CVSkill)
+   */
+  getSkillsForProject(project) {
+    return this.resolveSkills(getProjectTerms(project));
+  }
+
+  /**
+   * Habilidades que respalda un certificado
+   * @param {Object} certificate - Certificado del CV
+   * @returns {Object[]} Habilidades (CVSkill)
+   */
+  getSkillsForCertificate(certificate) {
+    return this.resolveSkills(getCertificateTerms(certificate));
+  }
+
+  /**
+   * Proyectos que comparten alguna habilidad con un certificado
+   * @param {Object} certificate - Certificado del CV
+   * @returns {Object[]}
+   */
+  getProjectsForCertificate(certificate) {
+    const projects = getCertificateTerms(certificate).flatMap(slug => this.getEntry(slug).projects);
+    return [...new Set(projects)];
+  }
+
+  /**
+   * Certificados que comparten alguna habilidad con un proyecto
+   * @param {Object} project - Proyecto del CV
+   * @returns {Object[]}
+   */
+  getCertificatesForProject(project) {
+    const certificates = getProjectTerms(project).flatMap(slug => this.getEntry(slug).certificates);
+    return [...new Set(certificates)];
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const knowledgeGraphService = new KnowledgeGraphService();
+
+// Exportar tanto la clase como la instancia
+export { KnowledgeGraphService };
+export default knowledgeGraphService;
@@ -0,0 +1,81 @@
+import { CVDataService, CV_SCHEMA_VERSION } from './CVDataService';
+import { KnowledgeGraphService } from './KnowledgeGraphService';
+
+const DOCUMENT = {
+  schemaVersion: CV_SCHEMA_VERSION,
+  profile: {},
+  work: [],
+  education: [],
+  tools: { categories: [] },
+  projects: [
+    { id: 'tienda', name: 'Tienda', tags: ['React.js', 'Laravel'] },
+    { id: 'campus', name: 'Campus', tags: ['React.js'], relatedSkills: ['Async/Await'] }
+  ],
+  skills: {
+    categories: [
+      { id: 'frontend', title: 'Frontend', items: [{ name: 'React.js' }, { name: 'Async/Await' }] },
+      { id: 'backend', title: 'Backend', items: [{ name: 'Laravel' }, { name: 'React.js' }] }
+    ]
+  },
+  certificates: {
+    categories: [
+      {
+        id: 'courses',
+        title: 'Cursos',
+        items: [
+          { id: 'js', title: 'JavaScript', skills: ['Async/Await'], relatedSkills: ['Trabajo en equipo'] },
+          { id: 'php', title: 'PHP', skills: ['Laravel'] }
+        ]
+      }
+    ]
+  },
+  translations: {
+    en: {
+      certificates: {
+        categories: [{ id: 'courses', items: [{ id: 'php', skills: ['React.js'] }] }]
+      }
+    }
+  }
+};
+
+const ids = (items) => items.map(item => item.id);
+
+describe('KnowledgeGraphService', () => {
+  let dataService;
+  let graph;
+
+  beforeEach(() => {
+    dataService = new CVDataService(DOCUMENT);
+    graph = new KnowledgeGraphService(dataService);
+  });
+
+  test('responde qué proyectos y certificados respaldan una habilidad', () => {
+    expect(ids(graph.getProjectsBySkill('React.js'))).toEqual(['tienda', 'campus']);
+    expect(ids(graph.getProjectsBySkill('async-await'))).toEqual(['campus']);
+    expect(ids(graph.getCertificatesBySkill('Async/Await'))).toEqual(['js']);
+    expect(graph.getSkillRelations('Kotlin')).toEqual({ projects: [], certificates: [] });
+  });
+
+  test('distingue las habilidades de la sección skills de los términos sueltos', () => {
+    expect(graph.isSkill('laravel')).toBe(true);
+    expect(graph.isSkill('Trabajo en equipo')).toBe(false);
+  });
+
+  test('una habilidad repetida en varias categorías se devuelve una sola vez', () => {
+    expect(graph.getSkillsForProject(DOCUMENT.projects[0]).map(skill => skill.name)).toEqual(['React.js', 'Laravel']);
+    expect(graph.getSkillsForCertificate({ skills: ['Async/Await'], relatedSkills: ['Trabajo en equipo'] })
+      .map(skill => skill.name)).toEqual(['Async/Await']);
+  });
+
+  test('relaciona proyectos y certificados a través de las habilidades en común', () => {
+    expect(ids(graph.getProjectsForCertificate({ skills: ['Laravel', 'React.js'] }))).toEqual(['tienda', 'campus']);
+    expect(ids(graph.getCertificatesForProject(DOCUMENT.projects[1]))).toEqual(['js']);
+  });
+
+  test('rehace el índice cuando cambia el documento del CV', () => {
+    expect(ids(graph.getCertificatesBySkill('React.js'))).toEqual([]);
+
+    dataService.setLanguage('en');
+    expect(ids(graph.getCertificatesBySkill('React.js'))).toEqual(['php']);
+  });
+});
@@ -10,50 +10,12 @@
  * 
  * PRINCIPIO: Interface Segregation Principle (ISP)
  * - Proporciona métodos específicos para diferentes tipos de navegación
+ *
+ * Las secciones se reciben del registro (constants/sectionRegistry) mediante
+ * setSections(), para que el servicio no dependa de los componentes
  */
 
-/**
- * Configuración de navegación de la aplicación
- * Define todas las secciones disponibles y sus propiedades
- */
-export const NAVIGATION_CONFIG = {
-  HERO: {
-    id: 'hero',
-    name: 'Inicio',
-    href: '#hero',
-    order: 1
-  },
-  ABOUT: {
-    id: 'about',
-    name: 'Sobre mí',
-    href: '#about',
-    order: 2
-  },
-  SKILLS: {
-    id: 'skills',
-    name: 'Habilidades',
-    href: '#skills',
-    order: 3
-  },
-  AI_PRODUCTIVITY: {
-    id: 'ai-productivity',
-    name: 'IA & Productividad',
-    href: '#ai-productivity',
-    order: 4
-  },
-  CERTIFICATES: {
-    id: 'certificates',
-    name: 'Certificados',
-    href: '#certificates',
-    order: 5
-  },
-  CONTACT: {
-    id: 'contact',
-    name: 'Contacto',
-    href: '#contact',
-    order: 6
-  }
-};
+import { t } from './I18nService';
 
 /**
  * Clase NavigationService
@@ -63,8 +25,12 @@ class NavigationService {
   /**
    * Constructor del servicio
    * Inicializa las configuraciones por defecto
+   *
+   * @param {Array} sections - Secciones del registro ({ id, labelKey, href, order, inMenu })
    */
-  constructor() {
+  constructor(sections = []) {
+    this.sections = sections;
+
     // Configuración por defecto para el scroll suave
     this.scrollOptions = {
       behavior: 'smooth',
@@ -74,6 +40,22 @@ class NavigationService {
     
     // Offset para compensar el header fijo
     this.headerOffset = 80;
+
+    // Listener de hashchange activo (para poder removerlo en cleanup)
+    this.hashChangeHandler = null;
+  }
+
+  /**
+   * Define las secciones navegables
+   *
+   * @param {Array} sections - Secciones del registro
+   */
+  setSections(sections) {
+    if (!Array.isArray(sections)) {
+      console.warn('NavigationService: las secciones deben ser un array', sections);
+      return;
+    }
+    this.sections = sections;
   }
 
   /**
@@ -120,6 +102,35 @@ class NavigationService {
     }
   }
 
+  /**
+   * Navega a una sección en cuanto está en el DOM
+   * Útil al volver a la página principal desde una ruta de detalle, cuando las
+   * secciones con lazy loading todavía se están cargando
+   * 
+   * @param {string} sectionId - ID de la sección destino
+   * @param {number} timeout - Tiempo máximo de espera en milisegundos
+   * @returns {Function} - Función para cancelar la espera
+   */
+  navigateWhenReady(sectionId, timeout = 3000) {
+    const startedAt = Date.now();
+    let timerId = null;
+
+    const attempt = () => {
+      if (document.getElementById(sectionId)) {
+        this.navigateToSection(sectionId);
+        return;
+      }
+      if (Date.now() - startedAt < timeout) {
+        timerId = setTimeout(attempt, 100);
+      } else {
+        console.warn(`NavigationService: la sección "${sectionId}" no apareció a tiempo`);
+      }
+    };
+
+    attempt();
+    return () => clearTimeout(timerId);
+  }
+
   /**
    * Navega usando un href (formato #section)
    * 
@@ -139,12 +150,14 @@ class NavigationService {
   }
 
   /**
-   * Obtiene todas las secciones de navegación ordenadas
+   * Obtiene los elementos del menú ordenados
    * 
-   * @returns {Array} - Array de secciones ordenadas
+   * @returns {Array} - Array de { id, name, href, order }
    */
   getNavigationItems() {
-    return Object.values(NAVIGATION_CONFIG)
+    return this.sections
+      .filter(section => section.inMenu !== false)
+      .map(({ id, labelKey, href, order }) => ({ id, name: t(labelKey), href, order }))
       .sort((a, b) => a.order - b.order);
   }
 
@@ -155,8 +168,7 @@ class NavigationService {
    * @returns {Object|null} - Información de la sección o null
    */
   getSectionInfo(sectionId) {
-    return Object.values(NAVIGATION_CONFIG)
-      .find(section => section.id === sectionId) || null;
+    return this.sections.find(section => section.id === sectionId) || null;
   }
 
   /**
@@ -177,9 +189,11 @@ class NavigationService {
   updateURL(sectionId) {
     try {
       // Verificar si el browser soporta History API
+      // Se conservan la query (?lang=) y el estado del router
       if (window.history && window.history.pushState) {
-        const newURL = `${window.location.origin}${window.location.pathname}#${sectionId}`;
-        window.history.replaceState(null, '', newURL);
+        const { origin, pathname, search } = window.location;
+        const newURL = `${origin}${pathname}${search}#${sectionId}`;
+        window.history.replaceState(window.history.state, '', newURL);
       }
     } catch (error) {
       console.error('NavigationService: Error al actualizar URL', error);
@@ -254,13 +268,17 @@ class NavigationService {
       }
     }
 
-    // Escuchar cambios en el hash
-    window.addEventListener('hashchange', () => {
+    // Escuchar cambios en el hash (un único listener aunque se llame varias veces)
+    if (this.hashChangeHandler) {
+      window.removeEventListener('hashchange', this.hashChangeHandler);
+    }
+    this.hashChangeHandler = () => {
       const sectionId = window.location.hash.replace('#', '');
       if (this.sectionExists(sectionId)) {
         this.navigateToSection(sectionId);
       }
-    });
+    };
+    window.addEventListener('hashchange', this.hashChangeHandler);
   }
 
   /**
@@ -272,7 +290,12 @@ class NavigationService {
       // Remover scroll behavior global
       document.documentElement.style.scrollBehavior = 'auto';
       
-      // Aquí se podrían remover event listeners si fuera necesario
+      // Remover el listener de navegación por hash
+      if (this.hashChangeHandler) {
+        window.removeEventListener('hashchange', this.hashChangeHandler);
+        this.hashChangeHandler = null;
+      }
+
       console.log('NavigationService: Limpieza completada');
     } catch (error) {
       console.error('NavigationService: Error durante la limpieza', error);
@@ -0,0 +1,142 @@
+/**
+ * Servicio Antispam del formulario de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: decidir en el navegador si un envío parece
+ *   automatizado y generar la prueba que verifica la API de contacto
+ *
+ * BUENAS PRÁCTICAS:
+ * - Capas en orden de costo: campo trampa, tiempo de llenado, límite del
+ *   navegador, contenido y, al final, la prueba de trabajo
+ * - Los envíos recientes se guardan en localStorage; sin almacenamiento el
+ *   límite del navegador no se aplica (el servidor limita por IP)
+ * - La prueba enviada no incluye el tiempo de llenado: quien la verifica lo
+ *   calcula con su propio reloj a partir de startedAt
+ * - La prueba de trabajo solo se calcula si el transporte la verifica
+ */
+
+import {
+  SPAM_RULES, SPAM_REASONS, analyzeContent, checkRateLimit, getChallenge, solveProofOfWork
+} from '../utils/spamProtection';
+
+/**
+ * Clave de localStorage con los envíos recientes
+ */
+const SUBMISSIONS_STORAGE_KEY = 'cv-web-contact-submissions';
+
+/**
+ * Clase SpamGuardService
+ * Sesiones del formulario, comprobaciones previas al envío y prueba de trabajo
+ */
+class SpamGuardService {
+  /**
+   * Constructor del servicio
+   * @param {Object} rules - Reglas (por defecto SPAM_RULES)
+   * @param {Object} dependencies - { storage, subtle, now, random } (por defecto las del navegador)
+   */
+  constructor(rules = SPAM_RULES, dependencies = {}) {
+    this.rules = rules;
+    this.dependencies = dependencies;
+  }
+
+  /**
+   * Dependencias efectivas: las inyectadas o las del navegador
+   * @returns {Object}
+   */
+  getDependencies() {
+    const hasWindow = typeof window !== 'undefined';
+    return {
+      storage: hasWindow ? window.localStorage : null,
+      // Solo existe en contextos seguros (https o localhost)
+      subtle: hasWindow && window.crypto && window.crypto.subtle ? window.crypto.subtle : null,
+      now: () => Date.now(),
+      random: () => Math.random(),
+      ...this.dependencies
+    };
+  }
+
+  /**
+   * Inicia una sesión del formulario (al mostrarlo o reiniciarlo)
+   * @returns {{startedAt: number, salt: string}}
+   */
+  createSession() {
+    const { now, random } = this.getDependencies();
+    const salt = [random(), random()].map(value => value.toString(36).slice(2, 10)).join('').padEnd(8, '0');
+    return { startedAt: now(), salt };
+  }
+
+  /**
+   * Instantes de los envíos recientes de este navegador
+   * @returns {number[]}
+   */
+  getSubmissions() {
+    try {
+      const stored = JSON.parse(this.getDependencies().storage.getItem(SUBMISSIONS_STORAGE_KEY));
+      return Array.isArray(stored) ? stored.filter(Number.isFinite) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Registra un envío aceptado (enviado o en cola)
+   */
+  recordSubmission() {
+    const { storage, now } = this.getDependencies();
+    const { recent } = checkRateLimit(this.getSubmissions(), now(), this.rules.browserLimit);
+    try {
+      storage.setItem(SUBMISSIONS_STORAGE_KEY, JSON.stringify([...recent, now()]));
+    } catch (error) {
+      // Sin almacenamiento el límite del navegador no se aplica
+    }
+  }
+
+  /**
+   * Comprueba un envío y, si pasa, genera la prueba para el servidor
+   * @param {{name: string, email: string, subject: string, message: string}} message - Mensaje validado
+   * @param {{startedAt: number, salt: string}} session - Sesión del formulario
+   * @param {string} honeypot - Valor del campo trampa
+   * @param {{withProof?: boolean}} options - withProof: calcular la prueba de trabajo (transporte endpoint)
+   * @returns {Promise<Object>} { allowed, reason?, retryAfterMs?, contentIssues?, antiSpam? }
+   */
+  async inspect(message, session, honeypot, { withProof = true } = {}) {
+    const { subtle, now } = this.getDependencies();
+    const fillMs = now() - session.startedAt;
+    const reject = (reason, details = {}) => {
+      console.warn(`SpamGuardService: envío rechazado (${reason})`);
+      return { allowed: false, reason, ...details };
+    };
+
+    if (honeypot) {
+      return reject(SPAM_REASONS.honeypot);
+    }
+    if (fillMs < this.rules.minFillMs) {
+      return reject(SPAM_REASONS.tooFast);
+    }
+    const { allowed, retryAfterMs } = checkRateLimit(this.getSubmissions(), now(), this.rules.browserLimit);
+    if (!allowed) {
+      return reject(SPAM_REASONS.rateLimited, { retryAfterMs });
+    }
+    const contentIssues = analyzeContent(message, this.rules);
+    if (Object.keys(contentIssues).length > 0) {
+      return reject(SPAM_REASONS.linkSpam, { contentIssues });
+    }
+
+    if (!withProof) {
+      return { allowed: true, antiSpam: null };
+    }
+    // Sin Web Crypto no hay prueba: la API propia rechazará el envío y el formulario ofrece el correo
+    const nonce = subtle ? await solveProofOfWork(getChallenge(session), this.rules.powDifficulty, subtle) : null;
+    return {
+      allowed: true,
+      antiSpam: nonce === null ? null : { ...session, nonce }
+    };
+  }
+}
+
+// Crear y exportar una instancia singleton del servicio
+const spamGuardService = new SpamGuardService();
+
+// Exportar tanto la clase como la instancia
+export { SpamGuardService };
+export default spamGuardService;
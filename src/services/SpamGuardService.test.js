@@ -0,0 +1,48 @@
+import { webcrypto } from 'crypto';
+import { SpamGuardService } from './SpamGuardService';
+import { SPAM_RULES, SPAM_REASONS, getChallenge, verifyProofOfWork } from '../utils/spamProtection';
+
+// Dificultad baja para que las pruebas sean rápidas
+const RULES = { ...SPAM_RULES, powDifficulty: 8 };
+const NOW = 1767225600000;
+const MESSAGE = { name: 'Ana', email: 'ana@example.com', subject: 'Consulta', message: 'Hola, ¿podemos hablar?' };
+const SESSION = { startedAt: NOW - 10000, salt: 'abcdef12' };
+
+const createGuard = () => new SpamGuardService(RULES, {
+  storage: null,
+  subtle: webcrypto.subtle,
+  now: () => NOW
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SpamGuardService.inspect', () => {
+  test('calcula la prueba de trabajo para el transporte que la verifica', async () => {
+    const check = await createGuard().inspect(MESSAGE, SESSION, '');
+
+    expect(check.allowed).toBe(true);
+    expect(check.antiSpam).toMatchObject(SESSION);
+    expect(await verifyProofOfWork(check.antiSpam, RULES.powDifficulty, webcrypto.subtle)).toBe(true);
+    expect(getChallenge(check.antiSpam)).toBe(getChallenge(SESSION));
+  });
+
+  test('sin verificación en el destino no calcula la prueba', async () => {
+    await expect(createGuard().inspect(MESSAGE, SESSION, '', { withProof: false }))
+      .resolves.toEqual({ allowed: true, antiSpam: null });
+  });
+
+  test('rechaza el campo trampa y los envíos demasiado rápidos', async () => {
+    const guard = createGuard();
+
+    await expect(guard.inspect(MESSAGE, SESSION, 'https://spam.example')).resolves
+      .toMatchObject({ allowed: false, reason: SPAM_REASONS.honeypot });
+    await expect(guard.inspect(MESSAGE, { ...SESSION, startedAt: NOW - 500 }, '')).resolves
+      .toMatchObject({ allowed: false, reason: SPAM_REASONS.tooFast });
+  });
+});
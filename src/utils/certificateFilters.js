@@ -0,0 +1,165 @@
+/**
+ * Orden y agrupación de certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: ordenar y agrupar certificados, y convertir la
+ *   elección desde y hacia la query de la URL
+ *
+ * BUENAS PRÁCTICAS:
+ * - La elección vive en la URL (?certGroup=institution&certSort=hours), con
+ *   nombres propios para no chocar con los filtros del portafolio (?sort=)
+ * - Los valores por defecto no se escriben y los demás parámetros se conservan
+ * - Funciones puras: no leen ni escriben la URL por su cuenta
+ */
+
+import { getCertificatePeriod } from './certificateStats';
+
+/**
+ * Nombres de los parámetros de la query
+ */
+export const CERTIFICATE_FILTER_PARAMS = {
+  group: 'certGroup',
+  sort: 'certSort'
+};
+
+/**
+ * Agrupaciones disponibles (category respeta las categorías de cvData.json)
+ */
+export const CERTIFICATE_GROUPS = ['category', 'institution', 'year', 'skill'];
+
+/**
+ * Criterios de orden disponibles dentro de cada grupo
+ */
+export const CERTIFICATE_SORTS = ['recent', 'oldest', 'hours', 'title'];
+
+/**
+ * Elección sin cambios: categorías y más recientes primero
+ */
+export const DEFAULT_CERTIFICATE_FILTERS = {
+  group: 'category',
+  sort: 'recent'
+};
+
+/**
+ * Lee la elección desde la query de la URL
+ * @param {string|URLSearchParams} search - Query ("?certGroup=year") o URLSearchParams
+ * @returns {{group: string, sort: string}}
+ */
+export const parseCertificateFilters = (search) => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+  const group = params.get(CERTIFICATE_FILTER_PARAMS.group);
+  const sort = params.get(CERTIFICATE_FILTER_PARAMS.sort);
+
+  return {
+    group: CERTIFICATE_GROUPS.includes(group) ? group : DEFAULT_CERTIFICATE_FILTERS.group,
+    sort: CERTIFICATE_SORTS.includes(sort) ? sort : DEFAULT_CERTIFICATE_FILTERS.sort
+  };
+};
+
+/**
+ * Escribe la elección en una query, conservando los demás parámetros
+ * @param {{group: string, sort: string}} filters - Elección
+ * @param {string|URLSearchParams} search - Query actual
+ * @returns {string} Query resultante, con "?" inicial o vacía
+ */
+export const serializeCertificateFilters = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+
+  Object.entries(CERTIFICATE_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== DEFAULT_CERTIFICATE_FILTERS[key]) {
+      params.set(param, filters[key]);
+    } else {
+      params.delete(param);
+    }
+  });
+
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Año con el que se ordena y agrupa un certificado: el de fin (o el de inicio)
+ * @param {Object} certificate - Certificado
+ * @returns {number}
+ */
+const getSortYear = (certificate) => {
+  const { start, end } = getCertificatePeriod(certificate);
+  return end || start || 0;
+};
+
+/**
+ * Ordena certificados (sin modificar el arreglo original)
+ * @param {Object[]} certificates - Certificados
+ * @param {string} sort - Criterio de CERTIFICATE_SORTS
+ * @returns {Object[]}
+ */
+export const sortCertificates = (certificates, sort) => {
+  const sorted = [...certificates];
+
+  if (sort === 'title') {
+    return sorted.sort((a, b) => a.title.localeCompare(b.title));
+  }
+  if (sort === 'hours') {
+    return sorted.sort((a, b) => (Number(b.hours) || 0) - (Number(a.hours) || 0));
+  }
+  const direction = sort === 'oldest' ? 1 : -1;
+  return sorted.sort((a, b) => direction * (getSortYear(a) - getSortYear(b)));
+};
+
+/**
+ * Claves de grupo de un certificado (un certificado puede estar en varias habilidades)
+ * @param {Object} certificate - Certificado
+ * @param {string} group - Agrupación de CERTIFICATE_GROUPS
+ * @returns {string[]}
+ */
+const getGroupKeys = (certificate, group) => {
+  if (group === 'institution') {
+    return [certificate.institution];
+  }
+  if (group === 'year') {
+    return [String(getSortYear(certificate) || '')];
+  }
+  if (group === 'skill') {
+    const skills = certificate.relatedSkills && certificate.relatedSkills.length > 0
+      ? certificate.relatedSkills
+      : certificate.skills || [];
+    return skills;
+  }
+  return [certificate.category];
+};
+
+/**
+ * Agrupa y ordena certificados
+ * Con "category" los grupos siguen el orden de cvData.json; con "year" van del
+ * más reciente al más antiguo; el resto, por cantidad de certificados y nombre
+ * @param {Object[]} certificates - Certificados (con "category")
+ * @param {{group: string, sort: string}} filters - Elección
+ * @returns {{key: string, certificates: Object[]}[]}
+ */
+export const groupCertificates = (certificates, filters) => {
+  const groups = new Map();
+
+  certificates.forEach(certificate => {
+    getGroupKeys(certificate, filters.group).filter(Boolean).forEach(key => {
+      groups.set(key, [...(groups.get(key) || []), certificate]);
+    });
+  });
+
+  const entries = [...groups.entries()].map(([key, items]) => ({ key, certificates: sortCertificates(items, filters.sort) }));
+  if (filters.group === 'year') {
+    return entries.sort((a, b) => Number(b.key) - Number(a.key));
+  }
+  if (filters.group === 'institution' || filters.group === 'skill') {
+    return entries.sort((a, b) => b.certificates.length - a.certificates.length || a.key.localeCompare(b.key));
+  }
+  return entries;
+};
+
+const certificateFilters = {
+  parseCertificateFilters,
+  serializeCertificateFilters,
+  sortCertificates,
+  groupCertificates
+};
+
+export default certificateFilters;
@@ -0,0 +1,67 @@
+import {
+  DEFAULT_CERTIFICATE_FILTERS,
+  parseCertificateFilters,
+  serializeCertificateFilters,
+  sortCertificates,
+  groupCertificates
+} from './certificateFilters';
+
+const CERTIFICATES = [
+  { id: 'js', title: 'JavaScript', category: 'technical', institution: 'CoderHouse', date: '2023', hours: 160, skills: ['JavaScript'] },
+  { id: 'ia', title: 'Inteligencia Artificial', category: 'ai', institution: 'Escuela Da Vinci', date: '2024', hours: 12, relatedSkills: ['Python', 'JavaScript'] },
+  { id: 'analista', title: 'Analista de Sistemas', category: 'academic', institution: 'Escuela Da Vinci', date: '2022-2025', hours: 2400 }
+];
+
+const ids = (certificates) => certificates.map(certificate => certificate.id);
+
+describe('parseCertificateFilters / serializeCertificateFilters', () => {
+  test('lee la query descartando valores desconocidos', () => {
+    expect(parseCertificateFilters('?certGroup=year&certSort=hours')).toEqual({ group: 'year', sort: 'hours' });
+    expect(parseCertificateFilters('?certGroup=color&certSort=random')).toEqual(DEFAULT_CERTIFICATE_FILTERS);
+  });
+
+  test('escribe solo lo que difiere del valor por defecto y no toca los filtros del portafolio', () => {
+    expect(serializeCertificateFilters({ group: 'institution', sort: 'recent' }, '?tags=react,node-js&sort=name'))
+      .toBe('?tags=react,node-js&sort=name&certGroup=institution');
+    expect(serializeCertificateFilters(DEFAULT_CERTIFICATE_FILTERS, '?certGroup=year')).toBe('');
+  });
+
+  test('la ida y vuelta por la URL conserva la elección', () => {
+    const filters = { group: 'skill', sort: 'oldest' };
+    expect(parseCertificateFilters(serializeCertificateFilters(filters))).toEqual(filters);
+  });
+});
+
+describe('sortCertificates', () => {
+  test('ordena por fecha de fin, horas o título sin modificar la lista original', () => {
+    expect(ids(sortCertificates(CERTIFICATES, 'recent'))).toEqual(['analista', 'ia', 'js']);
+    expect(ids(sortCertificates(CERTIFICATES, 'oldest'))).toEqual(['js', 'ia', 'analista']);
+    expect(ids(sortCertificates(CERTIFICATES, 'hours'))).toEqual(['analista', 'js', 'ia']);
+    expect(ids(sortCertificates(CERTIFICATES, 'title'))).toEqual(['analista', 'ia', 'js']);
+    expect(ids(CERTIFICATES)).toEqual(['js', 'ia', 'analista']);
+  });
+});
+
+describe('groupCertificates', () => {
+  const groupKeys = (group) => groupCertificates(CERTIFICATES, { group, sort: 'recent' }).map(item => item.key);
+
+  test('por categoría respeta el orden de los datos', () => {
+    expect(groupKeys('category')).toEqual(['technical', 'ai', 'academic']);
+  });
+
+  test('por año va del más reciente al más antiguo', () => {
+    expect(groupKeys('year')).toEqual(['2025', '2024', '2023']);
+  });
+
+  test('por institución ordena por cantidad y nombre', () => {
+    expect(groupKeys('institution')).toEqual(['Escuela Da Vinci', 'CoderHouse']);
+  });
+
+  test('por habilidad un certificado aparece en cada una y los que no declaran quedan fuera', () => {
+    const groups = groupCertificates(CERTIFICATES, { group: 'skill', sort: 'title' });
+    expect(groups.map(group => [group.key, ids(group.certificates)])).toEqual([
+      ['JavaScript', ['ia', 'js']],
+      ['Python', ['ia']]
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Ciclo de vida de los certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: deducir el estado de un certificado (planificado,
+ *   en curso, completado, vencido o renovado) a partir de sus fechas
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras: el estado se calcula con la fecha de referencia, no se escribe a mano
+ * - Las fechas admiten año, mes o día ("2025", "2025-12", "2025-12-15")
+ * - Un fin o un vencimiento vale hasta el último día de su período ("2025-12" → 31/12/2025)
+ * - findLifecycleIssues detecta datos desactualizados (ej: en curso con la fecha de fin vencida)
+ */
+
+import i18nService from '../services/I18nService';
+
+/**
+ * Estados del ciclo de vida, en orden
+ */
+export const CERTIFICATE_LIFECYCLE = {
+  planned: 'planned',
+  inProgress: 'inProgress',
+  completed: 'completed',
+  expired: 'expired',
+  renewed: 'renewed'
+};
+
+/**
+ * Estados de certificados ya emitidos
+ */
+export const ISSUED_STATUSES = [
+  CERTIFICATE_LIFECYCLE.completed,
+  CERTIFICATE_LIFECYCLE.expired,
+  CERTIFICATE_LIFECYCLE.renewed
+];
+
+/**
+ * Campos de fecha de un certificado
+ */
+export const LIFECYCLE_DATE_FIELDS = ['startDate', 'endDate', 'issueDate', 'expiryDate', 'renewedDate'];
+
+const PARTIAL_DATE = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * Convierte una fecha parcial en un Date (hora local)
+ * @param {string|number|null} value - Fecha (YYYY, YYYY-MM o YYYY-MM-DD)
+ * @param {string} edge - "start" para el primer instante del período, "end" para el último
+ * @returns {Date|null} null si falta o no tiene el formato esperado
+ */
+export const parsePartialDate = (value, edge = 'start') => {
+  const match = String(value === null || value === undefined ? '' : value).match(PARTIAL_DATE);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  if ((month && month > 12) || month === 0 || day === 0
+    || (day && new Date(year, month - 1, day).getMonth() !== month - 1)) {
+    return null;
+  }
+
+  if (edge === 'end') {
+    if (day) {
+      return new Date(year, month - 1, day, 23, 59, 59, 999);
+    }
+    // Día 0 del mes siguiente = último día del período
+    return month
+      ? new Date(year, month, 0, 23, 59, 59, 999)
+      : new Date(year, 11, 31, 23, 59, 59, 999);
+  }
+  return new Date(year, (month || 1) - 1, day || 1);
+};
+
+/**
+ * Deduce el estado de un certificado
+ * - planned: "startDate" todavía no llegó
+ * - inProgress: tiene "startDate" pero aún no "issueDate"
+ * - expired: "expiryDate" ya pasó
+ * - renewed: tiene "renewedDate" (y el vencimiento renovado no pasó)
+ * - completed: el resto (incluye los que solo declaran "date")
+ * @param {Object} certificate - Certificado
+ * @param {Date} now - Fecha de referencia (por defecto hoy)
+ * @returns {string} Valor de CERTIFICATE_LIFECYCLE
+ */
+export const getCertificateLifecycle = (certificate, now = new Date()) => {
+  const start = parsePartialDate(certificate.startDate, 'start');
+  if (start && start > now) {
+    return CERTIFICATE_LIFECYCLE.planned;
+  }
+  if (certificate.startDate && !certificate.issueDate) {
+    return CERTIFICATE_LIFECYCLE.inProgress;
+  }
+
+  const expiry = parsePartialDate(certificate.expiryDate, 'end');
+  if (expiry && expiry < now) {
+    return CERTIFICATE_LIFECYCLE.expired;
+  }
+  const renewed = parsePartialDate(certificate.renewedDate, 'start');
+  if (renewed && renewed <= now) {
+    return CERTIFICATE_LIFECYCLE.renewed;
+  }
+  return CERTIFICATE_LIFECYCLE.completed;
+};
+
+/**
+ * Indica si el certificado ya fue emitido (completado, vencido o renovado)
+ * @param {{lifecycle: string}} certificate - Certificado con su estado calculado
+ * @returns {boolean}
+ */
+export const isIssued = (certificate) => ISSUED_STATUSES.includes(certificate.lifecycle);
+
+/**
+ * Busca datos inconsistentes o desactualizados en el ciclo de vida
+ * @param {Object[]} certificates - Certificados de cvData.json
+ * @param {Date} now - Fecha de referencia (por defecto hoy)
+ * @returns {{id: string, code: string, message: string}[]}
+ */
+export const findLifecycleIssues = (certificates, now = new Date()) => certificates.flatMap(certificate => {
+  const issues = [];
+  const report = (code, message) => issues.push({ id: certificate.id, code, message: `"${certificate.id}": ${message}` });
+
+  LIFECYCLE_DATE_FIELDS
+    .filter(field => certificate[field] && !parsePartialDate(certificate[field]))
+    .forEach(field => report('invalidDate', `"${field}" no tiene el formato YYYY, YYYY-MM o YYYY-MM-DD (${certificate[field]})`));
+
+  const end = parsePartialDate(certificate.endDate, 'end');
+  if (getCertificateLifecycle(certificate, now) === CERTIFICATE_LIFECYCLE.inProgress && end && end < now) {
+    report('overdue', `sigue en curso pero su fecha de fin (${certificate.endDate}) ya pasó; agrega "issueDate" si se completó o actualiza "endDate"`);
+  }
+
+  const issued = parsePartialDate(certificate.issueDate, 'start');
+  const expiry = parsePartialDate(certificate.expiryDate, 'end');
+  if (issued && expiry && expiry < issued) {
+    report('expiryBeforeIssue', `"expiryDate" (${certificate.expiryDate}) es anterior a "issueDate" (${certificate.issueDate})`);
+  }
+  if (certificate.renewedDate && !certificate.issueDate) {
+    report('renewedWithoutIssue', '"renewedDate" requiere "issueDate"');
+  }
+  return issues;
+});
+
+/**
+ * Fecha de un certificado en el idioma actual ("2023" → "2023", "2025-12" → "dic 2025")
+ * Una fecha inexistente ("2025-13", "2025-02-30") se muestra tal cual
+ * @param {string} value - Fecha (YYYY, YYYY-MM o YYYY-MM-DD)
+ * @returns {string}
+ */
+export const formatCertificateDate = (value) => {
+  const match = String(value).match(PARTIAL_DATE);
+  const date = match && match[2] ? parsePartialDate(value) : null;
+  if (!date) {
+    return String(value);
+  }
+  return date.toLocaleDateString(i18nService.getLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: match[3] ? 'numeric' : undefined
+  });
+};
+
+const certificateLifecycle = {
+  CERTIFICATE_LIFECYCLE,
+  ISSUED_STATUSES,
+  parsePartialDate,
+  getCertificateLifecycle,
+  isIssued,
+  findLifecycleIssues,
+  formatCertificateDate
+};
+
+export default certificateLifecycle;
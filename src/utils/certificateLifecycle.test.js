@@ -0,0 +1,111 @@
+import {
+  CERTIFICATE_LIFECYCLE, parsePartialDate, getCertificateLifecycle, findLifecycleIssues, formatCertificateDate
+} from './certificateLifecycle';
+import cvData from '../constants/cvData.json';
+import { CVDataService } from '../services/CVDataService';
+
+const NOW = new Date(2026, 9, 18);
+
+describe('parsePartialDate', () => {
+  test('acepta año, mes o día', () => {
+    expect(parsePartialDate('2025')).toEqual(new Date(2025, 0, 1));
+    expect(parsePartialDate('2025-12')).toEqual(new Date(2025, 11, 1));
+    expect(parsePartialDate('2025-12-15')).toEqual(new Date(2025, 11, 15));
+    expect(parsePartialDate(2025)).toEqual(new Date(2025, 0, 1));
+  });
+
+  test('"end" devuelve el último instante del período', () => {
+    expect(parsePartialDate('2025', 'end')).toEqual(new Date(2025, 11, 31, 23, 59, 59, 999));
+    expect(parsePartialDate('2024-02', 'end')).toEqual(new Date(2024, 1, 29, 23, 59, 59, 999));
+    expect(parsePartialDate('2025-12-15', 'end')).toEqual(new Date(2025, 11, 15, 23, 59, 59, 999));
+  });
+
+  test.each([
+    ['mes inexistente', '2025-13'],
+    ['mes cero', '2025-00'],
+    ['día inexistente', '2025-02-30'],
+    ['día cero', '2025-02-00'],
+    ['formato con barras', '12/2025'],
+    ['año incompleto', '25'],
+    ['texto libre', 'pronto'],
+    ['fecha con hora', '2025-12-15T10:00:00Z'],
+    ['vacío', ''],
+    ['null', null],
+    ['undefined', undefined]
+  ])('devuelve null con %s', (label, value) => {
+    expect(parsePartialDate(value)).toBeNull();
+  });
+});
+
+describe('getCertificateLifecycle', () => {
+  test.each([
+    ['planned', { startDate: '2027-03' }],
+    ['inProgress', { startDate: '2026' }],
+    ['completed', { date: '2023' }],
+    ['completed', { issueDate: '2024-01', expiryDate: '2026-10' }],
+    ['expired', { issueDate: '2024-01', expiryDate: '2026-09' }],
+    ['renewed', { issueDate: '2023', renewedDate: '2025-06', expiryDate: '2028' }],
+    ['expired', { issueDate: '2023', renewedDate: '2025-06', expiryDate: '2026-01' }]
+  ])('%s para %j', (expected, certificate) => {
+    expect(getCertificateLifecycle(certificate, NOW)).toBe(CERTIFICATE_LIFECYCLE[expected]);
+  });
+
+  test('ignora las fechas inválidas en lugar de fallar', () => {
+    expect(getCertificateLifecycle({ issueDate: '2024', expiryDate: '2026-13' }, NOW)).toBe(CERTIFICATE_LIFECYCLE.completed);
+    expect(getCertificateLifecycle({ issueDate: '2024', renewedDate: 'pronto' }, NOW)).toBe(CERTIFICATE_LIFECYCLE.completed);
+  });
+});
+
+describe('findLifecycleIssues', () => {
+  test('informa fechas inválidas e inconsistentes', () => {
+    const issues = findLifecycleIssues([
+      { id: 'a', issueDate: '2025', expiryDate: '2024', renewedDate: '2025-02-30' },
+      { id: 'b', startDate: '2024', endDate: '2025-06' },
+      { id: 'c', renewedDate: '2025' }
+    ], NOW);
+    expect(issues.map(issue => [issue.id, issue.code])).toEqual([
+      ['a', 'invalidDate'],
+      ['a', 'expiryBeforeIssue'],
+      ['b', 'overdue'],
+      ['c', 'renewedWithoutIssue']
+    ]);
+  });
+
+  test('no informa nada para datos correctos', () => {
+    expect(findLifecycleIssues([{ id: 'a', startDate: '2024', endDate: '2027' }], NOW)).toEqual([]);
+  });
+
+  test('los certificados de cvData.json están al día', () => {
+    const certificates = cvData.certificates.categories.flatMap(category => category.items);
+    expect(findLifecycleIssues(certificates, NOW)).toEqual([]);
+  });
+
+  test('fuera de desarrollo el servicio no avisa al cargarse', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = new CVDataService({
+      ...cvData,
+      certificates: { categories: [{ id: 'courses', items: [{ id: 'b', startDate: '2024', endDate: '2025-06' }] }] }
+    });
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(service.checkCertificates(NOW).map(issue => issue.code)).toEqual(['overdue']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
+
+describe('formatCertificateDate', () => {
+  test('deja el año tal cual', () => {
+    expect(formatCertificateDate('2023')).toBe('2023');
+  });
+
+  test('formatea mes y día', () => {
+    expect(formatCertificateDate('2025-12')).toMatch(/2025/);
+    expect(formatCertificateDate('2025-12')).not.toBe('2025-12');
+    expect(formatCertificateDate('2025-12-15')).toMatch(/15/);
+  });
+
+  test.each(['2025-13', '2025-02-30', '2025-00', 'pronto'])('muestra %s tal cual sin fallar', (value) => {
+    expect(formatCertificateDate(value)).toBe(value);
+  });
+});
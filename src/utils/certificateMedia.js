@@ -0,0 +1,80 @@
+/**
+ * Tipo de documento de los certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: decidir cómo se muestra el documento de un
+ *   certificado (imagen, PDF o ninguno)
+ *
+ * BUENAS PRÁCTICAS:
+ * - "mediaType" se puede declarar en cvData.json; si falta se deduce de la
+ *   extensión del archivo
+ * - Un certificado sin "asset" siempre es "none"
+ */
+
+/**
+ * Tipos de documento admitidos
+ */
+export const MEDIA_TYPES = {
+  image: 'image',
+  pdf: 'pdf',
+  none: 'none'
+};
+
+/**
+ * Tipo de documento según la extensión del archivo
+ */
+const MEDIA_TYPE_BY_EXTENSION = {
+  png: MEDIA_TYPES.image,
+  jpg: MEDIA_TYPES.image,
+  jpeg: MEDIA_TYPES.image,
+  webp: MEDIA_TYPES.image,
+  gif: MEDIA_TYPES.image,
+  svg: MEDIA_TYPES.image,
+  pdf: MEDIA_TYPES.pdf
+};
+
+/**
+ * Extensión de un archivo en minúsculas ("docs/Titulo.PDF" → "pdf")
+ * @param {string} asset - Archivo
+ * @returns {string}
+ */
+const getExtension = (asset) => {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(asset);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Tipo de documento de un certificado
+ * @param {{asset: string|null, mediaType?: string}} certificate - Certificado de cvData.json
+ * @returns {string} Uno de MEDIA_TYPES
+ */
+export const getMediaType = (certificate) => {
+  if (!certificate.asset) {
+    return MEDIA_TYPES.none;
+  }
+  if (Object.values(MEDIA_TYPES).includes(certificate.mediaType)) {
+    return certificate.mediaType;
+  }
+  return MEDIA_TYPE_BY_EXTENSION[getExtension(certificate.asset)] || MEDIA_TYPES.none;
+};
+
+/**
+ * Nombre de archivo sugerido al descargar el documento
+ * @param {{id: string, asset: string|null}} certificate - Certificado de cvData.json
+ * @returns {string|null}
+ */
+export const getDownloadName = (certificate) => {
+  if (!certificate.asset) {
+    return null;
+  }
+  const extension = getExtension(certificate.asset);
+  return extension ? `${certificate.id}.${extension}` : certificate.id;
+};
+
+const certificateMedia = {
+  MEDIA_TYPES,
+  getMediaType,
+  getDownloadName
+};
+
+export default certificateMedia;
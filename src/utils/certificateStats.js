@@ -0,0 +1,145 @@
+/**
+ * Estadísticas de certificados
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: calcular las cifras de la sección Certificados
+ *   (horas, instituciones, categorías, estado y horas por año)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras: las cifras salen de los certificados, no se escriben a mano
+ * - "date" admite un año ("2023") o un rango ("2022-2025")
+ * - Las horas de un rango se reparten por igual entre sus años
+ * - Completados y en curso salen del ciclo de vida (ver utils/certificateLifecycle)
+ */
+
+import { CERTIFICATE_LIFECYCLE, ISSUED_STATUSES, getCertificateLifecycle } from './certificateLifecycle';
+
+/**
+ * Calificaciones con letra, de menor a mayor
+ * Las calificaciones que no están en la escala (ej: "En curso") no promedian
+ */
+export const GRADE_SCALE = ['F', 'D', 'C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A', 'A+'];
+
+/**
+ * Años de inicio y fin de un certificado
+ * @param {{date: string}} certificate - Certificado
+ * @returns {{start: number|null, end: number|null}}
+ */
+export const getCertificatePeriod = (certificate) => {
+  const years = String(certificate.date || '').match(/\d{4}/g) || [];
+  if (years.length === 0) {
+    return { start: null, end: null };
+  }
+  const [start, end = start] = years.map(Number);
+  return { start, end };
+};
+
+/**
+ * Suma las horas de una lista de certificados
+ * @param {Object[]} certificates - Certificados
+ * @returns {number}
+ */
+export const sumHours = (certificates) => certificates.reduce((total, certificate) => total + (Number(certificate.hours) || 0), 0);
+
+/**
+ * Agrupa certificados por una o varias claves y cuenta cuántos y cuántas horas hay en cada grupo
+ * @param {Object[]} certificates - Certificados
+ * @param {Function} getKeys - Devuelve la clave (o lista de claves) de un certificado
+ * @returns {{key: string, count: number, hours: number}[]} Ordenados por cantidad, horas y clave
+ */
+export const countBy = (certificates, getKeys) => {
+  const groups = new Map();
+
+  certificates.forEach(certificate => {
+    [].concat(getKeys(certificate)).filter(Boolean).forEach(key => {
+      const current = groups.get(key) || { key, count: 0, hours: 0 };
+      groups.set(key, { ...current, count: current.count + 1, hours: current.hours + (Number(certificate.hours) || 0) });
+    });
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count || b.hours - a.hours || a.key.localeCompare(b.key));
+};
+
+/**
+ * Horas de formación por año, sin huecos entre el primero y el último
+ * @param {Object[]} certificates - Certificados
+ * @returns {{year: number, hours: number}[]}
+ */
+export const getHoursPerYear = (certificates) => {
+  const hoursByYear = new Map();
+
+  certificates.forEach(certificate => {
+    const { start, end } = getCertificatePeriod(certificate);
+    if (start === null) {
+      return;
+    }
+    const span = end - start + 1;
+    for (let year = start; year <= end; year += 1) {
+      hoursByYear.set(year, (hoursByYear.get(year) || 0) + (Number(certificate.hours) || 0) / span);
+    }
+  });
+
+  if (hoursByYear.size === 0) {
+    return [];
+  }
+  const years = [...hoursByYear.keys()];
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  return Array.from({ length: last - first + 1 }, (_, index) => ({
+    year: first + index,
+    hours: Math.round(hoursByYear.get(first + index) || 0)
+  }));
+};
+
+/**
+ * Calificación promedio en la escala GRADE_SCALE
+ * @param {Object[]} certificates - Certificados
+ * @returns {string|null} null si ninguno tiene calificación con letra
+ */
+export const getAverageGrade = (certificates) => {
+  const positions = certificates
+    .map(certificate => GRADE_SCALE.indexOf(String(certificate.grade || '').trim().toUpperCase()))
+    .filter(position => position >= 0);
+  if (positions.length === 0) {
+    return null;
+  }
+  const average = positions.reduce((total, position) => total + position, 0) / positions.length;
+  return GRADE_SCALE[Math.round(average)];
+};
+
+/**
+ * Calcula las estadísticas de la sección
+ * @param {Object[]} certificates - Certificados (con "category", ver CVDataService.getCertificates)
+ * @param {Date} referenceDate - Fecha de referencia para los años de formación y el ciclo de vida (por defecto hoy)
+ * @returns {Object} Cifras principales, conteos por institución, categoría y estado y horas por año
+ */
+export const computeCertificationStats = (certificates, referenceDate = new Date()) => {
+  const starts = certificates.map(certificate => getCertificatePeriod(certificate).start).filter(year => year !== null);
+  const statuses = certificates.map(certificate => getCertificateLifecycle(certificate, referenceDate));
+
+  return {
+    totalCertificates: certificates.length,
+    totalHours: sumHours(certificates),
+    averageGrade: getAverageGrade(certificates),
+    yearsLearning: starts.length > 0 ? Math.max(1, referenceDate.getFullYear() - Math.min(...starts)) : 0,
+    institutions: countBy(certificates, certificate => certificate.institution).length,
+    completed: statuses.filter(status => ISSUED_STATUSES.includes(status)).length,
+    inProgress: statuses.filter(status => status === CERTIFICATE_LIFECYCLE.inProgress).length,
+    byStatus: countBy(certificates, certificate => getCertificateLifecycle(certificate, referenceDate)),
+    byInstitution: countBy(certificates, certificate => certificate.institution),
+    byCategory: countBy(certificates, certificate => certificate.category),
+    hoursPerYear: getHoursPerYear(certificates)
+  };
+};
+
+const certificateStats = {
+  GRADE_SCALE,
+  getCertificatePeriod,
+  sumHours,
+  countBy,
+  getHoursPerYear,
+  getAverageGrade,
+  computeCertificationStats
+};
+
+export default certificateStats;
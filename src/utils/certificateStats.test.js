@@ -0,0 +1,80 @@
+import {
+  getCertificatePeriod,
+  countBy,
+  getHoursPerYear,
+  getAverageGrade,
+  computeCertificationStats
+} from './certificateStats';
+
+const CERTIFICATES = [
+  { id: 'js', category: 'technical', institution: 'CoderHouse', date: '2023', hours: 160, grade: 'A+' },
+  { id: 'ia', category: 'ai', institution: 'Escuela Da Vinci', date: '2024', hours: 12, grade: 'a' },
+  { id: 'analista', category: 'academic', institution: 'Escuela Da Vinci', date: '2022-2025', hours: 2400, grade: 'En curso', startDate: '2022' }
+];
+
+describe('getCertificatePeriod', () => {
+  test('admite un año o un rango y devuelve null sin fecha', () => {
+    expect(getCertificatePeriod({ date: '2023' })).toEqual({ start: 2023, end: 2023 });
+    expect(getCertificatePeriod({ date: '2022-2025' })).toEqual({ start: 2022, end: 2025 });
+    expect(getCertificatePeriod({})).toEqual({ start: null, end: null });
+  });
+});
+
+describe('getHoursPerYear', () => {
+  test('reparte las horas de un rango entre sus años y completa los huecos', () => {
+    expect(getHoursPerYear([...CERTIFICATES, { date: '2019', hours: 10 }])).toEqual([
+      { year: 2019, hours: 10 },
+      { year: 2020, hours: 0 },
+      { year: 2021, hours: 0 },
+      { year: 2022, hours: 600 },
+      { year: 2023, hours: 760 },
+      { year: 2024, hours: 612 },
+      { year: 2025, hours: 600 }
+    ]);
+    expect(getHoursPerYear([{ hours: 10 }])).toEqual([]);
+  });
+});
+
+describe('getAverageGrade', () => {
+  test('promedia solo las calificaciones de la escala', () => {
+    expect(getAverageGrade(CERTIFICATES)).toBe('A+');
+    expect(getAverageGrade([{ grade: 'B' }, { grade: 'A' }])).toBe('A-');
+    expect(getAverageGrade([{ grade: 'En curso' }])).toBeNull();
+  });
+});
+
+describe('countBy', () => {
+  test('un certificado cuenta en cada una de sus claves', () => {
+    expect(countBy([{ skills: ['React', 'CSS'], hours: 5 }, { skills: ['React'], hours: 3 }], item => item.skills))
+      .toEqual([{ key: 'React', count: 2, hours: 8 }, { key: 'CSS', count: 1, hours: 5 }]);
+  });
+});
+
+describe('computeCertificationStats', () => {
+  test('calcula las cifras de la sección a partir de los certificados', () => {
+    const stats = computeCertificationStats(CERTIFICATES, new Date(2026, 0, 1));
+
+    expect(stats).toMatchObject({
+      totalCertificates: 3,
+      totalHours: 2572,
+      averageGrade: 'A+',
+      yearsLearning: 4,
+      institutions: 2,
+      completed: 2,
+      inProgress: 1
+    });
+    expect(stats.byInstitution.map(item => item.key)).toEqual(['Escuela Da Vinci', 'CoderHouse']);
+    expect(stats.byCategory.map(item => item.key)).toEqual(['academic', 'technical', 'ai']);
+    expect(stats.byStatus.map(item => [item.key, item.count])).toEqual([['completed', 2], ['inProgress', 1]]);
+  });
+
+  test('sin certificados no divide por cero', () => {
+    expect(computeCertificationStats([])).toMatchObject({
+      totalCertificates: 0,
+      totalHours: 0,
+      averageGrade: null,
+      yearsLearning: 0,
+      hoursPerYear: []
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Transportes del formulario de contacto
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Cada transporte es un adaptador con la misma interfaz (send); agregar uno
+ *   nuevo no cambia el formulario ni ContactService
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Los adaptadores reciben fetch, la apertura de URLs y el reloj como
+ *   dependencias: se pueden probar sin red ni navegador
+ *
+ * BUENAS PRÁCTICAS:
+ * - Todos devuelven el mismo resultado: { status, retryable, httpStatus, fieldErrors }
+ * - Los errores de red, los tiempos de espera, 408, 429 y 5xx se pueden reintentar;
+ *   el resto de los 4xx no
+ * - mailto no envía nada: abre el cliente de correo del visitante ("handoff")
+ * - Los transportes JSON exponen buildRequest para la cola sin conexión
+ */
+
+/**
+ * Estados del resultado de un envío
+ * queued: sin conexión, el mensaje quedó en la cola para enviarse más tarde
+ */
+export const CONTACT_STATUSES = {
+  sent: 'sent',
+  handoff: 'handoff',
+  queued: 'queued',
+  failed: 'failed'
+};
+
+/**
+ * Códigos HTTP que se pueden reintentar además de los 5xx
+ */
+const RETRYABLE_HTTP_STATUSES = [408, 425, 429];
+
+/**
+ * Resultado de un envío fallido
+ * @param {boolean} retryable - Si tiene sentido reintentar
+ * @param {Object} details - httpStatus, fieldErrors o error
+ * @returns {Object}
+ */
+const failed = (retryable, details = {}) => ({ status: CONTACT_STATUSES.failed, retryable, ...details });
+
+/**
+ * Lee el cuerpo JSON de una respuesta, si lo tiene
+ * @param {Response} response - Respuesta de fetch
+ * @returns {Promise<Object|null>}
+ */
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Errores por campo de una respuesta de validación
+ * Admite { errors: { campo: mensaje } } y { errors: [{ field, message }] } (Formspree)
+ * @param {Object|null} body - Cuerpo de la respuesta
+ * @returns {Object<string, string>|null}
+ */
+export const getFieldErrors = (body) => {
+  const errors = body && body.errors;
+  if (!errors || typeof errors !== 'object') {
+    return null;
+  }
+  const entries = Array.isArray(errors)
+    ? errors.filter(error => error && error.field).map(error => [error.field, error.message || error.code || ''])
+    : Object.entries(errors).filter(([, message]) => typeof message === 'string');
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * Envía un cuerpo JSON por POST con tiempo de espera
+ * @param {string} url - Destino
+ * @param {Object} body - Datos a enviar
+ * @param {Object} options - { fetch, timeout, headers }
+ * @returns {Promise<Object>} Resultado del envío
+ */
+export const postJson = async (url, body, { fetch: fetcher, timeout = 10000, headers = {} }) => {
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+  try {
+    const response = await fetcher(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(body),
+      credentials: 'omit',
+      signal: controller ? controller.signal : undefined
+    });
+
+    if (response.ok) {
+      return { status: CONTACT_STATUSES.sent, retryable: false, httpStatus: response.status };
+    }
+    return failed(response.status >= 500 || RETRYABLE_HTTP_STATUSES.includes(response.status), {
+      httpStatus: response.status,
+      fieldErrors: getFieldErrors(await readJson(response))
+    });
+  } catch (error) {
+    // Sin conexión, CORS o tiempo de espera agotado (el servidor pudo haber recibido el mensaje)
+    return failed(true, { error, timedOut: Boolean(controller && controller.signal.aborted) });
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
+    }
+  }
+};
+
+/**
+ * Arma la URL mailto: con el mensaje
+ * @param {string} recipient - Email de destino
+ * @param {{name: string, email: string, subject: string, message: string}} message - Mensaje
+ * @returns {string}
+ */
+export const buildMailtoUrl = (recipient, message) => {
+  const body = `${message.message}\n\n— ${message.name} <${message.email}>`;
+  return `mailto:${recipient}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(body)}`;
+};
+
+/**
+ * Indica si un envío falló sin llegar al servidor (sin conexión)
+ * Estos envíos se pueden guardar en la cola sin conexión y repetir tal cual; un
+ * tiempo agotado no, porque el servidor pudo haber recibido el mensaje
+ * @param {Object} result - Resultado de un envío
+ * @returns {boolean}
+ */
+export const isNetworkFailure = (result) => (
+  result.status === CONTACT_STATUSES.failed && result.retryable && !result.httpStatus && !result.timedOut
+);
+
+/**
+ * Crea un transporte que envía JSON por POST a config.endpoint
+ * buildRequest arma la solicitud ({ url, body, headers }) para que la cola sin
+ * conexión pueda guardarla y repetirla sin conocer el transporte
+ * @param {string} id - Id del transporte
+ * @param {Function} buildRequest - (message, config, deps) => { url, body, headers }
+ * @param {{verifiesProof?: boolean}} options - verifiesProof: el destino verifica la prueba antispam
+ * @returns {Object} Adaptador
+ */
+const createJsonTransport = (id, buildRequest, { verifiesProof = false } = {}) => ({
+  id,
+  requiresEndpoint: true,
+  verifiesProof,
+  buildRequest,
+  send: (message, config, deps) => {
+    const request = buildRequest(message, config, deps);
+    return postJson(request.url, request.body, { fetch: deps.fetch, timeout: config.timeout, headers: request.headers });
+  }
+});
+
+/**
+ * Formspree (https://formspree.io): endpoint "https://formspree.io/f/<id>"
+ */
+const formspree = createJsonTransport('formspree', (message, config) => ({
+  url: config.endpoint,
+  body: {
+    name: message.name,
+    email: message.email,
+    _subject: message.subject,
+    message: message.message
+  },
+  headers: {}
+}));
+
+/**
+ * Webhook JSON genérico (Zapier, Make, n8n, Slack mediante un puente, etc.)
+ * Envía un sobre con tipo, fecha y página de origen; "headers" permite agregar
+ * una cabecera de autenticación
+ */
+const webhook = createJsonTransport('webhook', ({ antiSpam, ...data }, config, deps) => ({
+  url: config.endpoint,
+  body: {
+    type: 'contact',
+    submittedAt: deps.now().toISOString(),
+    page: deps.location,
+    data
+  },
+  headers: config.headers
+}));
+
+/**
+ * API propia (ej: server/ de este repositorio): recibe el mensaje tal cual,
+ * con la prueba antispam en "antiSpam", y responde 2xx, o 400/422 con
+ * { errors: { campo: mensaje } } en el idioma indicado por Accept-Language
+ * Es el único transporte que verifica la prueba antispam
+ */
+const endpoint = createJsonTransport('endpoint', (message, config, deps) => ({
+  url: config.endpoint,
+  body: message,
+  headers: deps.language ? { 'Accept-Language': deps.language, ...config.headers } : config.headers
+}), { verifiesProof: true });
+
+/**
+ * Cliente de correo del visitante: no requiere servidor ni se puede reintentar
+ */
+const mailto = {
+  id: 'mailto',
+  requiresEndpoint: false,
+  send: async (message, config, deps) => {
+    try {
+      deps.openUrl(buildMailtoUrl(config.recipient, message));
+      return { status: CONTACT_STATUSES.handoff, retryable: false };
+    } catch (error) {
+      return failed(false, { error });
+    }
+  }
+};
+
+/**
+ * Transportes disponibles por id (formConfig.transport.adapter)
+ */
+export const CONTACT_TRANSPORTS = {
+  formspree,
+  webhook,
+  endpoint,
+  mailto
+};
+
+/**
+ * Transporte que se usa cuando el configurado no está disponible
+ */
+export const FALLBACK_TRANSPORT = 'mailto';
+
+const contactTransports = {
+  CONTACT_STATUSES,
+  CONTACT_TRANSPORTS,
+  FALLBACK_TRANSPORT,
+  getFieldErrors,
+  isNetworkFailure,
+  postJson,
+  buildMailtoUrl
+};
+
+export default contactTransports;
@@ -0,0 +1,117 @@
+import {
+  CONTACT_STATUSES,
+  CONTACT_TRANSPORTS,
+  getFieldErrors,
+  postJson,
+  buildMailtoUrl
+} from './contactTransports';
+
+const MESSAGE = {
+  name: 'Ana Pérez',
+  email: 'ana@example.com',
+  subject: 'Propuesta & consulta',
+  message: 'Hola, ¿podemos hablar?'
+};
+
+const CONFIG = { endpoint: 'https://api.example.com/contact', recipient: 'yo@example.com', timeout: 1000, headers: {} };
+
+const jsonResponse = (status, body = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+describe('getFieldErrors', () => {
+  test('acepta un objeto campo → mensaje o una lista con field', () => {
+    expect(getFieldErrors({ errors: { email: 'Email inválido', name: 3 } })).toEqual({ email: 'Email inválido' });
+    expect(getFieldErrors({ errors: [{ field: 'email', message: 'Email inválido' }, { code: 'x' }] }))
+      .toEqual({ email: 'Email inválido' });
+    expect(getFieldErrors({ errors: {} })).toBeNull();
+    expect(getFieldErrors(null)).toBeNull();
+  });
+});
+
+describe('postJson', () => {
+  test('un 2xx es un envío exitoso', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(201));
+    await expect(postJson(CONFIG.endpoint, MESSAGE, { fetch })).resolves
+      .toEqual({ status: CONTACT_STATUSES.sent, retryable: false, httpStatus: 201 });
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(MESSAGE);
+  });
+
+  test('solo 408, 429 y 5xx se pueden reintentar', async () => {
+    const statusOf = async (httpStatus) => postJson(CONFIG.endpoint, MESSAGE, { fetch: () => Promise.resolve(jsonResponse(httpStatus)) });
+    expect((await statusOf(503)).retryable).toBe(true);
+    expect((await statusOf(429)).retryable).toBe(true);
+    expect((await statusOf(422)).retryable).toBe(false);
+  });
+
+  test('devuelve los errores por campo de un 422', async () => {
+    const fetch = () => Promise.resolve(jsonResponse(422, { errors: { email: 'Email inválido' } }));
+    await expect(postJson(CONFIG.endpoint, MESSAGE, { fetch })).resolves.toMatchObject({
+      status: CONTACT_STATUSES.failed,
+      httpStatus: 422,
+      fieldErrors: { email: 'Email inválido' }
+    });
+  });
+
+  test('distingue un error de red de un tiempo agotado', async () => {
+    const offline = await postJson(CONFIG.endpoint, MESSAGE, { fetch: () => Promise.reject(new TypeError('Failed to fetch')) });
+    expect(offline).toMatchObject({ status: CONTACT_STATUSES.failed, retryable: true, timedOut: false });
+
+    jest.useFakeTimers();
+    const hanging = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    const pending = postJson(CONFIG.endpoint, MESSAGE, { fetch: hanging, timeout: 50 });
+    jest.advanceTimersByTime(50);
+    await expect(pending).resolves.toMatchObject({ status: CONTACT_STATUSES.failed, timedOut: true });
+    jest.useRealTimers();
+  });
+});
+
+describe('transportes', () => {
+  const deps = (fetch) => ({
+    fetch,
+    openUrl: jest.fn(),
+    now: () => new Date('2026-10-18T12:00:00Z'),
+    location: 'https://example.com/#contact'
+  });
+
+  test('formspree usa _subject', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+    await CONTACT_TRANSPORTS.formspree.send(MESSAGE, CONFIG, deps(fetch));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      name: MESSAGE.name,
+      email: MESSAGE.email,
+      _subject: MESSAGE.subject,
+      message: MESSAGE.message
+    });
+  });
+
+  test('webhook envía un sobre con tipo, fecha y página', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(200));
+    await CONTACT_TRANSPORTS.webhook.send(MESSAGE, CONFIG, deps(fetch));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      type: 'contact',
+      submittedAt: '2026-10-18T12:00:00.000Z',
+      page: 'https://example.com/#contact',
+      data: MESSAGE
+    });
+  });
+
+  test('endpoint pide los errores en el idioma del sitio', async () => {
+    const fetch = jest.fn().mockResolvedValue(jsonResponse(201));
+    await CONTACT_TRANSPORTS.endpoint.send(MESSAGE, CONFIG, { ...deps(fetch), language: 'en' });
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({ 'Accept-Language': 'en' });
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(MESSAGE);
+  });
+
+  test('mailto abre el cliente de correo con el mensaje codificado', async () => {
+    const dependencies = deps(null);
+    await expect(CONTACT_TRANSPORTS.mailto.send(MESSAGE, CONFIG, dependencies)).resolves
+      .toEqual({ status: CONTACT_STATUSES.handoff, retryable: false });
+    expect(dependencies.openUrl).toHaveBeenCalledWith(buildMailtoUrl(CONFIG.recipient, MESSAGE));
+    expect(buildMailtoUrl(CONFIG.recipient, MESSAGE)).toMatch(/^mailto:yo@example\.com\?subject=Propuesta%20%26%20consulta&body=/);
+  });
+});
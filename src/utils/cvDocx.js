@@ -0,0 +1,274 @@
+/**
+ * Generador de CV en DOCX (Office Open XML)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: componer el CV como documento de Word a partir de los datos del CV
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos como parámetro (por defecto cvDataService)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Generación local con la librería docx, sin servicios de conversión externos
+ * - El mismo módulo funciona en el navegador (Blob) y en Node (Buffer)
+ * - Estilos de título nativos de Word para que el documento sea navegable y editable
+ */
+
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import cvDataService from '../services/CVDataService';
+import { t } from '../services/I18nService';
+import { getSkillLevelLabel } from '../constants/experienceLevels';
+import { getExportStatusLabel } from '../constants/certificateMeta';
+import { getCVFileName, downloadBlob } from './downloadUtils';
+
+/**
+ * Configuración tipográfica del documento (tamaños en medios puntos, colores hex)
+ */
+export const DOCX_LAYOUT = {
+  font: 'Calibri',
+  sizes: {
+    name: 44,
+    title: 24,
+    body: 21,
+    small: 18
+  },
+  colors: {
+    text: '212121',
+    muted: '646464',
+    accent: '0082AA',
+    rule: 'C8C8C8',
+    tableHeader: 'E6F3F7'
+  }
+};
+
+/**
+ * Crea un párrafo de texto simple con el estilo base
+ * @param {string} text - Texto del párrafo
+ * @param {Object} options - Opciones de TextRun (bold, italics, color, size)
+ * @returns {Paragraph}
+ */
+const textParagraph = (text, options = {}) => new Paragraph({
+  spacing: { after: 80 },
+  children: [new TextRun({ text, ...options })]
+});
+
+/**
+ * Crea un título de sección (Título 1 de Word)
+ * @param {string} text - Título de la sección
+ * @returns {Paragraph}
+ */
+const sectionHeading = (text) => new Paragraph({
+  text,
+  heading: HeadingLevel.HEADING_1,
+  spacing: { before: 240, after: 120 },
+  border: {
+    bottom: { style: BorderStyle.SINGLE, size: 6, space: 1, color: DOCX_LAYOUT.colors.rule }
+  }
+});
+
+/**
+ * Crea el encabezado de una entrada (Título 2) con el período a continuación
+ * @param {string} title - Título de la entrada
+ * @param {string} aside - Texto secundario (ej: período)
+ * @returns {Paragraph}
+ */
+const entryHeading = (title, aside = '') => new Paragraph({
+  heading: HeadingLevel.HEADING_2,
+  spacing: { before: 160, after: 60 },
+  children: [
+    new TextRun({ text: title }),
+    ...(aside ? [new TextRun({ text: `  ·  ${aside}`, bold: false, color: DOCX_LAYOUT.colors.muted, size: DOCX_LAYOUT.sizes.small })] : [])
+  ]
+});
+
+/**
+ * Crea una lista con viñetas
+ * @param {string[]} items - Elementos de la lista
+ * @returns {Paragraph[]}
+ */
+const bulletList = (items = []) => items.map(item => new Paragraph({
+  text: item,
+  bullet: { level: 0 },
+  spacing: { after: 40 }
+}));
+
+/**
+ * Crea una celda de tabla con un único párrafo
+ * @param {string} text - Contenido de la celda
+ * @param {Object} options - header (encabezado) y width (porcentaje)
+ * @returns {TableCell}
+ */
+const tableCell = (text, { header = false, width } = {}) => new TableCell({
+  width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined,
+  shading: header ? { fill: DOCX_LAYOUT.colors.tableHeader } : undefined,
+  margins: { top: 40, bottom: 40, left: 80, right: 80 },
+  children: [new Paragraph({ children: [new TextRun({ text: String(text || ''), bold: header })] })]
+});
+
+/**
+ * Columnas de las tablas de habilidades
+ * El título se traduce al generar el documento (export.skillColumns.<id>)
+ */
+const SKILL_COLUMNS = [
+  { id: 'technology', width: 45 },
+  { id: 'level', width: 25 },
+  { id: 'experience', width: 30 }
+];
+
+/**
+ * Crea la tabla de habilidades de una categoría
+ * El nivel usa las mismas etiquetas que la sección Skills
+ * @param {Object[]} items - Habilidades de la categoría
+ * @returns {Table}
+ */
+const skillTable = (items) => new Table({
+  width: { size: 100, type: WidthType.PERCENTAGE },
+  rows: [
+    new TableRow({
+      tableHeader: true,
+      children: SKILL_COLUMNS.map(column => tableCell(t(`export.skillColumns.${column.id}`), { header: true, width: column.width }))
+    }),
+    ...items.map(item => new TableRow({
+      children: [
+        tableCell(item.name, { width: SKILL_COLUMNS[0].width }),
+        tableCell(getSkillLevelLabel(item), { width: SKILL_COLUMNS[1].width }),
+        tableCell(item.experience || '', { width: SKILL_COLUMNS[2].width })
+      ]
+    }))
+  ]
+});
+
+/**
+ * Compone el CV completo como documento DOCX
+ * La experiencia sigue la misma línea temporal que la sección About (EXPERIENCE_TIMELINE)
+ *
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {Document} Documento listo para empaquetar
+ */
+export const createCVDocx = (dataService = cvDataService) => {
+  const profile = dataService.getProfile();
+  const contact = dataService.getContact();
+  const learning = dataService.getLearningItems();
+  const { colors, sizes } = DOCX_LAYOUT;
+
+  const children = [
+    // Encabezado
+    new Paragraph({
+      alignment: AlignmentType.LEFT,
+      spacing: { after: 40 },
+      children: [new TextRun({ text: profile.name, bold: true, size: sizes.name })]
+    }),
+    textParagraph(`${profile.title} · ${profile.subtitle}`, { color: colors.accent, size: sizes.title }),
+    new Paragraph({
+      spacing: { after: 120 },
+      children: [
+        new TextRun({ text: `${contact.email}  ·  ${contact.phone}  ·  ${profile.location} (${profile.timezone})`, color: colors.muted, size: sizes.small }),
+        ...Object.values(contact.social).flatMap(url => [
+          new TextRun({ text: '  ·  ', color: colors.muted, size: sizes.small }),
+          new ExternalHyperlink({
+            link: url,
+            children: [new TextRun({ text: url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, ''), style: 'Hyperlink', size: sizes.small })]
+          })
+        ])
+      ]
+    }),
+
+    // Perfil
+    sectionHeading(t('export.sections.profile')),
+    textParagraph(profile.bio),
+
+    // Experiencia y formación
+    sectionHeading(t('export.sections.experience')),
+    ...dataService.getTimeline().flatMap(entry => [
+      entryHeading(entry.title, entry.period),
+      textParagraph(entry.description),
+      ...bulletList(entry.achievements)
+    ]),
+
+    // Habilidades
+    sectionHeading(t('export.sections.skills')),
+    ...dataService.getSkillCategories().flatMap(category => [
+      entryHeading(category.title),
+      skillTable(category.items)
+    ]),
+    ...(learning.length > 0
+      ? [entryHeading(t('export.sections.learning')), textParagraph(learning.map(item => item.name).join(', '))]
+      : []),
+
+    // Certificados
+    sectionHeading(t('export.sections.certificates')),
+    ...dataService.getCertificates().flatMap(certificate => [
+      entryHeading(`${certificate.title} — ${certificate.institution}`, certificate.date),
+      textParagraph(
+        [getExportStatusLabel(certificate), t('common.hours', { count: certificate.hours }), certificate.grade && t('export.grade', { grade: certificate.grade }), certificate.credentialId && `ID: ${certificate.credentialId}`]
+          .filter(Boolean)
+          .join(' · '),
+        { color: colors.muted, size: sizes.small }
+      ),
+      textParagraph(certificate.skills.join(', '))
+    ]),
+
+    // Proyectos
+    sectionHeading(t('export.sections.projects')),
+    ...dataService.getProjects().flatMap(project => [
+      entryHeading(project.name),
+      textParagraph(project.description),
+      new Paragraph({
+        spacing: { after: 80 },
+        children: [new ExternalHyperlink({ link: project.url, children: [new TextRun({ text: project.url, style: 'Hyperlink', size: sizes.small })] })]
+      })
+    ]),
+
+    // Idiomas
+    sectionHeading(t('export.sections.languages')),
+    textParagraph(profile.languages.map(language => `${language.name}: ${language.level}`).join(' · '))
+  ];
+
+  return new Document({
+    creator: profile.name,
+    title: `CV - ${profile.name}`,
+    description: `${profile.title} · ${profile.subtitle}`,
+    keywords: profile.mainTechnologies.join(', '),
+    styles: {
+      default: {
+        document: { run: { font: DOCX_LAYOUT.font, size: sizes.body, color: colors.text } },
+        heading1: { run: { font: DOCX_LAYOUT.font, size: sizes.title, bold: true, color: colors.accent } },
+        heading2: { run: { font: DOCX_LAYOUT.font, size: sizes.body, bold: true, color: colors.text } }
+      }
+    },
+    sections: [{ children }]
+  });
+};
+
+/**
+ * Empaqueta el CV como Buffer de Node (para scripts)
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {Promise<Buffer>}
+ */
+export const createCVDocxBuffer = (dataService = cvDataService) => Packer.toBuffer(createCVDocx(dataService));
+
+/**
+ * Genera el CV en DOCX y lo descarga en el navegador
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {Promise<string>} Nombre del archivo descargado
+ */
+export const downloadCVDocx = async (dataService = cvDataService) => {
+  const fileName = getCVFileName(dataService.getProfile().name, 'docx');
+  const blob = await Packer.toBlob(createCVDocx(dataService));
+  downloadBlob(blob, fileName);
+  return fileName;
+};
+
+export default downloadCVDocx;
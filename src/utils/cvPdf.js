@@ -0,0 +1,333 @@
+/**
+ * Generador de CV en PDF
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: componer el CV en PDF a partir de los datos del CV
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos como parámetro (por defecto cvDataService)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Generación 100% en el navegador con jsPDF (texto seleccionable, sin PDF precompilado)
+ * - Diseño A4 pensado para impresión: tipografía estándar, colores sobrios
+ * - Saltos de página automáticos y pie con numeración
+ */
+
+import { jsPDF } from 'jspdf';
+import cvDataService from '../services/CVDataService';
+import { t } from '../services/I18nService';
+import { getExportStatusLabel } from '../constants/certificateMeta';
+import { getCVFileName } from './downloadUtils';
+
+/**
+ * Configuración de página y tipografía (unidades en mm y pt)
+ */
+export const PDF_LAYOUT = {
+  format: 'a4',
+  margin: { top: 18, right: 16, bottom: 18, left: 16 },
+  font: 'helvetica',
+  sizes: {
+    name: 22,
+    title: 12,
+    section: 12,
+    heading: 10.5,
+    body: 9.5,
+    small: 8
+  },
+  lineHeightFactor: 1.35,
+  colors: {
+    text: [33, 33, 33],
+    muted: [100, 100, 100],
+    accent: [0, 130, 170],
+    rule: [200, 200, 200]
+  }
+};
+
+/**
+ * Factor de conversión de puntos tipográficos a milímetros
+ */
+const PT_TO_MM = 0.3528;
+
+/**
+ * Clase CVPdfBuilder
+ * Mantiene el cursor vertical y agrega bloques de contenido al documento
+ */
+class CVPdfBuilder {
+  /**
+   * Constructor del builder
+   * @param {Object} layout - Configuración de página (por defecto PDF_LAYOUT)
+   */
+  constructor(layout = PDF_LAYOUT) {
+    this.layout = layout;
+    this.doc = new jsPDF({ unit: 'mm', format: layout.format });
+    this.pageWidth = this.doc.internal.pageSize.getWidth();
+    this.pageHeight = this.doc.internal.pageSize.getHeight();
+    this.contentWidth = this.pageWidth - layout.margin.left - layout.margin.right;
+    this.y = layout.margin.top;
+
+    this.doc.setLineHeightFactor(layout.lineHeightFactor);
+  }
+
+  /**
+   * Calcula la altura de una línea para un tamaño de fuente
+   * @param {number} size - Tamaño en pt
+   * @returns {number} Altura en mm
+   */
+  lineHeight(size) {
+    return size * PT_TO_MM * this.layout.lineHeightFactor;
+  }
+
+  /**
+   * Aplica fuente, tamaño y color
+   * @param {number} size - Tamaño en pt
+   * @param {string} style - 'normal' | 'bold' | 'italic'
+   * @param {number[]} color - Color RGB
+   */
+  setStyle(size, style = 'normal', color = this.layout.colors.text) {
+    this.doc.setFont(this.layout.font, style);
+    this.doc.setFontSize(size);
+    this.doc.setTextColor(...color);
+  }
+
+  /**
+   * Agrega una página nueva si el bloque siguiente no entra en la actual
+   * @param {number} height - Altura requerida en mm
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.pageHeight - this.layout.margin.bottom) {
+      this.doc.addPage();
+      this.y = this.layout.margin.top;
+    }
+  }
+
+  /**
+   * Escribe un párrafo con ajuste de línea
+   * @param {string} text - Texto a escribir
+   * @param {Object} options - size, style, color, indent y spacing inferior
+   */
+  paragraph(text, { size = this.layout.sizes.body, style = 'normal', color, indent = 0, spacing = 1.5 } = {}) {
+    if (!text) {
+      return;
+    }
+
+    this.setStyle(size, style, color);
+    const lines = this.doc.splitTextToSize(String(text), this.contentWidth - indent);
+    const height = this.lineHeight(size);
+
+    lines.forEach(line => {
+      this.ensureSpace(height);
+      this.doc.text(line, this.layout.margin.left + indent, this.y, { baseline: 'top' });
+      this.y += height;
+    });
+
+    this.y += spacing;
+  }
+
+  /**
+   * Escribe una lista con viñetas
+   * @param {string[]} items - Elementos de la lista
+   */
+  bulletList(items = []) {
+    items.forEach(item => {
+      this.setStyle(this.layout.sizes.body);
+      this.ensureSpace(this.lineHeight(this.layout.sizes.body));
+      this.doc.text('•', this.layout.margin.left + 2, this.y, { baseline: 'top' });
+      this.paragraph(item, { indent: 6, spacing: 0.3 });
+    });
+    this.y += 1.5;
+  }
+
+  /**
+   * Escribe un título de sección con una línea separadora
+   * @param {string} title - Título de la sección
+   */
+  sectionTitle(title) {
+    const size = this.layout.sizes.section;
+    this.ensureSpace(this.lineHeight(size) * 3);
+    this.y += 3;
+    this.setStyle(size, 'bold', this.layout.colors.accent);
+    this.doc.text(title.toUpperCase(), this.layout.margin.left, this.y, { baseline: 'top' });
+    this.y += this.lineHeight(size);
+    this.doc.setDrawColor(...this.layout.colors.rule);
+    this.doc.setLineWidth(0.3);
+    this.doc.line(this.layout.margin.left, this.y, this.pageWidth - this.layout.margin.right, this.y);
+    this.y += 2.5;
+  }
+
+  /**
+   * Escribe un encabezado de entrada con texto secundario alineado a la derecha
+   * @param {string} title - Título de la entrada
+   * @param {string} aside - Texto a la derecha (ej: período)
+   */
+  entryHeading(title, aside = '') {
+    const size = this.layout.sizes.heading;
+    this.ensureSpace(this.lineHeight(size) * 2);
+
+    if (aside) {
+      this.setStyle(this.layout.sizes.small, 'normal', this.layout.colors.muted);
+      this.doc.text(aside, this.pageWidth - this.layout.margin.right, this.y, { baseline: 'top', align: 'right' });
+    }
+
+    const asideWidth = aside ? this.doc.getTextWidth(aside) + 4 : 0;
+    this.setStyle(size, 'bold');
+    const lines = this.doc.splitTextToSize(title, this.contentWidth - asideWidth);
+    lines.forEach(line => {
+      this.doc.text(line, this.layout.margin.left, this.y, { baseline: 'top' });
+      this.y += this.lineHeight(size);
+    });
+  }
+
+  /**
+   * Escribe una línea de enlaces separados por " · "
+   * @param {{label: string, url?: string}[]} items - Textos y URLs opcionales
+   */
+  linkLine(items) {
+    const size = this.layout.sizes.small;
+    const separator = '  ·  ';
+    let x = this.layout.margin.left;
+
+    this.setStyle(size, 'normal', this.layout.colors.muted);
+
+    items.forEach((item, index) => {
+      const width = this.doc.getTextWidth(item.label);
+      if (x + width > this.pageWidth - this.layout.margin.right) {
+        x = this.layout.margin.left;
+        this.y += this.lineHeight(size);
+      }
+
+      if (item.url) {
+        this.doc.setTextColor(...this.layout.colors.accent);
+        this.doc.textWithLink(item.label, x, this.y, { url: item.url, baseline: 'top' });
+        this.doc.setTextColor(...this.layout.colors.muted);
+      } else {
+        this.doc.text(item.label, x, this.y, { baseline: 'top' });
+      }
+      x += width;
+
+      if (index < items.length - 1) {
+        this.doc.text(separator, x, this.y, { baseline: 'top' });
+        x += this.doc.getTextWidth(separator);
+      }
+    });
+
+    this.y += this.lineHeight(size) + 2;
+  }
+
+  /**
+   * Escribe el pie de página con numeración en todas las páginas
+   * @param {string} text - Texto del pie
+   */
+  footer(text) {
+    const total = this.doc.internal.getNumberOfPages();
+    const y = this.pageHeight - this.layout.margin.bottom / 2;
+
+    for (let page = 1; page <= total; page += 1) {
+      this.doc.setPage(page);
+      this.setStyle(this.layout.sizes.small, 'normal', this.layout.colors.muted);
+      this.doc.text(text, this.layout.margin.left, y);
+      this.doc.text(`${page} / ${total}`, this.pageWidth - this.layout.margin.right, y, { align: 'right' });
+    }
+  }
+}
+
+/**
+ * Compone el CV completo en un documento jsPDF
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {jsPDF} Documento listo para guardar o exportar
+ */
+export const createCVPdf = (dataService = cvDataService) => {
+  const profile = dataService.getProfile();
+  const contact = dataService.getContact();
+  const builder = new CVPdfBuilder();
+  const { doc } = builder;
+
+  doc.setProperties({
+    title: `CV - ${profile.name}`,
+    subject: profile.title,
+    author: profile.name,
+    keywords: profile.mainTechnologies.join(', '),
+    creator: contact.social.portfolio || profile.name
+  });
+
+  // Encabezado
+  builder.paragraph(profile.name, { size: PDF_LAYOUT.sizes.name, style: 'bold', spacing: 0.5 });
+  builder.paragraph(`${profile.title} · ${profile.subtitle}`, { size: PDF_LAYOUT.sizes.title, color: PDF_LAYOUT.colors.accent, spacing: 1 });
+  builder.linkLine([
+    { label: contact.email, url: `mailto:${contact.email}` },
+    { label: contact.phone, url: `tel:${contact.phone.replace(/[^\d+]/g, '')}` },
+    { label: `${profile.location} (${profile.timezone})` },
+    ...Object.entries(contact.social).map(([network, url]) => ({
+      label: url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, ''),
+      url
+    }))
+  ]);
+
+  // Perfil
+  builder.sectionTitle(t('export.sections.profile'));
+  builder.paragraph(profile.bio);
+
+  // Experiencia y formación
+  builder.sectionTitle(t('export.sections.experience'));
+  dataService.getTimeline().forEach(entry => {
+    builder.entryHeading(entry.title, entry.period);
+    builder.paragraph(entry.description, { spacing: 0.8 });
+    builder.bulletList(entry.achievements);
+  });
+
+  // Habilidades
+  builder.sectionTitle(t('export.sections.skills'));
+  dataService.getSkillCategories().forEach(category => {
+    builder.entryHeading(category.title);
+    builder.paragraph(category.items.map(item => item.name).join(', '), { spacing: 2 });
+  });
+
+  const learning = dataService.getLearningItems();
+  if (learning.length > 0) {
+    builder.entryHeading(t('export.sections.learning'));
+    builder.paragraph(learning.map(item => item.name).join(', '), { spacing: 2 });
+  }
+
+  // Certificados
+  builder.sectionTitle(t('export.sections.certificates'));
+  dataService.getCertificates().forEach(certificate => {
+    builder.entryHeading(`${certificate.title} — ${certificate.institution}`, certificate.date);
+    builder.paragraph(
+      [getExportStatusLabel(certificate), t('common.hours', { count: certificate.hours }), certificate.grade && t('export.grade', { grade: certificate.grade }), certificate.credentialId && `ID: ${certificate.credentialId}`]
+        .filter(Boolean)
+        .join(' · '),
+      { size: PDF_LAYOUT.sizes.small, color: PDF_LAYOUT.colors.muted, spacing: 0.5 }
+    );
+    builder.paragraph(certificate.skills.join(', '), { spacing: 2 });
+  });
+
+  // Proyectos
+  builder.sectionTitle(t('export.sections.projects'));
+  dataService.getProjects().forEach(project => {
+    builder.entryHeading(project.name);
+    builder.paragraph(project.description, { spacing: 0.5 });
+    builder.linkLine([{ label: project.url.replace(/^https?:\/\//, ''), url: project.url }]);
+  });
+
+  // Idiomas
+  builder.sectionTitle(t('export.sections.languages'));
+  builder.paragraph(profile.languages.map(language => `${language.name}: ${language.level}`).join(' · '));
+
+  const { lastUpdated } = dataService.getMeta();
+  builder.footer(`${profile.name} — CV${lastUpdated ? ` ${t('export.updated', { date: lastUpdated })}` : ''}`);
+
+  return doc;
+};
+
+/**
+ * Genera el CV en PDF y lo descarga en el navegador
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {string} Nombre del archivo descargado
+ */
+export const downloadCVPdf = (dataService = cvDataService) => {
+  const fileName = getCVFileName(dataService.getProfile().name, 'pdf');
+  createCVPdf(dataService).save(fileName);
+  return fileName;
+};
+
+export { CVPdfBuilder };
+export default downloadCVPdf;
@@ -0,0 +1,225 @@
+/**
+ * Exportadores de CV en texto plano y Markdown
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: renderizar los datos del CV como texto apto para ATS
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - Ambos formatos comparten el mismo modelo de secciones; un formato nuevo
+ *   solo necesita su propio renderizador
+ *
+ * BUENAS PRÁCTICAS:
+ * - Encabezados estándar (Experience, Education, Skills, Certifications)
+ *   que los sistemas de seguimiento de candidatos reconocen
+ * - Niveles con las mismas etiquetas que la sección Skills (getSkillLevelLabel)
+ * - Funciones puras, reutilizables desde el navegador y desde scripts de Node
+ */
+
+import cvDataService, { formatPeriod } from '../services/CVDataService';
+import { getSkillLevelLabel } from '../constants/experienceLevels';
+import { t } from '../services/I18nService';
+import { getExportStatusLabel } from '../constants/certificateMeta';
+
+/**
+ * Encabezados de sección de los exportadores
+ */
+export const ATS_HEADINGS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  certifications: 'Certifications',
+  projects: 'Projects',
+  languages: 'Languages'
+};
+
+/**
+ * Separador entre datos de una misma línea
+ */
+const SEPARATOR = ' · ';
+
+/**
+ * Une los valores presentes con el separador
+ * @param {Array} values - Valores (los vacíos se descartan)
+ * @returns {string}
+ */
+const joinPresent = (values) => values.filter(Boolean).join(SEPARATOR);
+
+/**
+ * Describe una habilidad con su nivel y experiencia
+ * @param {Object} skill - Habilidad del CV
+ * @returns {string} Ej: "JavaScript (Experto, 3 años)"; sin nivel, solo el nombre
+ */
+const describeSkill = (skill) => {
+  const details = [getSkillLevelLabel(skill), skill.experience].filter(Boolean);
+  return details.length > 0 ? `${skill.name} (${details.join(', ')})` : skill.name;
+};
+
+/**
+ * Construye el modelo de secciones común a todos los formatos de texto
+ * Cada entrada tiene title, meta, summary y bullets
+ *
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {{header: Object, sections: {heading: string, text?: string, entries?: Object[]}[]}}
+ */
+export const buildATSDocument = (dataService = cvDataService) => {
+  const profile = dataService.getProfile();
+  const contact = dataService.getContact();
+  const learning = dataService.getLearningItems();
+
+  const header = {
+    name: profile.name,
+    title: `${profile.title}${SEPARATOR}${profile.subtitle}`,
+    contact: [
+      contact.email,
+      contact.phone,
+      `${profile.location} (${profile.timezone})`,
+      ...Object.values(contact.social)
+    ]
+  };
+
+  const sections = [
+    {
+      heading: ATS_HEADINGS.summary,
+      text: profile.bio
+    },
+    {
+      heading: ATS_HEADINGS.experience,
+      entries: dataService.getWork().map(job => ({
+        title: `${job.position} — ${job.organization}`,
+        meta: joinPresent([formatPeriod(job.startDate, job.endDate), job.modality]),
+        summary: job.summary,
+        bullets: job.highlights
+      }))
+    },
+    {
+      heading: ATS_HEADINGS.education,
+      entries: dataService.getEducation().map(study => ({
+        title: `${study.title} — ${study.institution}`,
+        meta: joinPresent([formatPeriod(study.startDate, study.endDate), study.area]),
+        summary: study.summary,
+        bullets: study.highlights
+      }))
+    },
+    {
+      heading: ATS_HEADINGS.skills,
+      entries: [
+        ...dataService.getSkillCategories().map(category => ({
+          title: category.title,
+          summary: category.items.map(describeSkill).join(', ')
+        })),
+        ...(learning.length > 0
+          ? [{ title: t('export.sections.learning'), summary: learning.map(item => item.name).join(', ') }]
+          : [])
+      ]
+    },
+    {
+      heading: ATS_HEADINGS.certifications,
+      entries: dataService.getCertificates().map(certificate => ({
+        title: `${certificate.title} — ${certificate.institution}`,
+        meta: joinPresent([
+          certificate.date,
+          getExportStatusLabel(certificate),
+          certificate.hours && t('common.hours', { count: certificate.hours }),
+          certificate.grade && t('export.grade', { grade: certificate.grade }),
+          certificate.credentialId && `ID: ${certificate.credentialId}`
+        ]),
+        summary: certificate.skills.join(', ')
+      }))
+    },
+    {
+      heading: ATS_HEADINGS.projects,
+      entries: dataService.getProjects().map(project => ({
+        title: project.name,
+        meta: project.url,
+        summary: project.description
+      }))
+    },
+    {
+      heading: ATS_HEADINGS.languages,
+      text: profile.languages.map(language => `${language.name}: ${language.level}`).join(SEPARATOR)
+    }
+  ];
+
+  return { header, sections };
+};
+
+/**
+ * Renderiza el CV en Markdown
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {string}
+ */
+export const toMarkdown = (dataService = cvDataService) => {
+  const { header, sections } = buildATSDocument(dataService);
+  const lines = [`# ${header.name}`, '', `**${header.title}**`, '', header.contact.join(SEPARATOR)];
+
+  sections.forEach(section => {
+    lines.push('', `## ${section.heading}`, '');
+
+    if (section.text) {
+      lines.push(section.text);
+    }
+
+    (section.entries || []).forEach((entry, index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      lines.push(`### ${entry.title}`);
+      if (entry.meta) {
+        lines.push('', `*${entry.meta}*`);
+      }
+      if (entry.summary) {
+        lines.push('', entry.summary);
+      }
+      if (entry.bullets && entry.bullets.length > 0) {
+        lines.push('', ...entry.bullets.map(bullet => `- ${bullet}`));
+      }
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Renderiza el CV en texto plano (sin marcado, una columna)
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {string}
+ */
+export const toPlainText = (dataService = cvDataService) => {
+  const { header, sections } = buildATSDocument(dataService);
+  const lines = [header.name.toUpperCase(), header.title, ...header.contact];
+
+  sections.forEach(section => {
+    const heading = section.heading.toUpperCase();
+    lines.push('', heading, '='.repeat(heading.length));
+
+    if (section.text) {
+      lines.push(section.text);
+    }
+
+    (section.entries || []).forEach((entry, index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      lines.push(entry.title);
+      if (entry.meta) {
+        lines.push(entry.meta);
+      }
+      if (entry.summary) {
+        lines.push(entry.summary);
+      }
+      (entry.bullets || []).forEach(bullet => lines.push(`- ${bullet}`));
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const cvText = {
+  ATS_HEADINGS,
+  buildATSDocument,
+  toMarkdown,
+  toPlainText
+};
+
+export default cvText;
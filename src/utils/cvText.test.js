@@ -0,0 +1,31 @@
+import cvDataService from '../services/CVDataService';
+import i18nService from '../services/I18nService';
+import { ATS_HEADINGS, buildATSDocument, toPlainText } from './cvText';
+
+const getSkillEntries = () => buildATSDocument().sections
+  .find(section => section.heading === ATS_HEADINGS.skills)
+  .entries;
+
+const findSkill = (name) => cvDataService.getSkills().find(skill => skill.name === name);
+
+describe('habilidades en las exportaciones de texto', () => {
+  beforeAll(() => {
+    i18nService.setLanguage('es');
+  });
+
+  test('las habilidades medidas llevan la etiqueta del nivel y la experiencia calculada', () => {
+    const javascript = findSkill('JavaScript');
+    const languages = getSkillEntries().find(entry => entry.title === 'Lenguajes de Programación');
+
+    expect(javascript.experience).toMatch(/^\d+ (año|años|mes|meses)$/);
+    expect(languages.summary).toContain(`JavaScript (Experto, ${javascript.experience})`);
+  });
+
+  test('las habilidades sin puntaje se exportan solo con el nombre', () => {
+    const softSkills = getSkillEntries().find(entry => entry.title === 'Habilidades Blandas y Técnicas');
+
+    expect(softSkills.summary.startsWith('Resolución de Problemas, Capacidad de Análisis, Comunicación,')).toBe(true);
+    expect(softSkills.summary).toMatch(/Programación \(\w+, \d+ años?\)/);
+    expect(toPlainText()).not.toContain('Experto, Experto');
+  });
+});
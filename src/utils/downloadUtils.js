@@ -0,0 +1,42 @@
+/**
+ * Utilidades de descarga
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: nombrar y descargar archivos generados en el navegador
+ */
+
+/**
+ * Convierte un texto en un nombre de archivo seguro (sin acentos ni espacios)
+ * @param {string} text - Texto de origen (ej: nombre completo)
+ * @returns {string} Ej: "Santiago-Excofier"
+ */
+export const toFileSlug = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .replace(/\s+/g, '-');
+
+/**
+ * Genera el nombre de archivo del CV a partir del nombre completo
+ * @param {string} name - Nombre completo
+ * @param {string} extension - Extensión del archivo (sin punto)
+ * @returns {string} Ej: "CV-Santiago-Excofier.pdf"
+ */
+export const getCVFileName = (name, extension) => `CV-${toFileSlug(name)}.${extension}`;
+
+/**
+ * Descarga un Blob generado en el navegador con el nombre indicado
+ * @param {Blob} blob - Contenido del archivo
+ * @param {string} fileName - Nombre del archivo descargado
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Liberar la URL cuando el navegador ya inició la descarga
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
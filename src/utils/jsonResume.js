@@ -0,0 +1,305 @@
+/**
+ * Utilidades JSON Resume
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: traducir entre cvData.json y el esquema abierto JSON Resume
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Trabaja sobre documentos de datos, no sobre componentes ni servicios concretos
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras, sin dependencias de React ni del DOM
+ * - Reutilizable desde el navegador y desde scripts de Node
+ *
+ * Esquema de referencia: https://jsonresume.org/schema/
+ */
+
+import { CV_SCHEMA_VERSION } from '../services/CVDataService';
+
+/**
+ * URL del esquema JSON Resume utilizado en la exportación
+ */
+export const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Nombres de red para los perfiles sociales conocidos
+ */
+const SOCIAL_NETWORKS = {
+  github: 'GitHub',
+  linkedin: 'LinkedIn'
+};
+
+/**
+ * Convierte una fecha o rango del CV a formato ISO 8601 parcial (YYYY, YYYY-MM)
+ * En un rango como "2022-2025" se toma la fecha final
+ * @param {string|number|null} value - Fecha del CV
+ * @returns {string|undefined} Fecha ISO o undefined si no hay fecha
+ */
+export const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+
+  const text = String(value);
+  const range = text.match(/^(\d{4})\s*-\s*(\d{4})$/);
+  return range ? range[2] : text;
+};
+
+/**
+ * Obtiene el último segmento de una URL de perfil
+ * @param {string} url - URL del perfil
+ * @returns {string}
+ */
+const getUsername = (url) => String(url).replace(/\/+$/, '').split('/').pop();
+
+/**
+ * Elimina claves con valor undefined para un JSON más limpio
+ * @param {Object} object - Objeto a limpiar
+ * @returns {Object}
+ */
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Devuelve el valor si es un array o un array vacío si falta
+ * Las secciones opcionales del CV pueden no existir en documentos parciales
+ * @param {*} value - Valor a normalizar
+ * @returns {Array}
+ */
+const toList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Convierte el documento de datos del CV a JSON Resume
+ * @param {Object} cvData - Documento con el formato de cvData.json
+ * @returns {Object} Documento JSON Resume
+ */
+export const toJSONResume = (cvData) => {
+  const { profile = {}, skills = {}, certificates = {} } = cvData;
+  const contact = profile.contact || {};
+  const social = contact.social || {};
+
+  return {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: profile.name,
+      label: profile.title,
+      email: contact.email,
+      phone: contact.phone,
+      url: social.portfolio,
+      summary: profile.bio,
+      location: compact({
+        region: profile.location,
+        countryCode: profile.countryCode
+      }),
+      profiles: Object.entries(social)
+        .filter(([network]) => network !== 'portfolio')
+        .map(([network, url]) => ({
+          network: SOCIAL_NETWORKS[network] || network,
+          username: getUsername(url),
+          url
+        }))
+    }),
+    work: toList(cvData.work).map(job => compact({
+      name: job.organization,
+      position: job.position,
+      startDate: toIsoDate(job.startDate),
+      endDate: toIsoDate(job.endDate),
+      summary: job.summary,
+      highlights: job.highlights
+    })),
+    education: toList(cvData.education).map(study => compact({
+      institution: study.institution,
+      area: study.area,
+      studyType: study.title,
+      startDate: toIsoDate(study.startDate),
+      endDate: toIsoDate(study.endDate),
+      courses: study.highlights
+    })),
+    skills: toList(skills.categories).map(category => ({
+      name: category.title,
+      keywords: toList(category.items).map(item => item.name)
+    })),
+    projects: toList(cvData.projects).map(project => compact({
+      name: project.name,
+      description: project.description,
+      url: project.url,
+      keywords: project.tags
+    })),
+    certificates: toList(certificates.categories).flatMap(category =>
+      toList(category.items).map(certificate => compact({
+        name: certificate.title,
+        date: toIsoDate(certificate.issueDate || certificate.date),
+        issuer: certificate.institution
+      }))
+    ),
+    languages: toList(profile.languages).map(language => ({
+      language: language.name,
+      fluency: language.level
+    })),
+    meta: compact({
+      version: cvData.schemaVersion,
+      lastModified: cvData.meta && cvData.meta.lastUpdated
+    })
+  };
+};
+
+/**
+ * Genera un identificador a partir de un texto (slug)
+ * @param {string} text - Texto de origen
+ * @returns {string}
+ */
+const slugify = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Busca en una lista el elemento cuyo campo coincide con el valor dado
+ * @param {Object[]} items - Elementos del documento base
+ * @param {string} field - Campo a comparar
+ * @param {string} value - Valor buscado
+ * @returns {Object} Elemento encontrado o un objeto vacío
+ */
+const findByField = (items, field, value) => items.find(item => item[field] === value) || {};
+
+/**
+ * Convierte un documento JSON Resume al formato de cvData.json
+ * Los campos sin equivalente (inicio y frecuencia de uso, colores, horas, credenciales)
+ * se toman del elemento con el mismo nombre en el documento base si se
+ * proporciona; si no, quedan con valores neutros
+ *
+ * @param {Object} resume - Documento JSON Resume
+ * @param {Object} base - Documento cvData opcional con los valores por defecto
+ * @returns {Object|null} Documento con el formato de cvData.json o null si no es válido
+ */
+export const fromJSONResume = (resume, base = null) => {
+  if (!resume || typeof resume !== 'object' || !resume.basics || !resume.basics.name) {
+    console.warn('jsonResume: el documento no contiene basics.name');
+    return null;
+  }
+
+  const { basics } = resume;
+  const baseProfile = (base && base.profile) || {};
+  const baseContact = baseProfile.contact || {};
+  const location = basics.location || {};
+
+  const social = (basics.profiles || []).reduce((acc, item) => ({
+    ...acc,
+    [String(item.network).toLowerCase()]: item.url
+  }), { ...(baseContact.social || {}) });
+
+  if (basics.url) {
+    social.portfolio = basics.url;
+  }
+
+  const baseSkillCategories = toList(base && base.skills && base.skills.categories);
+  const baseCertificates = toList(base && base.certificates && base.certificates.categories)
+    .flatMap(category => toList(category.items));
+
+  return {
+    schemaVersion: (base && base.schemaVersion) || CV_SCHEMA_VERSION,
+    meta: {
+      ...((base && base.meta) || {}),
+      lastUpdated: (resume.meta && resume.meta.lastModified) || (base && base.meta && base.meta.lastUpdated)
+    },
+    profile: {
+      ...baseProfile,
+      name: basics.name,
+      title: basics.label || baseProfile.title,
+      bio: basics.summary || baseProfile.bio,
+      location: location.region || location.city || baseProfile.location,
+      countryCode: location.countryCode || baseProfile.countryCode,
+      languages: (resume.languages || []).map(language => ({
+        name: language.language,
+        level: language.fluency
+      })),
+      contact: {
+        ...baseContact,
+        email: basics.email || baseContact.email,
+        phone: basics.phone || baseContact.phone,
+        social
+      }
+    },
+    work: (resume.work || []).map(job => ({
+      id: slugify(`${job.position}-${job.name}`),
+      position: job.position,
+      organization: job.name,
+      startDate: job.startDate,
+      endDate: job.endDate || null,
+      icon: 'briefcase',
+      summary: job.summary || '',
+      highlights: job.highlights || []
+    })),
+    education: (resume.education || []).map(study => ({
+      id: slugify(`${study.institution}-${study.studyType || study.area}`),
+      title: study.studyType || study.area,
+      institution: study.institution,
+      area: study.area || '',
+      startDate: study.startDate,
+      endDate: study.endDate || null,
+      icon: 'graduationCap',
+      summary: '',
+      highlights: study.courses || []
+    })),
+    projects: (resume.projects || []).map(project => ({
+      id: slugify(project.name),
+      name: project.name,
+      url: project.url || '',
+      description: project.description || '',
+      tags: project.keywords || []
+    })),
+    skills: {
+      categories: (resume.skills || []).map(skill => {
+        const baseItems = toList(findByField(baseSkillCategories, 'title', skill.name).items);
+        return {
+          id: slugify(skill.name),
+          title: skill.name,
+          description: skill.level || '',
+          items: (skill.keywords || []).map(keyword => ({
+            icon: 'code',
+            ...findByField(baseItems, 'name', keyword),
+            name: keyword
+          }))
+        };
+      }),
+      learning: (base && base.skills && base.skills.learning) || []
+    },
+    certificates: {
+      categories: [
+        {
+          id: 'imported',
+          title: 'Certificados',
+          description: '',
+          icon: 'graduationCap',
+          items: (resume.certificates || []).map(certificate => {
+            const baseCertificate = findByField(baseCertificates, 'title', certificate.name);
+            return {
+              hours: 0,
+              credentialId: '',
+              skills: [],
+              asset: null,
+              ...baseCertificate,
+              id: baseCertificate.id || slugify(`${certificate.issuer}-${certificate.name}`),
+              title: certificate.name,
+              institution: certificate.issuer,
+              date: certificate.date
+            };
+          })
+        }
+      ]
+    },
+    tools: (base && base.tools) || { categories: [] }
+  };
+};
+
+const jsonResume = {
+  JSON_RESUME_SCHEMA_URL,
+  toIsoDate,
+  toJSONResume,
+  fromJSONResume
+};
+
+export default jsonResume;
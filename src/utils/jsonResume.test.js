@@ -0,0 +1,77 @@
+import cvData from '../constants/cvData.json';
+import { CV_SCHEMA_VERSION } from '../services/CVDataService';
+import { toIsoDate, toJSONResume, fromJSONResume } from './jsonResume';
+
+const getSkillItems = (data) => data.skills.categories.flatMap(category => category.items);
+const getCertificates = (data) => data.certificates.categories.flatMap(category => category.items);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('toIsoDate', () => {
+  test('toma la fecha final de un rango y deja el resto tal cual', () => {
+    expect(toIsoDate('2022-2025')).toBe('2025');
+    expect(toIsoDate('2024-03')).toBe('2024-03');
+    expect(toIsoDate(2023)).toBe('2023');
+    expect(toIsoDate(null)).toBeUndefined();
+  });
+});
+
+describe('toJSONResume', () => {
+  test('exporta las secciones del CV', () => {
+    const resume = toJSONResume(cvData);
+    expect(resume.basics.name).toBe(cvData.profile.name);
+    expect(resume.skills).toHaveLength(cvData.skills.categories.length);
+    expect(resume.certificates).toHaveLength(getCertificates(cvData).length);
+    expect(resume.languages).toHaveLength(cvData.profile.languages.length);
+  });
+
+  test('no falla con un documento sin secciones opcionales', () => {
+    const resume = toJSONResume({ profile: { name: 'Ana' } });
+    expect(resume.basics.name).toBe('Ana');
+    expect(resume.basics.profiles).toEqual([]);
+    expect(resume.languages).toEqual([]);
+    expect(resume.work).toEqual([]);
+    expect(resume.skills).toEqual([]);
+    expect(resume.certificates).toEqual([]);
+  });
+});
+
+describe('fromJSONResume', () => {
+  test('rechaza un documento sin basics.name', () => {
+    expect(fromJSONResume({ basics: {} })).toBeNull();
+    expect(fromJSONResume(null)).toBeNull();
+  });
+
+  test('la ida y vuelta con el documento base conserva los campos sin equivalente', () => {
+    const imported = fromJSONResume(toJSONResume(cvData), cvData);
+
+    expect(imported.profile.name).toBe(cvData.profile.name);
+    expect(imported.profile.languages).toEqual(cvData.profile.languages);
+    expect(getSkillItems(imported)).toEqual(getSkillItems(cvData));
+    expect(getCertificates(imported)).toEqual(getCertificates(cvData).map(certificate => expect.objectContaining({
+      id: certificate.id,
+      title: certificate.title,
+      hours: certificate.hours,
+      credentialId: certificate.credentialId
+    })));
+  });
+
+  test('sin documento base usa valores neutros', () => {
+    const imported = fromJSONResume({
+      basics: { name: 'Ana' },
+      skills: [{ name: 'Frontend', keywords: ['React'] }],
+      certificates: [{ name: 'JavaScript', issuer: 'Academia' }]
+    });
+
+    expect(imported.schemaVersion).toBe(CV_SCHEMA_VERSION);
+    expect(imported.profile.languages).toEqual([]);
+    expect(getSkillItems(imported)).toEqual([{ name: 'React', icon: 'code' }]);
+    expect(getCertificates(imported)[0]).toMatchObject({ id: 'academia-javascript', hours: 0, credentialId: '' });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Hoja de ruta de aprendizaje
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: calcular el avance de las tecnologías en aprendizaje
+ *   (skills.learning) a partir de sus hitos
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras: el avance se deduce de los hitos completados, no se escribe a mano
+ * - Un hito está completo cuando tiene "completedDate"
+ * - Cuando se completa el hito "graduatesAt" (por defecto el último) la tecnología
+ *   pasa a su categoría de skills (ver CVDataService.getSkillCategories)
+ */
+
+import { toUrlSlug } from '../constants/routes';
+import i18nService from '../services/I18nService';
+
+/**
+ * Indica si un hito está completo
+ * @param {Object} milestone - Hito de la hoja de ruta
+ * @returns {boolean}
+ */
+export const isMilestoneCompleted = (milestone) => Boolean(milestone.completedDate);
+
+/**
+ * Porcentaje de hitos completados
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {number} Avance (0-100)
+ */
+export const getLearningProgress = (item) => {
+  const milestones = item.milestones || [];
+  if (milestones.length === 0) {
+    return 0;
+  }
+  return Math.round((milestones.filter(isMilestoneCompleted).length / milestones.length) * 100);
+};
+
+/**
+ * Hito que gradúa la tecnología en skills
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {Object|null}
+ */
+export const getGraduationMilestone = (item) => {
+  const milestones = item.milestones || [];
+  return milestones.find(milestone => milestone.id === item.graduatesAt)
+    || milestones[milestones.length - 1]
+    || null;
+};
+
+/**
+ * Indica si la tecnología ya alcanzó su hito de graduación
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {boolean}
+ */
+export const isGraduated = (item) => {
+  const milestone = getGraduationMilestone(item);
+  return Boolean(milestone) && isMilestoneCompleted(milestone);
+};
+
+/**
+ * Próximo hito pendiente
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {Object|null}
+ */
+export const getNextMilestone = (item) => (item.milestones || []).find(milestone => !isMilestoneCompleted(milestone)) || null;
+
+/**
+ * Tecnología en aprendizaje con su avance calculado
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {Object} Item con progress, graduated y nextMilestone
+ */
+export const describeLearningItem = (item) => ({
+  ...item,
+  milestones: item.milestones || [],
+  courses: item.courses || [],
+  progress: getLearningProgress(item),
+  graduated: isGraduated(item),
+  nextMilestone: getNextMilestone(item)
+});
+
+/**
+ * Hitos completados, del más reciente al más antiguo
+ * @param {Object[]} items - Tecnologías en aprendizaje
+ * @param {number} limit - Cantidad máxima de hitos
+ * @returns {{id: string, item: Object, milestone: Object, date: string, graduation: boolean}[]}
+ */
+export const getRecentlyCompleted = (items, limit = 5) => items
+  .flatMap(item => (item.milestones || [])
+    .filter(isMilestoneCompleted)
+    .map(milestone => ({
+      id: `${item.id}-${milestone.id}`,
+      item,
+      milestone,
+      date: String(milestone.completedDate),
+      graduation: milestone === getGraduationMilestone(item)
+    })))
+  .sort((a, b) => b.date.localeCompare(a.date))
+  .slice(0, limit);
+
+/**
+ * Habilidad que aporta una tecnología graduada a su categoría de skills
+ * Se mide con la misma rúbrica que el resto (ver utils/skillScoring)
+ * @param {Object} item - Tecnología en aprendizaje
+ * @returns {Object} Habilidad (CVSkill) sin nivel calculado
+ */
+export const toGraduatedSkill = (item) => ({
+  name: item.name,
+  icon: item.icon,
+  color: item.color,
+  since: item.startDate,
+  usage: item.usage
+});
+
+/**
+ * Suma las tecnologías graduadas a sus categorías de skills
+ * Una tecnología que la categoría ya incluye no se repite
+ * @param {Object[]} categories - Categorías de skills
+ * @param {Object[]} items - Tecnologías en aprendizaje
+ * @returns {Object[]} Categorías con las habilidades graduadas al final
+ */
+export const graduateLearningItems = (categories, items) => categories.map(category => {
+  const names = new Set(category.items.map(skill => toUrlSlug(skill.name)));
+  const graduated = items.filter(item =>
+    item.category === category.id && isGraduated(item) && !names.has(toUrlSlug(item.name))
+  );
+  return graduated.length > 0
+    ? { ...category, items: [...category.items, ...graduated.map(toGraduatedSkill)] }
+    : category;
+});
+
+/**
+ * Mes de la hoja de ruta en el idioma actual ("2026-12" → "dic 2026")
+ * @param {string} value - Fecha (YYYY o YYYY-MM)
+ * @returns {string}
+ */
+export const formatMonth = (value) => {
+  const [year, month = 1] = String(value).split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(i18nService.getLocale(), {
+    year: 'numeric',
+    month: 'short'
+  });
+};
+
+const learningRoadmap = {
+  isMilestoneCompleted,
+  getLearningProgress,
+  getGraduationMilestone,
+  isGraduated,
+  getNextMilestone,
+  describeLearningItem,
+  getRecentlyCompleted,
+  toGraduatedSkill,
+  graduateLearningItems,
+  formatMonth
+};
+
+export default learningRoadmap;
@@ -0,0 +1,98 @@
+import {
+  getLearningProgress,
+  getGraduationMilestone,
+  isGraduated,
+  getNextMilestone,
+  getRecentlyCompleted,
+  graduateLearningItems
+} from './learningRoadmap';
+import { CVDataService } from '../services/CVDataService';
+import cvData from '../constants/cvData.json';
+
+const NEXT = {
+  id: 'nextjs',
+  name: 'Next.js',
+  icon: 'nextjs',
+  color: '#000000',
+  category: 'web',
+  usage: 'monthly',
+  startDate: '2025-09',
+  graduatesAt: 'app-router',
+  milestones: [
+    { id: 'fundamentals', title: 'Rutas', completedDate: '2025-11' },
+    { id: 'app-router', title: 'App Router', completedDate: '2026-04' },
+    { id: 'project', title: 'Proyecto' }
+  ]
+};
+
+const VUE = {
+  id: 'vue',
+  name: 'Vue.js',
+  category: 'web',
+  startDate: '2025-10',
+  milestones: [
+    { id: 'fundamentals', title: 'Fundamentos', completedDate: '2026-02' },
+    { id: 'project', title: 'Proyecto' }
+  ]
+};
+
+const CATEGORIES = [
+  { id: 'web', title: 'Web', items: [{ name: 'React.js' }] },
+  { id: 'languages', title: 'Lenguajes', items: [{ name: 'JavaScript' }] }
+];
+
+describe('avance de la hoja de ruta', () => {
+  test('el avance se deduce de los hitos completados', () => {
+    expect(getLearningProgress(NEXT)).toBe(67);
+    expect(getLearningProgress(VUE)).toBe(50);
+    expect(getLearningProgress({ milestones: [] })).toBe(0);
+    expect(getNextMilestone(NEXT).id).toBe('project');
+  });
+
+  test('la graduación usa "graduatesAt" o, si falta, el último hito', () => {
+    expect(getGraduationMilestone(NEXT).id).toBe('app-router');
+    expect(getGraduationMilestone(VUE).id).toBe('project');
+    expect(getGraduationMilestone({})).toBeNull();
+    expect(isGraduated(NEXT)).toBe(true);
+    expect(isGraduated(VUE)).toBe(false);
+  });
+
+  test('lista los hitos completados del más reciente al más antiguo', () => {
+    expect(getRecentlyCompleted([NEXT, VUE], 2).map(entry => [entry.id, entry.graduation])).toEqual([
+      ['nextjs-app-router', true],
+      ['vue-fundamentals', false]
+    ]);
+  });
+});
+
+describe('graduateLearningItems', () => {
+  test('suma a su categoría solo las tecnologías graduadas', () => {
+    const [web, languages] = graduateLearningItems(CATEGORIES, [NEXT, VUE]);
+    expect(web.items).toEqual([
+      { name: 'React.js' },
+      { name: 'Next.js', icon: 'nextjs', color: '#000000', since: '2025-09', usage: 'monthly' }
+    ]);
+    expect(languages).toBe(CATEGORIES[1]);
+  });
+
+  test('no repite una tecnología que la categoría ya incluye', () => {
+    const categories = [{ id: 'web', items: [{ name: 'next.js' }] }];
+    expect(graduateLearningItems(categories, [NEXT])[0].items).toHaveLength(1);
+  });
+
+  test('al graduarse sale de la hoja de ruta y aparece en skills con nivel calculado', () => {
+    const learning = cvData.skills.learning.map(item => (item.id !== 'nextjs' ? item : {
+      ...item,
+      milestones: item.milestones.map(milestone => ({ ...milestone, completedDate: milestone.targetDate }))
+    }));
+    const service = new CVDataService({ ...cvData, skills: { ...cvData.skills, learning } });
+
+    const web = service.getSkillCategories().find(category => category.id === 'web');
+    const graduated = web.items.find(skill => skill.name === 'Next.js');
+
+    expect(graduated.level).toEqual(expect.any(Number));
+    expect(graduated.evidence.since).toBe('2025-09');
+    expect(service.getLearningItems().map(item => item.id)).not.toContain('nextjs');
+    expect(service.getRoadmap().find(item => item.id === 'nextjs').graduated).toBe(true);
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * Parser de Markdown con front-matter
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: convertir texto Markdown en datos (metadatos y bloques)
+ *   que los componentes dibujan sin innerHTML
+ *
+ * BUENAS PRÁCTICAS:
+ * - Soporta el subconjunto que usan los casos de estudio: títulos, párrafos,
+ *   listas, citas, bloques de código, imágenes y énfasis en línea
+ * - Front-matter YAML simplificado: escalares, listas ([a, b] o "- item"),
+ *   listas de objetos y bloques de texto (| y >)
+ * - Los enlaces solo aceptan http(s), mailto y rutas relativas
+ * - Funciones puras, reutilizables desde el navegador y desde scripts de Node
+ */
+
+/**
+ * Delimitador del front-matter
+ */
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Esquemas de URL permitidos en enlaces e imágenes (las rutas relativas no tienen esquema)
+ */
+const SAFE_SCHEME_PATTERN = /^(https?|mailto):/i;
+const ANY_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Elementos en línea: **negrita**, `código`, [enlace](url), *énfasis* o _énfasis_
+ */
+const INLINE_PATTERN = /\*\*([^*]+)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*([^*]+)\*|_([^_]+)_/g;
+
+/**
+ * Indica si una URL es segura para enlazar
+ * Los navegadores ignoran los caracteres de control ("java\tscript:"), así que
+ * se quitan antes de buscar el esquema
+ * @param {string} url - URL a comprobar
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url) => {
+  const value = [...String(url || '')]
+    .filter(char => char.charCodeAt(0) > 31 && char.charCodeAt(0) !== 127)
+    .join('')
+    .trim();
+  return value !== '' && (SAFE_SCHEME_PATTERN.test(value) || !ANY_SCHEME_PATTERN.test(value));
+};
+
+/**
+ * Convierte un escalar YAML en string, número o booleano
+ * @param {string} raw - Valor sin procesar
+ * @returns {string|number|boolean|string[]|null}
+ */
+const parseScalar = (raw) => {
+  const value = String(raw).trim();
+
+  if (value === '') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== null);
+  }
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+
+  return value;
+};
+
+/**
+ * Cantidad de espacios al inicio de una línea
+ * @param {string} line - Línea
+ * @returns {number}
+ */
+const indentOf = (line) => line.match(/^ */)[0].length;
+
+/**
+ * Parsea una lista YAML ("- item" o "- clave: valor" con más claves debajo)
+ * @param {string[]} lines - Líneas indentadas de la lista
+ * @returns {Array}
+ */
+const parseYamlList = (lines) => {
+  const items = [];
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    const isNewItem = trimmed.startsWith('- ');
+    const content = isNewItem ? trimmed.slice(2) : trimmed;
+    const pair = content.match(/^([\w-]+):\s*(.*)$/);
+
+    if (isNewItem) {
+      items.push(pair ? { [pair[1]]: parseScalar(pair[2]) } : parseScalar(content));
+      return;
+    }
+
+    // Clave adicional del último objeto de la lista
+    const last = items[items.length - 1];
+    if (pair && last && typeof last === 'object') {
+      last[pair[1]] = parseScalar(pair[2]);
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Parsea el YAML simplificado del front-matter
+ * @param {string} yaml - Contenido entre los delimitadores ---
+ * @returns {Object} Atributos
+ */
+const parseYaml = (yaml) => {
+  const lines = yaml.split(/\r?\n/).filter(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  const attributes = {};
+  let index = 0;
+
+  while (index < lines.length) {
+    const match = lines[index].match(/^([\w-]+):\s*(.*)$/);
+    index += 1;
+    if (!match) {
+      continue;
+    }
+
+    const [, key, rawValue] = match;
+    const nested = [];
+    while (index < lines.length && (indentOf(lines[index]) > 0 || lines[index].startsWith('- '))) {
+      nested.push(lines[index]);
+      index += 1;
+    }
+
+    if (rawValue === '|' || rawValue === '>') {
+      // Bloque de texto: | conserva los saltos de línea, > los une con espacios
+      const text = nested.map(line => line.trim());
+      attributes[key] = rawValue === '|' ? text.join('\n') : text.join(' ');
+    } else if (rawValue === '' && nested.length > 0) {
+      attributes[key] = parseYamlList(nested);
+    } else {
+      attributes[key] = parseScalar(rawValue);
+    }
+  }
+
+  return attributes;
+};
+
+/**
+ * Separa el front-matter del cuerpo de un documento Markdown
+ * @param {string} markdown - Documento completo
+ * @returns {{attributes: Object, body: string}}
+ */
+export const parseFrontMatter = (markdown) => {
+  const text = String(markdown || '');
+  const match = text.match(FRONT_MATTER_PATTERN);
+
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  return {
+    attributes: parseYaml(match[1]),
+    body: text.slice(match[0].length)
+  };
+};
+
+/**
+ * Divide un texto en fragmentos en línea
+ * @param {string} text - Texto con marcas Markdown en línea
+ * @returns {{type: string, text: string, href?: string}[]} Fragmentos text, strong, em, code o link
+ */
+export const parseInline = (text) => {
+  const tokens = [];
+  let lastIndex = 0;
+
+  String(text).replace(INLINE_PATTERN, (match, strong, code, linkText, href, em, emAlt, offset) => {
+    if (offset > lastIndex) {
+      tokens.push({ type: 'text', text: text.slice(lastIndex, offset) });
+    }
+
+    if (strong !== undefined) {
+      tokens.push({ type: 'strong', text: strong });
+    } else if (code !== undefined) {
+      tokens.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      tokens.push(isSafeUrl(href) ? { type: 'link', text: linkText, href } : { type: 'text', text: linkText });
+    } else {
+      tokens.push({ type: 'em', text: em !== undefined ? em : emAlt });
+    }
+
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  if (lastIndex < String(text).length) {
+    tokens.push({ type: 'text', text: String(text).slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+/**
+ * Convierte el cuerpo Markdown en bloques
+ * @param {string} markdown - Texto Markdown (sin front-matter)
+ * @param {Object} options - Opciones
+ * @param {Function} [options.resolveUrl] - Resuelve rutas relativas de imágenes
+ * @returns {Object[]} Bloques heading, paragraph, list, quote, code o image
+ */
+export const parseMarkdown = (markdown, { resolveUrl = (url) => url } = {}) => {
+  const lines = String(markdown || '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', content: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    if (trimmed === '') {
+      flushParagraph();
+      continue;
+    }
+
+    // Bloque de código cercado (```)
+    if (trimmed.startsWith('```')) {
+      flushParagraph();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith('```')) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', language: trimmed.slice(3).trim() || null, text: code.join('\n') });
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, content: parseInline(heading[2]) });
+      continue;
+    }
+
+    const image = trimmed.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/);
+    if (image) {
+      flushParagraph();
+      if (isSafeUrl(image[2])) {
+        blocks.push({ type: 'image', alt: image[1], src: resolveUrl(image[2]) });
+      }
+      continue;
+    }
+
+    const listItem = trimmed.match(/^([-*]|\d+\.)\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const ordered = /^\d+\.$/.test(listItem[1]);
+      const items = [];
+      while (index < lines.length) {
+        const item = lines[index].trim().match(/^([-*]|\d+\.)\s+(.*)$/);
+        if (!item || /^\d+\.$/.test(item[1]) !== ordered) {
+          break;
+        }
+        items.push(parseInline(item[2]));
+        index += 1;
+      }
+      index -= 1;
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quote = [];
+      while (index < lines.length && lines[index].trim().startsWith('>')) {
+        quote.push(lines[index].trim().replace(/^>\s?/, ''));
+        index += 1;
+      }
+      index -= 1;
+      blocks.push({ type: 'quote', content: parseInline(quote.join(' ')) });
+      continue;
+    }
+
+    paragraph.push(trimmed);
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+const markdown = {
+  isSafeUrl,
+  parseFrontMatter,
+  parseInline,
+  parseMarkdown
+};
+
+export default markdown;
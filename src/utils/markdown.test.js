@@ -0,0 +1,95 @@
+import { isSafeUrl, parseFrontMatter, parseInline, parseMarkdown } from './markdown';
+
+describe('isSafeUrl', () => {
+  test.each([
+    'https://example.org/caso',
+    'http://example.org',
+    'mailto:hola@example.org',
+    'images/captura.webp',
+    './images/captura.webp',
+    '../otro-caso.md',
+    '/cv/case-studies/caso.md',
+    '#resultados'
+  ])('acepta %s', (url) => {
+    expect(isSafeUrl(url)).toBe(true);
+  });
+
+  test.each([
+    ['javascript:', 'javascript:alert(1)'],
+    ['javascript: en mayúsculas', 'JavaScript:alert(1)'],
+    ['javascript: con espacios delante', '  javascript:alert(1)'],
+    ['javascript: con un tabulador', 'java\tscript:alert(1)'],
+    ['javascript: con un salto de línea', 'java\nscript:alert(1)'],
+    ['javascript: con un carácter de control delante', '\u0001javascript:alert(1)'],
+    ['data:', 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='],
+    ['vbscript:', 'vbscript:msgbox(1)'],
+    ['file:', 'file:///etc/passwd'],
+    ['vacía', ''],
+    ['solo espacios', '   '],
+    ['null', null]
+  ])('rechaza %s', (label, url) => {
+    expect(isSafeUrl(url)).toBe(false);
+  });
+});
+
+describe('parseInline', () => {
+  test('convierte las marcas en línea', () => {
+    expect(parseInline('Uso **React** con `hooks` y *Tailwind*')).toEqual([
+      { type: 'text', text: 'Uso ' },
+      { type: 'strong', text: 'React' },
+      { type: 'text', text: ' con ' },
+      { type: 'code', text: 'hooks' },
+      { type: 'text', text: ' y ' },
+      { type: 'em', text: 'Tailwind' }
+    ]);
+  });
+
+  test('conserva los enlaces seguros', () => {
+    expect(parseInline('[sitio](https://example.org)')).toEqual([
+      { type: 'link', text: 'sitio', href: 'https://example.org' }
+    ]);
+  });
+
+  test('convierte en texto los enlaces con esquemas peligrosos', () => {
+    expect(parseInline('[clic](javascript:alert(1))')).toEqual([
+      { type: 'text', text: 'clic' },
+      { type: 'text', text: ')' }
+    ]);
+    expect(parseInline('[clic](data:text/html,hola)')).toEqual([{ type: 'text', text: 'clic' }]);
+  });
+
+  test('no interpreta HTML', () => {
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>' }
+    ]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  test('descarta las imágenes con esquemas peligrosos', () => {
+    const blocks = parseMarkdown('![ok](img/a.png)\n\n![xss](javascript:alert%281%29)\n\n![data](data:image/svg+xml,x)', {
+      resolveUrl: (url) => `/base/${url}`
+    });
+    expect(blocks).toEqual([{ type: 'image', alt: 'ok', src: '/base/img/a.png' }]);
+  });
+
+  test('arma títulos, listas, citas y código', () => {
+    const blocks = parseMarkdown('# Título\n\n- uno\n- dos\n\n1. primero\n\n> cita\n\n```js\nconst a = 1;\n```');
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'list', 'list', 'quote', 'code']);
+    expect(blocks[1].ordered).toBe(false);
+    expect(blocks[2].ordered).toBe(true);
+    expect(blocks[4]).toEqual({ type: 'code', language: 'js', text: 'const a = 1;' });
+  });
+});
+
+describe('parseFrontMatter', () => {
+  test('separa los atributos del cuerpo', () => {
+    const { attributes, body } = parseFrontMatter('---\nclient: Acme\nstack: [React, Node]\nyear: 2024\n---\n# Caso');
+    expect(attributes).toEqual({ client: 'Acme', stack: ['React', 'Node'], year: 2024 });
+    expect(body).toBe('# Caso');
+  });
+
+  test('sin front-matter devuelve el documento completo', () => {
+    expect(parseFrontMatter('# Caso')).toEqual({ attributes: {}, body: '# Caso' });
+  });
+});
@@ -0,0 +1,552 @@
+/**
+ * Verificación de credenciales Open Badges
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: interpretar una credencial Open Badges 2.0 o 3.0 y
+ *   comprobarla contra los perfiles de emisor incluidos en el sitio
+ *
+ * Formatos admitidos:
+ * - Open Badges 2.0 alojada ("verification.type": "hosted"): el id de la
+ *   aserción debe estar en un origen permitido por el emisor y la copia
+ *   publicada en ese id debe coincidir con la que muestra el sitio
+ * - Open Badges 2.0 firmada: JWS compacto cuyo contenido es la aserción
+ * - Open Badges 3.0 como VC-JWT: JWS compacto con la credencial (o el claim "vc")
+ * Las firmas se comprueban con Web Crypto (RS256, ES256 y EdDSA). Las pruebas
+ * Data Integrity embebidas en Open Badges 3.0 se informan como no soportadas.
+ *
+ * BUENAS PRÁCTICAS:
+ * - La red solo se usa para las aserciones alojadas (la copia publicada y la
+ *   BadgeClass cuando "badge" es una URL); si no responde, el estado es
+ *   "unchecked" en lugar de "verified"
+ * - Cada comprobación se informa por separado (ver VERIFICATION_CHECKS)
+ * - Funciones puras salvo el uso de crypto.subtle y fetch, que se pueden inyectar
+ */
+
+/**
+ * Estados posibles de una credencial
+ */
+export const VERIFICATION_STATUSES = {
+  verified: 'verified',
+  invalid: 'invalid',
+  expired: 'expired',
+  revoked: 'revoked',
+  untrusted: 'untrusted',
+  unsupported: 'unsupported',
+  unchecked: 'unchecked',
+  none: 'none'
+};
+
+/**
+ * Comprobaciones, en el orden en que se informan
+ */
+export const VERIFICATION_CHECKS = ['format', 'issuer', 'integrity', 'recipient', 'expiry', 'revocation'];
+
+const OB3_CONTEXT = 'https://purl.imsglobal.org/spec/ob/v3p0/context';
+const OB3_TYPES = ['OpenBadgeCredential', 'AchievementCredential'];
+const JSON_LD_ACCEPT = 'application/ld+json, application/json';
+const JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Algoritmos JWS admitidos y sus parámetros de Web Crypto
+ */
+const JWS_ALGORITHMS = {
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  EdDSA: {
+    importParams: { name: 'Ed25519' },
+    verifyParams: { name: 'Ed25519' }
+  }
+};
+
+/**
+ * Convierte un valor en lista ("a" → ["a"], undefined → [])
+ * @param {*} value - Valor
+ * @returns {Array}
+ */
+const toList = (value) => {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Id de un nodo JSON-LD que puede venir como texto o como objeto con "id"
+ * @param {string|Object} value - Nodo
+ * @returns {string|null}
+ */
+const getNodeId = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value && typeof value.id === 'string' ? value.id : null;
+};
+
+/**
+ * Decodifica base64 o base64url a bytes
+ * @param {string} value - Texto codificado
+ * @returns {Uint8Array}
+ */
+const decodeBase64 = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, '');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Decodifica una parte JSON de un JWS
+ * @param {string} part - Parte en base64url
+ * @returns {Object}
+ */
+const decodeJsonPart = (part) => JSON.parse(new TextDecoder().decode(decodeBase64(part)));
+
+/**
+ * Convierte bytes a hexadecimal
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string}
+ */
+const toHex = (buffer) => [...new Uint8Array(buffer)]
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Host de una URL o de un origen permitido ("badges.example.org")
+ * @param {string} value - URL o host
+ * @returns {string|null}
+ */
+const getHost = (value) => {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`).host;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normaliza una aserción Open Badges 2.0
+ * @param {Object} document - Aserción
+ * @returns {Object}
+ */
+const normalizeAssertion = (document) => {
+  const badge = typeof document.badge === 'object' && document.badge !== null ? document.badge : null;
+  const verification = document.verification || {};
+  const recipient = document.recipient || null;
+
+  return {
+    version: '2.0',
+    id: getNodeId(document),
+    name: badge && badge.name ? badge.name : null,
+    issuerId: badge ? getNodeId(badge.issuer) : null,
+    badgeId: badge ? getNodeId(badge) : getNodeId(document.badge),
+    issuedOn: document.issuedOn || null,
+    expires: document.expires || null,
+    revoked: document.revoked === true,
+    verificationType: String(verification.type || '').toLowerCase().replace('signedbadge', 'signed') || null,
+    keyId: verification.creator || null,
+    recipient: recipient && {
+      type: recipient.type,
+      hashed: recipient.hashed === true,
+      salt: recipient.salt || '',
+      identity: recipient.identity
+    }
+  };
+};
+
+/**
+ * Normaliza una credencial Open Badges 3.0
+ * @param {Object} document - Credencial verificable
+ * @returns {Object}
+ */
+const normalizeCredential = (document) => {
+  const subject = document.credentialSubject || {};
+  const achievement = subject.achievement || {};
+  const identifier = toList(subject.identifier).find(item => item && item.identityType === 'emailAddress');
+  const status = document.credentialStatus || null;
+
+  return {
+    version: '3.0',
+    id: getNodeId(document),
+    name: achievement.name || document.name || null,
+    issuerId: getNodeId(document.issuer),
+    badgeId: getNodeId(achievement),
+    issuedOn: document.validFrom || document.issuanceDate || null,
+    expires: document.validUntil || document.expirationDate || null,
+    revoked: Boolean(status && status.revoked === true),
+    verificationType: document.proof ? 'proof' : null,
+    keyId: null,
+    recipient: identifier ? {
+      type: 'email',
+      hashed: identifier.hashed === true,
+      salt: identifier.salt || '',
+      identity: identifier.identityHash
+    } : null
+  };
+};
+
+/**
+ * Interpreta una credencial Open Badges 2.0 o 3.0
+ * @param {string|Object} source - Contenido del archivo (JSON-LD o JWS compacto) u objeto ya leído
+ * @returns {Object} Credencial normalizada; "jws" incluye la firma cuando viene firmada
+ * @throws {Error} Si el contenido no es una credencial reconocible
+ */
+export const parseCredential = (source) => {
+  const text = typeof source === 'string' ? source.trim() : null;
+  let document = text === null ? source : null;
+  let jws = null;
+
+  if (text !== null && JWS_PATTERN.test(text)) {
+    const [header, payload, signature] = text.split('.');
+    const claims = decodeJsonPart(payload);
+    document = claims.vc || claims;
+    jws = {
+      header: decodeJsonPart(header),
+      signingInput: `${header}.${payload}`,
+      signature: decodeBase64(signature)
+    };
+  } else if (text !== null) {
+    document = JSON.parse(text);
+  }
+
+  if (!document || typeof document !== 'object') {
+    throw new Error('la credencial no es un objeto JSON');
+  }
+
+  const types = toList(document.type);
+  const contexts = toList(document['@context']);
+  let credential;
+  if (types.some(type => OB3_TYPES.includes(type)) || contexts.some(context => String(context).startsWith(OB3_CONTEXT))) {
+    credential = normalizeCredential(document);
+  } else if (types.includes('Assertion')) {
+    credential = normalizeAssertion(document);
+  } else {
+    throw new Error('no es una aserción Open Badges 2.0 ni una credencial 3.0');
+  }
+
+  if (jws) {
+    return { ...credential, verificationType: 'signed', keyId: jws.header.kid || credential.keyId, jws };
+  }
+  return credential;
+};
+
+/**
+ * Claves públicas de un perfil de emisor (publicKeyPem o publicKeyJwk)
+ * @param {Object} issuer - Perfil de emisor
+ * @returns {Object[]}
+ */
+const getIssuerKeys = (issuer) => toList(issuer.publicKey).filter(key => key && (key.publicKeyPem || key.publicKeyJwk));
+
+/**
+ * Importa una clave pública para Web Crypto
+ * @param {Object} key - Clave del perfil de emisor
+ * @param {Object} algorithm - Entrada de JWS_ALGORITHMS
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @returns {Promise<CryptoKey>}
+ */
+const importPublicKey = (key, algorithm, subtle) => {
+  if (key.publicKeyJwk) {
+    return subtle.importKey('jwk', key.publicKeyJwk, algorithm.importParams, false, ['verify']);
+  }
+  const der = decodeBase64(key.publicKeyPem.replace(/-----[^-]+-----/g, ''));
+  return subtle.importKey('spki', der, algorithm.importParams, false, ['verify']);
+};
+
+/**
+ * Comprueba la firma JWS con las claves del emisor
+ * @param {Object} credential - Credencial normalizada con "jws"
+ * @param {Object} issuer - Perfil de emisor
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @returns {Promise<{passed: boolean, reason: string|null}>}
+ */
+const verifySignature = async (credential, issuer, subtle) => {
+  const algorithm = JWS_ALGORITHMS[credential.jws.header.alg];
+  if (!algorithm) {
+    return { passed: false, reason: 'algorithm' };
+  }
+
+  const keys = getIssuerKeys(issuer);
+  const candidates = credential.keyId ? keys.filter(key => key.id === credential.keyId) : keys;
+  if (candidates.length === 0) {
+    return { passed: false, reason: 'key' };
+  }
+
+  const data = new TextEncoder().encode(credential.jws.signingInput);
+  for (const key of candidates) {
+    try {
+      const cryptoKey = await importPublicKey(key, algorithm, subtle);
+      if (await subtle.verify(algorithm.verifyParams, cryptoKey, credential.jws.signature, data)) {
+        return { passed: true, reason: null };
+      }
+    } catch (error) {
+      console.warn(`openBadges: no se pudo usar la clave ${key.id}`, error);
+    }
+  }
+  return { passed: false, reason: 'signature' };
+};
+
+/**
+ * Indica si una URL está en un origen permitido por el emisor
+ * @param {string|null} url - URL a comprobar
+ * @param {Object} issuer - Perfil de emisor
+ * @returns {boolean}
+ */
+const isIssuerOrigin = (url, issuer) => {
+  const verification = issuer.verification || {};
+  const allowedHosts = toList(verification.allowedOrigins).concat(issuer.id).map(getHost).filter(Boolean);
+  const host = url ? getHost(url) : null;
+  return Boolean(host) && allowedHosts.includes(host);
+};
+
+/**
+ * Descarga un documento JSON-LD
+ * Una aserción revocada puede responder 410 con { "revoked": true }, por eso se lee igual
+ * @param {string} url - URL del documento
+ * @param {Function|null} fetcher - Implementación de fetch
+ * @returns {Promise<Object|null>} Documento o null si no se pudo obtener
+ */
+const fetchDocument = async (url, fetcher) => {
+  if (!fetcher || !url) {
+    return null;
+  }
+  try {
+    const response = await fetcher(url, { headers: { Accept: JSON_LD_ACCEPT } });
+    if (!response.ok && response.status !== 410) {
+      throw new Error(`respuesta ${response.status}`);
+    }
+    const document = await response.json();
+    return document && typeof document === 'object' ? document : null;
+  } catch (error) {
+    console.warn(`openBadges: no se pudo descargar ${url}`, error);
+    return null;
+  }
+};
+
+/**
+ * Completa el emisor de una aserción 2.0 cuyo "badge" es la URL de la BadgeClass
+ * @param {Object} credential - Credencial normalizada
+ * @param {Function|null} fetcher - Implementación de fetch
+ * @returns {Promise<Object|null>} Credencial con issuerId, o null si no se pudo resolver
+ */
+const resolveBadgeClass = async (credential, fetcher) => {
+  const badge = await fetchDocument(credential.badgeId, fetcher);
+  if (!badge || getNodeId(badge) !== credential.badgeId || !getNodeId(badge.issuer)) {
+    return null;
+  }
+  return { ...credential, issuerId: getNodeId(badge.issuer), name: credential.name || badge.name || null };
+};
+
+/**
+ * Campos de una aserción alojada que deben coincidir con la copia publicada
+ */
+const HOSTED_FIELDS = ['id', 'badgeId', 'issuedOn', 'expires'];
+
+/**
+ * Comprueba una aserción alojada: debe estar publicada en un origen del emisor
+ * y la copia publicada en su id debe coincidir con la mostrada
+ * @param {Object} credential - Credencial normalizada
+ * @param {Object} issuer - Perfil de emisor
+ * @param {Function|null} fetcher - Implementación de fetch
+ * @returns {Promise<{check: {passed: boolean|null, reason: string|null}, hosted: Object|null}>}
+ *   "passed" es null si la copia publicada no se pudo descargar
+ */
+const verifyHosted = async (credential, issuer, fetcher) => {
+  if (!isIssuerOrigin(credential.id, issuer)) {
+    return { check: { passed: false, reason: 'origin' }, hosted: null };
+  }
+
+  const document = await fetchDocument(credential.id, fetcher);
+  if (!document) {
+    return { check: { passed: null, reason: 'unreachable' }, hosted: null };
+  }
+  if (document.revoked === true && !document.type) {
+    return { check: { passed: true, reason: null }, hosted: { revoked: true } };
+  }
+
+  let hosted;
+  try {
+    hosted = parseCredential(document);
+  } catch (error) {
+    console.warn(`openBadges: la copia publicada en ${credential.id} no es una aserción`, error);
+    return { check: { passed: false, reason: 'mismatch' }, hosted: null };
+  }
+  const matches = HOSTED_FIELDS.every(field => hosted[field] === credential[field])
+    && JSON.stringify(hosted.recipient) === JSON.stringify(credential.recipient);
+  return matches
+    ? { check: { passed: true, reason: null }, hosted }
+    : { check: { passed: false, reason: 'mismatch' }, hosted: null };
+};
+
+/**
+ * Comprueba que la credencial esté emitida al destinatario indicado
+ * @param {Object} credential - Credencial normalizada
+ * @param {string} email - Email del destinatario
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @returns {Promise<{passed: boolean|null, reason: string|null}>}
+ */
+const verifyRecipient = async (credential, email, subtle) => {
+  const { recipient } = credential;
+  if (!email || !recipient || !recipient.identity) {
+    return { passed: null, reason: null };
+  }
+  if (recipient.type && recipient.type !== 'email') {
+    return { passed: false, reason: 'identityType' };
+  }
+
+  const identity = String(recipient.identity).toLowerCase();
+  const expected = email.trim().toLowerCase();
+  if (!recipient.hashed) {
+    return identity === expected ? { passed: true, reason: null } : { passed: false, reason: 'mismatch' };
+  }
+
+  const [algorithm, hash] = identity.split('$');
+  if (algorithm !== 'sha256' || !hash) {
+    return { passed: false, reason: 'algorithm' };
+  }
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(`${expected}${recipient.salt}`));
+  return toHex(digest) === hash ? { passed: true, reason: null } : { passed: false, reason: 'mismatch' };
+};
+
+/**
+ * Indica si el emisor revocó la credencial en su lista de revocación
+ * @param {Object} credential - Credencial normalizada
+ * @param {Object} issuer - Perfil de emisor
+ * @returns {boolean}
+ */
+const isRevoked = (credential, issuer) => {
+  const revocationList = issuer.revocationList || {};
+  const revoked = toList(revocationList.revokedAssertions).map(getNodeId);
+  return credential.revoked || (Boolean(credential.id) && revoked.includes(credential.id));
+};
+
+/**
+ * Estado final a partir de las comprobaciones
+ * @param {Object<string, {passed: boolean|null, reason: string|null}>} checks - Comprobaciones por id
+ * @returns {string} Uno de VERIFICATION_STATUSES
+ */
+const getStatus = (checks) => {
+  if (checks.format.passed === false) {
+    return VERIFICATION_STATUSES.invalid;
+  }
+  if (checks.issuer.passed === false) {
+    return VERIFICATION_STATUSES.untrusted;
+  }
+  if (checks.integrity.passed === false) {
+    return checks.integrity.reason === 'unsupported' ? VERIFICATION_STATUSES.unsupported : VERIFICATION_STATUSES.invalid;
+  }
+  if (checks.recipient.passed === false) {
+    return VERIFICATION_STATUSES.invalid;
+  }
+  if (checks.revocation.passed === false) {
+    return VERIFICATION_STATUSES.revoked;
+  }
+  if (checks.expiry.passed === false) {
+    return VERIFICATION_STATUSES.expired;
+  }
+  if (checks.issuer.passed !== true || checks.integrity.passed !== true) {
+    return VERIFICATION_STATUSES.unchecked;
+  }
+  return VERIFICATION_STATUSES.verified;
+};
+
+/**
+ * Verifica una credencial Open Badges contra los perfiles de emisor conocidos
+ * @param {string|Object} source - Contenido del archivo de la credencial
+ * @param {Object} options - Opciones
+ * @param {Object[]} options.issuers - Perfiles de emisor Open Badges incluidos en el sitio
+ * @param {string} [options.recipient] - Email del titular; si falta no se comprueba el destinatario
+ * @param {Date} [options.now] - Fecha de referencia para la vigencia (por defecto hoy)
+ * @param {SubtleCrypto} [options.subtle] - Implementación de Web Crypto (por defecto la global)
+ * @param {Function} [options.fetcher] - Implementación de fetch para las aserciones alojadas
+ *   (por defecto la global; sin ella quedan "unchecked")
+ * @returns {Promise<{status: string, checks: {id: string, passed: boolean|null, reason: string|null}[],
+ *   credential: Object|null, issuer: Object|null}>}
+ */
+export const verifyCredential = async (source, {
+  issuers = [],
+  recipient = null,
+  now = new Date(),
+  subtle = typeof crypto !== 'undefined' ? crypto.subtle : null,
+  fetcher = typeof fetch === 'function' ? fetch : null
+} = {}) => {
+  const pending = { passed: null, reason: null };
+  const checks = Object.fromEntries(VERIFICATION_CHECKS.map(id => [id, pending]));
+  const result = (credential, issuer) => ({
+    status: getStatus(checks),
+    checks: VERIFICATION_CHECKS.map(id => ({ id, ...checks[id] })),
+    credential,
+    issuer
+  });
+
+  let credential;
+  try {
+    credential = parseCredential(source);
+    checks.format = { passed: true, reason: null };
+  } catch (error) {
+    console.warn('openBadges: credencial no reconocida', error);
+    checks.format = { passed: false, reason: 'parse' };
+    return result(null, null);
+  }
+
+  // Aserción 2.0 con "badge" como URL: el emisor está en la BadgeClass publicada
+  const badgeIsUrl = !credential.issuerId && credential.version === '2.0' && Boolean(credential.badgeId);
+  if (badgeIsUrl) {
+    const resolved = await resolveBadgeClass(credential, fetcher);
+    if (!resolved) {
+      checks.issuer = { passed: null, reason: 'unresolved' };
+      return result(credential, null);
+    }
+    credential = resolved;
+  }
+
+  const issuer = issuers.find(profile => profile.id === credential.issuerId) || null;
+  if (!issuer) {
+    checks.issuer = { passed: false, reason: credential.issuerId ? 'unknown' : 'missing' };
+    return result(credential, null);
+  }
+  // Una BadgeClass fuera de los orígenes del emisor podría atribuirle cualquier insignia
+  if (badgeIsUrl && !isIssuerOrigin(credential.badgeId, issuer)) {
+    checks.issuer = { passed: false, reason: 'origin' };
+    return result(credential, null);
+  }
+  checks.issuer = { passed: true, reason: null };
+
+  if (!subtle) {
+    console.error('openBadges: Web Crypto no está disponible');
+    checks.integrity = { passed: false, reason: 'crypto' };
+    return result(credential, issuer);
+  }
+
+  if (credential.verificationType === 'signed') {
+    checks.integrity = await verifySignature(credential, issuer, subtle);
+  } else if (credential.verificationType === 'hosted') {
+    const { check, hosted } = await verifyHosted(credential, issuer, fetcher);
+    checks.integrity = check;
+    if (hosted && hosted.revoked) {
+      credential = { ...credential, revoked: true };
+    }
+  } else {
+    checks.integrity = { passed: false, reason: 'unsupported' };
+  }
+
+  checks.recipient = await verifyRecipient(credential, recipient, subtle);
+  checks.revocation = { passed: !isRevoked(credential, issuer), reason: null };
+  checks.expiry = credential.expires
+    ? { passed: new Date(credential.expires) > now, reason: null }
+    : { passed: null, reason: null };
+
+  return result(credential, issuer);
+};
+
+const openBadges = {
+  VERIFICATION_STATUSES,
+  VERIFICATION_CHECKS,
+  parseCredential,
+  verifyCredential
+};
+
+export default openBadges;
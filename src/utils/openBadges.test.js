@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { webcrypto } from 'crypto';
+import { verifyCredential, parseCredential, VERIFICATION_STATUSES } from './openBadges';
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'scripts', 'fixtures', 'open-badges');
+const read = (file) => fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+const readJson = (file) => JSON.parse(read(file));
+const manifest = readJson('manifest.json');
+
+/**
+ * fetch que responde con los documentos indicados por URL; el resto da 404
+ */
+const createFetcher = (documents, status = 200) => jest.fn(async (url) => ({
+  ok: Boolean(documents[url]) && status < 400,
+  status: documents[url] ? status : 404,
+  json: async () => documents[url] || {}
+}));
+
+const hostedDocuments = Object.fromEntries(
+  Object.entries(manifest.hosted).map(([url, file]) => [url, readJson(file)])
+);
+
+const options = (overrides = {}) => ({
+  issuers: readJson(manifest.issuers),
+  recipient: manifest.recipient,
+  now: new Date(manifest.now),
+  subtle: webcrypto.subtle,
+  fetcher: createFetcher(hostedDocuments),
+  ...overrides
+});
+
+const getCheck = (result, id) => result.checks.find(check => check.id === id);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyCredential con las credenciales de ejemplo', () => {
+  test.each(manifest.credentials.map(({ file, expected }) => [file, expected]))(
+    '%s queda como %s',
+    async (file, expected) => {
+      const result = await verifyCredential(read(file), options());
+      expect(result.status).toBe(expected);
+    }
+  );
+});
+
+describe('aserciones alojadas', () => {
+  const hosted = readJson('verified-hosted-ob2.json');
+
+  test('rechaza una copia local que no coincide con la publicada', async () => {
+    const forged = { ...hosted, issuedOn: '2020-01-01T00:00:00Z' };
+    const result = await verifyCredential(forged, options());
+    expect(result.status).toBe(VERIFICATION_STATUSES.invalid);
+    expect(getCheck(result, 'integrity')).toMatchObject({ passed: false, reason: 'mismatch' });
+  });
+
+  test('rechaza un destinatario cambiado aunque el id sea de una aserción real', async () => {
+    const forged = { ...hosted, recipient: { type: 'email', hashed: false, identity: manifest.recipient } };
+    const result = await verifyCredential(forged, options());
+    expect(result.status).toBe(VERIFICATION_STATUSES.invalid);
+  });
+
+  test('rechaza una publicación que no es una aserción', async () => {
+    const fetcher = createFetcher({ [hosted.id]: { type: 'Profile' } });
+    const result = await verifyCredential(hosted, options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.invalid);
+  });
+
+  test('rechaza un id fuera de los orígenes del emisor sin descargarlo', async () => {
+    const fetcher = createFetcher(hostedDocuments);
+    const result = await verifyCredential(read('invalid-origin-ob2.json'), options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.invalid);
+    expect(getCheck(result, 'integrity').reason).toBe('origin');
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  test('queda sin comprobar si no hay fetch', async () => {
+    const result = await verifyCredential(hosted, options({ fetcher: null }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.unchecked);
+    expect(getCheck(result, 'integrity')).toMatchObject({ passed: null, reason: 'unreachable' });
+  });
+
+  test('queda sin comprobar si la descarga falla', async () => {
+    const fetcher = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    const result = await verifyCredential(hosted, options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.unchecked);
+  });
+
+  test('una respuesta 410 con "revoked" revoca la credencial', async () => {
+    const fetcher = createFetcher({ [hosted.id]: { id: hosted.id, revoked: true } }, 410);
+    const result = await verifyCredential(hosted, options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.revoked);
+  });
+});
+
+describe('aserciones con "badge" como URL', () => {
+  const byUrl = readJson('verified-badge-url-ob2.json');
+  const badgeClass = readJson('hosted/javascript-badge.json');
+
+  test('toma el emisor de la BadgeClass publicada', async () => {
+    const result = await verifyCredential(byUrl, options());
+    expect(result.status).toBe(VERIFICATION_STATUSES.verified);
+    expect(result.credential.issuerId).toBe(badgeClass.issuer);
+    expect(result.credential.name).toBe(badgeClass.name);
+  });
+
+  test('queda sin comprobar si la BadgeClass no se puede descargar', async () => {
+    const result = await verifyCredential(byUrl, options({ fetcher: null }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.unchecked);
+    expect(getCheck(result, 'issuer')).toMatchObject({ passed: null, reason: 'unresolved' });
+  });
+
+  test('ignora una BadgeClass cuyo id no es la URL pedida', async () => {
+    const fetcher = createFetcher({ ...hostedDocuments, [byUrl.badge]: { ...badgeClass, id: 'https://badges.example.org/badges/other.json' } });
+    const result = await verifyCredential(byUrl, options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.unchecked);
+  });
+
+  test('no acepta una BadgeClass ajena que se atribuye un emisor conocido', async () => {
+    const foreignUrl = 'https://evil.example.com/badges/javascript.json';
+    const forged = { ...byUrl, badge: foreignUrl };
+    const fetcher = createFetcher({ ...hostedDocuments, [foreignUrl]: { ...badgeClass, id: foreignUrl } });
+    const result = await verifyCredential(forged, options({ fetcher }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.untrusted);
+    expect(getCheck(result, 'issuer').reason).toBe('origin');
+  });
+});
+
+describe('entradas no válidas', () => {
+  test.each([
+    ['texto que no es JSON', 'no es una credencial'],
+    ['un objeto sin tipo', { id: 'https://badges.example.org/assertions/x.json' }],
+    ['un JWS con contenido ilegible', 'aaaa.bbbb.cccc']
+  ])('%s no tiene formato válido', async (label, source) => {
+    const result = await verifyCredential(source, options());
+    expect(result.status).toBe(VERIFICATION_STATUSES.invalid);
+    expect(getCheck(result, 'format').passed).toBe(false);
+  });
+
+  test('un emisor desconocido no es de confianza', async () => {
+    const result = await verifyCredential(read('untrusted-issuer-ob2.json'), options({ issuers: [] }));
+    expect(result.status).toBe(VERIFICATION_STATUSES.untrusted);
+  });
+
+  test('parseCredential lanza un error con contenido que no es una credencial', () => {
+    expect(() => parseCredential({ type: 'Profile' })).toThrow();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Lectura y dibujo de documentos PDF
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: envolver pdf.js para abrir un PDF y dibujar sus
+ *   páginas en un canvas
+ *
+ * BUENAS PRÁCTICAS:
+ * - Se carga bajo demanda (import dinámico desde usePdfDocument): pdf.js solo
+ *   se descarga cuando se abre un certificado en PDF
+ * - El análisis del documento corre en un Web Worker para no bloquear la página
+ * - Se usa la versión "legacy" de pdf.js por compatibilidad con el browserslist
+ */
+
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist/legacy/build/pdf';
+
+if (!GlobalWorkerOptions.workerPort && typeof Worker !== 'undefined') {
+  GlobalWorkerOptions.workerPort = new Worker(
+    new URL('pdfjs-dist/legacy/build/pdf.worker.min.js', import.meta.url)
+  );
+}
+
+/**
+ * Abre un PDF
+ * @param {string} url - URL del documento
+ * @returns {{promise: Promise<Object>, destroy: Function}} Tarea de carga de pdf.js
+ */
+export const loadPdfDocument = (url) => getDocument({ url, isEvalSupported: false });
+
+/**
+ * Dibuja una página en un canvas ajustada a un ancho
+ * El canvas se dimensiona con la densidad de píxeles de la pantalla para que
+ * el texto no se vea borroso
+ * @param {Object} pdf - Documento abierto con loadPdfDocument
+ * @param {number} pageNumber - Página (desde 1)
+ * @param {HTMLCanvasElement} canvas - Destino
+ * @param {number} width - Ancho en píxeles CSS
+ * @returns {{promise: Promise<void>, cancel: Function}} Tarea de dibujo de pdf.js
+ */
+export const renderPdfPage = (pdf, pageNumber, canvas, width) => {
+  let renderTask = null;
+  let cancelled = false;
+
+  const promise = pdf.getPage(pageNumber).then(page => {
+    if (cancelled) {
+      return undefined;
+    }
+    const pixelRatio = window.devicePixelRatio || 1;
+    const baseViewport = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: (width / baseViewport.width) * pixelRatio });
+
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    canvas.style.width = `${Math.floor(viewport.width / pixelRatio)}px`;
+    canvas.style.height = `${Math.floor(viewport.height / pixelRatio)}px`;
+
+    renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+    return renderTask.promise;
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      if (renderTask) {
+        renderTask.cancel();
+      }
+    }
+  };
+};
+
+const pdfDocument = {
+  loadPdfDocument,
+  renderPdfPage
+};
+
+export default pdfDocument;
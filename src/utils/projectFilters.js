@@ -0,0 +1,199 @@
+/**
+ * Filtros del portafolio
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: filtrar y ordenar proyectos, y convertir los
+ *   filtros desde y hacia la query de la URL
+ *
+ * BUENAS PRÁCTICAS:
+ * - Los filtros viven en la URL (?tags=react,node-js&type=client&q=tienda&sort=name)
+ *   para poder compartir un enlace con una selección concreta
+ * - Las etiquetas se guardan como slug (ver toUrlSlug) para que los enlaces
+ *   no dependan de mayúsculas ni de caracteres especiales
+ * - Los parámetros ajenos al portafolio (por ejemplo ?lang=) se conservan
+ * - Funciones puras: no leen ni escriben la URL por su cuenta
+ */
+
+import { toUrlSlug } from '../constants/routes';
+
+/**
+ * Nombres de los parámetros de la query
+ */
+export const PROJECT_FILTER_PARAMS = {
+  tags: 'tags',
+  type: 'type',
+  query: 'q',
+  sort: 'sort'
+};
+
+/**
+ * Criterios de orden disponibles
+ * featured respeta el orden de cvData.json
+ */
+export const PROJECT_SORTS = ['featured', 'recent', 'name'];
+
+/**
+ * Filtros sin ninguna selección
+ */
+export const DEFAULT_PROJECT_FILTERS = {
+  tags: [],
+  type: '',
+  query: '',
+  sort: 'featured'
+};
+
+/**
+ * Normaliza un texto para buscar sin distinguir mayúsculas ni acentos
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Lee los filtros desde la query de la URL
+ * @param {string|URLSearchParams} search - Query ("?tags=react") o URLSearchParams
+ * @returns {{tags: string[], type: string, query: string, sort: string}}
+ */
+export const parseProjectFilters = (search) => {
+  const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+  const tags = (params.get(PROJECT_FILTER_PARAMS.tags) || '')
+    .split(',')
+    .map(toUrlSlug)
+    .filter(Boolean);
+  const sort = params.get(PROJECT_FILTER_PARAMS.sort);
+
+  return {
+    tags: [...new Set(tags)],
+    type: params.get(PROJECT_FILTER_PARAMS.type) || '',
+    query: params.get(PROJECT_FILTER_PARAMS.query) || '',
+    sort: PROJECT_SORTS.includes(sort) ? sort : DEFAULT_PROJECT_FILTERS.sort
+  };
+};
+
+/**
+ * Escribe los filtros en una query, conservando los demás parámetros
+ * Los valores por defecto no se escriben para que la URL quede limpia
+ * @param {Object} filters - Filtros (ver parseProjectFilters)
+ * @param {string|URLSearchParams} search - Query actual
+ * @returns {string} Query resultante, con "?" inicial o vacía
+ */
+export const serializeProjectFilters = (filters, search = '') => {
+  const params = new URLSearchParams(search);
+  const values = {
+    tags: filters.tags.join(','),
+    type: filters.type,
+    query: filters.query.trim(),
+    sort: filters.sort === DEFAULT_PROJECT_FILTERS.sort ? '' : filters.sort
+  };
+
+  Object.entries(PROJECT_FILTER_PARAMS).forEach(([key, param]) => {
+    if (values[key]) {
+      params.set(param, values[key]);
+    } else {
+      params.delete(param);
+    }
+  });
+
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Indica si hay algún filtro activo (el orden no cuenta como filtro)
+ * @param {Object} filters - Filtros
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => Boolean(
+  filters.tags.length > 0 || filters.type || filters.query.trim()
+);
+
+/**
+ * Reúne las etiquetas de los proyectos con la cantidad de proyectos que las usan
+ * @param {Object[]} projects - Proyectos del CV
+ * @returns {{name: string, slug: string, count: number}[]} Ordenadas por uso y nombre
+ */
+export const getProjectTags = (projects) => {
+  const tags = new Map();
+
+  projects.forEach(project => {
+    (project.tags || []).forEach(name => {
+      const slug = toUrlSlug(name);
+      const current = tags.get(slug) || { name, slug, count: 0 };
+      tags.set(slug, { ...current, count: current.count + 1 });
+    });
+  });
+
+  return [...tags.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Indica si un proyecto cumple los filtros
+ * Con varias etiquetas seleccionadas alcanza con que tenga una de ellas
+ * @param {Object} project - Proyecto del CV
+ * @param {Object} filters - Filtros
+ * @returns {boolean}
+ */
+export const matchesProjectFilters = (project, filters) => {
+  const projectTags = (project.tags || []).map(toUrlSlug);
+  if (filters.tags.length > 0 && !filters.tags.some(tag => projectTags.includes(tag))) {
+    return false;
+  }
+
+  if (filters.type && project.type !== filters.type) {
+    return false;
+  }
+
+  const query = normalizeText(filters.query);
+  if (query) {
+    const haystack = normalizeText([project.name, project.description, ...(project.tags || [])].join(' '));
+    return query.split(/\s+/).every(word => haystack.includes(word));
+  }
+
+  return true;
+};
+
+/**
+ * Ordena proyectos según un criterio (sin modificar el arreglo original)
+ * @param {Object[]} projects - Proyectos del CV
+ * @param {string} sort - Criterio de PROJECT_SORTS
+ * @returns {Object[]}
+ */
+export const sortProjects = (projects, sort) => {
+  const sorted = [...projects];
+
+  if (sort === 'name') {
+    return sorted.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  if (sort === 'recent') {
+    // Los proyectos sin año van al final, en su orden original
+    return sorted.sort((a, b) => (b.year || 0) - (a.year || 0));
+  }
+  return sorted;
+};
+
+/**
+ * Aplica filtros y orden a una lista de proyectos
+ * @param {Object[]} projects - Proyectos del CV
+ * @param {Object} filters - Filtros
+ * @returns {Object[]}
+ */
+export const applyProjectFilters = (projects, filters) => sortProjects(
+  projects.filter(project => matchesProjectFilters(project, filters)),
+  filters.sort
+);
+
+const projectFilters = {
+  parseProjectFilters,
+  serializeProjectFilters,
+  hasActiveFilters,
+  getProjectTags,
+  matchesProjectFilters,
+  sortProjects,
+  applyProjectFilters
+};
+
+export default projectFilters;
@@ -0,0 +1,76 @@
+import {
+  DEFAULT_PROJECT_FILTERS,
+  parseProjectFilters,
+  serializeProjectFilters,
+  hasActiveFilters,
+  getProjectTags,
+  applyProjectFilters
+} from './projectFilters';
+
+const PROJECTS = [
+  { id: 'tienda', name: 'Tienda de Juegos', description: 'E-commerce', type: 'client', year: 2023, tags: ['React', 'Node.js'] },
+  { id: 'campus', name: 'Campus Virtual', description: 'Plataforma de capacitación', type: 'academic', year: 2025, tags: ['React'] },
+  { id: 'cli', name: 'Árbol CLI', description: 'Herramienta de línea de comandos', type: 'openSource', tags: ['Node.js'] }
+];
+
+const withFilters = (changes) => ({ ...DEFAULT_PROJECT_FILTERS, ...changes });
+
+describe('parseProjectFilters / serializeProjectFilters', () => {
+  test('lee la query normalizando etiquetas y descartando órdenes desconocidos', () => {
+    expect(parseProjectFilters('?tags=React,node-js,react&type=client&q=tienda&sort=unknown')).toEqual({
+      tags: ['react', 'node-js'],
+      type: 'client',
+      query: 'tienda',
+      sort: 'featured'
+    });
+    expect(parseProjectFilters('')).toEqual(DEFAULT_PROJECT_FILTERS);
+  });
+
+  test('escribe solo los filtros activos y conserva los demás parámetros', () => {
+    const search = serializeProjectFilters(withFilters({ tags: ['react', 'node-js'], query: ' tienda ' }), '?lang=en&type=academic');
+    expect(search).toBe('?lang=en&tags=react,node-js&q=tienda');
+    expect(serializeProjectFilters(DEFAULT_PROJECT_FILTERS, '?tags=react')).toBe('');
+  });
+
+  test('la ida y vuelta por la URL conserva la selección', () => {
+    const filters = withFilters({ tags: ['node-js'], type: 'openSource', query: 'cli', sort: 'name' });
+    expect(parseProjectFilters(serializeProjectFilters(filters))).toEqual(filters);
+  });
+});
+
+describe('hasActiveFilters', () => {
+  test('el orden no cuenta como filtro', () => {
+    expect(hasActiveFilters(withFilters({ sort: 'name' }))).toBe(false);
+    expect(hasActiveFilters(withFilters({ query: '   ' }))).toBe(false);
+    expect(hasActiveFilters(withFilters({ tags: ['react'] }))).toBe(true);
+  });
+});
+
+describe('getProjectTags', () => {
+  test('cuenta los proyectos por etiqueta y ordena por uso y nombre', () => {
+    expect(getProjectTags(PROJECTS)).toEqual([
+      { name: 'Node.js', slug: 'node-js', count: 2 },
+      { name: 'React', slug: 'react', count: 2 }
+    ]);
+  });
+});
+
+describe('applyProjectFilters', () => {
+  const ids = (projects) => projects.map(project => project.id);
+
+  test('con varias etiquetas alcanza con que el proyecto tenga una', () => {
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ tags: ['react', 'node-js'] })))).toEqual(['tienda', 'campus', 'cli']);
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ tags: ['react'], type: 'academic' })))).toEqual(['campus']);
+  });
+
+  test('busca sin distinguir mayúsculas ni acentos y exige todas las palabras', () => {
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ query: 'arbol COMANDOS' })))).toEqual(['cli']);
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ query: 'tienda campus' })))).toEqual([]);
+  });
+
+  test('ordena por año (sin año al final) o por nombre sin modificar la lista original', () => {
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ sort: 'recent' })))).toEqual(['campus', 'tienda', 'cli']);
+    expect(ids(applyProjectFilters(PROJECTS, withFilters({ sort: 'name' })))).toEqual(['cli', 'campus', 'tienda']);
+    expect(ids(PROJECTS)).toEqual(['tienda', 'campus', 'cli']);
+  });
+});
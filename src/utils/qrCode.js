@@ -0,0 +1,139 @@
+/**
+ * Renderizador de códigos QR
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: convertir un texto en un código QR dibujable (SVG o canvas)
+ *
+ * PRINCIPIO SOLID: Open/Closed Principle (OCP)
+ * - La matriz se calcula una vez; cada salida (SVG, canvas) es un renderizador aparte
+ *
+ * BUENAS PRÁCTICAS:
+ * - Codificación local con la librería qrcode, sin servicios externos
+ * - SVG vectorial para impresión (tarjetas personales) y canvas para PNG
+ */
+
+import QRCodeLib from 'qrcode';
+
+/**
+ * Opciones por defecto de los códigos QR
+ * margin es la zona de silencio en módulos (la norma pide al menos 4)
+ */
+export const QR_DEFAULTS = {
+  errorCorrectionLevel: 'M',
+  margin: 4,
+  dark: '#000000',
+  light: '#ffffff'
+};
+
+/**
+ * Calcula la matriz de módulos de un texto
+ * @param {string} text - Contenido a codificar (vCard, URL, etc.)
+ * @param {Object} options - errorCorrectionLevel
+ * @returns {{size: number, isDark: function(number, number): boolean}|null} Matriz o null si no entra en un QR
+ */
+export const createQRMatrix = (text, { errorCorrectionLevel = QR_DEFAULTS.errorCorrectionLevel } = {}) => {
+  try {
+    const { modules } = QRCodeLib.create(String(text), { errorCorrectionLevel });
+    return {
+      size: modules.size,
+      isDark: (row, col) => Boolean(modules.get(row, col))
+    };
+  } catch (error) {
+    console.warn('qrCode: no se pudo codificar el contenido', error);
+    return null;
+  }
+};
+
+/**
+ * Genera el trazado SVG de los módulos oscuros
+ * Agrupa módulos contiguos de cada fila en un solo rectángulo
+ * @param {Object} matrix - Matriz devuelta por createQRMatrix
+ * @param {number} margin - Zona de silencio en módulos
+ * @returns {string} Atributo "d" de un <path>
+ */
+export const toSVGPath = (matrix, margin = QR_DEFAULTS.margin) => {
+  const commands = [];
+
+  for (let row = 0; row < matrix.size; row += 1) {
+    let col = 0;
+    while (col < matrix.size) {
+      if (!matrix.isDark(row, col)) {
+        col += 1;
+        continue;
+      }
+      const start = col;
+      while (col < matrix.size && matrix.isDark(row, col)) {
+        col += 1;
+      }
+      commands.push(`M${start + margin} ${row + margin}h${col - start}v1h-${col - start}z`);
+    }
+  }
+
+  return commands.join('');
+};
+
+/**
+ * Genera un documento SVG independiente (para descargar o imprimir)
+ * @param {string} text - Contenido a codificar
+ * @param {Object} options - errorCorrectionLevel, margin, dark, light y size (px)
+ * @returns {string|null} Documento SVG o null si no se pudo codificar
+ */
+export const toSVGString = (text, options = {}) => {
+  const { margin, dark, light, size = 512 } = { ...QR_DEFAULTS, ...options };
+  const matrix = createQRMatrix(text, options);
+  if (!matrix) {
+    return null;
+  }
+
+  const viewBox = matrix.size + margin * 2;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${viewBox} ${viewBox}" shape-rendering="crispEdges">`,
+    `<rect width="${viewBox}" height="${viewBox}" fill="${light}"/>`,
+    `<path fill="${dark}" d="${toSVGPath(matrix, margin)}"/>`,
+    '</svg>'
+  ].join('');
+};
+
+/**
+ * Dibuja el código QR en un canvas
+ * @param {HTMLCanvasElement} canvas - Canvas de destino (se redimensiona)
+ * @param {string} text - Contenido a codificar
+ * @param {Object} options - errorCorrectionLevel, margin, dark, light y scale (px por módulo)
+ * @returns {boolean} True si se dibujó
+ */
+export const drawQRCode = (canvas, text, options = {}) => {
+  const { margin, dark, light, scale = 8 } = { ...QR_DEFAULTS, ...options };
+  const matrix = createQRMatrix(text, options);
+  const context = canvas && canvas.getContext('2d');
+  if (!matrix || !context) {
+    return false;
+  }
+
+  const side = (matrix.size + margin * 2) * scale;
+  canvas.width = side;
+  canvas.height = side;
+
+  context.fillStyle = light;
+  context.fillRect(0, 0, side, side);
+  context.fillStyle = dark;
+
+  for (let row = 0; row < matrix.size; row += 1) {
+    for (let col = 0; col < matrix.size; col += 1) {
+      if (matrix.isDark(row, col)) {
+        context.fillRect((col + margin) * scale, (row + margin) * scale, scale, scale);
+      }
+    }
+  }
+
+  return true;
+};
+
+const qrCode = {
+  QR_DEFAULTS,
+  createQRMatrix,
+  toSVGPath,
+  toSVGString,
+  drawQRCode
+};
+
+export default qrCode;
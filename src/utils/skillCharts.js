@@ -0,0 +1,151 @@
+/**
+ * Datos y geometría de las visualizaciones de habilidades
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: convertir las categorías de Skills en series para
+ *   el radar, la matriz habilidad/año y la línea de tiempo
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras: los componentes solo dibujan el SVG con estos datos
+ * - Solo se grafican las habilidades con nivel calculado (ver utils/skillScoring);
+ *   las que declaran "scored": false no tienen nivel ni fecha de inicio
+ */
+
+import { toUrlSlug } from '../constants/routes';
+import { hasExperienceLevel } from '../constants/experienceLevels';
+
+/**
+ * Promedio de nivel de cada categoría (un eje del radar por categoría)
+ * Las categorías sin habilidades medibles no generan eje
+ * @param {Object[]} categories - Categorías con "id", "title" y "technologies"
+ * @returns {{id: string, title: string, value: number, count: number}[]}
+ */
+export const getCategoryProficiency = (categories) => categories
+  .map(category => ({ ...category, technologies: category.technologies.filter(hasExperienceLevel) }))
+  .filter(category => category.technologies.length > 0)
+  .map(category => ({
+    id: category.id,
+    title: category.title,
+    value: Math.round(
+      category.technologies.reduce((total, skill) => total + skill.level, 0) / category.technologies.length
+    ),
+    count: category.technologies.length
+  }));
+
+/**
+ * Punto de un eje del radar (el primer eje apunta hacia arriba)
+ * @param {number} index - Índice del eje
+ * @param {number} total - Cantidad de ejes
+ * @param {number} value - Valor (0-100)
+ * @param {number} radius - Radio del radar
+ * @param {{x: number, y: number}} center - Centro del radar
+ * @returns {{x: number, y: number}}
+ */
+export const getRadarPoint = (index, total, value, radius, center) => {
+  const angle = -Math.PI / 2 + (2 * Math.PI * index) / total;
+  const distance = (radius * value) / 100;
+  return {
+    x: Math.round((center.x + distance * Math.cos(angle)) * 10) / 10,
+    y: Math.round((center.y + distance * Math.sin(angle)) * 10) / 10
+  };
+};
+
+/**
+ * Parte una etiqueta en líneas de hasta maxChars caracteres (sin cortar palabras)
+ * @param {string} text - Etiqueta
+ * @param {number} maxChars - Largo máximo de cada línea
+ * @returns {string[]}
+ */
+export const wrapLabel = (text, maxChars) => text
+  .split(' ')
+  .reduce((lines, word) => {
+    const current = lines[lines.length - 1];
+    if (current && `${current} ${word}`.length <= maxChars) {
+      return [...lines.slice(0, -1), `${current} ${word}`];
+    }
+    return [...lines, word];
+  }, []);
+
+/**
+ * Atributo "points" de un polígono SVG
+ * @param {{x: number, y: number}[]} points - Vértices
+ * @returns {string}
+ */
+export const toPolygonPoints = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+/**
+ * Fecha de adopción de una habilidad como año con decimales (2024-07 → 2024.5)
+ * @param {Object} skill - Habilidad con "evidence.since"
+ * @returns {number}
+ */
+export const getAdoptionValue = (skill) => {
+  const [year, month = 1] = skill.evidence.since.split('-').map(Number);
+  return year + (month - 1) / 12;
+};
+
+/**
+ * Habilidades con nivel calculado, sin repetir las que figuran en varias categorías
+ * @param {Object[]} categories - Categorías con "technologies"
+ * @returns {Object[]} Habilidades ordenadas por fecha de adopción y nombre
+ */
+export const getScoredSkills = (categories) => {
+  const seen = new Set();
+  return categories
+    .flatMap(category => category.technologies)
+    .filter(skill => {
+      const slug = toUrlSlug(skill.name);
+      if (!skill.evidence || seen.has(slug)) {
+        return false;
+      }
+      seen.add(slug);
+      return true;
+    })
+    .sort((a, b) => getAdoptionValue(a) - getAdoptionValue(b) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Años calendario que cubre la matriz, desde la primera adopción hasta la fecha de referencia
+ * @param {Object[]} skills - Resultado de getScoredSkills
+ * @param {Date} [referenceDate] - Fecha de referencia (por defecto hoy)
+ * @returns {number[]}
+ */
+export const getYearRange = (skills, referenceDate = new Date()) => {
+  const lastYear = referenceDate.getFullYear();
+  const firstYear = skills.reduce(
+    (first, skill) => Math.min(first, Math.floor(getAdoptionValue(skill))),
+    lastYear
+  );
+  return Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index);
+};
+
+/**
+ * Habilidades agrupadas por año de adopción
+ * @param {Object[]} skills - Resultado de getScoredSkills
+ * @returns {{year: number, skills: Object[]}[]}
+ */
+export const getAdoptionTimeline = (skills) => {
+  const groups = new Map();
+  skills.forEach(skill => {
+    const year = Math.floor(getAdoptionValue(skill));
+    if (!groups.has(year)) {
+      groups.set(year, []);
+    }
+    groups.get(year).push(skill);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([year, items]) => ({ year, skills: items }));
+};
+
+const skillCharts = {
+  getCategoryProficiency,
+  getRadarPoint,
+  wrapLabel,
+  toPolygonPoints,
+  getAdoptionValue,
+  getScoredSkills,
+  getYearRange,
+  getAdoptionTimeline
+};
+
+export default skillCharts;
@@ -0,0 +1,77 @@
+import {
+  getCategoryProficiency,
+  getRadarPoint,
+  wrapLabel,
+  toPolygonPoints,
+  getAdoptionValue,
+  getScoredSkills,
+  getYearRange,
+  getAdoptionTimeline
+} from './skillCharts';
+
+const skill = (name, level, since) => ({ name, level, evidence: { since } });
+
+const CATEGORIES = [
+  {
+    id: 'frontend',
+    title: 'Frontend',
+    technologies: [skill('React.js', 90, '2023-07'), skill('CSS', 70, '2022')]
+  },
+  {
+    id: 'soft',
+    title: 'Habilidades blandas',
+    technologies: [{ name: 'Comunicación', scored: false }, skill('Programación', 60, '2022-03')]
+  },
+  {
+    id: 'education',
+    title: 'Formación',
+    technologies: [{ name: 'Analista de Sistemas', scored: false }]
+  },
+  {
+    id: 'backend',
+    title: 'Backend',
+    technologies: [skill('React.js', 90, '2023-07'), skill('Node.js', 75, '2024')]
+  }
+];
+
+describe('getCategoryProficiency', () => {
+  test('promedia solo las habilidades con nivel y omite las categorías sin ninguna', () => {
+    expect(getCategoryProficiency(CATEGORIES)).toEqual([
+      { id: 'frontend', title: 'Frontend', value: 80, count: 2 },
+      { id: 'soft', title: 'Habilidades blandas', value: 60, count: 1 },
+      { id: 'backend', title: 'Backend', value: 83, count: 2 }
+    ]);
+  });
+});
+
+describe('geometría del radar', () => {
+  test('el primer eje apunta hacia arriba y el valor escala el radio', () => {
+    const center = { x: 100, y: 100 };
+    expect(getRadarPoint(0, 4, 100, 50, center)).toEqual({ x: 100, y: 50 });
+    expect(getRadarPoint(1, 4, 50, 50, center)).toEqual({ x: 125, y: 100 });
+    expect(toPolygonPoints([{ x: 1, y: 2 }, { x: 3, y: 4 }])).toBe('1,2 3,4');
+  });
+
+  test('parte las etiquetas sin cortar palabras', () => {
+    expect(wrapLabel('Herramientas de desarrollo', 14)).toEqual(['Herramientas', 'de desarrollo']);
+  });
+});
+
+describe('habilidades con fecha de adopción', () => {
+  test('convierte el inicio en año con decimales', () => {
+    expect(getAdoptionValue(skill('React.js', 90, '2023-07'))).toBe(2023.5);
+    expect(getAdoptionValue(skill('CSS', 70, '2022'))).toBe(2022);
+  });
+
+  test('descarta las no medidas y las repetidas, ordenando por adopción', () => {
+    expect(getScoredSkills(CATEGORIES).map(item => item.name))
+      .toEqual(['CSS', 'Programación', 'React.js', 'Node.js']);
+  });
+
+  test('agrupa por año y cubre hasta la fecha de referencia', () => {
+    const skills = getScoredSkills(CATEGORIES);
+    expect(getYearRange(skills, new Date(2025, 5, 1))).toEqual([2022, 2023, 2024, 2025]);
+    expect(getAdoptionTimeline(skills).map(group => [group.year, group.skills.length]))
+      .toEqual([[2022, 2], [2023, 1], [2024, 1]]);
+  });
+});
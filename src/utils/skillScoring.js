@@ -0,0 +1,152 @@
+/**
+ * Puntuación de habilidades basada en evidencias
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: calcular el nivel (0-100) y la experiencia de una
+ *   habilidad a partir de los datos del CV, con la rúbrica de constants/skillScoring
+ *
+ * BUENAS PRÁCTICAS:
+ * - Funciones puras: reciben el documento y la fecha de referencia
+ * - Las relaciones con proyectos y certificados se resuelven igual que en
+ *   KnowledgeGraphService (términos comparados como slug)
+ * - Se puede usar desde el navegador y desde los scripts de Node
+ */
+
+import { toUrlSlug } from '../constants/routes';
+import { SKILL_SCORING, USAGE_WEIGHTS, DEFAULT_USAGE } from '../constants/skillScoring';
+import { t } from '../services/I18nService';
+
+/**
+ * Términos con los que un proyecto se relaciona
+ * @param {Object} project - Proyecto del CV
+ * @returns {string[]} Slugs sin repetir
+ */
+export const getProjectTerms = (project) => [
+  ...new Set([...(project.tags || []), ...(project.relatedSkills || [])].map(toUrlSlug))
+];
+
+/**
+ * Términos con los que un certificado se relaciona
+ * @param {Object} certificate - Certificado del CV
+ * @returns {string[]} Slugs sin repetir
+ */
+export const getCertificateTerms = (certificate) => [
+  ...new Set([...(certificate.skills || []), ...(certificate.relatedSkills || [])].map(toUrlSlug))
+];
+
+/**
+ * Meses completos transcurridos desde una fecha del esquema
+ * @param {string|number} since - Fecha de inicio (YYYY o YYYY-MM)
+ * @param {Date} referenceDate - Fecha de referencia
+ * @returns {number}
+ */
+export const getMonthsSince = (since, referenceDate = new Date()) => {
+  const [year, month = 1] = String(since).split('-').map(Number);
+  if (!year || !(month >= 1 && month <= 12)) {
+    return 0;
+  }
+  const months = (referenceDate.getFullYear() - year) * 12 + (referenceDate.getMonth() + 1 - month);
+  return Math.max(0, months);
+};
+
+/**
+ * Texto de una experiencia en meses ("6 meses", "3 años")
+ * @param {number} months - Meses de experiencia
+ * @returns {string}
+ */
+export const formatExperience = (months) => (
+  months < 12
+    ? t('common.months', { count: Math.max(1, months) })
+    : t('common.years', { count: Math.floor(months / 12) })
+);
+
+/**
+ * Reúne las evidencias de una habilidad
+ * @param {Object} skill - Habilidad del CV
+ * @param {Object} context - Datos para medir la habilidad
+ * @param {Object[]} context.projects - Proyectos del CV
+ * @param {Object[]} context.certificates - Certificados del CV (lista plana)
+ * @param {string|number} context.defaultSince - Inicio cuando la habilidad no declara "since"
+ * @param {Date} [context.referenceDate] - Fecha de referencia (por defecto hoy)
+ * @returns {{since: string, months: number, usage: string, projectCount: number, certificateHours: number}}
+ */
+export const collectSkillEvidence = (skill, { projects, certificates, defaultSince, referenceDate = new Date() }) => {
+  const slug = toUrlSlug(skill.name);
+  const since = String(skill.since || defaultSince);
+  const relatedCertificates = certificates.filter(certificate => getCertificateTerms(certificate).includes(slug));
+
+  return {
+    since,
+    months: getMonthsSince(since, referenceDate),
+    usage: Object.keys(USAGE_WEIGHTS).includes(skill.usage) ? skill.usage : DEFAULT_USAGE,
+    projectCount: projects.filter(project => getProjectTerms(project).includes(slug)).length,
+    certificateHours: relatedCertificates.reduce((total, certificate) => total + Math.max(0, Number(certificate.hours) || 0), 0)
+  };
+};
+
+/**
+ * Proporción de una evidencia respecto de su tope, entre 0 y 1 (0 si no es un número)
+ * @param {number} value - Evidencia
+ * @param {number} full - Valor con el que se obtienen todos los puntos
+ * @returns {number}
+ */
+const toRatio = (value, full) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value / full)) : 0);
+
+/**
+ * Aplica la rúbrica a las evidencias de una habilidad
+ * @param {Object} evidence - Resultado de collectSkillEvidence
+ * @returns {{score: number, breakdown: {time: number, usage: number, projects: number, certificates: number}}}
+ */
+export const scoreEvidence = (evidence) => {
+  const { time, usage, projects, certificates } = SKILL_SCORING;
+  const breakdown = {
+    time: time.points * toRatio(evidence.months / 12, time.fullYears),
+    usage: usage.points * USAGE_WEIGHTS[evidence.usage],
+    projects: projects.points * toRatio(evidence.projectCount, projects.fullCount),
+    certificates: certificates.points * toRatio(evidence.certificateHours, certificates.fullHours)
+  };
+
+  const rounded = Object.fromEntries(
+    Object.entries(breakdown).map(([key, value]) => [key, Math.round(value)])
+  );
+  const score = Math.round(Object.values(breakdown).reduce((total, value) => total + value, 0));
+
+  return { score: Math.min(100, score), breakdown: rounded };
+};
+
+/**
+ * Calcula nivel y experiencia de una habilidad
+ * Las habilidades que no se pueden medir ("scored": false, como las blandas
+ * y la formación) se devuelven sin cambios, sin nivel ni experiencia
+ * @param {Object} skill - Habilidad del CV
+ * @param {Object} context - Ver collectSkillEvidence
+ * @returns {Object} Habilidad con level, experience, evidence y breakdown
+ */
+export const scoreSkill = (skill, context) => {
+  if (skill.scored === false) {
+    return skill;
+  }
+
+  const evidence = collectSkillEvidence(skill, context);
+  const { score, breakdown } = scoreEvidence(evidence);
+
+  return {
+    ...skill,
+    level: score,
+    experience: formatExperience(evidence.months),
+    evidence,
+    breakdown
+  };
+};
+
+const skillScoring = {
+  getProjectTerms,
+  getCertificateTerms,
+  getMonthsSince,
+  formatExperience,
+  collectSkillEvidence,
+  scoreEvidence,
+  scoreSkill
+};
+
+export default skillScoring;
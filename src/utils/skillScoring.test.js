@@ -0,0 +1,142 @@
+import { SKILL_SCORING, DEFAULT_USAGE } from '../constants/skillScoring';
+import { getExperienceLevel } from '../constants/experienceLevels';
+import {
+  getProjectTerms, getCertificateTerms, getMonthsSince, collectSkillEvidence, scoreEvidence, scoreSkill
+} from './skillScoring';
+
+const REFERENCE_DATE = new Date(2026, 9, 18);
+const MAX_SCORE = Object.values(SKILL_SCORING).reduce((total, { points }) => total + points, 0);
+
+const context = (overrides = {}) => ({
+  projects: [],
+  certificates: [],
+  defaultSince: '2022',
+  referenceDate: REFERENCE_DATE,
+  ...overrides
+});
+
+describe('rúbrica', () => {
+  test('los pesos suman 100', () => {
+    expect(MAX_SCORE).toBe(100);
+  });
+});
+
+describe('getMonthsSince', () => {
+  test('cuenta los meses completos', () => {
+    expect(getMonthsSince('2026', REFERENCE_DATE)).toBe(9);
+    expect(getMonthsSince('2025-10', REFERENCE_DATE)).toBe(12);
+    expect(getMonthsSince(2020, REFERENCE_DATE)).toBe(81);
+  });
+
+  test.each([
+    ['una fecha futura', '2030'],
+    ['texto libre', 'hace mucho'],
+    ['un mes inexistente', '2020-13'],
+    ['un mes que no es número', '2020-xx'],
+    ['vacío', ''],
+    ['null', null]
+  ])('devuelve 0 con %s', (label, since) => {
+    expect(getMonthsSince(since, REFERENCE_DATE)).toBe(0);
+  });
+});
+
+describe('términos relacionados', () => {
+  test('compara tags y relatedSkills como slug sin repetir', () => {
+    expect(getProjectTerms({ tags: ['React', 'Node.js'], relatedSkills: ['react'] })).toEqual(['react', 'node-js']);
+    expect(getCertificateTerms({ skills: ['C#'], relatedSkills: ['C++'] })).toEqual(['c-sharp', 'c-plus-plus']);
+    expect(getProjectTerms({})).toEqual([]);
+  });
+});
+
+describe('collectSkillEvidence', () => {
+  const projects = [
+    { tags: ['React'] },
+    { relatedSkills: ['react'] },
+    { tags: ['Vue'] }
+  ];
+  const certificates = [
+    { skills: ['React'], hours: 40 },
+    { relatedSkills: ['React'], hours: '20' },
+    { skills: ['Vue'], hours: 500 }
+  ];
+
+  test('reúne tiempo, frecuencia, proyectos y horas relacionadas', () => {
+    const evidence = collectSkillEvidence({ name: 'React', since: '2024-10', usage: 'daily' }, context({ projects, certificates }));
+    expect(evidence).toEqual({ since: '2024-10', months: 24, usage: 'daily', projectCount: 2, certificateHours: 60 });
+  });
+
+  test('usa defaultSince y la frecuencia por defecto', () => {
+    const evidence = collectSkillEvidence({ name: 'Go' }, context());
+    expect(evidence.since).toBe('2022');
+    expect(evidence.usage).toBe(DEFAULT_USAGE);
+  });
+
+  test.each(['always', 'toString', 'constructor', '__proto__'])('ignora la frecuencia desconocida "%s"', (usage) => {
+    expect(collectSkillEvidence({ name: 'Go', usage }, context()).usage).toBe(DEFAULT_USAGE);
+  });
+
+  test('las horas negativas o no numéricas no restan', () => {
+    const forged = [
+      { skills: ['React'], hours: 100 },
+      { skills: ['React'], hours: -1000 },
+      { skills: ['React'], hours: 'muchas' }
+    ];
+    expect(collectSkillEvidence({ name: 'React' }, context({ certificates: forged })).certificateHours).toBe(100);
+  });
+});
+
+describe('scoreEvidence', () => {
+  test('da todos los puntos al llegar a cada tope', () => {
+    const { score, breakdown } = scoreEvidence({
+      months: SKILL_SCORING.time.fullYears * 12,
+      usage: 'daily',
+      projectCount: SKILL_SCORING.projects.fullCount,
+      certificateHours: SKILL_SCORING.certificates.fullHours
+    });
+    expect(score).toBe(100);
+    expect(breakdown).toEqual({ time: 45, usage: 30, projects: 15, certificates: 10 });
+  });
+
+  test('no supera 100 con evidencias exageradas', () => {
+    const { score, breakdown } = scoreEvidence({ months: 600, usage: 'daily', projectCount: 50, certificateHours: 100000 });
+    expect(score).toBe(100);
+    expect(breakdown).toEqual({ time: 45, usage: 30, projects: 15, certificates: 10 });
+  });
+
+  test('no baja de 0 con evidencias negativas o no numéricas', () => {
+    const { score, breakdown } = scoreEvidence({ months: -24, usage: 'occasional', projectCount: NaN, certificateHours: -500 });
+    expect(breakdown).toEqual({ time: 0, usage: 6, projects: 0, certificates: 0 });
+    expect(score).toBe(6);
+  });
+
+  test('suma las proporciones de cada evidencia', () => {
+    const { score, breakdown } = scoreEvidence({ months: 24, usage: 'weekly', projectCount: 1, certificateHours: 80 });
+    expect(breakdown).toEqual({ time: 23, usage: 21, projects: 8, certificates: 5 });
+    expect(score).toBe(56);
+    expect(getExperienceLevel(score)).toBe(getExperienceLevel(45));
+  });
+});
+
+describe('scoreSkill', () => {
+  test('deja sin nivel ni experiencia las habilidades con "scored": false', () => {
+    const skill = { name: 'Comunicación', scored: false };
+    expect(scoreSkill(skill, context())).toBe(skill);
+  });
+
+  test('agrega nivel, experiencia, evidencias y desglose', () => {
+    const scored = scoreSkill({ name: 'JavaScript', since: '2022', usage: 'daily' }, context());
+    expect(scored.level).toBeGreaterThan(0);
+    expect(scored.level).toBeLessThanOrEqual(100);
+    expect(typeof scored.experience).toBe('string');
+    expect(scored.evidence.months).toBe(57);
+    expect(Object.keys(scored.breakdown)).toEqual(['time', 'usage', 'projects', 'certificates']);
+  });
+
+  test('una habilidad con datos inválidos queda con un nivel numérico', () => {
+    const scored = scoreSkill({ name: 'Rust', since: 'pronto', usage: 'siempre' }, context({
+      certificates: [{ skills: ['Rust'], hours: -80 }]
+    }));
+    expect(Number.isFinite(scored.level)).toBe(true);
+    expect(scored.level).toBe(Math.round(SKILL_SCORING.usage.points * 0.7));
+  });
+});
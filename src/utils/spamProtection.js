@@ -0,0 +1,219 @@
+/**
+ * Protección contra spam del formulario de contacto
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: reglas y comprobaciones antispam, sin estado ni
+ *   acceso al navegador (el estado vive en SpamGuardService y en server/)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Defensas en capas y sin CAPTCHAs de terceros: campo trampa (honeypot),
+ *   tiempo mínimo de llenado, prueba de trabajo, límite de envíos y
+ *   heurísticas de contenido para el spam de enlaces
+ * - Las mismas funciones se usan en el formulario y en la API de contacto
+ * - La prueba de trabajo recibe SubtleCrypto como parámetro
+ *   (window.crypto.subtle en el navegador, crypto.webcrypto.subtle en Node)
+ */
+
+import { t } from '../services/I18nService';
+
+/**
+ * Reglas antispam
+ */
+export const SPAM_RULES = {
+  // Campo oculto que las personas no completan
+  honeypotField: 'website',
+  // Tiempo mínimo entre que se abre el formulario y se envía
+  minFillMs: 3000,
+  // Bits en cero al inicio del hash SHA-256 (12 ≈ 4.000 intentos)
+  powDifficulty: 12,
+  // Antigüedad máxima de una prueba; también limita la cola sin conexión
+  // (CONTACT_QUEUE.maxAgeMs), porque un mensaje en cola se reenvía con su prueba
+  proofMaxAgeMs: 24 * 60 * 60 * 1000,
+  // Enlaces permitidos en el mensaje
+  maxLinks: 2,
+  // Envíos por navegador
+  browserLimit: { max: 3, windowMs: 60 * 60 * 1000 }
+};
+
+/**
+ * Motivos de rechazo
+ */
+export const SPAM_REASONS = {
+  honeypot: 'honeypot',
+  tooFast: 'tooFast',
+  invalidProof: 'invalidProof',
+  replayedProof: 'replayedProof',
+  rateLimited: 'rateLimited',
+  linkSpam: 'linkSpam'
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const LINK_MARKUP_PATTERN = /<a\s[^>]*href|\[url[=\]]|\[link[=\]]/i;
+
+/**
+ * Cuenta los enlaces de un texto
+ * @param {string} text - Texto
+ * @returns {number}
+ */
+export const countLinks = (text) => (String(text || '').match(LINK_PATTERN) || []).length;
+
+/**
+ * Heurísticas de contenido para el spam de enlaces
+ * - linkNotAllowed: enlaces en el nombre o el asunto
+ * - tooManyLinks: más de rules.maxLinks enlaces en el mensaje
+ * - linkMarkup: etiquetas de enlace HTML o BBCode en el mensaje
+ * @param {{name: string, subject: string, message: string}} message - Mensaje
+ * @param {Object} rules - Reglas (por defecto SPAM_RULES)
+ * @returns {Object<string, string>} Código de problema por campo (vacío si no hay)
+ */
+export const analyzeContent = (message, rules = SPAM_RULES) => {
+  const issues = {};
+  ['name', 'subject']
+    .filter(field => countLinks(message[field]) > 0)
+    .forEach(field => { issues[field] = 'linkNotAllowed'; });
+
+  if (LINK_MARKUP_PATTERN.test(String(message.message || ''))) {
+    issues.message = 'linkMarkup';
+  } else if (countLinks(message.message) > rules.maxLinks) {
+    issues.message = 'tooManyLinks';
+  }
+  return issues;
+};
+
+/**
+ * Mensajes de error por campo para los problemas de contenido
+ * @param {Object<string, string>} issues - Resultado de analyzeContent
+ * @param {Object} rules - Reglas (por defecto SPAM_RULES)
+ * @returns {Object<string, string>}
+ */
+export const describeContentIssues = (issues, rules = SPAM_RULES) => Object.fromEntries(
+  Object.entries(issues).map(([field, code]) => [field, t(`form.errors.${code}`, { count: rules.maxLinks })])
+);
+
+/**
+ * Envíos recientes dentro de la ventana del límite
+ * @param {number[]} timestamps - Instantes de los envíos anteriores (ms)
+ * @param {number} now - Instante actual (ms)
+ * @param {{max: number, windowMs: number}} limit - Límite
+ * @returns {{allowed: boolean, recent: number[], retryAfterMs: number}}
+ */
+export const checkRateLimit = (timestamps, now, limit) => {
+  const recent = timestamps.filter(time => now - time < limit.windowMs).sort((a, b) => a - b);
+  const allowed = recent.length < limit.max;
+  return {
+    allowed,
+    recent,
+    retryAfterMs: allowed ? 0 : recent[recent.length - limit.max] + limit.windowMs - now
+  };
+};
+
+/**
+ * Cuenta los bits en cero al inicio de un hash
+ * @param {Uint8Array} bytes - Hash
+ * @returns {number}
+ */
+export const countLeadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * Hash SHA-256 de un texto ASCII (el desafío solo tiene números, letras y ":")
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @param {string} text - Texto
+ * @returns {Promise<Uint8Array>}
+ */
+const sha256 = async (subtle, text) => (
+  new Uint8Array(await subtle.digest('SHA-256', Uint8Array.from(text, char => char.charCodeAt(0))))
+);
+
+/**
+ * Desafío de la prueba de trabajo: inicio del formulario y un valor aleatorio
+ * @param {{startedAt: number, salt: string}} proof - Datos de la sesión del formulario
+ * @returns {string}
+ */
+export const getChallenge = ({ startedAt, salt }) => `${startedAt}:${salt}`;
+
+/**
+ * Busca el nonce que deja el hash del desafío con la dificultad pedida
+ * @param {string} challenge - Desafío
+ * @param {number} difficulty - Bits en cero requeridos
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @returns {Promise<number>}
+ */
+export const solveProofOfWork = async (challenge, difficulty, subtle) => {
+  let nonce = 0;
+  while (countLeadingZeroBits(await sha256(subtle, `${challenge}:${nonce}`)) < difficulty) {
+    nonce += 1;
+  }
+  return nonce;
+};
+
+/**
+ * Verifica una prueba de trabajo
+ * @param {{startedAt: number, salt: string, nonce: number}} proof - Prueba recibida
+ * @param {number} difficulty - Bits en cero requeridos
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @returns {Promise<boolean>}
+ */
+export const verifyProofOfWork = async (proof, difficulty, subtle) => {
+  if (!proof || !Number.isInteger(proof.startedAt) || !Number.isInteger(proof.nonce)
+    || typeof proof.salt !== 'string' || !/^[a-z0-9]{8,32}$/.test(proof.salt)) {
+    return false;
+  }
+  return countLeadingZeroBits(await sha256(subtle, `${getChallenge(proof)}:${proof.nonce}`)) >= difficulty;
+};
+
+/**
+ * Comprueba una prueba antispam recibida (campo trampa, tiempo y prueba de trabajo)
+ * El tiempo de llenado se mide con el reloj de quien verifica (now - startedAt):
+ * un startedAt en el futuro o más antiguo que proofMaxAgeMs invalida la prueba
+ * No detecta pruebas reutilizadas: eso requiere estado (ver server/spamGuard.js)
+ * @param {Object|null} antiSpam - { honeypot, startedAt, salt, nonce }
+ * @param {number} now - Instante actual (ms)
+ * @param {SubtleCrypto} subtle - Implementación de Web Crypto
+ * @param {Object} rules - Reglas (por defecto SPAM_RULES)
+ * @returns {Promise<string|null>} Motivo de rechazo (SPAM_REASONS) o null si pasa
+ */
+export const checkSubmissionProof = async (antiSpam, now, subtle, rules = SPAM_RULES) => {
+  if (!antiSpam) {
+    return SPAM_REASONS.invalidProof;
+  }
+  if (antiSpam.honeypot) {
+    return SPAM_REASONS.honeypot;
+  }
+  const fillMs = now - antiSpam.startedAt;
+  if (!Number.isInteger(antiSpam.startedAt) || fillMs < 0 || fillMs > rules.proofMaxAgeMs) {
+    return SPAM_REASONS.invalidProof;
+  }
+  if (fillMs < rules.minFillMs) {
+    return SPAM_REASONS.tooFast;
+  }
+  if (!(await verifyProofOfWork(antiSpam, rules.powDifficulty, subtle))) {
+    return SPAM_REASONS.invalidProof;
+  }
+  return null;
+};
+
+const spamProtection = {
+  SPAM_RULES,
+  SPAM_REASONS,
+  countLinks,
+  analyzeContent,
+  describeContentIssues,
+  checkRateLimit,
+  countLeadingZeroBits,
+  getChallenge,
+  solveProofOfWork,
+  verifyProofOfWork,
+  checkSubmissionProof
+};
+
+export default spamProtection;
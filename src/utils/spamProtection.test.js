@@ -0,0 +1,110 @@
+import { webcrypto } from 'crypto';
+import {
+  SPAM_RULES, SPAM_REASONS, analyzeContent, checkRateLimit, countLeadingZeroBits,
+  getChallenge, solveProofOfWork, verifyProofOfWork, checkSubmissionProof
+} from './spamProtection';
+
+const { subtle } = webcrypto;
+
+// Dificultad baja para que las pruebas sean rápidas
+const RULES = { ...SPAM_RULES, powDifficulty: 8 };
+const NOW = 1767225600000;
+
+/**
+ * Prueba válida iniciada "elapsedMs" antes de NOW
+ */
+const createProof = async (elapsedMs = 10000, salt = 'abcdef12') => {
+  const session = { startedAt: NOW - elapsedMs, salt };
+  return { ...session, nonce: await solveProofOfWork(getChallenge(session), RULES.powDifficulty, subtle) };
+};
+
+describe('prueba de trabajo', () => {
+  test('countLeadingZeroBits cuenta los bits en cero iniciales', () => {
+    expect(countLeadingZeroBits(new Uint8Array([0, 0x0f, 0xff]))).toBe(12);
+    expect(countLeadingZeroBits(new Uint8Array([0x80]))).toBe(0);
+    expect(countLeadingZeroBits(new Uint8Array([0, 0]))).toBe(16);
+  });
+
+  test('verifica un nonce resuelto', async () => {
+    const proof = await createProof();
+    expect(await verifyProofOfWork(proof, RULES.powDifficulty, subtle)).toBe(true);
+  });
+
+  test('rechaza un nonce que no corresponde al desafío', async () => {
+    const proof = await createProof();
+    const forged = { ...proof, startedAt: proof.startedAt - 1 };
+    expect(await verifyProofOfWork(forged, RULES.powDifficulty, subtle)).toBe(false);
+  });
+
+  test.each([
+    ['sin prueba', null],
+    ['startedAt no entero', { startedAt: '1000', salt: 'abcdef12', nonce: 1 }],
+    ['nonce no entero', { startedAt: 1000, salt: 'abcdef12', nonce: 1.5 }],
+    ['salt demasiado corto', { startedAt: 1000, salt: 'abc', nonce: 1 }],
+    ['salt con caracteres no permitidos', { startedAt: 1000, salt: 'ABC:DEF:12', nonce: 1 }]
+  ])('rechaza una prueba mal formada: %s', async (label, proof) => {
+    expect(await verifyProofOfWork(proof, 0, subtle)).toBe(false);
+  });
+});
+
+describe('checkSubmissionProof', () => {
+  test('acepta una prueba válida', async () => {
+    expect(await checkSubmissionProof(await createProof(), NOW, subtle, RULES)).toBeNull();
+  });
+
+  test('rechaza un envío sin prueba', async () => {
+    expect(await checkSubmissionProof(null, NOW, subtle, RULES)).toBe(SPAM_REASONS.invalidProof);
+  });
+
+  test('rechaza el campo trampa completado', async () => {
+    const proof = { ...(await createProof()), honeypot: 'https://spam.test' };
+    expect(await checkSubmissionProof(proof, NOW, subtle, RULES)).toBe(SPAM_REASONS.honeypot);
+  });
+
+  test('calcula el tiempo de llenado e ignora un "fillMs" falso', async () => {
+    const proof = { ...(await createProof(1000)), fillMs: 60000 };
+    expect(await checkSubmissionProof(proof, NOW, subtle, RULES)).toBe(SPAM_REASONS.tooFast);
+  });
+
+  test('rechaza un inicio en el futuro', async () => {
+    const proof = await createProof(-60000);
+    expect(await checkSubmissionProof(proof, NOW, subtle, RULES)).toBe(SPAM_REASONS.invalidProof);
+  });
+
+  test('rechaza una prueba más antigua que proofMaxAgeMs', async () => {
+    const proof = await createProof(RULES.proofMaxAgeMs + 1);
+    expect(await checkSubmissionProof(proof, NOW, subtle, RULES)).toBe(SPAM_REASONS.invalidProof);
+  });
+
+  test('rechaza una prueba de trabajo falsa', async () => {
+    const proof = { ...(await createProof()), salt: 'zzzzzzzz' };
+    expect(await checkSubmissionProof(proof, NOW, subtle, RULES)).toBe(SPAM_REASONS.invalidProof);
+  });
+});
+
+describe('heurísticas de contenido', () => {
+  const message = { name: 'Ana', email: 'ana@example.org', subject: 'Hola', message: 'Ver https://a.test y https://b.test' };
+
+  test('acepta hasta maxLinks enlaces en el mensaje', () => {
+    expect(analyzeContent(message)).toEqual({});
+  });
+
+  test('detecta el spam de enlaces', () => {
+    expect(analyzeContent({ ...message, message: `${message.message} www.c.test` })).toEqual({ message: 'tooManyLinks' });
+    expect(analyzeContent({ ...message, name: 'http://spam.test' })).toEqual({ name: 'linkNotAllowed' });
+    expect(analyzeContent({ ...message, message: '<a href="https://spam.test">oferta</a>' })).toEqual({ message: 'linkMarkup' });
+    expect(analyzeContent({ ...message, message: '[url=https://spam.test]oferta[/url]' })).toEqual({ message: 'linkMarkup' });
+  });
+});
+
+describe('checkRateLimit', () => {
+  test('bloquea al superar el límite e informa cuándo reintentar', () => {
+    expect(checkRateLimit([1000, 2000, 3000, 0], 3500, { max: 3, windowMs: 3000 }))
+      .toEqual({ allowed: false, recent: [1000, 2000, 3000], retryAfterMs: 500 });
+  });
+
+  test('descarta los envíos fuera de la ventana', () => {
+    expect(checkRateLimit([0, 100], 5000, { max: 1, windowMs: 3000 }))
+      .toEqual({ allowed: true, recent: [], retryAfterMs: 0 });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Datos estructurados Schema.org (JSON-LD)
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: describir el CV con el vocabulario de schema.org
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos como parámetro (por defecto cvDataService)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Un único grafo (@graph) con identificadores (@id) para enlazar entidades
+ * - Funciones puras: el hook de la App solo inserta el resultado en el <head>
+ *
+ * Vocabulario de referencia: https://schema.org/Person,
+ * https://schema.org/CreativeWork y https://schema.org/EducationalOccupationalCredential
+ */
+
+import cvDataService from '../services/CVDataService';
+import { toIsoDate } from './jsonResume';
+import { CERTIFICATE_LIFECYCLE } from './certificateLifecycle';
+
+/**
+ * Id del elemento <script> donde se insertan los datos estructurados
+ */
+export const STRUCTURED_DATA_SCRIPT_ID = 'cv-structured-data';
+
+/**
+ * Códigos BCP 47 de los idiomas del perfil (nombres en español y en inglés,
+ * según el idioma activo del CV)
+ */
+const LANGUAGE_CODES = {
+  Español: 'es',
+  Inglés: 'en',
+  Portugués: 'pt',
+  Francés: 'fr',
+  Italiano: 'it',
+  Alemán: 'de',
+  Spanish: 'es',
+  English: 'en',
+  Portuguese: 'pt',
+  French: 'fr',
+  Italian: 'it',
+  German: 'de'
+};
+
+/**
+ * Elimina claves sin valor para un JSON-LD más limpio
+ * @param {Object} object - Objeto a limpiar
+ * @returns {Object}
+ */
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+/**
+ * Construye el grafo JSON-LD del CV
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {Object} Documento JSON-LD con Person, CreativeWork y EducationalOccupationalCredential
+ */
+export const buildStructuredData = (dataService = cvDataService) => {
+  const profile = dataService.getProfile();
+  const contact = dataService.getContact();
+  const { portfolio, ...networks } = contact.social;
+  const siteUrl = String(portfolio || '').replace(/\/+$/, '');
+  const personId = `${siteUrl}/#person`;
+
+  // Solo se declaran credenciales obtenidas y vigentes (ni planificadas, ni en curso, ni vencidas)
+  const credentials = dataService.getCertificates()
+    .filter(certificate => [CERTIFICATE_LIFECYCLE.completed, CERTIFICATE_LIFECYCLE.renewed].includes(certificate.lifecycle))
+    .map(certificate => compact({
+      '@type': 'EducationalOccupationalCredential',
+      '@id': `${siteUrl}/#credential-${certificate.id}`,
+      name: certificate.title,
+      description: certificate.description,
+      credentialCategory: 'certificate',
+      identifier: certificate.credentialId,
+      dateCreated: toIsoDate(certificate.issueDate || certificate.date),
+      expires: toIsoDate(certificate.expiryDate),
+      keywords: certificate.skills && certificate.skills.join(', '),
+      url: certificate.asset ? `${siteUrl}/${certificate.asset}` : undefined,
+      recognizedBy: {
+        '@type': 'Organization',
+        name: certificate.institution
+      }
+    }));
+
+  const projects = dataService.getProjects().map(project => compact({
+    '@type': 'CreativeWork',
+    '@id': `${siteUrl}/#project-${project.id}`,
+    name: project.name,
+    description: project.description,
+    url: project.url,
+    creator: { '@id': personId }
+  }));
+
+  const person = compact({
+    '@type': 'Person',
+    '@id': personId,
+    name: profile.name,
+    jobTitle: profile.title,
+    description: profile.bio,
+    url: portfolio,
+    email: `mailto:${contact.email}`,
+    telephone: contact.phone,
+    address: compact({
+      '@type': 'PostalAddress',
+      addressCountry: profile.countryCode
+    }),
+    sameAs: Object.values(networks),
+    knowsAbout: profile.mainTechnologies,
+    knowsLanguage: profile.languages.map(language => compact({
+      '@type': 'Language',
+      name: language.name,
+      alternateName: LANGUAGE_CODES[language.name]
+    })),
+    alumniOf: dataService.getEducation().map(study => ({
+      '@type': 'EducationalOrganization',
+      name: study.institution
+    })),
+    hasCredential: credentials.map(credential => ({ '@id': credential['@id'] }))
+  });
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [person, ...projects, ...credentials]
+  };
+};
+
+/**
+ * Serializa el JSON-LD para un <script>, escapando "<" para que el contenido
+ * no pueda cerrar la etiqueta
+ * @param {Object} data - Documento JSON-LD
+ * @returns {string}
+ */
+export const serializeStructuredData = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const structuredData = {
+  STRUCTURED_DATA_SCRIPT_ID,
+  buildStructuredData,
+  serializeStructuredData
+};
+
+export default structuredData;
@@ -0,0 +1,163 @@
+/**
+ * Generador de vCard 4.0
+ *
+ * PRINCIPIO SOLID: Single Responsibility Principle (SRP)
+ * - Responsabilidad única: serializar los datos de contacto del CV como vCard (RFC 6350)
+ *
+ * PRINCIPIO SOLID: Dependency Inversion Principle (DIP)
+ * - Recibe el servicio de datos como parámetro (por defecto cvDataService)
+ *
+ * BUENAS PRÁCTICAS:
+ * - Escapado de texto y plegado de líneas a 75 octetos según la RFC
+ * - Funciones puras, reutilizables desde el navegador y desde scripts de Node
+ */
+
+import cvDataService from '../services/CVDataService';
+import { t } from '../services/I18nService';
+
+/**
+ * Tipo MIME de las vCard
+ */
+export const VCARD_MIME_TYPE = 'text/vcard;charset=utf-8';
+
+/**
+ * Nombres de servicio para los perfiles sociales conocidos
+ */
+const SOCIAL_SERVICES = {
+  github: 'GitHub',
+  linkedin: 'LinkedIn'
+};
+
+/**
+ * Longitud máxima de una línea en octetos antes de plegarla
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapa un valor de texto (barra invertida, coma, punto y coma y saltos de línea)
+ * @param {string} value - Texto a escapar
+ * @returns {string}
+ */
+export const escapeVCardText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Cantidad de octetos UTF-8 de un carácter (code point)
+ * @param {string} char - Carácter
+ * @returns {number}
+ */
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Pliega una línea en segmentos de hasta 75 octetos UTF-8
+ * Las continuaciones empiezan con un espacio, sin cortar caracteres multibyte
+ * @param {string} line - Línea de contenido
+ * @returns {string}
+ */
+export const foldVCardLine = (line) => {
+  const segments = [];
+  let current = '';
+  let currentOctets = 0;
+
+  Array.from(line).forEach(char => {
+    const octets = utf8Length(char);
+    // Las continuaciones tienen un octeto menos disponible por el espacio inicial
+    const limit = segments.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      segments.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  });
+  segments.push(current);
+
+  return segments.join('\r\n ');
+};
+
+/**
+ * Convierte una zona horaria del CV ("UTC-3") a desplazamiento vCard ("-0300")
+ * @param {string} timezone - Zona horaria del perfil
+ * @returns {string|null}
+ */
+export const toUtcOffset = (timezone) => {
+  const match = String(timezone || '').match(/^UTC\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!match) {
+    return null;
+  }
+  const [, sign, hours, minutes = '00'] = match;
+  return `${sign}${hours.padStart(2, '0')}${minutes}`;
+};
+
+/**
+ * Separa el nombre completo en nombre y apellido (último término)
+ * @param {string} fullName - Nombre completo
+ * @returns {{given: string, family: string}}
+ */
+const splitName = (fullName) => {
+  const parts = String(fullName).trim().split(/\s+/);
+  const family = parts.length > 1 ? parts.pop() : '';
+  return { given: parts.join(' '), family };
+};
+
+/**
+ * Genera la vCard 4.0 del perfil
+ * @param {Object} dataService - Servicio de datos del CV (por defecto cvDataService)
+ * @returns {string} vCard con saltos de línea CRLF
+ */
+export const toVCard = (dataService = cvDataService) => {
+  const profile = dataService.getProfile();
+  const contact = dataService.getContact();
+  const { lastUpdated } = dataService.getMeta();
+  const { given, family } = splitName(profile.name);
+  const { portfolio, ...networks } = contact.social;
+  const availability = contact.availability || {};
+  const offset = toUtcOffset(profile.timezone);
+
+  const note = [
+    availability.workingDays && availability.workingHours && `${availability.workingDays}: ${availability.workingHours}`,
+    availability.responseTime && t('contact.availability.responseTime', { time: availability.responseTime })
+  ].filter(Boolean).join(' · ');
+
+  const properties = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'KIND:individual',
+    `FN:${escapeVCardText(profile.name)}`,
+    `N:${escapeVCardText(family)};${escapeVCardText(given)};;;`,
+    `TITLE:${escapeVCardText(profile.title)}`,
+    `EMAIL;TYPE=work:${contact.email}`,
+    `TEL;VALUE=uri;TYPE="cell,voice":tel:+${contact.phone.replace(/\D/g, '')}`,
+    `ADR;TYPE=work:;;;;;;${escapeVCardText(profile.location)}`,
+    offset && `TZ;VALUE=utc-offset:${offset}`,
+    portfolio && `URL:${portfolio}`,
+    ...Object.entries(networks).map(([network, url]) =>
+      `SOCIALPROFILE;SERVICE-TYPE=${SOCIAL_SERVICES[network] || network}:${url}`
+    ),
+    note && `NOTE:${escapeVCardText(note)}`,
+    lastUpdated && `REV:${String(lastUpdated).replace(/-/g, '')}T000000Z`,
+    'END:VCARD'
+  ].filter(Boolean);
+
+  return `${properties.map(foldVCardLine).join('\r\n')}\r\n`;
+};
+
+const vCard = {
+  VCARD_MIME_TYPE,
+  escapeVCardText,
+  foldVCardLine,
+  toUtcOffset,
+  toVCard
+};
+
+export default vCard;
@@ -12,6 +12,8 @@
  * - Los componentes dependen de estas abstracciones, no de implementaciones específicas
  */
 
+import { t } from '../services/I18nService';
+
 /**
  * Expresiones regulares para validaciones comunes
  * Centralizadas para facilitar mantenimiento y reutilización
@@ -26,17 +28,18 @@ export const VALIDATION_PATTERNS = {
 
 /**
  * Mensajes de error estándar para validaciones
- * Centralizados para consistencia y mantenimiento
+ * Claves del catálogo i18n: se traducen al validar para usar el idioma activo
  */
 export const VALIDATION_MESSAGES = {
-  REQUIRED: 'Este campo es obligatorio',
-  EMAIL_INVALID: 'Por favor, ingresa un email válido',
-  PHONE_INVALID: 'Por favor, ingresa un teléfono válido',
-  URL_INVALID: 'Por favor, ingresa una URL válida',
-  NAME_INVALID: 'El nombre debe contener solo letras y tener entre 2-50 caracteres',
-  USERNAME_INVALID: 'El usuario debe tener entre 3-20 caracteres (letras, números, _, -)',
-  MIN_LENGTH: (min) => `Debe tener al menos ${min} caracteres`,
-  MAX_LENGTH: (max) => `No puede tener más de ${max} caracteres`,
+  REQUIRED: 'validation.required',
+  EMAIL_INVALID: 'validation.emailInvalid',
+  PHONE_INVALID: 'validation.phoneInvalid',
+  URL_INVALID: 'validation.urlInvalid',
+  NAME_INVALID: 'validation.nameInvalid',
+  USERNAME_INVALID: 'validation.usernameInvalid',
+  NOT_A_STRING: 'validation.notAString',
+  MIN_LENGTH: (min) => t('validation.minLength', { count: min }),
+  MAX_LENGTH: (max) => t('validation.maxLength', { count: max }),
   CUSTOM: (message) => message
 };
 
@@ -88,10 +91,10 @@ export class BaseValidator {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static required(value, customMessage = VALIDATION_MESSAGES.REQUIRED) {
+  static required(value, customMessage = t(VALIDATION_MESSAGES.REQUIRED)) {
     const isEmpty = value === null || 
                    value === undefined || 
-                   (typeof value === 'string' && value.trim() === '') ||
+                   (typeof value === 'string' && trimmed(value) === '') ||
                    (Array.isArray(value) && value.length === 0);
     
     return isEmpty 
@@ -108,7 +111,7 @@ export class BaseValidator {
    */
   static minLength(value, minLength, customMessage = null) {
     if (typeof value !== 'string') {
-      return ValidationResult.error('El valor debe ser un string');
+      return ValidationResult.error(t(VALIDATION_MESSAGES.NOT_A_STRING));
     }
 
     const message = customMessage || VALIDATION_MESSAGES.MIN_LENGTH(minLength);
@@ -127,7 +130,7 @@ export class BaseValidator {
    */
   static maxLength(value, maxLength, customMessage = null) {
     if (typeof value !== 'string') {
-      return ValidationResult.error('El valor debe ser un string');
+      return ValidationResult.error(t(VALIDATION_MESSAGES.NOT_A_STRING));
     }
 
     const message = customMessage || VALIDATION_MESSAGES.MAX_LENGTH(maxLength);
@@ -146,7 +149,7 @@ export class BaseValidator {
    */
   static pattern(value, pattern, message) {
     if (typeof value !== 'string') {
-      return ValidationResult.error('El valor debe ser un string');
+      return ValidationResult.error(t(VALIDATION_MESSAGES.NOT_A_STRING));
     }
 
     return pattern.test(value)
@@ -165,7 +168,7 @@ export class FieldValidators {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static email(email, customMessage = VALIDATION_MESSAGES.EMAIL_INVALID) {
+  static email(email, customMessage = t(VALIDATION_MESSAGES.EMAIL_INVALID)) {
     return BaseValidator.pattern(email, VALIDATION_PATTERNS.EMAIL, customMessage);
   }
 
@@ -175,7 +178,7 @@ export class FieldValidators {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static phone(phone, customMessage = VALIDATION_MESSAGES.PHONE_INVALID) {
+  static phone(phone, customMessage = t(VALIDATION_MESSAGES.PHONE_INVALID)) {
     return BaseValidator.pattern(phone, VALIDATION_PATTERNS.PHONE, customMessage);
   }
 
@@ -185,7 +188,7 @@ export class FieldValidators {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static url(url, customMessage = VALIDATION_MESSAGES.URL_INVALID) {
+  static url(url, customMessage = t(VALIDATION_MESSAGES.URL_INVALID)) {
     return BaseValidator.pattern(url, VALIDATION_PATTERNS.URL, customMessage);
   }
 
@@ -195,7 +198,7 @@ export class FieldValidators {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static name(name, customMessage = VALIDATION_MESSAGES.NAME_INVALID) {
+  static name(name, customMessage = t(VALIDATION_MESSAGES.NAME_INVALID)) {
     return BaseValidator.pattern(name, VALIDATION_PATTERNS.NAME, customMessage);
   }
 
@@ -205,7 +208,7 @@ export class FieldValidators {
    * @param {string} customMessage - Mensaje personalizado
    * @returns {ValidationResult}
    */
-  static username(username, customMessage = VALIDATION_MESSAGES.USERNAME_INVALID) {
+  static username(username, customMessage = t(VALIDATION_MESSAGES.USERNAME_INVALID)) {
     return BaseValidator.pattern(username, VALIDATION_PATTERNS.USERNAME, customMessage);
   }
 }
@@ -321,24 +324,52 @@ export class FormValidator {
 }
 
 /**
- * Función de utilidad para crear validadores comunes para formularios
+ * Límites del formulario de contacto
+ * Compartidos por el formulario (ContactForm) y la API de contacto (server/)
+ */
+export const CONTACT_FORM_LIMITS = {
+  nameMin: 2,
+  nameMax: 100,
+  subjectMin: 5,
+  subjectMax: 150,
+  messageMin: 10,
+  messageMax: 500
+};
+
+/**
+ * Quita los espacios de los extremos sin romper con valores que no son texto
+ * @param {*} value - Valor recibido
+ * @returns {*}
  */
-export const createContactFormValidator = () => {
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+
+/**
+ * Función de utilidad para crear el validador del formulario de contacto
+ * Las mismas reglas se aplican en el navegador y en el servidor
+ * @param {Object} limits - Límites de longitud (por defecto CONTACT_FORM_LIMITS)
+ * @param {Function} translate - Traduce los mensajes de error (por defecto t, el idioma del sitio)
+ * @returns {FormValidator} - Validador con reglas para name, email, subject y message
+ */
+export const createContactFormValidator = (limits = CONTACT_FORM_LIMITS, translate = t) => {
   return new FormValidator()
-    .addRule('nombre', [
-      (value) => BaseValidator.required(value),
-      (value) => BaseValidator.minLength(value, 2),
-      (value) => BaseValidator.maxLength(value, 50),
-      (value) => FieldValidators.name(value)
+    .addRule('name', [
+      (value) => BaseValidator.required(value, translate('form.errors.nameRequired')),
+      (value) => BaseValidator.minLength(trimmed(value), limits.nameMin, translate('form.errors.nameMinLength', { count: limits.nameMin })),
+      (value) => BaseValidator.maxLength(value, limits.nameMax, translate('form.errors.nameMaxLength', { count: limits.nameMax }))
     ])
     .addRule('email', [
-      (value) => BaseValidator.required(value),
-      (value) => FieldValidators.email(value)
+      (value) => BaseValidator.required(value, translate('form.errors.emailRequired')),
+      (value) => FieldValidators.email(trimmed(value), translate('form.errors.emailInvalid'))
+    ])
+    .addRule('subject', [
+      (value) => BaseValidator.required(value, translate('form.errors.subjectRequired')),
+      (value) => BaseValidator.minLength(trimmed(value), limits.subjectMin, translate('form.errors.subjectMinLength', { count: limits.subjectMin })),
+      (value) => BaseValidator.maxLength(value, limits.subjectMax, translate('form.errors.subjectMaxLength', { count: limits.subjectMax }))
     ])
-    .addRule('mensaje', [
-      (value) => BaseValidator.required(value),
-      (value) => BaseValidator.minLength(value, 10),
-      (value) => BaseValidator.maxLength(value, 1000)
+    .addRule('message', [
+      (value) => BaseValidator.required(value, translate('form.errors.messageRequired')),
+      (value) => BaseValidator.minLength(trimmed(value), limits.messageMin, translate('form.errors.messageMinLength', { count: limits.messageMin })),
+      (value) => BaseValidator.maxLength(value, limits.messageMax, translate('form.errors.messageMaxLength', { count: limits.messageMax }))
     ]);
 };
 
@@ -350,5 +381,6 @@ export default {
   ValidationResult,
   VALIDATION_PATTERNS,
   VALIDATION_MESSAGES,
+  CONTACT_FORM_LIMITS,
   createContactFormValidator
 }; 
\ No newline at end of file